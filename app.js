@@ -0,0 +1,211 @@
+import express from 'express';
+import { auditTrail } from './lib/audit.js';
+import { mediaConfig, rateLimitConfig } from './lib/config.js';
+import { corsPolicy } from './lib/cors.js';
+import { apiNotFound, errorHandler, requestId } from './lib/errors.js';
+import { PERMISSIONS, requirePermission } from './lib/permissions.js';
+import {
+  dbArticleToApi,
+  dbPartnerToApi,
+  dbStructureToApi,
+  dbUserToApi,
+  formatContactFromRow,
+  formatProfileFromRow,
+} from './lib/mappers.js';
+import { rateLimit } from './lib/ratelimit.js';
+import { createAdminRouter } from './routes/admin.js';
+import { createAnnouncementsRouter } from './routes/announcements.js';
+import { createArticlesRouter } from './routes/articles.js';
+import { createAuthRouter } from './routes/auth.js';
+import { createCommentsRouter } from './routes/comments.js';
+import { createContentRouter } from './routes/content.js';
+import { createDocsRouter } from './routes/docs.js';
+import { createEventsRouter } from './routes/events.js';
+import { createFeedsRouter } from './routes/feeds.js';
+import { createMediaRouter } from './routes/media.js';
+import { createMembersRouter } from './routes/members.js';
+import { createMessagesRouter } from './routes/messages.js';
+import { createNotesRouter } from './routes/notes.js';
+import { createNotificationsRouter } from './routes/notifications.js';
+import { createPagesRouter } from './routes/pages.js';
+import { createSearchRouter } from './routes/search.js';
+import { createSiteRouter } from './routes/site.js';
+import { createTaxonomyRouter } from './routes/taxonomy.js';
+import { createTranslationsRouter } from './routes/translations.js';
+import { createUsersRouter } from './routes/users.js';
+import { createVerificationRouter } from './routes/verification.js';
+
+// Every router and the path it is mounted on, in mounting order. test/openapi.test.js walks the
+// same list to check that each route is documented in lib/openapi.js.
+export const ROUTERS = [
+  // --- API documentation (/api/openapi.json, /api/docs) ---
+  ['/api', createDocsRouter],
+
+  // --- Authentication ---
+  ['/api/auth', createAuthRouter],
+
+  // --- Resources (every mutating route checks permissions, see lib/permissions.js) ---
+  ['/api/users', createUsersRouter],
+  ['/api/members', createMembersRouter],
+  ['/api/articles', createArticlesRouter],
+  ['/api/inspiration-notes', createNotesRouter],
+  ['/api/notifications', createNotificationsRouter],
+  ['/api/announcements', createAnnouncementsRouter],
+  ['/api', createSiteRouter],
+  ['/api', createContentRouter],
+  ['/api', createEventsRouter],
+  ['/api', createCommentsRouter],
+  ['/api', createTaxonomyRouter],
+  ['/api', createVerificationRouter],
+  ['/api/search', createSearchRouter],
+  ['/api/media', createMediaRouter],
+  ['/api/messages', createMessagesRouter],
+  ['/api/translations', createTranslationsRouter],
+  ['/api/admin', createAdminRouter],
+
+  // --- Syndication feeds and sitemap (outside /api, where aggregators expect them) ---
+  ['/', createFeedsRouter],
+
+  // --- Article share pages with Open Graph tags (/berita/:slug) ---
+  ['/', createPagesRouter],
+];
+
+// --- The Express application ---
+// Builds every middleware and route on top of `pool`; server.js owns the pool, the background
+// jobs and listening, so the app can also be built without a database (e.g. by tests).
+export function createApp(pool) {
+  const app = express();
+
+  // Client addresses (for rate limits, the audit trail and comment sources) come from
+  // X-Forwarded-For only when the proxy in front is trusted.
+  app.set('trust proxy', rateLimitConfig.trustProxy);
+
+  // Cross-origin calls only from the configured frontends (lib/cors.js).
+  app.use(corsPolicy());
+  // Every response carries X-Request-Id; error bodies and server logs repeat it (lib/errors.js).
+  app.use(requestId());
+  // One limit over the whole API per client; sign-in and public forms have stricter ones.
+  app.use('/api', rateLimit({ name: 'api', ...rateLimitConfig.api }));
+  app.use(express.json({ limit: '10mb' }));
+
+  // ✅ Route utama untuk cek server hidup
+  app.get('/', (req, res) => {
+    res.send(`
+      <h1>Backend PWMOI Banyuwangi</h1>
+      <p>✅ Backend sedang berjalan di port ${req.socket.localPort}.</p>
+      <p>➡️ API tersedia di: <a href="/api">/api</a></p>
+    `);
+  });
+
+  // Health check endpoint
+  app.get('/api', (req, res) => {
+    res.json({ 
+      message: 'PWMOI Backend API is running!', 
+      envLoaded: true,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // --- Endpoint to fetch ALL initial data ---
+  // Deprecated: it dumps every table, including every user; notifications are limited to the
+  // caller's own. It is kept for admin tooling only; the public site uses GET /api/site plus the
+  // paginated list endpoints.
+  app.get('/api/all-data', requirePermission(pool, PERMISSIONS.USERS_MANAGE), async (req, res) => {
+    res.setHeader('Deprecation', 'true');
+    res.setHeader('Link', '</api/site>; rel="successor-version"');
+    // The schema is guaranteed by the migrations checked at startup, so a failing query is a
+    // real error and is reported as such instead of being replaced by an empty list.
+    const query = async (sql, params = []) => {
+      const [rows] = await pool.query(sql, params);
+      return rows;
+    };
+
+    const [
+      usersRows,
+      articles,
+      profileContentRows,
+      contactInfoRows,
+      programs,
+      structureRows,
+      announcements,
+      galleryImages,
+      comments,
+      notifications,
+      inspirationNotes,
+      partnersRows,
+      legalContentRows,
+    ] = await Promise.all([
+      query('SELECT * FROM users'),
+      query('SELECT * FROM articles'),
+      query('SELECT * FROM site_profile LIMIT 1'),
+      query('SELECT * FROM contact_info LIMIT 1'),
+      query('SELECT * FROM programs'),
+      query('SELECT * FROM structure'),
+      query('SELECT * FROM announcements'),
+      query('SELECT * FROM gallery'),
+      query('SELECT * FROM comments'),
+      query('SELECT * FROM notifications WHERE userId = ? ORDER BY id DESC', [req.user.id]),
+      query('SELECT * FROM inspiration_notes'),
+      query('SELECT * FROM partners'),
+      query('SELECT * FROM legal_content'),
+    ]);
+
+    const legalContent = legalContentRows.reduce((acc, row) => {
+      acc[row.page_key] = { title: row.title, content: row.content };
+      return acc;
+    }, {});
+
+    const formattedProfile = profileContentRows.length > 0
+      ? formatProfileFromRow(profileContentRows[0])
+      : null;
+
+    let formattedContact = null;
+    if (contactInfoRows.length > 0) {
+      formattedContact = formatContactFromRow(contactInfoRows[0]);
+    }
+
+    const users = (usersRows || []).map(dbUserToApi);
+    const partners = (partnersRows || []).map(dbPartnerToApi);
+    const structure = (structureRows || []).map(dbStructureToApi);
+    const articlesApi = (articles || []).map(dbArticleToApi);
+
+    res.status(200).json({
+      users,
+      articles: articlesApi,
+      profileContent: formattedProfile,
+      contactInfo: formattedContact,
+      programs: programs || [],
+      structure,
+      announcements: announcements || [],
+      galleryImages: galleryImages || [],
+      comments: comments || [],
+      notifications: notifications || [],
+      inspirationNotes: inspirationNotes || [],
+      partners,
+      legalContent,
+    });
+  });
+
+  // --- Audit trail of every successful mutating request (see lib/audit.js) ---
+  app.use('/api', auditTrail(pool));
+
+  // --- Routers: the API, feeds and share pages ---
+  for (const [path, createRouter] of ROUTERS) {
+    app.use(path, createRouter(pool));
+  }
+
+  // --- Uploaded files ---
+  // Stored names are random and never reused, so browsers and CDNs may cache them for good.
+  app.use(mediaConfig.publicPath, express.static(mediaConfig.dir, {
+    maxAge: '365d',
+    immutable: true,
+    index: false,
+    setHeaders: (res) => res.setHeader('X-Content-Type-Options', 'nosniff'),
+  }));
+
+  // --- Errors: unknown /api routes and everything routes throw share one JSON envelope ---
+  app.use('/api', apiNotFound());
+  app.use(errorHandler());
+
+  return app;
+}
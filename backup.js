@@ -0,0 +1,93 @@
+/* eslint-disable no-console */
+
+// Full-site backup CLI (see lib/backup.js).
+//   node backup.js export [dir]        write an archive of every table and the media manifest
+//   node backup.js list                list the archives in BACKUP_DIR
+//   node backup.js restore <file> [--dry-run] [--replace] [--on-conflict=fail|skip|overwrite]
+//                                      restore an archive (a path, or a name in BACKUP_DIR)
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import mysql from 'mysql2/promise';
+import {
+  createBackup,
+  listBackups,
+  readBackupFile,
+  restoreBackup,
+  writeBackup,
+} from './lib/backup.js';
+import { backupConfig, dbConfig } from './lib/config.js';
+
+function printReport(report) {
+  for (const problem of report.problems) console.error(`❌ ${problem}`);
+  for (const warning of report.warnings) console.log(`⚠️  ${warning}`);
+  for (const { table, rows, existing, conflicts, deleted, inserted, replaced, skipped } of report.tables) {
+    const done = report.dryRun ? '' : `, deleted ${deleted}, inserted ${inserted}, replaced ${replaced}, skipped ${skipped}`;
+    console.log(`   ${table}: ${rows} in backup, ${existing} in database, ${conflicts} conflicting${done}`);
+  }
+  const { files, missing, changed } = report.media;
+  console.log(`   media: ${files} file(s) in manifest, ${missing.length} missing, ${changed.length} changed`);
+  for (const file of [...missing, ...changed]) console.log(`     ${file}`);
+}
+
+async function resolveArchive(file) {
+  const candidates = [path.resolve(file), path.join(backupConfig.dir, file)];
+  for (const candidate of candidates) {
+    if (await fs.stat(candidate).then((stats) => stats.isFile(), () => false)) return candidate;
+  }
+  throw new Error(`Backup "${file}" not found.`);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const [command = 'list', arg] = args.filter((value) => !value.startsWith('--'));
+  const option = (name) => args.find((value) => value.startsWith(`--${name}=`))?.split('=')[1];
+
+  if (command === 'list') {
+    const backups = await listBackups();
+    if (backups.length === 0) console.log(`No backups in ${backupConfig.dir}.`);
+    for (const { file, sizeBytes, modifiedAt } of backups) {
+      console.log(`${modifiedAt.toISOString()}  ${String(sizeBytes).padStart(12)}  ${file}`);
+    }
+    return;
+  }
+  if (command !== 'export' && command !== 'restore') {
+    console.error(`Unknown command "${command}". Use: export [dir] | list | restore <file> [--dry-run] [--replace] [--on-conflict=...]`);
+    process.exitCode = 1;
+    return;
+  }
+  if (command === 'restore' && !arg) {
+    console.error('Name the backup to restore: node backup.js restore <file>');
+    process.exitCode = 1;
+    return;
+  }
+
+  const conn = await mysql.createConnection(dbConfig);
+  try {
+    if (command === 'export') {
+      const saved = await writeBackup(await createBackup(conn), { dir: arg ? path.resolve(arg) : undefined });
+      console.log(`✅ Backup written to ${saved.path} (${saved.sizeBytes} bytes).`);
+    } else {
+      const archive = await readBackupFile(await resolveArchive(arg));
+      const report = await restoreBackup(conn, archive, {
+        mode: args.includes('--replace') ? 'replace' : 'merge',
+        onConflict: option('on-conflict'),
+        dryRun: args.includes('--dry-run'),
+      });
+      printReport(report);
+      if (report.dryRun) {
+        console.log(report.ok ? '✅ Dry run: the backup can be restored.' : '❌ Dry run: the backup cannot be restored.');
+        if (!report.ok) process.exitCode = 1;
+      } else {
+        console.log(`✅ Restored the backup of ${archive.createdAt}.`);
+      }
+    }
+  } finally {
+    await conn.end();
+  }
+}
+
+main().catch((err) => {
+  if (err.details?.problems) printReport(err.details);
+  console.error('❌ Backup failed:', err.message);
+  process.exitCode = 1;
+});
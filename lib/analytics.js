@@ -0,0 +1,271 @@
+/* eslint-disable no-console */
+
+import { siteConfig } from './config.js';
+import { COMMENT_STATUS } from './comments.js';
+import { MESSAGE_STATUS } from './messages.js';
+import { VERIFICATION_STATUS } from './membership.js';
+import { PERMISSIONS, hasPermission } from './permissions.js';
+import { hashSource } from './spam.js';
+import { ARTICLE_STATUS } from './workflow.js';
+
+// --- Article views and dashboard statistics ---
+// A read of a published article counts once per visitor and day. The visitor is the keyed hash
+// of the client address and browser (lib/spam.js), hashed again with the day in MySQL, so no
+// address is stored and a reader cannot be followed from one day to the next. Crawlers, link
+// previews and the article's own editorial staff are not counted. Every dashboard series is
+// counted by the day in the site's time zone (SITE_TIME_ZONE), whatever the database's time zone:
+// views are filed under that day, and other events are bucketed by when that day starts and ends.
+
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|facebookexternalhit|whatsapp|telegram|headless|curl|wget|python|java\/|okhttp|node-fetch|axios/i;
+
+export const MAX_STATS_DAYS = 366;
+export const DEFAULT_STATS_DAYS = 30;
+export const MAX_TOP_ARTICLES = 50;
+
+// Today in the site's time zone, as YYYY-MM-DD.
+function today() {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: siteConfig.timeZone }).format(new Date());
+}
+
+function isCounted(req, article) {
+  if (article.status !== ARTICLE_STATUS.PUBLISHED) return false;
+  const userAgent = req.get('user-agent') || '';
+  if (!userAgent || BOT_PATTERN.test(userAgent)) return false;
+  const user = req.user;
+  return !user || (Number(user.id) !== Number(article.authorId) && !hasPermission(user, PERMISSIONS.ARTICLES_REVIEW));
+}
+
+// Counts the read, at most once per visitor and day. Never throws: the article is served whether
+// or not the count could be written, so callers do not wait for it.
+export async function recordArticleView(pool, req, article) {
+  if (!isCounted(req, article)) return false;
+  try {
+    const day = today();
+    const visitor = hashSource(`${req.ip} ${req.get('user-agent')}`);
+    const [result] = await pool.query(
+      `INSERT IGNORE INTO article_view_visitors (view_date, article_id, visitor_hash)
+       VALUES (?, ?, SHA2(CONCAT(?, ':', ?), 256))`,
+      [day, article.id, day, visitor],
+    );
+    if (result.affectedRows === 0) return false;
+    await pool.query(
+      `INSERT INTO article_views_daily (article_id, view_date, views) VALUES (?, ?, 1)
+       ON DUPLICATE KEY UPDATE views = views + 1`,
+      [article.id, day],
+    );
+    return true;
+  } catch (err) {
+    console.error(`Could not count a view of article ${article.id}:`, err);
+    return false;
+  }
+}
+
+// Visitor hashes are only needed while their day lasts; the scheduler removes the older ones.
+export async function pruneViewVisitors(pool) {
+  const [result] = await pool.query('DELETE FROM article_view_visitors WHERE view_date < ?', [today()]);
+  return result.affectedRows;
+}
+
+// --- Dashboard ---
+function addDays(day, days) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// How far the site's time zone is ahead of UTC at `date`, in milliseconds.
+function siteZoneOffset(date) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: siteConfig.timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(date).map(({ type, value }) => [type, Number(value)]));
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return local - (date.getTime() - date.getMilliseconds());
+}
+
+// When `day` (YYYY-MM-DD) starts in the site's time zone, in Unix seconds. The offset is checked
+// again at the start itself, in case the clocks change during the first hours.
+function siteDayStart(day) {
+  const midnight = Date.parse(`${day}T00:00:00Z`);
+  const guess = midnight - siteZoneOffset(new Date(midnight));
+  return (midnight - siteZoneOffset(new Date(guess))) / 1000;
+}
+
+// ?from=&to= (YYYY-MM-DD, both included) -> { from, to, days }, or { error }. By default the last
+// DEFAULT_STATS_DAYS days up to today.
+export function statsRange(query = {}) {
+  const to = query.to ? String(query.to) : today();
+  const from = query.from ? String(query.from) : addDays(to, 1 - DEFAULT_STATS_DAYS);
+  if (from > to) return { error: '"from" must not be after "to".' };
+  const days = [];
+  for (let day = from; day <= to && days.length <= MAX_STATS_DAYS; day = addDays(day, 1)) days.push(day);
+  if (days.length > MAX_STATS_DAYS) return { error: `The range may span at most ${MAX_STATS_DAYS} days.` };
+  return { from, to, days };
+}
+
+// Counts keyed by `column`, with every expected key present.
+function countsBy(rows, keys, column = 'status') {
+  const counts = Object.fromEntries(keys.map((key) => [key, 0]));
+  for (const row of rows) {
+    if (row[column] in counts) counts[row[column]] += Number(row.count);
+  }
+  return counts;
+}
+
+// One entry per day of the range, zero where nothing happened.
+function daily(days, rows, field) {
+  const byDay = new Map(rows.map((row) => [row.day, Number(row[field])]));
+  return days.map((date) => ({ date, [field]: byDay.get(date) ?? 0 }));
+}
+
+// Rows numbered by INTERVAL() over the starts of `days`, keyed by their day instead.
+function byDayNumber(days, rows) {
+  return rows.map((row) => ({ ...row, day: days[Number(row.day_number) - 1] }));
+}
+
+// Everything GET /api/admin/stats answers, for the days of `range` (see statsRange). Views and
+// the top articles come from the daily rollup; the rest are counts over indexed columns. Those
+// are compared with the instants the site's days start at, and INTERVAL() numbers the day an
+// event falls on (1 for `from`), so the database's time zone plays no part.
+export async function loadDashboardStats(pool, { from, to, days }, { top = 10 } = {}) {
+  const range = [from, to];
+  const dayStarts = days.map(siteDayStart);
+  const instants = [dayStarts[0], siteDayStart(addDays(to, 1))];
+  const createdInRange = 'created_at >= FROM_UNIXTIME(?) AND created_at < FROM_UNIXTIME(?)';
+  const dayOf = 'INTERVAL(UNIX_TIMESTAMP(created_at), ?)';
+  const [
+    [viewRows],
+    [topRows],
+    [authorRows],
+    [authorViewRows],
+    [statusRows],
+    [commentRows],
+    [commentStatusRows],
+    [[pending]],
+    [[members]],
+    [memberRows],
+  ] = await Promise.all([
+    pool.query(
+      `SELECT DATE_FORMAT(view_date, '%Y-%m-%d') AS day, SUM(views) AS views
+       FROM article_views_daily WHERE view_date BETWEEN ? AND ? GROUP BY view_date`,
+      range,
+    ),
+    pool.query(
+      `SELECT a.id, a.title, a.slug, a.authorId, u.name AS author_name, SUM(v.views) AS views
+       FROM article_views_daily v
+       JOIN articles a ON a.id = v.article_id
+       LEFT JOIN users u ON u.id = a.authorId
+       WHERE v.view_date BETWEEN ? AND ?
+       GROUP BY a.id, a.title, a.slug, a.authorId, u.name
+       ORDER BY views DESC, a.id LIMIT ?`,
+      [...range, top],
+    ),
+    pool.query(
+      `SELECT a.authorId, u.name, COUNT(*) AS articles,
+         SUM(a.status = ?) AS published,
+         SUM(a.status = ? AND a.published_at >= FROM_UNIXTIME(?) AND a.published_at < FROM_UNIXTIME(?))
+           AS published_in_range
+       FROM articles a LEFT JOIN users u ON u.id = a.authorId
+       GROUP BY a.authorId, u.name`,
+      [ARTICLE_STATUS.PUBLISHED, ARTICLE_STATUS.PUBLISHED, ...instants],
+    ),
+    pool.query(
+      `SELECT a.authorId, SUM(v.views) AS views
+       FROM article_views_daily v JOIN articles a ON a.id = v.article_id
+       WHERE v.view_date BETWEEN ? AND ? GROUP BY a.authorId`,
+      range,
+    ),
+    pool.query('SELECT COALESCE(status, ?) AS status, COUNT(*) AS count FROM articles GROUP BY status', [ARTICLE_STATUS.DRAFT]),
+    pool.query(
+      `SELECT ${dayOf} AS day_number, COUNT(*) AS count
+       FROM comments WHERE ${createdInRange} GROUP BY day_number`,
+      [dayStarts, ...instants],
+    ),
+    pool.query(`SELECT status, COUNT(*) AS count FROM comments WHERE ${createdInRange} GROUP BY status`, instants),
+    pool.query(
+      `SELECT
+         (SELECT COUNT(*) FROM comments WHERE status = ?) AS comments,
+         (SELECT COUNT(*) FROM articles WHERE status IN (?, ?)) AS articles,
+         (SELECT COUNT(*) FROM verification_requests WHERE status = ?) AS verificationRequests,
+         (SELECT COUNT(*) FROM contact_messages WHERE status = ? AND archived_at IS NULL) AS messages`,
+      [
+        COMMENT_STATUS.PENDING,
+        ARTICLE_STATUS.SUBMITTED,
+        ARTICLE_STATUS.IN_REVIEW,
+        VERIFICATION_STATUS.PENDING,
+        MESSAGE_STATUS.NEW,
+      ],
+    ),
+    // Accounts without a created_at predate the column and count as members from the start.
+    pool.query(
+      `SELECT COUNT(*) AS total,
+         COALESCE(SUM(created_at IS NULL OR created_at < FROM_UNIXTIME(?)), 0) AS before_range
+       FROM users`,
+      [instants[0]],
+    ),
+    pool.query(
+      `SELECT ${dayOf} AS day_number, COUNT(*) AS joined
+       FROM users WHERE ${createdInRange} GROUP BY day_number`,
+      [dayStarts, ...instants],
+    ),
+  ]);
+
+  const viewsDaily = daily(days, viewRows, 'views');
+  const authorViews = new Map(authorViewRows.map((row) => [row.authorId, Number(row.views)]));
+  const commentsDaily = daily(days, byDayNumber(days, commentRows), 'count');
+  let memberTotal = Number(members.before_range);
+  const membersDaily = daily(days, byDayNumber(days, memberRows), 'joined').map((day) => {
+    memberTotal += day.joined;
+    return { ...day, total: memberTotal };
+  });
+
+  return {
+    from,
+    to,
+    views: {
+      total: viewsDaily.reduce((sum, day) => sum + day.views, 0),
+      daily: viewsDaily,
+    },
+    topArticles: topRows.map((row) => ({
+      id: row.id,
+      title: row.title,
+      slug: row.slug ?? null,
+      authorId: row.authorId ?? null,
+      authorName: row.author_name ?? null,
+      views: Number(row.views),
+    })),
+    authors: authorRows
+      .map((row) => ({
+        authorId: row.authorId ?? null,
+        name: row.name ?? null,
+        articles: Number(row.articles),
+        published: Number(row.published ?? 0),
+        publishedInRange: Number(row.published_in_range ?? 0),
+        views: authorViews.get(row.authorId) ?? 0,
+      }))
+      .sort((a, b) => b.publishedInRange - a.publishedInRange || b.views - a.views || b.articles - a.articles),
+    articlesByStatus: countsBy(statusRows, Object.values(ARTICLE_STATUS)),
+    comments: {
+      total: commentsDaily.reduce((sum, day) => sum + day.count, 0),
+      byStatus: countsBy(commentStatusRows, Object.values(COMMENT_STATUS)),
+      daily: commentsDaily,
+    },
+    pending: {
+      comments: Number(pending.comments),
+      articles: Number(pending.articles),
+      verificationRequests: Number(pending.verificationRequests),
+      messages: Number(pending.messages),
+    },
+    members: {
+      total: Number(members.total),
+      joined: membersDaily.reduce((sum, day) => sum + day.joined, 0),
+      daily: membersDaily,
+    },
+  };
+}
@@ -0,0 +1,37 @@
+// --- Announcements with a display window ---
+
+// SQL condition for announcements that should be shown right now. The ends_at check keeps an
+// announcement hidden between its end and the scheduler's next run, which sets expired_at.
+export function activeAnnouncementCondition(alias = '') {
+  const col = (name) => (alias ? `${alias}.${name}` : name);
+  return `(${col('expired_at')} IS NULL
+    AND (${col('starts_at')} IS NULL OR ${col('starts_at')} <= NOW())
+    AND (${col('ends_at')} IS NULL OR ${col('ends_at')} > NOW()))`;
+}
+
+export function dbAnnouncementToApi(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    title: row.title,
+    content: row.content,
+    startsAt: row.starts_at ?? null,
+    endsAt: row.ends_at ?? null,
+    expiredAt: row.expired_at ?? null,
+    createdAt: row.created_at ?? null,
+  };
+}
+
+// { title, content, startsAt, endsAt } (checked by the announcement schemas) -> DB columns. Only
+// the fields present in the payload are returned, so it serves both create and update.
+export function apiAnnouncementToDb(payload) {
+  const body = payload || {};
+  const dbObj = {};
+  if (body.title !== undefined) dbObj.title = body.title;
+  if (body.content !== undefined) dbObj.content = body.content;
+  for (const [field, column] of [['startsAt', 'starts_at'], ['endsAt', 'ends_at']]) {
+    if (body[field] === undefined) continue;
+    dbObj[column] = body[field] === null || body[field] === '' ? null : new Date(body[field]);
+  }
+  return dbObj;
+}
@@ -0,0 +1,125 @@
+/* eslint-disable no-console */
+
+import { safeJsonParse } from './mappers.js';
+
+// --- Audit log ---
+// auditTrail() records every successful mutating /api request made by a signed-in user. By
+// default the entry is derived from the URL (/api/<entity>/<id>/<action>); routes that change
+// administrative records describe the change precisely with setAuditContext(), including the
+// before/after state the diff is computed from.
+
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+const METHOD_ACTIONS = { POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+
+// Per-user bookkeeping with no administrative meaning.
+const IGNORED_ENTITIES = new Set(['notifications']);
+
+// Values that must never be copied into the log; a change to them is still recorded.
+const REDACTED_FIELDS = new Set(['password']);
+const REDACTED = '[redacted]';
+
+function normalizeValue(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return value.toString('utf8');
+  return value ?? null;
+}
+
+// Field-level difference between two DB rows: { field: { before, after } } for every field whose
+// value changed. A missing `before` describes a creation, a missing `after` a deletion.
+export function diffRecords(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const field of fields) {
+    const from = normalizeValue(before?.[field]);
+    const to = normalizeValue(after?.[field]);
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+    changes[field] = REDACTED_FIELDS.has(field)
+      ? { before: from == null ? null : REDACTED, after: to == null ? null : REDACTED }
+      : { before: from, after: to };
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+// Describes the current request for the audit entry. Any of { entity, entityId, action, before,
+// after } may be given; later calls add to earlier ones.
+export function setAuditContext(res, context) {
+  res.locals.audit = { ...res.locals.audit, ...context };
+}
+
+function describeFromUrl(req) {
+  const pathname = req.originalUrl.split('?')[0];
+  const [entity, second, third] = pathname.replace(/^\/api\/?/, '').split('/').filter(Boolean);
+  const defaults = {
+    entity: entity ? entity.replace(/-/g, '_') : 'api',
+    entityId: second ?? null,
+    action: third ?? METHOD_ACTIONS[req.method],
+  };
+  // POST /api/<entity>/<verb> (e.g. /api/auth/logout, /api/comments/moderate)
+  if (req.method === 'POST' && second && !third && !/^\d+$/.test(second)) {
+    defaults.entityId = null;
+    defaults.action = second;
+  }
+  return defaults;
+}
+
+export async function recordAudit(db, entry) {
+  await db.query('INSERT INTO audit_log SET ?', [{
+    actor_id: entry.actorId ?? null,
+    actor_name: entry.actorName ? String(entry.actorName).slice(0, 100) : null,
+    action: String(entry.action).slice(0, 50),
+    entity: String(entry.entity).slice(0, 50),
+    entity_id: entry.entityId != null ? String(entry.entityId).slice(0, 64) : null,
+    method: entry.method,
+    path: String(entry.path).slice(0, 255),
+    status_code: entry.statusCode,
+    changes: entry.changes ? JSON.stringify(entry.changes) : null,
+    ip_address: entry.ipAddress ? String(entry.ipAddress).slice(0, 45) : null,
+  }]);
+}
+
+// Middleware mounted once in front of the API routers. The entry is written after the response
+// has been sent, so logging never delays or fails a request.
+export function auditTrail(pool) {
+  return (req, res, next) => {
+    if (!MUTATING_METHODS.has(req.method)) return next();
+    res.on('finish', () => {
+      if (res.statusCode >= 400 || !req.user) return;
+      const described = { ...describeFromUrl(req), ...res.locals.audit };
+      if (IGNORED_ENTITIES.has(described.entity)) return;
+      recordAudit(pool, {
+        actorId: req.user.id,
+        actorName: req.user.name,
+        action: described.action,
+        entity: described.entity,
+        entityId: described.entityId,
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        changes: 'before' in described || 'after' in described
+          ? diffRecords(described.before, described.after)
+          : null,
+        ipAddress: req.ip,
+      }).catch((err) => console.error('Failed to write audit log entry:', err));
+    });
+    next();
+  };
+}
+
+export function dbAuditToApi(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    actorId: row.actor_id,
+    actorName: row.actor_name,
+    action: row.action,
+    entity: row.entity,
+    entityId: row.entity_id,
+    method: row.method,
+    path: row.path,
+    statusCode: row.status_code,
+    changes: safeJsonParse(row.changes, null),
+    ipAddress: row.ip_address,
+    createdAt: row.created_at,
+  };
+}
@@ -0,0 +1,144 @@
+/* eslint-disable no-console */
+
+import crypto from 'node:crypto';
+import { promisify } from 'node:util';
+import { unauthenticated } from './errors.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+// --- Configuration ---
+const TOKEN_TTL_SECONDS = Number(process.env.AUTH_TOKEN_TTL) || 60 * 60 * 24 * 7;
+// The server's signing key, also used by the other HMACs (form challenges, client hashes). Without
+// AUTH_SECRET it is random per process, so it only holds for a single instance until it restarts.
+export const AUTH_SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+let warnedAboutSecret = false;
+
+const HASH_PREFIX = 'scrypt';
+const KEY_LENGTH = 64;
+
+// --- Password hashing ---
+// Stored format: scrypt$<salt hex>$<derived key hex>
+export function isPasswordHash(value) {
+  return typeof value === 'string' && value.startsWith(`${HASH_PREFIX}$`) && value.split('$').length === 3;
+}
+
+export async function hashPassword(plain) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derived = await scrypt(String(plain), salt, KEY_LENGTH);
+  return `${HASH_PREFIX}$${salt}$${derived.toString('hex')}`;
+}
+
+export async function verifyPassword(plain, stored) {
+  if (!isPasswordHash(stored)) return false;
+  const [, salt, keyHex] = stored.split('$');
+  const expected = Buffer.from(keyHex, 'hex');
+  const derived = await scrypt(String(plain), salt, expected.length);
+  return crypto.timingSafeEqual(derived, expected);
+}
+
+// --- Signed session tokens ---
+// Token = base64url(JSON payload) + '.' + base64url(HMAC-SHA256). The payload carries the
+// session id (sid) so a token can be revoked server-side on logout.
+function sign(data) {
+  return crypto.createHmac('sha256', AUTH_SECRET).update(data).digest('base64url');
+}
+
+export function signToken(payload) {
+  if (!process.env.AUTH_SECRET && !warnedAboutSecret) {
+    warnedAboutSecret = true;
+    console.warn('⚠️ AUTH_SECRET is not set. Using a random secret: all sessions end when the server restarts.');
+  }
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${sign(body)}`;
+}
+
+export function verifyToken(token) {
+  if (typeof token !== 'string') return null;
+  const [body, signature] = token.split('.');
+  if (!body || !signature) return null;
+  const expected = Buffer.from(sign(body));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+  if (!payload || !payload.exp || payload.exp * 1000 <= Date.now()) return null;
+  return payload;
+}
+
+export async function createSession(pool, userId) {
+  const sessionId = crypto.randomBytes(16).toString('hex');
+  const expiresAt = new Date(Date.now() + TOKEN_TTL_SECONDS * 1000);
+  await pool.query(
+    'INSERT INTO auth_sessions (id, user_id, expires_at) VALUES (?, ?, ?)',
+    [sessionId, userId, expiresAt],
+  );
+  const token = signToken({ sub: userId, sid: sessionId, exp: Math.floor(expiresAt.getTime() / 1000) });
+  return { token, expiresAt: expiresAt.toISOString() };
+}
+
+export async function revokeSession(pool, sessionId) {
+  await pool.query('UPDATE auth_sessions SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL', [sessionId]);
+}
+
+function readBearerToken(req) {
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme && scheme.toLowerCase() === 'bearer' ? token : null;
+}
+
+// Resolves the bearer token to { user, sessionId }, or null when missing/invalid/revoked.
+export async function resolveSession(pool, req) {
+  const payload = verifyToken(readBearerToken(req));
+  if (!payload) return null;
+  const [rows] = await pool.query(
+    `SELECT u.* FROM auth_sessions s JOIN users u ON u.id = s.user_id
+     WHERE s.id = ? AND s.user_id = ? AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+    [payload.sid, payload.sub],
+  );
+  if (rows.length === 0) return null;
+  return { user: rows[0], sessionId: payload.sid };
+}
+
+// Middleware: rejects the request with 401 unless it carries a valid session token.
+// On success req.user holds the raw users row and req.sessionId the session id.
+export function requireAuth(pool) {
+  return async (req, res, next) => {
+    const session = await resolveSession(pool, req);
+    if (!session) {
+      return next(unauthenticated());
+    }
+    req.user = session.user;
+    req.sessionId = session.sessionId;
+    next();
+  };
+}
+
+// Middleware for public routes that show more to signed-in users: sets req.user when a valid
+// token is present, and lets anonymous requests through untouched.
+export function optionalAuth(pool) {
+  return async (req, res, next) => {
+    const session = await resolveSession(pool, req);
+    if (session) {
+      req.user = session.user;
+      req.sessionId = session.sessionId;
+    }
+    next();
+  };
+}
+
+// One-time migration: hashes any users.password value still stored in plain text.
+// Safe to run repeatedly; rows that already hold a hash are left alone.
+export async function rehashPlainTextPasswords(conn) {
+  const [rows] = await conn.query('SELECT id, password FROM users WHERE password IS NOT NULL');
+  let migrated = 0;
+  for (const row of rows) {
+    if (isPasswordHash(row.password)) continue;
+    await conn.query('UPDATE users SET password = ? WHERE id = ?', [await hashPassword(row.password), row.id]);
+    migrated += 1;
+  }
+  return migrated;
+}
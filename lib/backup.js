@@ -0,0 +1,413 @@
+import crypto from 'node:crypto';
+import { createReadStream } from 'node:fs';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import zlib from 'node:zlib';
+import { backupConfig, mediaConfig } from './config.js';
+import { HttpError } from './errors.js';
+import { safeJsonParse } from './mappers.js';
+import { mediaVariantPaths } from './media.js';
+import { documentPath } from './membership.js';
+import { getAppliedVersions } from './migrator.js';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// --- Full-site backups ---
+// A backup is one gzipped JSON archive:
+//   { format, version, createdAt, migrations, tables: { <table>: { columns, rows } }, media }
+// `migrations` are the schema versions applied when it was taken, `rows` are arrays in `columns`
+// order, and `media` is a manifest of the uploaded files ({ store, path, sizeBytes, sha256 }).
+// The files themselves are not in the archive: copy the upload directories next to it, and a
+// restore lists the ones that are missing or differ.
+
+export const BACKUP_FORMAT = 'pwmoi-backup';
+export const BACKUP_VERSION = 1;
+
+// Every table holding site data. Sessions are left out: restoring them would sign people back in
+// with tokens that were meant to expire. So are member import previews, which live for a day, and
+// the visitor hashes behind the view counts, which only matter until the day ends.
+export const BACKUP_TABLES = Object.freeze([
+  'users',
+  'user_invitations',
+  'categories',
+  'tags',
+  'articles',
+  'article_tags',
+  'article_slug_history',
+  'article_transitions',
+  'article_revisions',
+  'comments',
+  'announcements',
+  'notifications',
+  'inspiration_notes',
+  'site_profile',
+  'contact_info',
+  'legal_content',
+  'programs',
+  'content_translations',
+  'program_events',
+  'event_registrations',
+  'structure',
+  'partners',
+  'gallery',
+  'media',
+  'verification_requests',
+  'contact_messages',
+  'contact_message_replies',
+  'article_views_daily',
+  'audit_log',
+]);
+
+export const RESTORE_MODES = Object.freeze(['merge', 'replace']);
+export const CONFLICT_STRATEGIES = Object.freeze(['fail', 'skip', 'overwrite']);
+
+// Names the server gives its archives; anything else is refused, so a name can never leave the
+// backup directory.
+export const BACKUP_FILE_PATTERN = /^pwmoi-backup-[\w.-]+\.json\.gz$/;
+
+const GZIP_MAGIC = Buffer.from([0x1f, 0x8b]);
+const INSERT_BATCH_SIZE = 500;
+
+export class BackupError extends HttpError {
+  constructor(status, message, options) {
+    super(status, message, options);
+    this.name = 'BackupError';
+  }
+}
+
+// Runs fn on one connection: a pool lends one, a single connection (the CLIs) is used as it is.
+async function withConnection(db, fn) {
+  if (typeof db.getConnection !== 'function') return fn(db);
+  const conn = await db.getConnection();
+  try {
+    return await fn(conn);
+  } finally {
+    conn.release();
+  }
+}
+
+function rowsAsObjects({ columns, rows }) {
+  return rows.map((row) => Object.fromEntries(columns.map((column, i) => [column, row[i]])));
+}
+
+// --- Media manifest ---
+async function describeFile(filePath) {
+  try {
+    const hash = crypto.createHash('sha256');
+    let sizeBytes = 0;
+    for await (const chunk of createReadStream(filePath)) {
+      hash.update(chunk);
+      sizeBytes += chunk.length;
+    }
+    return { sizeBytes, sha256: hash.digest('hex') };
+  } catch (err) {
+    if (err.code === 'ENOENT') return { missing: true };
+    throw err;
+  }
+}
+
+function storePath({ store, path: relative }) {
+  return store === 'documents'
+    ? documentPath({ file: relative })
+    : path.join(mediaConfig.dir, relative);
+}
+
+// Every file the exported rows point to: media variants and verification documents.
+async function buildMediaManifest(tables) {
+  const entries = new Map();
+  for (const row of rowsAsObjects(tables.media)) {
+    for (const relative of mediaVariantPaths(row)) {
+      entries.set(`media:${relative}`, { store: 'media', path: relative });
+    }
+  }
+  for (const row of rowsAsObjects(tables.verification_requests)) {
+    for (const document of safeJsonParse(row.documents, [])) {
+      entries.set(`documents:${document.file}`, { store: 'documents', path: path.basename(document.file) });
+    }
+  }
+  const manifest = [];
+  for (const entry of entries.values()) {
+    manifest.push({ ...entry, ...await describeFile(storePath(entry)) });
+  }
+  return manifest;
+}
+
+// Compares the manifest with the files on this machine.
+async function checkMediaFiles(manifest) {
+  const missing = [];
+  const changed = [];
+  for (const entry of manifest) {
+    if (entry.missing) continue;
+    const found = await describeFile(storePath(entry));
+    if (found.missing) missing.push(`${entry.store}/${entry.path}`);
+    else if (found.sha256 !== entry.sha256) changed.push(`${entry.store}/${entry.path}`);
+  }
+  return { files: manifest.length, missing, changed };
+}
+
+// --- Export ---
+// Reads every table inside one consistent snapshot, so the archive never mixes rows from before and
+// after a concurrent write. Dates are kept as the database's own 'YYYY-MM-DD hh:mm:ss' strings, so
+// a restore on a server in another time zone writes back exactly the same values.
+export async function createBackup(db) {
+  const { migrations, tables } = await withConnection(db, async (conn) => {
+    // Read first: it may create schema_migrations, and DDL would end the snapshot.
+    const applied = await getAppliedVersions(conn);
+    await conn.query('START TRANSACTION WITH CONSISTENT SNAPSHOT');
+    try {
+      const snapshot = {};
+      for (const table of BACKUP_TABLES) {
+        const [rows, fields] = await conn.query({ sql: `SELECT * FROM ${table}`, dateStrings: true });
+        const columns = fields.map((field) => field.name);
+        snapshot[table] = { columns, rows: rows.map((row) => columns.map((column) => row[column])) };
+      }
+      await conn.commit();
+      return { migrations: applied, tables: snapshot };
+    } catch (err) {
+      await conn.rollback();
+      throw err;
+    }
+  });
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    migrations,
+    tables,
+    media: await buildMediaManifest(tables),
+  };
+}
+
+// What an archive holds: { createdAt, version, schemaVersion, tables: { <table>: rowCount }, mediaFiles }.
+export function summarizeBackup(archive) {
+  return {
+    createdAt: archive.createdAt,
+    version: archive.version,
+    schemaVersion: archive.migrations.at(-1) ?? null,
+    tables: Object.fromEntries(Object.entries(archive.tables).map(([table, data]) => [table, data.rows.length])),
+    mediaFiles: archive.media.length,
+  };
+}
+
+// --- Archive files ---
+export function backupFilePath(file, dir = backupConfig.dir) {
+  if (!BACKUP_FILE_PATTERN.test(file)) {
+    throw new BackupError(400, 'Not a backup file name.');
+  }
+  return path.join(dir, file);
+}
+
+// Writes the archive as pwmoi-backup-<timestamp>[-<label>].json.gz and returns { file, path, sizeBytes }.
+export async function writeBackup(archive, { dir = backupConfig.dir, label } = {}) {
+  const stamp = new Date(archive.createdAt).toISOString().replace(/[:.]/g, '-');
+  const file = `pwmoi-backup-${stamp}${label ? `-${label}` : ''}.json.gz`;
+  const filePath = backupFilePath(file, dir);
+  const data = await gzip(JSON.stringify(archive));
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(filePath, data, { flag: 'wx' });
+  return { file, path: filePath, sizeBytes: data.length };
+}
+
+// Parses an archive (gzipped or plain JSON) and checks its shape; a malformed one is a 400.
+export async function parseBackup(buffer) {
+  let archive;
+  try {
+    const data = buffer.subarray(0, 2).equals(GZIP_MAGIC) ? await gunzip(buffer) : buffer;
+    archive = JSON.parse(data.toString('utf8'));
+  } catch {
+    throw new BackupError(400, 'The file is not a readable backup archive.');
+  }
+  if (archive?.format !== BACKUP_FORMAT) {
+    throw new BackupError(400, 'The file is not a PWMOI backup archive.');
+  }
+  if (!Number.isInteger(archive.version) || archive.version < 1 || archive.version > BACKUP_VERSION) {
+    throw new BackupError(400, `Backup format version ${archive.version} is not supported (this server reads up to ${BACKUP_VERSION}).`);
+  }
+  const valid = !Number.isNaN(Date.parse(archive.createdAt))
+    && Array.isArray(archive.migrations)
+    && Array.isArray(archive.media)
+    && archive.tables && typeof archive.tables === 'object'
+    && Object.values(archive.tables).every(({ columns, rows } = {}) => Array.isArray(columns)
+      && Array.isArray(rows)
+      && rows.every((row) => Array.isArray(row) && row.length === columns.length));
+  if (!valid) {
+    throw new BackupError(400, 'The backup archive is damaged: its tables, migrations or media list are malformed.');
+  }
+  return archive;
+}
+
+export async function readBackupFile(filePath) {
+  return parseBackup(await fs.readFile(filePath));
+}
+
+// Archives in the backup directory, newest first: [{ file, sizeBytes, modifiedAt }].
+export async function listBackups(dir = backupConfig.dir) {
+  const files = await fs.readdir(dir).catch((err) => {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  });
+  const backups = [];
+  for (const file of files.filter((name) => BACKUP_FILE_PATTERN.test(name))) {
+    const stats = await fs.stat(path.join(dir, file));
+    backups.push({ file, sizeBytes: stats.size, modifiedAt: stats.mtime });
+  }
+  return backups.sort((a, b) => b.modifiedAt - a.modifiedAt);
+}
+
+// --- Restore ---
+async function describeTable(conn, table) {
+  const [columns] = await conn.query(`SHOW COLUMNS FROM ${table}`);
+  return {
+    types: new Map(columns.map((column) => [column.Field, column.Type.toLowerCase()])),
+    primaryKey: columns.filter((column) => column.Key === 'PRI').map((column) => column.Field),
+  };
+}
+
+// JSON columns come back from mysql2 already parsed (a JSON string value is a plain string, so the
+// column type decides); everything else is written as exported.
+function toDbValue(value, type) {
+  if (value == null) return null;
+  return type === 'json' || typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+function keyOf(values) {
+  return JSON.stringify(values.map((value) => String(value)));
+}
+
+// Archive rows whose primary key already exists in the table.
+async function countConflicts(conn, table, primaryKey, data) {
+  if (primaryKey.length === 0 || data.rows.length === 0) return 0;
+  const indexes = primaryKey.map((column) => data.columns.indexOf(column));
+  if (indexes.includes(-1)) return 0;
+  const [rows] = await conn.query(`SELECT ?? FROM ${table}`, [primaryKey]);
+  const existing = new Set(rows.map((row) => keyOf(primaryKey.map((column) => row[column]))));
+  return data.rows.filter((row) => existing.has(keyOf(indexes.map((i) => row[i])))).length;
+}
+
+// Checks the archive against the database and works out what a restore would do, table by table.
+async function planRestore(conn, archive, { mode, onConflict }) {
+  const problems = [];
+  const warnings = [];
+  const tables = [];
+
+  const applied = new Set(await getAppliedVersions(conn));
+  const missingMigrations = archive.migrations.filter((version) => !applied.has(version));
+  if (missingMigrations.length > 0) {
+    problems.push(`The database is missing migrations the backup was taken with: ${missingMigrations.join(', ')}. Run "npm run migrate" first.`);
+  }
+
+  for (const [table, data] of Object.entries(archive.tables)) {
+    if (!BACKUP_TABLES.includes(table)) {
+      problems.push(`Unknown table "${table}".`);
+      continue;
+    }
+    const { types, primaryKey } = await describeTable(conn, table);
+    const unknown = data.columns.filter((column) => !types.has(column));
+    if (unknown.length > 0) {
+      problems.push(`Table "${table}" has no column(s) ${unknown.join(', ')}.`);
+      continue;
+    }
+    const [[{ count }]] = await conn.query(`SELECT COUNT(*) AS count FROM ${table}`);
+    const conflicts = mode === 'merge' ? await countConflicts(conn, table, primaryKey, data) : 0;
+    if (conflicts > 0 && onConflict === 'fail') {
+      problems.push(`${conflicts} row(s) of "${table}" already exist; choose onConflict "skip" or "overwrite", or mode "replace".`);
+    }
+    tables.push({ table, data, types, existing: Number(count), conflicts });
+  }
+
+  for (const table of BACKUP_TABLES.filter((name) => !(name in archive.tables))) {
+    warnings.push(`"${table}" is not in the backup and is left as it is.`);
+  }
+  if ('users' in archive.tables) {
+    warnings.push('Restoring "users" ends every session: everyone has to sign in again.');
+  }
+  return { tables, problems, warnings };
+}
+
+// Writes one table's rows in batches and returns { deleted, inserted, replaced, skipped }.
+async function restoreTable(conn, { table, data, types }, { mode, onConflict }) {
+  const counts = { deleted: 0, inserted: 0, replaced: 0, skipped: 0 };
+  if (mode === 'replace') {
+    const [result] = await conn.query(`DELETE FROM ${table}`);
+    counts.deleted = result.affectedRows;
+  }
+  const statement = mode === 'merge' && onConflict === 'skip' ? 'INSERT IGNORE'
+    : mode === 'merge' && onConflict === 'overwrite' ? 'REPLACE'
+      : 'INSERT';
+  const columnTypes = data.columns.map((column) => types.get(column));
+  for (let start = 0; start < data.rows.length; start += INSERT_BATCH_SIZE) {
+    const batch = data.rows.slice(start, start + INSERT_BATCH_SIZE)
+      .map((row) => row.map((value, i) => toDbValue(value, columnTypes[i])));
+    const [result] = await conn.query(`${statement} INTO ${table} (??) VALUES ?`, [data.columns, batch]);
+    // INSERT IGNORE reports only the rows it wrote; REPLACE counts a replaced row twice.
+    if (statement === 'INSERT IGNORE') counts.skipped += batch.length - result.affectedRows;
+    else if (statement === 'REPLACE') counts.replaced += result.affectedRows - batch.length;
+  }
+  counts.inserted = data.rows.length - counts.skipped - counts.replaced;
+  return counts;
+}
+
+// Restores an archive into the database.
+//   mode 'merge'    adds the archive's rows to what is there; rows whose primary key exists are
+//                   handled by onConflict: 'fail' (nothing is written), 'skip' or 'overwrite'.
+//   mode 'replace'  empties every table in the archive first.
+// Restoring `users` also deletes every session, since a session is tied to a user id that may now
+// belong to someone else. Everything happens in one transaction. With dryRun nothing is written, and the report says what
+// would happen; otherwise a restore that cannot go ahead throws a 409 carrying the same report.
+// Report: { dryRun, mode, onConflict, archive, ok, problems, warnings, tables: [...], media }.
+export async function restoreBackup(db, archive, { mode = 'merge', onConflict = 'fail', dryRun = false } = {}) {
+  if (!RESTORE_MODES.includes(mode)) throw new BackupError(400, `Unknown restore mode "${mode}".`);
+  if (!CONFLICT_STRATEGIES.includes(onConflict)) throw new BackupError(400, `Unknown conflict strategy "${onConflict}".`);
+
+  return withConnection(db, async (conn) => {
+    const plan = await planRestore(conn, archive, { mode, onConflict });
+    const report = {
+      dryRun,
+      mode,
+      onConflict,
+      archive: summarizeBackup(archive),
+      ok: plan.problems.length === 0,
+      problems: plan.problems,
+      warnings: plan.warnings,
+      tables: plan.tables.map(({ table, data, existing, conflicts }) => ({
+        table,
+        rows: data.rows.length,
+        existing,
+        conflicts,
+        deleted: 0,
+        inserted: 0,
+        replaced: 0,
+        skipped: 0,
+      })),
+      media: await checkMediaFiles(archive.media),
+    };
+
+    if (dryRun) return report;
+    if (!report.ok) {
+      throw new BackupError(409, 'The backup cannot be restored into this database.', {
+        code: 'BACKUP_NOT_RESTORABLE',
+        details: report,
+      });
+    }
+
+    await conn.beginTransaction();
+    try {
+      for (const [i, entry] of plan.tables.entries()) {
+        Object.assign(report.tables[i], await restoreTable(conn, entry, { mode, onConflict }));
+      }
+      if ('users' in archive.tables) await conn.query('DELETE FROM auth_sessions');
+      await conn.commit();
+    } catch (err) {
+      await conn.rollback();
+      // A unique key other than the primary key (an e-mail address, a slug) clashed.
+      if (err.code === 'ER_DUP_ENTRY') {
+        throw new BackupError(409, `The backup clashes with existing data: ${err.sqlMessage}`, { code: 'BACKUP_CONFLICT' });
+      }
+      throw err;
+    }
+    return report;
+  });
+}
@@ -0,0 +1,79 @@
+import { safeJsonParse } from './mappers.js';
+import { createNotification } from './notifications.js';
+
+export const COMMENT_STATUS = Object.freeze({
+  PENDING: 'Pending',
+  APPROVED: 'Approved',
+  REJECTED: 'Rejected',
+});
+
+// Moderation fields (spam score, email, notes) are only included for moderators.
+export function dbCommentToApi(row, { forModerator = false } = {}) {
+  if (!row) return null;
+  const comment = {
+    id: row.id,
+    articleId: row.articleId,
+    parentId: row.parent_id ?? null,
+    userId: row.userId ?? null,
+    authorName: row.user_name ?? row.author_name ?? null,
+    content: row.content,
+    status: row.status,
+    createdAt: row.created_at ?? null,
+  };
+  if (forModerator) {
+    Object.assign(comment, {
+      authorEmail: row.author_email ?? null,
+      articleTitle: row.article_title ?? null,
+      spamScore: row.spam_score ?? 0,
+      spamReasons: safeJsonParse(row.spam_reasons, []),
+      moderatedBy: row.moderated_by ?? null,
+      moderatedAt: row.moderated_at ?? null,
+      moderationNote: row.moderation_note ?? null,
+    });
+  }
+  return comment;
+}
+
+// Turns a flat, chronologically sorted list into nested threads: [{ ...comment, replies: [] }].
+// Replies whose parent is not in the list (e.g. still pending) are dropped with it.
+export function buildCommentTree(comments) {
+  const byId = new Map(comments.map((comment) => [comment.id, { ...comment, replies: [] }]));
+  const roots = [];
+  for (const comment of byId.values()) {
+    if (comment.parentId == null) {
+      roots.push(comment);
+    } else if (byId.has(comment.parentId)) {
+      byId.get(comment.parentId).replies.push(comment);
+    }
+  }
+  return roots;
+}
+
+// Called whenever a comment becomes visible: tells the article's author, and the author of the
+// comment being replied to, unless they wrote it themselves.
+export async function notifyCommentPublished(db, comment) {
+  const [[article]] = await db.query('SELECT id, title, authorId FROM articles WHERE id = ?', [comment.articleId]);
+  if (!article) return;
+  const link = `/articles/${article.id}#comment-${comment.id}`;
+  const notified = new Set([comment.userId != null ? Number(comment.userId) : null]);
+
+  if (article.authorId != null && !notified.has(Number(article.authorId))) {
+    await createNotification(db, {
+      userId: article.authorId,
+      message: `Komentar baru pada artikel Anda "${article.title}".`,
+      link,
+    });
+    notified.add(Number(article.authorId));
+  }
+
+  if (comment.parentId != null) {
+    const [[parent]] = await db.query('SELECT userId FROM comments WHERE id = ?', [comment.parentId]);
+    if (parent?.userId != null && !notified.has(Number(parent.userId))) {
+      await createNotification(db, {
+        userId: parent.userId,
+        message: `Komentar Anda pada artikel "${article.title}" mendapat balasan.`,
+        link,
+      });
+    }
+  }
+}
@@ -0,0 +1,107 @@
+import path from 'node:path';
+
+// Runtime configuration read from environment variables, shared by server.js, migrate.js,
+// seed.js and the route modules.
+
+// Database connection
+export const dbConfig = {
+  host: process.env.DB_HOST || 'localhost',
+  user: process.env.DB_USER || 'root',
+  password: process.env.DB_PASSWORD || '',
+  database: process.env.DB_NAME || 'pwmoi_db2',
+  port: Number(process.env.DB_PORT) || 3306,
+};
+
+// Uploaded media: where files are stored on disk, the URL prefix they are served under, and the
+// largest accepted upload.
+export const mediaConfig = {
+  dir: path.resolve(process.env.MEDIA_DIR || 'uploads'),
+  publicPath: process.env.MEDIA_PUBLIC_PATH || '/media',
+  maxBytes: Number(process.env.MEDIA_MAX_BYTES) || 5 * 1024 * 1024,
+};
+
+// Public addresses: the frontend (where readers open articles) and this backend (where uploads
+// are served). Used wherever absolute URLs are required: feeds, sitemap, share metadata.
+// `timeZone` is used when dates are written out in messages (e.g. a scheduled publish time).
+// `indexHtml` is the frontend's built index.html; when set, the article share pages served by this
+// backend are that file with the article's meta tags, so the app still starts in the browser.
+export const siteConfig = {
+  publicUrl: (process.env.PUBLIC_SITE_URL || 'http://localhost:5173').replace(/\/+$/, ''),
+  apiUrl: (process.env.PUBLIC_API_URL || `http://localhost:${Number(process.env.PORT) || 5000}`).replace(/\/+$/, ''),
+  timeZone: process.env.SITE_TIME_ZONE || 'Asia/Jakarta',
+  indexHtml: process.env.SPA_INDEX_HTML ? path.resolve(process.env.SPA_INDEX_HTML) : null,
+};
+
+// Background jobs (scheduled publishing, announcement expiry, view counting cleanup): how often
+// they run, and a switch to turn them off on instances that should only serve requests.
+export const schedulerConfig = {
+  enabled: process.env.SCHEDULER_ENABLED !== 'false',
+  intervalMs: Number(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000,
+};
+
+// Member verification: documents submitted with a request are kept outside the public media
+// directory and only served to the applicant and admins. Press cards are valid for a fixed period
+// after approval. Members added by an admin import activate their account through an invitation
+// link, which expires after `invitationValidityDays`.
+export const membershipConfig = {
+  documentsDir: path.resolve(process.env.VERIFICATION_DOCS_DIR || 'private/verification'),
+  cardValidityMonths: Number(process.env.MEMBER_CARD_VALIDITY_MONTHS) || 12,
+  invitationValidityDays: Number(process.env.MEMBER_INVITATION_VALIDITY_DAYS) || 14,
+};
+
+// Full-site backups (see lib/backup.js): where archives are written, and the largest archive an
+// admin may upload for a restore.
+export const backupConfig = {
+  dir: path.resolve(process.env.BACKUP_DIR || 'backups'),
+  maxUploadBytes: Number(process.env.BACKUP_MAX_UPLOAD_BYTES) || 200 * 1024 * 1024,
+};
+
+// Browsers may call the API from these origins (CORS_ORIGINS, comma-separated); by default only
+// the frontend's own address. "*" allows any origin.
+export const corsConfig = {
+  origins: (process.env.CORS_ORIGINS || siteConfig.publicUrl)
+    .split(',')
+    .map((origin) => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean),
+};
+
+// "20/15m" -> { max: 20, windowMs: 900000 }; the window is in s, m or h. A malformed value falls
+// back to the default.
+const LIMIT_PATTERN = /^(\d+)\/(\d+)([smh])$/;
+const LIMIT_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+function parseLimit(value, fallback) {
+  const [, max, amount, unit] = LIMIT_PATTERN.exec(String(value ?? '').replace(/\s+/g, '')) ?? LIMIT_PATTERN.exec(fallback);
+  return { max: Number(max), windowMs: Number(amount) * LIMIT_UNITS[unit] };
+}
+
+// Express's "trust proxy" setting from TRUST_PROXY: a hop count, true/false, or a list of proxy
+// addresses and subnets.
+function parseTrustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+// Rate limits (see lib/ratelimit.js), each `max` requests per window from one client address —
+// and, for submissions, from one account. Set as RATE_LIMIT_<NAME>="max/window", e.g. "20/15m".
+// `api` covers every /api request; `auth` sign-in, registration and invitation acceptance;
+// `submissions` public forms such as comments; `lookups` the public press card check.
+// `loginLockout`: after `threshold` failed sign-ins for one email address within `windowMs`, the
+// address is locked for `lockMs`, doubling with each further failure up to `maxLockMs`.
+// Behind a reverse proxy TRUST_PROXY must be set (see parseTrustProxy), or every client is seen
+// with the proxy's address and they all share one limit.
+export const rateLimitConfig = {
+  enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+  api: parseLimit(process.env.RATE_LIMIT_API, '600/15m'),
+  auth: parseLimit(process.env.RATE_LIMIT_AUTH, '30/15m'),
+  submissions: parseLimit(process.env.RATE_LIMIT_SUBMISSIONS, '10/10m'),
+  lookups: parseLimit(process.env.RATE_LIMIT_LOOKUPS, '60/15m'),
+  loginLockout: {
+    threshold: Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5,
+    windowMs: (Number(process.env.LOGIN_LOCKOUT_WINDOW_MINUTES) || 60) * 60 * 1000,
+    lockMs: (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 1) * 60 * 1000,
+    maxLockMs: (Number(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 60) * 60 * 1000,
+  },
+};
@@ -0,0 +1,27 @@
+import cors from 'cors';
+import { corsConfig } from './config.js';
+
+// The headers a browser script may send, and those it may read besides the safelisted ones.
+const ALLOWED_HEADERS = ['Content-Type', 'Authorization', 'Accept-Language', 'X-Request-Id'];
+const EXPOSED_HEADERS = [
+  'X-Request-Id',
+  'Content-Disposition',
+  'Retry-After',
+  'RateLimit-Limit',
+  'RateLimit-Remaining',
+  'RateLimit-Reset',
+];
+
+// Cross-origin access for the frontends in corsConfig.origins. A request from any other origin
+// gets no CORS headers, so the browser withholds the response from the page; requests without an
+// Origin (same-origin pages, server-to-server calls, curl) are unaffected.
+export function corsPolicy() {
+  const anyOrigin = corsConfig.origins.includes('*');
+  return cors({
+    origin: (origin, callback) => callback(null, anyOrigin || corsConfig.origins.includes(origin)),
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ALLOWED_HEADERS,
+    exposedHeaders: EXPOSED_HEADERS,
+    maxAge: 600,
+  });
+}
@@ -0,0 +1,160 @@
+/* eslint-disable no-console */
+
+import crypto from 'node:crypto';
+
+// --- Errors and the shared error envelope ---
+// Every API error is answered with the same JSON body:
+//   { code, message, details, requestId }
+// `code` is a stable machine-readable string, `message` is meant for people, `details` carries
+// structured extras (the per-field problems of a validation error, the records blocking a
+// delete, ...) or null, and `requestId` matches the X-Request-Id response header and the server
+// log line. Routes throw (or pass to next()) an HttpError; errorHandler() writes the response.
+
+const DEFAULT_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'INTERNAL_ERROR',
+  503: 'SERVICE_UNAVAILABLE',
+};
+
+// Messages the server itself produces, in both languages the site is read in. Route messages are
+// plain strings, or { en, id } pairs where a translation exists.
+const MESSAGES = {
+  VALIDATION_FAILED: { en: 'The request is invalid.', id: 'Permintaan tidak valid.' },
+  INVALID_JSON: { en: 'The request body is not valid JSON.', id: 'Isi permintaan bukan JSON yang valid.' },
+  PAYLOAD_TOO_LARGE: { en: 'The request body is too large.', id: 'Isi permintaan terlalu besar.' },
+  ROUTE_NOT_FOUND: { en: 'No such API endpoint.', id: 'Endpoint API tidak ditemukan.' },
+  INTERNAL_ERROR: { en: 'Something went wrong on the server.', id: 'Terjadi kesalahan pada server.' },
+  UNAUTHENTICATED: { en: 'Authentication required.', id: 'Silakan masuk terlebih dahulu.' },
+  FORBIDDEN: {
+    en: 'You do not have permission to perform this action.',
+    id: 'Anda tidak memiliki izin untuk melakukan tindakan ini.',
+  },
+};
+
+export class HttpError extends Error {
+  constructor(status, message, { code, details = null } = {}) {
+    super(typeof message === 'string' ? message : message.en);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code || DEFAULT_CODES[status] || 'ERROR';
+    this.localizedMessage = typeof message === 'string' ? null : message;
+    this.details = details;
+  }
+}
+
+// A request that failed schema validation; `details` lists every problem as { in, field, rule,
+// message } (see lib/validation.js). Each message is translated like the envelope's own.
+export class ValidationError extends HttpError {
+  constructor(details) {
+    super(400, MESSAGES.VALIDATION_FAILED, { code: 'VALIDATION_FAILED', details });
+    this.name = 'ValidationError';
+  }
+}
+
+export function badRequest(message, options) {
+  return new HttpError(400, message, options);
+}
+
+export function unauthenticated(message = MESSAGES.UNAUTHENTICATED) {
+  return new HttpError(401, message);
+}
+
+export function forbidden(message = MESSAGES.FORBIDDEN) {
+  return new HttpError(403, message);
+}
+
+export function notFound(message, options) {
+  return new HttpError(404, message, options);
+}
+
+export function conflict(message, options) {
+  return new HttpError(409, message, options);
+}
+
+// For `.catch()` on an INSERT or UPDATE: a unique key violation becomes a 409 with `message`,
+// anything else is rethrown.
+export function duplicateAs(message) {
+  return (err) => {
+    throw err.code === 'ER_DUP_ENTRY' ? conflict(message) : err;
+  };
+}
+
+// 'en' or 'id', from the Accept-Language header; English when the client states no preference.
+export function requestLanguage(req) {
+  return req?.acceptsLanguages?.('en', 'id') || 'en';
+}
+
+export function localize(message, language) {
+  if (message == null || typeof message === 'string') return message;
+  return message[language] ?? message.en;
+}
+
+export function errorBody(req, { code, message, details = null }) {
+  const language = requestLanguage(req);
+  return {
+    code,
+    message: localize(message, language),
+    details: Array.isArray(details)
+      ? details.map((item) => (item?.message ? { ...item, message: localize(item.message, language) } : item))
+      : details,
+    requestId: req?.id ?? null,
+  };
+}
+
+export function sendError(res, status, message, { code, details = null } = {}) {
+  return res.status(status).json(errorBody(res.req, {
+    code: code || DEFAULT_CODES[status] || 'ERROR',
+    message,
+    details,
+  }));
+}
+
+// Tags every request with an id: the caller's X-Request-Id when it looks sane (so a proxy's id
+// carries through), otherwise a fresh one.
+export function requestId() {
+  return (req, res, next) => {
+    const given = req.get('x-request-id');
+    req.id = given && /^[\w.:-]{1,100}$/.test(given) ? given : crypto.randomUUID();
+    res.setHeader('X-Request-Id', req.id);
+    next();
+  };
+}
+
+// Unmatched /api routes answer in the envelope instead of Express's HTML page.
+export function apiNotFound() {
+  return (req, res) => sendError(res, 404, MESSAGES.ROUTE_NOT_FOUND, { code: 'ROUTE_NOT_FOUND' });
+}
+
+// Turns anything thrown by a route into the envelope. Known errors keep their status and message;
+// anything else is logged with the request id and answered with a generic 500, so internal
+// details (SQL, stack traces) never reach the client.
+export function errorHandler() {
+  // Express recognises error handlers by their four parameters.
+  // eslint-disable-next-line no-unused-vars
+  return (err, req, res, next) => {
+    if (res.headersSent) {
+      console.error(`Error after response started in ${req.method} ${req.originalUrl} [${req.id}]:`, err);
+      res.end();
+      return;
+    }
+    if (err instanceof HttpError) {
+      return sendError(res, err.status, err.localizedMessage || err.message, { code: err.code, details: err.details });
+    }
+    // Body parser failures (malformed JSON, oversized payloads).
+    if (err.type === 'entity.parse.failed') {
+      return sendError(res, 400, MESSAGES.INVALID_JSON, { code: 'INVALID_JSON' });
+    }
+    if (err.type === 'entity.too.large') {
+      return sendError(res, 413, MESSAGES.PAYLOAD_TOO_LARGE);
+    }
+    console.error(`Error in ${req.method} ${req.originalUrl} [${req.id}]:`, err);
+    sendError(res, 500, MESSAGES.INTERNAL_ERROR);
+  };
+}
@@ -0,0 +1,418 @@
+import crypto from 'node:crypto';
+import { siteConfig } from './config.js';
+import { HttpError } from './errors.js';
+import { escapeXml } from './feeds.js';
+import {
+  createNotification,
+  deferNotifications,
+  discardNotifications,
+  flushNotifications,
+} from './notifications.js';
+import { renderPdf, textWidth } from './pdf.js';
+
+// --- Program events, registration and attendance ---
+// A program (Pelatihan Jurnalistik, Workshop IT & Media, ...) runs as dated events. Members and
+// guests register until the deadline; once the quota is taken, registrations join a waitlist and
+// move up, oldest first, when a place frees or the quota grows. Organizers check participants in
+// at the event, which assigns the number of their participation certificate.
+
+export const REGISTRATION_STATUS = Object.freeze({
+  REGISTERED: 'Registered',
+  WAITLISTED: 'Waitlisted',
+  CANCELLED: 'Cancelled',
+});
+
+export class EventRegistrationError extends HttpError {
+  constructor(status, message, options) {
+    super(status, message, options);
+    this.name = 'EventRegistrationError';
+  }
+}
+
+export const EVENT_SORT_COLUMNS = {
+  id: 'e.id',
+  title: 'e.title',
+  startsAt: 'e.starts_at',
+  registrationDeadline: 'e.registration_deadline',
+};
+
+export const REGISTRATION_SORT_COLUMNS = {
+  id: 'r.id',
+  name: 'r.name',
+  createdAt: 'r.created_at',
+  checkedInAt: 'r.checked_in_at',
+};
+
+// Events with their program's title and how many places are taken.
+export const EVENT_COLUMNS = `e.*, p.title AS program_title,
+  (SELECT COUNT(*) FROM event_registrations r WHERE r.event_id = e.id AND r.status = 'Registered') AS registered_count,
+  (SELECT COUNT(*) FROM event_registrations r WHERE r.event_id = e.id AND r.status = 'Waitlisted') AS waitlist_count`;
+export const EVENT_FROM = 'program_events e LEFT JOIN programs p ON p.id = e.program_id';
+
+// ?programId=&when=upcoming|past|all -> { where, params }. An event is upcoming until it ends
+// (or, without an end, until it starts).
+export function eventFilters(query) {
+  const where = [];
+  const params = [];
+  if (query.programId) {
+    where.push('e.program_id = ?');
+    params.push(Number(query.programId));
+  }
+  const when = query.when || 'upcoming';
+  if (when === 'upcoming') where.push('COALESCE(e.ends_at, e.starts_at) >= NOW()');
+  if (when === 'past') where.push('COALESCE(e.ends_at, e.starts_at) < NOW()');
+  return { where, params };
+}
+
+// ?status=&checkedIn=&q= for an event's registrations -> { where, params }. Cancelled
+// registrations only show when asked for by status.
+export function registrationFilters(eventId, query) {
+  const where = ['r.event_id = ?'];
+  const params = [eventId];
+  if (query.status) {
+    where.push('r.status = ?');
+    params.push(String(query.status));
+  } else {
+    where.push('r.status <> ?');
+    params.push(REGISTRATION_STATUS.CANCELLED);
+  }
+  if (query.checkedIn !== undefined) {
+    where.push(['1', 'true'].includes(String(query.checkedIn)) ? 'r.checked_in_at IS NOT NULL' : 'r.checked_in_at IS NULL');
+  }
+  if (query.q) {
+    const pattern = `%${String(query.q).replace(/[\\%_]/g, '\\$&')}%`;
+    where.push('(r.name LIKE ? OR r.email LIKE ? OR r.media_name LIKE ?)');
+    params.push(pattern, pattern, pattern);
+  }
+  return { where, params };
+}
+
+// Registration closes at the deadline, or when the event starts if it has none.
+export function isRegistrationOpen(event, now = new Date()) {
+  if (event.cancelled_at) return false;
+  return now < new Date(event.registration_deadline ?? event.starts_at);
+}
+
+export function dbEventToApi(row) {
+  if (!row) return null;
+  const registered = Number(row.registered_count ?? 0);
+  return {
+    id: row.id,
+    programId: row.program_id,
+    programTitle: row.program_title ?? null,
+    title: row.title,
+    description: row.description ?? null,
+    startsAt: row.starts_at ?? null,
+    endsAt: row.ends_at ?? null,
+    venue: row.venue ?? null,
+    quota: row.quota ?? null,
+    registrationDeadline: row.registration_deadline ?? null,
+    registeredCount: registered,
+    waitlistCount: Number(row.waitlist_count ?? 0),
+    spotsLeft: row.quota == null ? null : Math.max(0, row.quota - registered),
+    registrationOpen: isRegistrationOpen(row),
+    cancelled: row.cancelled_at != null,
+    cancelledAt: row.cancelled_at ?? null,
+    createdAt: row.created_at ?? null,
+    updatedAt: row.updated_at ?? null,
+  };
+}
+
+// Validates { programId, title, description, startsAt, endsAt, venue, quota,
+// registrationDeadline, cancelled } into DB columns. Only the fields present in the payload are
+// returned, so it serves both create and update.
+export function apiEventToDb(payload) {
+  const body = payload || {};
+  const dbObj = {};
+  if (body.programId !== undefined) dbObj.program_id = body.programId;
+  if (body.title !== undefined) dbObj.title = body.title;
+  if (body.description !== undefined) dbObj.description = body.description || null;
+  if (body.venue !== undefined) dbObj.venue = body.venue || null;
+  if (body.quota !== undefined) dbObj.quota = body.quota;
+  for (const [field, column] of [['startsAt', 'starts_at'], ['endsAt', 'ends_at'], ['registrationDeadline', 'registration_deadline']]) {
+    if (body[field] === undefined) continue;
+    dbObj[column] = body[field] === null || body[field] === '' ? null : new Date(body[field]);
+  }
+  if (body.cancelled !== undefined) {
+    dbObj.cancelled_at = ['1', 'true'].includes(String(body.cancelled)) ? new Date() : null;
+  }
+  return dbObj;
+}
+
+// `forOrganizer` adds the contact details; the participant sees their own through their link.
+export function dbRegistrationToApi(row, { forOrganizer = false } = {}) {
+  if (!row) return null;
+  const registration = {
+    id: row.id,
+    eventId: row.event_id,
+    name: row.name,
+    status: row.status,
+    checkedInAt: row.checked_in_at ?? null,
+    certificateNumber: row.certificate_number ?? null,
+    createdAt: row.created_at ?? null,
+    cancelledAt: row.cancelled_at ?? null,
+  };
+  if (forOrganizer) {
+    Object.assign(registration, {
+      userId: row.user_id ?? null,
+      email: row.email,
+      phoneNumber: row.phone_number ?? null,
+      mediaName: row.media_name ?? null,
+      checkedInBy: row.checked_in_by ?? null,
+    });
+  }
+  return registration;
+}
+
+// --- Registration links ---
+export function hashRegistrationToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+export function registrationUrl(token) {
+  return `${siteConfig.publicUrl}/acara/pendaftaran/${token}`;
+}
+
+async function lockEvent(conn, eventId) {
+  const [[event]] = await conn.query('SELECT * FROM program_events WHERE id = ? FOR UPDATE', [eventId]);
+  if (!event) {
+    throw new EventRegistrationError(404, 'Event not found.');
+  }
+  return event;
+}
+
+// Fills free places from the waitlist, oldest registration first, and tells members who moved up.
+// Runs inside the caller's transaction, with the event row locked.
+async function promoteWaitlist(conn, event) {
+  if (event.cancelled_at) return [];
+  const [[{ taken }]] = await conn.query(
+    'SELECT COUNT(*) AS taken FROM event_registrations WHERE event_id = ? AND status = ?',
+    [event.id, REGISTRATION_STATUS.REGISTERED],
+  );
+  const free = event.quota == null ? Number.MAX_SAFE_INTEGER : event.quota - Number(taken);
+  if (free <= 0) return [];
+  const [waiting] = await conn.query(
+    'SELECT id, user_id FROM event_registrations WHERE event_id = ? AND status = ? ORDER BY created_at, id LIMIT ?',
+    [event.id, REGISTRATION_STATUS.WAITLISTED, Math.min(free, 1000)],
+  );
+  for (const registration of waiting) {
+    await conn.query('UPDATE event_registrations SET status = ? WHERE id = ?', [REGISTRATION_STATUS.REGISTERED, registration.id]);
+    if (registration.user_id != null) {
+      await createNotification(conn, {
+        userId: registration.user_id,
+        message: `Anda mendapat tempat di acara "${event.title}".`,
+        link: `/events/${event.id}`,
+      });
+    }
+  }
+  return waiting.map((registration) => registration.id);
+}
+
+// Runs `work(conn, event)` in a transaction with the event row locked, so concurrent
+// registrations cannot overfill the quota. Notifications are sent after the commit.
+export async function withLockedEvent(pool, eventId, work) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    deferNotifications(conn);
+    const event = await lockEvent(conn, eventId);
+    const result = await work(conn, event);
+    await conn.commit();
+    flushNotifications(conn);
+    return result;
+  } catch (err) {
+    discardNotifications(conn);
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// Registers `participant` ({ name, email, phoneNumber, mediaName }) for the event, on the waitlist
+// when the quota is taken. One active registration per email address (and per member).
+// Returns { id, token }.
+export async function registerForEvent(pool, eventId, participant, { userId = null } = {}) {
+  return withLockedEvent(pool, eventId, async (conn, event) => {
+    if (!isRegistrationOpen(event)) {
+      throw new EventRegistrationError(409, event.cancelled_at
+        ? { en: 'This event has been cancelled.', id: 'Acara ini dibatalkan.' }
+        : { en: 'Registration for this event has closed.', id: 'Pendaftaran acara ini sudah ditutup.' }, {
+        code: 'REGISTRATION_CLOSED',
+      });
+    }
+    const [existing] = await conn.query(
+      `SELECT id FROM event_registrations
+       WHERE event_id = ? AND status <> ? AND (email = ? OR (user_id IS NOT NULL AND user_id = ?)) LIMIT 1`,
+      [event.id, REGISTRATION_STATUS.CANCELLED, participant.email, userId ?? -1],
+    );
+    if (existing.length > 0) {
+      throw new EventRegistrationError(409, {
+        en: 'You are already registered for this event.',
+        id: 'Anda sudah terdaftar di acara ini.',
+      }, { code: 'ALREADY_REGISTERED' });
+    }
+    const [[{ taken }]] = await conn.query(
+      'SELECT COUNT(*) AS taken FROM event_registrations WHERE event_id = ? AND status = ?',
+      [event.id, REGISTRATION_STATUS.REGISTERED],
+    );
+    const full = event.quota != null && Number(taken) >= event.quota;
+    const token = crypto.randomBytes(24).toString('base64url');
+    const [result] = await conn.query('INSERT INTO event_registrations SET ?', [{
+      event_id: event.id,
+      user_id: userId,
+      name: participant.name,
+      email: participant.email,
+      phone_number: participant.phoneNumber || null,
+      media_name: participant.mediaName || null,
+      status: full ? REGISTRATION_STATUS.WAITLISTED : REGISTRATION_STATUS.REGISTERED,
+      token_hash: hashRegistrationToken(token),
+    }]);
+    return { id: result.insertId, token };
+  });
+}
+
+// Cancels a registration; its place goes to the waitlist. Returns the ids moved up.
+export async function cancelRegistration(pool, registration) {
+  return withLockedEvent(pool, registration.event_id, async (conn, event) => {
+    const [updated] = await conn.query(
+      'UPDATE event_registrations SET status = ?, cancelled_at = NOW() WHERE id = ? AND status <> ?',
+      [REGISTRATION_STATUS.CANCELLED, registration.id, REGISTRATION_STATUS.CANCELLED],
+    );
+    if (updated.affectedRows === 0) {
+      throw new EventRegistrationError(409, {
+        en: 'This registration has already been cancelled.',
+        id: 'Pendaftaran ini sudah dibatalkan.',
+      });
+    }
+    return registration.checked_in_at ? [] : promoteWaitlist(conn, event);
+  });
+}
+
+// After an organizer changed the event (e.g. raised the quota). Returns the ids moved up.
+export async function refreshWaitlist(pool, eventId) {
+  return withLockedEvent(pool, eventId, promoteWaitlist);
+}
+
+// Certificate numbers look like SERT-2026-7KQ2MX, with the alphabet of the press card numbers.
+const CERTIFICATE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+export function generateCertificateNumber(now = new Date()) {
+  const suffix = Array.from(crypto.randomBytes(6), (byte) => CERTIFICATE_ALPHABET[byte % CERTIFICATE_ALPHABET.length]).join('');
+  return `SERT-${now.getFullYear()}-${suffix}`;
+}
+
+// --- Attendee export ---
+function formatDateTime(value) {
+  if (!value) return null;
+  return new Intl.DateTimeFormat('id-ID', {
+    timeZone: siteConfig.timeZone, dateStyle: 'medium', timeStyle: 'short',
+  }).format(new Date(value));
+}
+
+const EXPORT_COLUMNS = [
+  ['Nama', (row) => row.name],
+  ['Email', (row) => row.email],
+  ['No. HP', (row) => row.phone_number],
+  ['Media', (row) => row.media_name],
+  ['Status', (row) => row.status],
+  ['Terdaftar', (row) => formatDateTime(row.created_at)],
+  ['Hadir', (row) => formatDateTime(row.checked_in_at)],
+  ['No. Sertifikat', (row) => row.certificate_number],
+];
+
+// The registrations as a table for lib/spreadsheets.js, numbered from 1.
+export function attendeeTable(rows) {
+  return [
+    ['No.', ...EXPORT_COLUMNS.map(([header]) => header)],
+    ...rows.map((row, index) => [index + 1, ...EXPORT_COLUMNS.map(([, value]) => value(row) ?? '')]),
+  ];
+}
+
+// --- Certificates ---
+// One layout, drawn as SVG for the HTML page and as PDF: an A4 landscape page in points, with
+// every line centred. `y` is measured from the top.
+const PAGE = { width: 842, height: 595 };
+const RED = [185, 28, 28];
+const GRAY = [107, 114, 128];
+const INK = [17, 24, 39];
+
+function formatEventDate(event) {
+  const format = (value) => new Intl.DateTimeFormat('id-ID', {
+    timeZone: siteConfig.timeZone, day: 'numeric', month: 'long', year: 'numeric',
+  }).format(new Date(value));
+  const start = format(event.starts_at);
+  const end = event.ends_at ? format(event.ends_at) : start;
+  return start === end ? start : `${start} – ${end}`;
+}
+
+// The largest size up to `size` at which the text fits the printable width.
+function fitSize(text, size, font) {
+  const width = textWidth(text, size, font);
+  const available = PAGE.width - 140;
+  return width > available ? Math.max(10, Math.floor((size * available) / width)) : size;
+}
+
+function certificateLines(registration, event, { organizationName }) {
+  const place = [formatEventDate(event), event.venue].filter(Boolean).join(' · ');
+  return [
+    { text: organizationName, y: 110, size: 20, font: 'bold', color: RED },
+    { text: 'SERTIFIKAT', y: 175, size: 44, font: 'bold', color: INK },
+    { text: `Nomor: ${registration.certificate_number}`, y: 203, size: 12, color: GRAY },
+    { text: 'Diberikan kepada', y: 260, size: 16, color: GRAY },
+    { text: registration.name, y: 310, size: 34, font: 'bold', color: INK },
+    { text: 'atas partisipasinya sebagai peserta', y: 355, size: 16, color: GRAY },
+    { text: event.title, y: 395, size: 22, font: 'bold', color: INK },
+    { text: event.program_title ? `Program ${event.program_title}` : '', y: 425, size: 14, color: GRAY },
+    { text: place, y: 450, size: 14, color: GRAY },
+  ]
+    .filter((line) => line.text)
+    .map((line) => ({ font: 'regular', ...line, size: fitSize(line.text, line.size, line.font ?? 'regular') }));
+}
+
+const hex = (rgb) => `#${rgb.map((channel) => channel.toString(16).padStart(2, '0')).join('')}`;
+
+export function renderCertificateSvg(registration, event, { organizationName = 'PWMOI Banyuwangi' } = {}) {
+  const lines = certificateLines(registration, event, { organizationName }).map(({ text, y, size, font, color }) => (
+    `<text x="${PAGE.width / 2}" y="${y}" font-size="${size}"${font === 'bold' ? ' font-weight="bold"' : ''}`
+    + ` fill="${hex(color)}" text-anchor="middle">${escapeXml(text)}</text>`
+  ));
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${PAGE.width} ${PAGE.height}" width="297mm" height="210mm" font-family="Helvetica, Arial, sans-serif">`
+    + `<rect width="${PAGE.width}" height="${PAGE.height}" fill="#ffffff" />`
+    + `<rect x="24" y="24" width="${PAGE.width - 48}" height="${PAGE.height - 48}" fill="none" stroke="${hex(RED)}" stroke-width="4" />`
+    + `<rect x="36" y="36" width="${PAGE.width - 72}" height="${PAGE.height - 72}" fill="none" stroke="#d1d5db" stroke-width="1" />`
+    + lines.join('')
+    + '</svg>';
+}
+
+// Printable page around the certificate; the browser's print dialog produces an A4 landscape page.
+export function renderCertificateHtml(registration, event, options = {}) {
+  return `<!DOCTYPE html>
+<html lang="id">
+<head>
+<meta charset="utf-8" />
+<title>Sertifikat — ${escapeXml(registration.name)}</title>
+<style>
+  @page { size: A4 landscape; margin: 0; }
+  body { margin: 0; display: flex; justify-content: center; padding: 24px; background: #f3f4f6; }
+  svg { width: 297mm; height: 210mm; background: #ffffff; }
+  @media print { body { padding: 0; background: none; } }
+</style>
+</head>
+<body>
+${renderCertificateSvg(registration, event, options)}
+</body>
+</html>`;
+}
+
+export function renderCertificatePdf(registration, event, { organizationName = 'PWMOI Banyuwangi' } = {}) {
+  const { width, height } = PAGE;
+  const items = [
+    { type: 'rect', x: 24, y: 24, width: width - 48, height: height - 48, stroke: RED, lineWidth: 4 },
+    { type: 'rect', x: 36, y: 36, width: width - 72, height: height - 72, stroke: [209, 213, 219], lineWidth: 1 },
+    ...certificateLines(registration, event, { organizationName }).map((line) => ({
+      type: 'text', ...line, x: width / 2, y: height - line.y, align: 'center',
+    })),
+  ];
+  return renderPdf({ width, height, items, title: `Sertifikat ${event.title} — ${registration.name}` });
+}
@@ -0,0 +1,140 @@
+// --- Feed and sitemap serializers ---
+// Each builder takes a channel ({ title, description, url, feedUrl, updatedAt }) and a list of
+// items ({ id, title, url, summary, contentHtml, authorName, publishedAt, updatedAt, image })
+// and returns the document as a string.
+
+export function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // Control characters are not allowed in XML 1.0 at all.
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+// Article content is stored either as HTML or as plain text with blank-line paragraphs.
+export function contentToHtml(content) {
+  const text = String(content ?? '');
+  if (/<[a-z][\s\S]*>/i.test(text)) return text;
+  return text
+    .split(/\n{2,}/)
+    .map((paragraph) => `<p>${escapeXml(paragraph).replace(/\n/g, '<br />')}</p>`)
+    .join('\n');
+}
+
+function cdata(value) {
+  return `<![CDATA[${String(value ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+function toDate(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? new Date(0) : date;
+}
+
+function imageMimeType(url) {
+  const ext = String(url).split('?')[0].split('.').pop().toLowerCase();
+  return { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp', gif: 'image/gif' }[ext]
+    || 'image/jpeg';
+}
+
+// The id an entry keeps for good: the URL follows the slug, which can change, and a reader would
+// then show the article again as new.
+function entryId(item) {
+  return `article:${item.id}`;
+}
+
+export function buildRss(channel, items) {
+  const entries = items.map((item) => `
+    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="false">${entryId(item)}</guid>
+      <pubDate>${toDate(item.publishedAt).toUTCString()}</pubDate>${item.authorName ? `
+      <dc:creator>${escapeXml(item.authorName)}</dc:creator>` : ''}
+      <description>${escapeXml(item.summary)}</description>
+      <content:encoded>${cdata(item.contentHtml)}</content:encoded>${item.image ? `
+      <enclosure url="${escapeXml(item.image)}" length="0" type="${imageMimeType(item.image)}" />` : ''}
+    </item>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(channel.title)}</title>
+    <link>${escapeXml(channel.url)}</link>
+    <description>${escapeXml(channel.description)}</description>
+    <language>id</language>
+    <lastBuildDate>${toDate(channel.updatedAt).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(channel.feedUrl)}" rel="self" type="application/rss+xml" />${entries}
+  </channel>
+</rss>
+`;
+}
+
+export function buildAtom(channel, items) {
+  const entries = items.map((item) => `
+  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}" />
+    <id>${entryId(item)}</id>
+    <published>${toDate(item.publishedAt).toISOString()}</published>
+    <updated>${toDate(item.updatedAt || item.publishedAt).toISOString()}</updated>${item.authorName ? `
+    <author><name>${escapeXml(item.authorName)}</name></author>` : ''}
+    <summary>${escapeXml(item.summary)}</summary>
+    <content type="html">${escapeXml(item.contentHtml)}</content>${item.image ? `
+    <link rel="enclosure" type="${imageMimeType(item.image)}" href="${escapeXml(item.image)}" />` : ''}
+  </entry>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="id">
+  <title>${escapeXml(channel.title)}</title>
+  <subtitle>${escapeXml(channel.description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(channel.url)}" />
+  <link rel="self" type="application/atom+xml" href="${escapeXml(channel.feedUrl)}" />
+  <id>${escapeXml(channel.feedUrl)}</id>
+  <updated>${toDate(channel.updatedAt).toISOString()}</updated>${entries}
+</feed>
+`;
+}
+
+// https://www.jsonfeed.org/version/1.1/
+export function buildJsonFeed(channel, items) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: channel.title,
+    home_page_url: channel.url,
+    feed_url: channel.feedUrl,
+    description: channel.description,
+    language: 'id',
+    items: items.map((item) => ({
+      id: entryId(item),
+      url: item.url,
+      title: item.title,
+      summary: item.summary || undefined,
+      content_html: item.contentHtml || '',
+      image: item.image || undefined,
+      date_published: toDate(item.publishedAt).toISOString(),
+      date_modified: toDate(item.updatedAt || item.publishedAt).toISOString(),
+      authors: item.authorName ? [{ name: item.authorName }] : undefined,
+      attachments: item.image ? [{ url: item.image, mime_type: imageMimeType(item.image) }] : undefined,
+    })),
+  }, null, 2);
+}
+
+// entries: [{ url, lastModified, changeFrequency, priority }]
+export function buildSitemap(entries) {
+  const urls = entries.map((entry) => `
+  <url>
+    <loc>${escapeXml(entry.url)}</loc>${entry.lastModified ? `
+    <lastmod>${toDate(entry.lastModified).toISOString()}</lastmod>` : ''}${entry.changeFrequency ? `
+    <changefreq>${entry.changeFrequency}</changefreq>` : ''}${entry.priority != null ? `
+    <priority>${entry.priority.toFixed(1)}</priority>` : ''}
+  </url>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${urls}
+</urlset>
+`;
+}
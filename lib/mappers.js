@@ -0,0 +1,232 @@
+/* eslint-disable no-console */
+
+// Helpers shared by server.js and the route modules: DB row <-> API shape mappers.
+
+export function safeJsonParse(value, fallback) {
+  try {
+    if (value == null) return fallback;
+    if (typeof value === 'object') return value;
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+// `text` as a regular expression that matches it literally.
+export function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// DB row -> API shape mappers
+// The password column is deliberately never mapped: hashes stay in the database.
+export function dbUserToApi(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    email: row.email,
+    role: row.role,
+    avatarUrl: row.avatar_url ?? row.avatarUrl ?? null,
+    isVerified: Number(row.is_verified ?? row.isVerified ?? 0),
+    phoneNumber: row.phone_number ?? row.phoneNumber ?? null,
+    mediaName: row.media_name ?? row.mediaName ?? null,
+    position: row.position ?? null,
+    ukwCertification: row.ukw_certification ?? row.ukwCertification ?? null,
+    cardNumber: row.card_number ?? null,
+    cardIssuedAt: row.card_issued_at ?? null,
+    cardExpiresAt: row.card_expires_at ?? null,
+  };
+}
+
+export function dbPartnerToApi(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    logoUrl: row.logo_url ?? row.logoUrl ?? null,
+    link: row.link ?? null,
+  };
+}
+
+export function dbStructureToApi(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    position: row.position,
+    photoUrl: row.photo_url ?? row.photoUrl ?? null,
+  };
+}
+
+export function dbArticleToApi(row) {
+  if (!row) return null;
+  const cover = row.cover_image_url ?? row.coverImageUrl ?? row.imageUrl ?? null;
+  const article = {
+    id: row.id,
+    slug: row.slug ?? null,
+    title: row.title,
+    content: row.content,
+    snippet: row.snippet,
+    status: row.status,
+    authorId: row.authorId,
+    editorFeedback: row.editor_feedback ?? row.editorFeedback ?? null,
+    coverImageUrl: cover,
+    imageUrl: cover,
+    createdAt: row.created_at ?? null,
+    updatedAt: row.updated_at ?? null,
+    publishedAt: row.published_at ?? null,
+    publishAt: row.publish_at ?? null,
+    metaDescription: row.meta_description ?? null,
+    canonicalUrl: row.canonical_url ?? null,
+    ogImageUrl: row.og_image_url ?? null,
+    categoryId: row.category_id ?? null,
+  };
+  // Category and tags are present when the query selected ARTICLE_TAXONOMY_COLUMNS.
+  if (row.category_name !== undefined) {
+    article.category = row.category_id
+      ? { id: row.category_id, name: row.category_name, slug: row.category_slug }
+      : null;
+  }
+  if (row.tag_list !== undefined) {
+    article.tags = safeJsonParse(row.tag_list, []).sort((a, b) => a.name.localeCompare(b.name, 'id'));
+  }
+  return article;
+}
+
+export function apiArticleToDb(payload) {
+  const {
+    id,
+    title,
+    content,
+    snippet,
+    status,
+    authorId,
+    editorFeedback,
+    coverImageUrl,
+    imageUrl,
+    slug,
+    metaDescription,
+    canonicalUrl,
+    ogImageUrl,
+    categoryId,
+  } = payload || {};
+
+  const dbObj = {};
+  if (title !== undefined) dbObj.title = title;
+  if (content !== undefined) dbObj.content = content;
+  if (snippet !== undefined) dbObj.snippet = snippet;
+  if (status !== undefined) dbObj.status = status;
+  if (authorId !== undefined) dbObj.authorId = authorId;
+  if (editorFeedback !== undefined) dbObj.editor_feedback = editorFeedback;
+  const cover = coverImageUrl ?? imageUrl;
+  if (cover !== undefined) dbObj.cover_image_url = cover;
+  if (slug !== undefined) dbObj.slug = slug;
+  if (metaDescription !== undefined) dbObj.meta_description = metaDescription || null;
+  if (canonicalUrl !== undefined) dbObj.canonical_url = canonicalUrl || null;
+  if (ogImageUrl !== undefined) dbObj.og_image_url = ogImageUrl || null;
+  if (categoryId !== undefined) dbObj.category_id = categoryId;
+  if (id !== undefined) dbObj.id = id;
+  return dbObj;
+}
+
+export function formatContactFromRow(row) {
+  if (!row) return null;
+  const socials = safeJsonParse(row.socials, {});
+  return {
+    organizationName: row.organizationName || '',
+    address: row.address || '',
+    email: row.email || '',
+    phone: row.phone || '',
+    siteLogo: row.logo_url || '',
+    faviconUrl: row.favicon_url || '',
+    socials,
+  };
+}
+
+export function formatProfileFromRow(row) {
+  if (!row) return null;
+  const mission = safeJsonParse(row.mission, []);
+  if (!Array.isArray(mission)) {
+    console.warn('Could not parse mission JSON:', row.mission);
+  }
+  return {
+    about: row.about || '',
+    vision: row.vision || '',
+    mission: Array.isArray(mission) ? mission : [],
+    purpose: row.purpose || '',
+    legality: {
+      text: row.legality_text || '',
+      sk: row.legality_sk || '',
+    },
+    adArt: row.ad_art || '',
+  };
+}
+
+// API payload -> DB object mappers
+// Passwords are not accepted here; they must go through hashPassword() in lib/auth.js.
+export function apiUserToDb(payload) {
+  const {
+    name,
+    email,
+    role,
+    avatarUrl,
+    formalPhotoUrl,
+    isVerified,
+    phoneNumber,
+    mediaName,
+    position,
+    ukwCertification,
+  } = payload || {};
+  const dbObj = {};
+  if (name !== undefined) dbObj.name = name;
+  if (email !== undefined) dbObj.email = email;
+  if (role !== undefined) dbObj.role = role;
+  const avatar = formalPhotoUrl ?? avatarUrl;
+  if (avatar !== undefined) dbObj.avatar_url = avatar;
+  if (isVerified !== undefined) dbObj.is_verified = Number(isVerified ? 1 : 0);
+  if (phoneNumber !== undefined) dbObj.phone_number = phoneNumber;
+  if (mediaName !== undefined) dbObj.media_name = mediaName;
+  if (position !== undefined) dbObj.position = position;
+  if (ukwCertification !== undefined) dbObj.ukw_certification = ukwCertification;
+  return dbObj;
+}
+
+export function apiProfileToDb(payload) {
+  const { about, vision, mission, purpose, legality, adArt } = payload || {};
+  const dbObj = {};
+  if (about !== undefined) dbObj.about = about;
+  if (vision !== undefined) dbObj.vision = vision;
+  if (mission !== undefined) dbObj.mission = JSON.stringify(mission || []);
+  if (purpose !== undefined) dbObj.purpose = purpose;
+  if (legality?.text !== undefined) dbObj.legality_text = legality.text;
+  if (legality?.sk !== undefined) dbObj.legality_sk = legality.sk;
+  if (adArt !== undefined) dbObj.ad_art = adArt;
+  return dbObj;
+}
+
+export function apiContactToDb(payload) {
+  const { organizationName, address, email, phone, siteLogo, faviconUrl, socials } = payload || {};
+  const dbObj = {};
+  if (organizationName !== undefined) dbObj.organizationName = organizationName;
+  if (address !== undefined) dbObj.address = address;
+  if (email !== undefined) dbObj.email = email;
+  if (phone !== undefined) dbObj.phone = phone;
+  if (siteLogo !== undefined) dbObj.logo_url = siteLogo;
+  if (faviconUrl !== undefined) dbObj.favicon_url = faviconUrl;
+  if (socials !== undefined) dbObj.socials = JSON.stringify(socials || {});
+  return dbObj;
+}
+
+export function apiStructureToDb(item) {
+  const { id, name, position, photoUrl } = item || {};
+  const dbObj = { name, position, photo_url: photoUrl };
+  if (id !== undefined) dbObj.id = id;
+  return dbObj;
+}
+
+export function apiPartnerToDb(item) {
+  const { id, name, logoUrl, link } = item || {};
+  const dbObj = { name, logo_url: logoUrl, link };
+  if (id !== undefined) dbObj.id = id;
+  return dbObj;
+}
@@ -0,0 +1,189 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import sharp from 'sharp';
+import { mediaConfig } from './config.js';
+import { HttpError } from './errors.js';
+import { escapeRegExp, safeJsonParse } from './mappers.js';
+
+// --- Managed media: validation, image variants, storage and usage lookup ---
+
+// Accepted upload types, keyed by the format sharp detects in the file itself. The client's
+// Content-Type is only a first filter; the bytes decide. SVG is deliberately not accepted.
+const FORMATS = {
+  jpeg: { mime: 'image/jpeg', ext: 'jpg' },
+  png: { mime: 'image/png', ext: 'png' },
+  webp: { mime: 'image/webp', ext: 'webp' },
+};
+export const ALLOWED_MIME_TYPES = Object.values(FORMATS).map((format) => format.mime);
+
+// Generated sizes. `fit: 'inside'` keeps the aspect ratio; `cover` crops to the exact box.
+const VARIANTS = {
+  thumbnail: { width: 400, height: 400, fit: 'inside', format: 'webp' },
+  og: { width: 1200, height: 630, fit: 'cover', format: 'jpeg' },
+};
+
+// Every column that stores an image URL, so usage of an upload can be looked up.
+export const MEDIA_URL_COLUMNS = [
+  { table: 'users', column: 'avatar_url' },
+  { table: 'articles', column: 'cover_image_url' },
+  { table: 'articles', column: 'og_image_url' },
+  { table: 'gallery', column: 'imageUrl' },
+  { table: 'partners', column: 'logo_url' },
+  { table: 'structure', column: 'photo_url' },
+  { table: 'contact_info', column: 'logo_url' },
+  { table: 'contact_info', column: 'favicon_url' },
+];
+
+export class MediaError extends HttpError {
+  constructor(status, message) {
+    super(status, message);
+    this.name = 'MediaError';
+  }
+}
+
+export function mediaUrl(relativePath) {
+  return `${mediaConfig.publicPath}/${relativePath}`;
+}
+
+// The 1200×630 crop stored next to a managed upload, for link previews; null for external images.
+export function ogVariantUrl(url) {
+  const prefix = escapeRegExp(mediaConfig.publicPath);
+  const match = String(url ?? '').match(
+    new RegExp(`^((?:https?://[^/]+)?${prefix}/\\d{4}/\\d{2}/[0-9a-f]{24})(?:-[a-z]+)?\\.(?:jpg|png|webp)$`),
+  );
+  return match ? `${match[1]}-og.jpg` : null;
+}
+
+function encode(pipeline, format) {
+  if (format === 'jpeg') return pipeline.jpeg({ quality: 85, mozjpeg: true });
+  if (format === 'png') return pipeline.png({ compressionLevel: 9 });
+  return pipeline.webp({ quality: 82 });
+}
+
+// Validates and stores an uploaded image. Every written file is re-encoded by sharp, which
+// drops EXIF/GPS metadata; rotate() first applies the EXIF orientation so nothing looks sideways.
+// Returns the row to insert into `media`.
+export async function storeImage(buffer, { originalName, ownerId }) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    throw new MediaError(415, 'The uploaded file is not a readable image.');
+  }
+  const format = FORMATS[metadata.format];
+  if (!format) {
+    throw new MediaError(415, `Unsupported image format. Allowed: ${ALLOWED_MIME_TYPES.join(', ')}.`);
+  }
+
+  const now = new Date();
+  const folder = path.join(String(now.getFullYear()), String(now.getMonth() + 1).padStart(2, '0'));
+  const baseName = crypto.randomBytes(12).toString('hex');
+  await fs.mkdir(path.join(mediaConfig.dir, folder), { recursive: true });
+
+  const written = [];
+  const write = async (name, pipeline) => {
+    const relative = path.posix.join(folder.split(path.sep).join('/'), name);
+    const info = await pipeline.toFile(path.join(mediaConfig.dir, relative));
+    written.push(relative);
+    return { relative, info };
+  };
+
+  try {
+    const original = await write(
+      `${baseName}.${format.ext}`,
+      encode(sharp(buffer).rotate(), metadata.format),
+    );
+    const variants = { original: original.relative };
+    for (const [name, spec] of Object.entries(VARIANTS)) {
+      const ext = FORMATS[spec.format].ext;
+      const variant = await write(
+        `${baseName}-${name}.${ext}`,
+        encode(
+          sharp(buffer).rotate().resize({
+            width: spec.width,
+            height: spec.height,
+            fit: spec.fit,
+            withoutEnlargement: spec.fit === 'inside',
+          }),
+          spec.format,
+        ),
+      );
+      variants[name] = variant.relative;
+    }
+
+    return {
+      owner_id: ownerId,
+      original_name: originalName ? String(originalName).slice(0, 255) : null,
+      mime_type: format.mime,
+      size_bytes: original.info.size,
+      width: original.info.width,
+      height: original.info.height,
+      variants: JSON.stringify(variants),
+    };
+  } catch (err) {
+    await removeFiles(written);
+    throw err;
+  }
+}
+
+// Re-encodes an accepted image in its own format without metadata, for files stored without
+// variants. Returns null when the bytes are not a supported image.
+export async function reencodeImage(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    return null;
+  }
+  const format = FORMATS[metadata.format];
+  if (!format) return null;
+  const data = await encode(sharp(buffer).rotate(), metadata.format).toBuffer();
+  return { data, mimeType: format.mime, ext: format.ext };
+}
+
+export async function removeFiles(relativePaths) {
+  await Promise.all(
+    relativePaths.map((relative) => fs.rm(path.join(mediaConfig.dir, relative), { force: true })),
+  );
+}
+
+export function mediaVariantPaths(row) {
+  return Object.values(safeJsonParse(row.variants, {}));
+}
+
+export function dbMediaToApi(row) {
+  if (!row) return null;
+  const variants = safeJsonParse(row.variants, {});
+  return {
+    id: row.id,
+    ownerId: row.owner_id,
+    originalName: row.original_name,
+    mimeType: row.mime_type,
+    sizeBytes: row.size_bytes,
+    width: row.width,
+    height: row.height,
+    url: variants.original ? mediaUrl(variants.original) : null,
+    variants: Object.fromEntries(Object.entries(variants).map(([name, file]) => [name, mediaUrl(file)])),
+    createdAt: row.created_at,
+  };
+}
+
+// Finds every record whose image column points at one of this upload's files, matching both
+// relative (/media/...) and absolute (https://host/media/...) URLs.
+export async function findMediaUsages(pool, row) {
+  const urls = mediaVariantPaths(row).map(mediaUrl);
+  if (urls.length === 0) return [];
+  const usages = [];
+  for (const { table, column } of MEDIA_URL_COLUMNS) {
+    const conditions = urls.map(() => `${column} LIKE ?`).join(' OR ');
+    const [rows] = await pool.query(
+      `SELECT id, ${column} AS url FROM ${table} WHERE ${conditions}`,
+      urls.map((url) => `%${url}`),
+    );
+    for (const usage of rows) {
+      usages.push({ entity: table, entityId: usage.id, field: column, url: usage.url });
+    }
+  }
+  return usages;
+}
@@ -0,0 +1,261 @@
+import crypto from 'node:crypto';
+import { membershipConfig, siteConfig } from './config.js';
+import { HttpError } from './errors.js';
+import { dbUserToApi } from './mappers.js';
+import { UKW_LEVELS, cardStatus } from './membership.js';
+import { ROLES } from './permissions.js';
+import { memberImportRow } from './schemas.js';
+import { validateValue } from './validation.js';
+
+// --- Member directory, spreadsheet import and invitations ---
+// The secretariat keeps membership in spreadsheets. The directory exports to CSV/XLSX with the
+// same headers the import recognises, so a file can go out, be edited and come back in. An import
+// is checked into a preview first (member_imports); committing it creates the valid rows as users
+// without a password, each with an invitation link to choose one.
+
+export const MAX_IMPORT_ROWS = 1000;
+export const MAX_IMPORT_BYTES = 2 * 1024 * 1024;
+export const IMPORT_PREVIEW_HOURS = 24;
+
+export class MemberImportError extends HttpError {
+  constructor(status, message, options) {
+    super(status, message, options);
+    this.name = 'MemberImportError';
+  }
+}
+
+// --- Directory ---
+export const DIRECTORY_SORT_COLUMNS = {
+  id: 'id',
+  name: 'name',
+  email: 'email',
+  role: 'role',
+  mediaName: 'media_name',
+  cardExpiresAt: 'card_expires_at',
+};
+
+// ?role=&isVerified=&ukwCertification=&mediaName= -> { where, params }. The media name matches
+// anywhere in the column, case-insensitively.
+export function directoryFilters(query) {
+  const where = [];
+  const params = [];
+  if (query.role) {
+    where.push('role = ?');
+    params.push(String(query.role));
+  }
+  if (query.isVerified !== undefined && query.isVerified !== '') {
+    where.push('is_verified = ?');
+    params.push(['1', 'true'].includes(String(query.isVerified)) ? 1 : 0);
+  }
+  if (query.ukwCertification) {
+    where.push('ukw_certification = ?');
+    params.push(String(query.ukwCertification));
+  }
+  if (query.mediaName) {
+    where.push('media_name LIKE ?');
+    params.push(`%${String(query.mediaName).replace(/[\\%_]/g, '\\$&')}%`);
+  }
+  return { where, params };
+}
+
+// A user as the directory lists them: the profile plus where their press card and account stand.
+// `accountStatus` is 'invited' until an imported member has chosen a password.
+export function dbMemberToApi(row) {
+  if (!row) return null;
+  return {
+    ...dbUserToApi(row),
+    cardStatus: cardStatus(row),
+    accountStatus: row.password ? 'active' : 'invited',
+  };
+}
+
+function formatDate(value) {
+  if (!value) return null;
+  return new Intl.DateTimeFormat('en-CA', { timeZone: siteConfig.timeZone }).format(new Date(value));
+}
+
+// Export columns: [header, value]. The first eight headers are among the import's aliases.
+const EXPORT_COLUMNS = [
+  ['Nama', (row) => row.name],
+  ['Email', (row) => row.email],
+  ['No. HP', (row) => row.phone_number],
+  ['Media', (row) => row.media_name],
+  ['Jabatan', (row) => row.position],
+  ['UKW', (row) => row.ukw_certification],
+  ['Peran', (row) => row.role],
+  ['Terverifikasi', (row) => (Number(row.is_verified) ? 'Ya' : 'Tidak')],
+  ['No. Kartu', (row) => row.card_number],
+  ['Kartu Berlaku s/d', (row) => formatDate(row.card_expires_at)],
+  ['Status Kartu', (row) => cardStatus(row)],
+  ['Status Akun', (row) => (row.password ? 'Aktif' : 'Diundang')],
+];
+
+// The directory as a table for lib/spreadsheets.js: a header row, then one row per member.
+export function directoryTable(rows) {
+  return [
+    EXPORT_COLUMNS.map(([header]) => header),
+    ...rows.map((row) => EXPORT_COLUMNS.map(([, value]) => value(row) ?? '')),
+  ];
+}
+
+// --- Import ---
+// Header names each field is recognised by, compared case-insensitively.
+export const IMPORT_FIELDS = {
+  name: ['nama', 'nama lengkap', 'name', 'full name'],
+  email: ['email', 'e-mail', 'alamat email', 'surel'],
+  phoneNumber: ['no. hp', 'no hp', 'nomor hp', 'no. wa', 'whatsapp', 'telepon', 'phone', 'phone number'],
+  mediaName: ['media', 'nama media', 'media name'],
+  position: ['jabatan', 'posisi', 'position'],
+  ukwCertification: ['ukw', 'sertifikasi ukw', 'ukw certification'],
+  role: ['peran', 'role'],
+  isVerified: ['terverifikasi', 'verifikasi', 'verified'],
+};
+
+const YES = ['ya', 'y', 'yes', 'true', '1', 'sudah'];
+const NO = ['tidak', 't', 'no', 'false', '0', 'belum'];
+
+function normalizeHeader(header) {
+  return String(header).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Works out which column each field is read from. `mapping` ({ field: header }) overrides the
+// automatic match; an empty header leaves the field out. Returns { field: columnIndex }.
+export function resolveMapping(headers, mapping = {}) {
+  const normalized = headers.map(normalizeHeader);
+  const unknownFields = Object.keys(mapping).filter((field) => !(field in IMPORT_FIELDS));
+  if (unknownFields.length > 0) {
+    throw new MemberImportError(400, `Unknown field(s) in the mapping: ${unknownFields.join(', ')}. Fields: ${Object.keys(IMPORT_FIELDS).join(', ')}.`);
+  }
+  const columns = {};
+  for (const [field, aliases] of Object.entries(IMPORT_FIELDS)) {
+    if (field in mapping) {
+      if (!mapping[field]) continue;
+      const index = normalized.indexOf(normalizeHeader(mapping[field]));
+      if (index === -1) {
+        throw new MemberImportError(400, `The file has no column "${mapping[field]}" (mapped to ${field}).`, {
+          details: { headers },
+        });
+      }
+      columns[field] = index;
+    } else {
+      const index = normalized.findIndex((header) => aliases.includes(header));
+      if (index !== -1) columns[field] = index;
+    }
+  }
+  const missing = ['name', 'email'].filter((field) => columns[field] === undefined);
+  if (missing.length > 0) {
+    throw new MemberImportError(400, `Map a column to ${missing.join(' and ')}; the file's columns are listed in details.`, {
+      details: { headers },
+    });
+  }
+  return columns;
+}
+
+// Spreadsheet cell -> API value: trimmed, blank cells left out, and yes/no, UKW levels and roles
+// accepted in any letter case.
+function normalizeCell(field, raw) {
+  const value = String(raw ?? '').trim();
+  if (value === '') return undefined;
+  const lower = value.toLowerCase();
+  switch (field) {
+    case 'email':
+      return lower;
+    case 'isVerified':
+      if (YES.includes(lower)) return true;
+      if (NO.includes(lower)) return false;
+      return value;
+    case 'ukwCertification':
+      return UKW_LEVELS.find((level) => level.toLowerCase() === lower) ?? value;
+    case 'role':
+      return Object.values(ROLES).find((role) => role.toLowerCase() === lower) ?? value;
+    default:
+      return value;
+  }
+}
+
+const DUPLICATE_IN_FILE = (line) => ({
+  en: `This email address is already on line ${line}.`,
+  id: `Alamat email ini sudah ada di baris ${line}.`,
+});
+const DUPLICATE_MEMBER = {
+  en: 'A member with this email address already exists.',
+  id: 'Anggota dengan alamat email ini sudah terdaftar.',
+};
+
+// Checks every data row (rows without the header). Returns one entry per non-blank row:
+//   { line, member, status: 'valid' | 'invalid' | 'duplicate', problems: [{ field, rule, message }] }
+// `line` is the spreadsheet line (the header is line 1); `existingEmails` holds the addresses
+// already registered.
+export function checkImportRows(rows, columns, existingEmails) {
+  const seen = new Map();
+  const entries = [];
+  rows.forEach((cells, index) => {
+    if (cells.every((cell) => cell.trim() === '')) return;
+    const line = index + 2;
+    const member = {};
+    for (const [field, column] of Object.entries(columns)) {
+      const value = normalizeCell(field, cells[column]);
+      if (value !== undefined) member[field] = value;
+    }
+    const problems = validateValue(memberImportRow, member, 'row')
+      .map(({ field, rule, message }) => ({ field, rule, message }));
+    let status = problems.length > 0 ? 'invalid' : 'valid';
+    if (member.email && seen.has(member.email)) {
+      problems.push({ field: 'email', rule: 'duplicate', message: DUPLICATE_IN_FILE(seen.get(member.email)) });
+      status = 'duplicate';
+    } else if (member.email && existingEmails.has(member.email)) {
+      problems.push({ field: 'email', rule: 'duplicate', message: DUPLICATE_MEMBER });
+      status = 'duplicate';
+    }
+    // Only a row that will be created claims its address for the rows below it.
+    if (status === 'valid') seen.set(member.email, line);
+    entries.push({ line, member, status, problems });
+  });
+  return entries;
+}
+
+export function summarizeImport(entries) {
+  const count = (status) => entries.filter((entry) => entry.status === status).length;
+  return { total: entries.length, valid: count('valid'), invalid: count('invalid'), duplicate: count('duplicate') };
+}
+
+// --- Invitations ---
+// The link carries a random token; only its SHA-256 hash is stored, so the table cannot be used
+// to sign in as anyone.
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+export function invitationUrl(token) {
+  return `${siteConfig.publicUrl}/aktivasi/${token}`;
+}
+
+// Issues a new invitation for the user; earlier unused links stop working.
+// Returns { url, expiresAt }.
+export async function createInvitation(db, userId, { createdBy = null } = {}) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + membershipConfig.invitationValidityDays * 24 * 60 * 60 * 1000);
+  await db.query(
+    'UPDATE user_invitations SET expires_at = NOW() WHERE user_id = ? AND accepted_at IS NULL AND expires_at > NOW()',
+    [userId],
+  );
+  await db.query('INSERT INTO user_invitations SET ?', [{
+    user_id: userId,
+    token_hash: hashToken(token),
+    created_by: createdBy,
+    expires_at: expiresAt,
+  }]);
+  return { url: invitationUrl(token), expiresAt: expiresAt.toISOString() };
+}
+
+// The open invitation for a token, with the invited user's row as `user`, or null.
+export async function findInvitation(db, token) {
+  const [rows] = await db.query(
+    `SELECT * FROM user_invitations
+     WHERE token_hash = ? AND accepted_at IS NULL AND expires_at > NOW()`,
+    [hashToken(token)],
+  );
+  if (rows.length === 0) return null;
+  const [users] = await db.query('SELECT * FROM users WHERE id = ?', [rows[0].user_id]);
+  return users.length > 0 ? { ...rows[0], user: users[0] } : null;
+}
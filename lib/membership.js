@@ -0,0 +1,227 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import QRCode from 'qrcode';
+import { membershipConfig, siteConfig } from './config.js';
+import { HttpError } from './errors.js';
+import { escapeXml } from './feeds.js';
+import { safeJsonParse } from './mappers.js';
+import { reencodeImage } from './media.js';
+
+// --- Member verification and press cards ---
+
+export const VERIFICATION_STATUS = Object.freeze({
+  PENDING: 'Pending',
+  APPROVED: 'Approved',
+  REJECTED: 'Rejected',
+});
+
+export const UKW_LEVELS = Object.freeze(['Muda', 'Madya', 'Belum']);
+
+export const MAX_DOCUMENTS = 5;
+export const DOCUMENT_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+
+export class MembershipError extends HttpError {
+  constructor(status, message) {
+    super(status, message);
+    this.name = 'MembershipError';
+  }
+}
+
+// Stores one verification document. Images are re-encoded (dropping EXIF/GPS data, which ID
+// photos often carry); PDFs are recognised by their header and kept as uploaded.
+export async function storeDocument(buffer, { originalName }) {
+  let stored = await reencodeImage(buffer);
+  if (!stored && buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+    stored = { data: buffer, mimeType: 'application/pdf', ext: 'pdf' };
+  }
+  if (!stored) {
+    throw new MembershipError(415, 'Documents must be JPEG, PNG or WebP images, or PDF files.');
+  }
+  const file = `${crypto.randomBytes(16).toString('hex')}.${stored.ext}`;
+  await fs.mkdir(membershipConfig.documentsDir, { recursive: true });
+  await fs.writeFile(path.join(membershipConfig.documentsDir, file), stored.data);
+  return {
+    file,
+    originalName: originalName ? String(originalName).slice(0, 255) : null,
+    mimeType: stored.mimeType,
+    sizeBytes: stored.data.length,
+  };
+}
+
+export function documentPath(document) {
+  return path.join(membershipConfig.documentsDir, path.basename(document.file));
+}
+
+export async function removeDocuments(documents) {
+  await Promise.all(documents.map((document) => fs.rm(documentPath(document), { force: true })));
+}
+
+// Card numbers look like PWMOI-2026-7KQ2MX. The random part avoids look-alike characters and
+// makes numbers impractical to enumerate through the public check.
+const CARD_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+export function generateCardNumber(now = new Date()) {
+  const suffix = Array.from(crypto.randomBytes(6), (byte) => CARD_ALPHABET[byte % CARD_ALPHABET.length]).join('');
+  return `PWMOI-${now.getFullYear()}-${suffix}`;
+}
+
+export function cardExpiry(issuedAt) {
+  const expires = new Date(issuedAt);
+  expires.setMonth(expires.getMonth() + membershipConfig.cardValidityMonths);
+  return expires;
+}
+
+// 'valid' | 'expired' | 'revoked' (verification withdrawn) | 'none' (never issued).
+export function cardStatus(user, now = new Date()) {
+  if (!user?.card_number) return 'none';
+  if (!Number(user.is_verified)) return 'revoked';
+  if (!user.card_expires_at || new Date(user.card_expires_at) <= now) return 'expired';
+  return 'valid';
+}
+
+export function verifyUrl(cardNumber) {
+  return `${siteConfig.apiUrl}/api/verify/${encodeURIComponent(cardNumber)}`;
+}
+
+// Documents are listed by index; the files are downloaded through the request's documents route.
+export function dbVerificationRequestToApi(row) {
+  if (!row) return null;
+  const documents = safeJsonParse(row.documents, []);
+  return {
+    id: row.id,
+    userId: row.user_id,
+    userName: row.user_name ?? null,
+    status: row.status,
+    mediaName: row.media_name ?? null,
+    position: row.position ?? null,
+    ukwCertification: row.ukw_certification ?? null,
+    note: row.note ?? null,
+    documents: documents.map((document, index) => ({
+      index,
+      originalName: document.originalName,
+      mimeType: document.mimeType,
+      sizeBytes: document.sizeBytes,
+      url: `/api/verification-requests/${row.id}/documents/${index}`,
+    })),
+    reviewerId: row.reviewer_id ?? null,
+    reviewReason: row.review_reason ?? null,
+    reviewedAt: row.reviewed_at ?? null,
+    createdAt: row.created_at ?? null,
+  };
+}
+
+// What the public check reveals: enough to confirm identity and standing, no contact details.
+export function publicCardInfo(user) {
+  const status = cardStatus(user);
+  return {
+    cardNumber: user.card_number,
+    valid: status === 'valid',
+    status,
+    name: user.name,
+    mediaName: user.media_name ?? null,
+    position: user.position ?? null,
+    ukwCertification: user.ukw_certification ?? null,
+    issuedAt: user.card_issued_at ?? null,
+    expiresAt: user.card_expires_at ?? null,
+  };
+}
+
+function formatDate(value) {
+  return new Date(value).toLocaleDateString('id-ID', { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+// The card itself, as an ID-1 sized (85.6 × 54 mm) SVG with the QR code linking to the public check.
+export async function renderPressCardSvg(user, { organizationName = 'PWMOI Banyuwangi' } = {}) {
+  const qr = await QRCode.toString(verifyUrl(user.card_number), { type: 'svg', margin: 0, errorCorrectionLevel: 'M' });
+  const qrEmbedded = qr.replace('<svg ', '<svg x="646" y="300" width="180" height="180" ');
+  const photo = user.avatar_url
+    ? `<image href="${escapeXml(user.avatar_url)}" x="30" y="130" width="150" height="190" preserveAspectRatio="xMidYMid slice" />`
+    : '<rect x="30" y="130" width="150" height="190" fill="#e5e7eb" />';
+  const rows = [
+    ['Media', user.media_name],
+    ['Jabatan', user.position],
+    ['UKW', user.ukw_certification],
+    ['Berlaku s/d', user.card_expires_at ? formatDate(user.card_expires_at) : '-'],
+  ];
+  const details = rows.map(([label, value], index) => {
+    const y = 210 + index * 34;
+    return `<text x="210" y="${y}" font-size="18" fill="#6b7280">${escapeXml(label)}</text>`
+      + `<text x="330" y="${y}" font-size="18" fill="#111827">${escapeXml(value || '-')}</text>`;
+  }).join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 856 540" width="85.6mm" height="54mm" font-family="Helvetica, Arial, sans-serif">`
+    + '<rect width="856" height="540" rx="24" fill="#ffffff" stroke="#d1d5db" stroke-width="2" />'
+    + '<rect width="856" height="100" rx="24" fill="#b91c1c" /><rect y="76" width="856" height="24" fill="#b91c1c" />'
+    + `<text x="30" y="48" font-size="30" font-weight="bold" fill="#ffffff">${escapeXml(organizationName)}</text>`
+    + '<text x="30" y="82" font-size="18" letter-spacing="4" fill="#fecaca">KARTU PERS</text>'
+    + photo
+    + `<text x="210" y="165" font-size="30" font-weight="bold" fill="#111827">${escapeXml(user.name)}</text>`
+    + details
+    + `<text x="30" y="370" font-size="16" fill="#6b7280">No. Kartu</text>`
+    + `<text x="30" y="400" font-size="24" font-weight="bold" font-family="monospace" fill="#111827">${escapeXml(user.card_number)}</text>`
+    + '<text x="30" y="470" font-size="14" fill="#6b7280">Pindai kode QR untuk memeriksa keabsahan kartu ini.</text>'
+    + qrEmbedded
+    + '</svg>';
+}
+
+// Printable page around the card; the browser's print dialog produces a card-sized page.
+export async function renderPressCardHtml(user, options = {}) {
+  const svg = await renderPressCardSvg(user, options);
+  return `<!DOCTYPE html>
+<html lang="id">
+<head>
+<meta charset="utf-8" />
+<title>Kartu Pers — ${escapeXml(user.name)}</title>
+<style>
+  @page { size: 85.6mm 54mm; margin: 0; }
+  body { margin: 0; display: flex; justify-content: center; padding: 24px; background: #f3f4f6; }
+  svg { width: 85.6mm; height: 54mm; }
+  @media print { body { padding: 0; background: none; } }
+</style>
+</head>
+<body>
+${svg}
+</body>
+</html>`;
+}
+
+// Human-readable answer for people who scan the QR code with a phone camera.
+export function renderCardCheckHtml(info) {
+  const verdicts = {
+    valid: ['Kartu pers sah', 'Pemegang kartu ini adalah anggota terverifikasi yang masih aktif.'],
+    expired: ['Kartu pers kedaluwarsa', 'Masa berlaku kartu ini telah habis.'],
+    revoked: ['Kartu pers tidak berlaku', 'Verifikasi pemegang kartu ini telah dicabut.'],
+    unknown: ['Kartu tidak dikenal', 'Nomor kartu ini tidak terdaftar.'],
+  };
+  const [title, description] = verdicts[info ? info.status : 'unknown'];
+  const details = info
+    ? `<dl>
+  <dt>Nama</dt><dd>${escapeXml(info.name)}</dd>
+  <dt>Media</dt><dd>${escapeXml(info.mediaName || '-')}</dd>
+  <dt>Jabatan</dt><dd>${escapeXml(info.position || '-')}</dd>
+  <dt>No. Kartu</dt><dd>${escapeXml(info.cardNumber)}</dd>
+  <dt>Berlaku s/d</dt><dd>${info.expiresAt ? escapeXml(formatDate(info.expiresAt)) : '-'}</dd>
+</dl>`
+    : '';
+  return `<!DOCTYPE html>
+<html lang="id">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<meta name="robots" content="noindex" />
+<title>${escapeXml(title)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; max-width: 32rem; margin: 2rem auto; padding: 0 1rem; }
+  h1 { color: ${info?.valid ? '#15803d' : '#b91c1c'}; }
+  dt { color: #6b7280; margin-top: .5rem; }
+  dd { margin: 0; font-weight: bold; }
+</style>
+</head>
+<body>
+<h1>${escapeXml(title)}</h1>
+<p>${escapeXml(description)}</p>
+${details}
+</body>
+</html>`;
+}
@@ -0,0 +1,199 @@
+import crypto from 'node:crypto';
+import { AUTH_SECRET } from './auth.js';
+import { siteConfig } from './config.js';
+import { safeJsonParse } from './mappers.js';
+import { useOnce } from './ratelimit.js';
+
+// --- Aspiration and contact messages ---
+// Visitors write to the organisation through a public form; the secretariat works through the
+// messages in an admin inbox (assign, tag, reply, archive). There is no outgoing mail: the sender
+// gets a private tracking link where the status and the replies appear.
+
+export const MAX_MESSAGE_LENGTH = 5000;
+export const MAX_MESSAGE_TAGS = 10;
+
+export const MESSAGE_CATEGORIES = Object.freeze({
+  ASPIRATION: 'Aspiration',
+  COMPLAINT: 'Complaint',
+  QUESTION: 'Question',
+  PARTNERSHIP: 'Partnership',
+  OTHER: 'Other',
+});
+
+// For the admins' notifications, which are written in Indonesian.
+export const CATEGORY_LABELS = Object.freeze({
+  Aspiration: 'aspirasi',
+  Complaint: 'pengaduan',
+  Question: 'pertanyaan',
+  Partnership: 'kerja sama',
+  Other: 'pesan',
+});
+
+// New -> Open (someone is on it) -> Replied -> Closed. Messages the spam heuristics flag arrive
+// as Spam and notify nobody.
+export const MESSAGE_STATUS = Object.freeze({
+  NEW: 'New',
+  OPEN: 'Open',
+  REPLIED: 'Replied',
+  CLOSED: 'Closed',
+  SPAM: 'Spam',
+});
+
+// --- Math challenge ---
+// A small sum the form shows next to the fields. The answer is not in the token: the token is a
+// nonce and an expiry, signed together with the answer, so it only verifies with the right one.
+// It verifies on any instance sharing AUTH_SECRET. A solved token is good for one message: its
+// nonce is kept in the rate-limit store until the token expires (see lib/ratelimit.js for stores
+// shared between instances).
+const CHALLENGE_TTL_MS = 30 * 60 * 1000;
+
+function signChallenge(body, answer) {
+  return crypto.createHmac('sha256', AUTH_SECRET).update(`challenge.${body}.${answer}`).digest('base64url');
+}
+
+// Returns { question: { en, id }, token, expiresAt }.
+export function createChallenge() {
+  const a = crypto.randomInt(1, 10);
+  const b = crypto.randomInt(1, 10);
+  const expiresAt = new Date(Date.now() + CHALLENGE_TTL_MS);
+  const body = Buffer.from(JSON.stringify({
+    n: crypto.randomBytes(8).toString('hex'),
+    exp: Math.floor(expiresAt.getTime() / 1000),
+  })).toString('base64url');
+  return {
+    question: { en: `What is ${a} + ${b}?`, id: `Berapa ${a} + ${b}?` },
+    token: `${body}.${signChallenge(body, a + b)}`,
+    expiresAt: expiresAt.toISOString(),
+  };
+}
+
+// True when `answer` solves the challenge and the token has not expired or been used before.
+export async function checkChallenge(token, answer) {
+  const [body, signature] = String(token ?? '').split('.');
+  if (!body || !signature || !Number.isInteger(Number(answer))) return false;
+  const expected = Buffer.from(signChallenge(body, Number(answer)));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return false;
+  const payload = safeJsonParse(Buffer.from(body, 'base64url').toString('utf8'), null);
+  const remainingMs = (payload?.exp ?? 0) * 1000 - Date.now();
+  if (!payload?.n || remainingMs <= 0) return false;
+  return useOnce(`challenge:${payload.n}`, remainingMs);
+}
+
+// --- Fields ---
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?\d{8,15}$/;
+
+// The sender's contact as an email address (lowercased) or a phone number (digits with an
+// optional leading +, separators removed); null when it is neither.
+export function normalizeContact(value) {
+  const contact = String(value ?? '').trim();
+  if (EMAIL_PATTERN.test(contact)) return contact.toLowerCase();
+  const phone = contact.replace(/[\s().-]/g, '');
+  return PHONE_PATTERN.test(phone) ? phone : null;
+}
+
+// Tags are free labels: trimmed, lowercased, without duplicates.
+export function normalizeTags(tags) {
+  return [...new Set(tags.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+// --- Tracking links ---
+export function hashTrackingToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+export function createTrackingToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+export function trackingUrl(token) {
+  return `${siteConfig.publicUrl}/aspirasi/${token}`;
+}
+
+// --- Inbox ---
+export const MESSAGE_SORT_COLUMNS = {
+  id: 'm.id',
+  createdAt: 'm.created_at',
+  updatedAt: 'm.updated_at',
+  status: 'm.status',
+  category: 'm.category',
+};
+
+// ?status=&category=&assignedTo=&tag=&archived=&q= -> { where, params }. Archived messages are
+// left out unless ?archived=true asks for them alone; spam only shows when asked for by status.
+export function messageFilters(query) {
+  const where = [];
+  const params = [];
+  const archived = ['1', 'true'].includes(String(query.archived));
+  where.push(archived ? 'm.archived_at IS NOT NULL' : 'm.archived_at IS NULL');
+  if (query.status) {
+    where.push('m.status = ?');
+    params.push(String(query.status));
+  } else {
+    where.push('m.status <> ?');
+    params.push(MESSAGE_STATUS.SPAM);
+  }
+  if (query.category) {
+    where.push('m.category = ?');
+    params.push(String(query.category));
+  }
+  if (query.assignedTo) {
+    where.push('m.assigned_to = ?');
+    params.push(Number(query.assignedTo));
+  }
+  if (query.tag) {
+    where.push('JSON_CONTAINS(m.tags, JSON_QUOTE(?))');
+    params.push(String(query.tag).trim().toLowerCase());
+  }
+  if (query.q) {
+    const pattern = `%${String(query.q).replace(/[\\%_]/g, '\\$&')}%`;
+    where.push('(m.name LIKE ? OR m.contact LIKE ? OR m.message LIKE ?)');
+    params.push(pattern, pattern, pattern);
+  }
+  return { where, params };
+}
+
+export function dbMessageReplyToApi(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    messageId: row.message_id,
+    userId: row.user_id ?? null,
+    authorName: row.user_name ?? null,
+    body: row.body,
+    createdAt: row.created_at ?? null,
+  };
+}
+
+export function dbMessageToApi(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    contact: row.contact,
+    category: row.category,
+    message: row.message,
+    status: row.status,
+    assignedTo: row.assigned_to ?? null,
+    assigneeName: row.assignee_name ?? null,
+    tags: safeJsonParse(row.tags, []),
+    archived: row.archived_at != null,
+    spamScore: row.spam_score ?? 0,
+    spamReasons: safeJsonParse(row.spam_reasons, []),
+    createdAt: row.created_at ?? null,
+    updatedAt: row.updated_at ?? null,
+    repliedAt: row.replied_at ?? null,
+    archivedAt: row.archived_at ?? null,
+  };
+}
+
+// What the sender sees on their tracking page: no inbox details, and replies without staff names.
+export function publicMessageView(row, replies) {
+  return {
+    category: row.category,
+    status: row.status === MESSAGE_STATUS.SPAM ? MESSAGE_STATUS.NEW : row.status,
+    createdAt: row.created_at ?? null,
+    replies: replies.map((reply) => ({ body: reply.body, createdAt: reply.created_at ?? null })),
+  };
+}
@@ -0,0 +1,129 @@
+/* eslint-disable no-console */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+// --- Versioned schema migrations ---
+// Each file in migrations/ is named NNN_description.js and exports async up(conn) and down(conn).
+// Applied versions are recorded in `schema_migrations`; a MySQL named lock keeps two runners
+// (e.g. two deploys) from migrating the same database at once.
+export const MIGRATIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'migrations');
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_[\w-]+\.js$/;
+const LOCK_NAME = 'pwmoi_schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 30;
+
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = (await fs.readdir(dir)).filter((file) => MIGRATION_FILE_PATTERN.test(file)).sort();
+  const migrations = [];
+  for (const file of files) {
+    const mod = await import(pathToFileURL(path.join(dir, file)).href);
+    if (typeof mod.up !== 'function' || typeof mod.down !== 'function') {
+      throw new Error(`Migration ${file} must export up() and down().`);
+    }
+    migrations.push({ version: file.replace(/\.js$/, ''), up: mod.up, down: mod.down });
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(255) PRIMARY KEY,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+export async function getAppliedVersions(conn) {
+  await ensureMigrationsTable(conn);
+  const [rows] = await conn.query('SELECT version FROM schema_migrations ORDER BY version');
+  return rows.map((row) => row.version);
+}
+
+async function withLock(conn, fn) {
+  const [[{ acquired }]] = await conn.query('SELECT GET_LOCK(?, ?) AS acquired', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+  if (acquired !== 1) {
+    throw new Error('Another migration run holds the schema lock. Try again later.');
+  }
+  try {
+    return await fn();
+  } finally {
+    await conn.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+  }
+}
+
+// Returns every known migration with its state: [{ version, applied }].
+export async function getMigrationStatus(conn, migrations) {
+  const applied = new Set(await getAppliedVersions(conn));
+  return migrations.map(({ version }) => ({ version, applied: applied.has(version) }));
+}
+
+export async function getPendingMigrations(conn, migrations) {
+  const status = await getMigrationStatus(conn, migrations);
+  return status.filter((entry) => !entry.applied).map((entry) => entry.version);
+}
+
+// Applies all pending migrations in order. Stops at the first failure, leaving later ones pending.
+export async function migrateUp(conn, migrations) {
+  return withLock(conn, async () => {
+    const applied = new Set(await getAppliedVersions(conn));
+    const ran = [];
+    for (const migration of migrations) {
+      if (applied.has(migration.version)) continue;
+      console.log(`⬆️  Applying ${migration.version}`);
+      await migration.up(conn);
+      await conn.query('INSERT INTO schema_migrations (version) VALUES (?)', [migration.version]);
+      ran.push(migration.version);
+    }
+    return ran;
+  });
+}
+
+// Rolls back the most recently applied migrations, newest first.
+export async function migrateDown(conn, migrations, steps = 1) {
+  return withLock(conn, async () => {
+    const byVersion = new Map(migrations.map((migration) => [migration.version, migration]));
+    const applied = (await getAppliedVersions(conn)).reverse().slice(0, steps);
+    const reverted = [];
+    for (const version of applied) {
+      const migration = byVersion.get(version);
+      if (!migration) {
+        throw new Error(`Cannot roll back ${version}: its migration file is missing.`);
+      }
+      console.log(`⬇️  Reverting ${version}`);
+      await migration.down(conn);
+      await conn.query('DELETE FROM schema_migrations WHERE version = ?', [version]);
+      reverted.push(version);
+    }
+    return reverted;
+  });
+}
+
+// --- Helpers for migration files ---
+export async function columnExists(conn, table, column) {
+  const [rows] = await conn.query(`SHOW COLUMNS FROM ${table} LIKE ?`, [column]);
+  return rows.length > 0;
+}
+
+export async function tableExists(conn, table) {
+  const [rows] = await conn.query('SHOW TABLES LIKE ?', [table]);
+  return rows.length > 0;
+}
+
+// Brings a legacy column name in line with the current schema: renames oldName to newName when
+// only the old one exists, adds newName when neither exists, and leaves the table alone otherwise.
+// Unlike the old seed.js helper, failures propagate so the migration is not recorded as applied.
+export async function ensureColumn(conn, table, oldName, newName, definition) {
+  const oldExists = await columnExists(conn, table, oldName);
+  const newExists = oldName === newName ? oldExists : await columnExists(conn, table, newName);
+
+  if (oldExists && !newExists) {
+    console.log(`🔄 Rename kolom ${oldName} → ${newName} di ${table}`);
+    await conn.query(`ALTER TABLE ${table} CHANGE COLUMN ${oldName} ${newName} ${definition}`);
+  } else if (!oldExists && !newExists) {
+    console.log(`➕ Tambah kolom ${newName} di ${table}`);
+    await conn.query(`ALTER TABLE ${table} ADD COLUMN ${newName} ${definition}`);
+  }
+}
@@ -0,0 +1,68 @@
+import { EventEmitter } from 'node:events';
+
+// In-process bus for live delivery: every stored notification is emitted as 'notification' with
+// the API-shaped object. The SSE stream subscribes to it; a single server process is assumed.
+export const notificationEvents = new EventEmitter();
+notificationEvents.setMaxListeners(0);
+
+// Connections inside a transaction collect their notifications here until commit, so a rolled
+// back change never reaches a live stream.
+const deferred = new WeakMap();
+
+export function dbNotificationToApi(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    userId: row.userId,
+    message: row.message,
+    link: row.link ?? null,
+    isRead: Boolean(row.isRead),
+    timestamp: row.timestamp ?? null,
+  };
+}
+
+// Call right after beginTransaction(); pair with flushNotifications / discardNotifications.
+export function deferNotifications(conn) {
+  deferred.set(conn, []);
+}
+
+export function flushNotifications(conn) {
+  const pending = deferred.get(conn) || [];
+  deferred.delete(conn);
+  for (const notification of pending) notificationEvents.emit('notification', notification);
+}
+
+export function discardNotifications(conn) {
+  deferred.delete(conn);
+}
+
+// Writes a row into `notifications`. `db` may be the pool or a connection inside a transaction.
+export async function createNotification(db, { userId, message, link = null }) {
+  const [result] = await db.query(
+    'INSERT INTO notifications (userId, message, link, isRead, timestamp) VALUES (?, ?, ?, 0, NOW())',
+    [userId, message, link],
+  );
+  const notification = dbNotificationToApi({
+    id: result.insertId,
+    userId: Number(userId),
+    message,
+    link,
+    isRead: 0,
+    timestamp: new Date(),
+  });
+  if (deferred.has(db)) {
+    deferred.get(db).push(notification);
+  } else {
+    notificationEvents.emit('notification', notification);
+  }
+  return result.insertId;
+}
+
+// Notifies every user holding one of the given roles (e.g. all editors when an article is submitted).
+export async function notifyRoles(db, roles, { message, link = null, excludeUserId = null }) {
+  const [rows] = await db.query('SELECT id FROM users WHERE role IN (?)', [roles]);
+  for (const row of rows) {
+    if (excludeUserId != null && Number(row.id) === Number(excludeUserId)) continue;
+    await createNotification(db, { userId: row.id, message, link });
+  }
+}
@@ -0,0 +1,1740 @@
+import { CONFLICT_STRATEGIES, RESTORE_MODES } from './backup.js';
+import { COMMENT_STATUS } from './comments.js';
+import { rateLimitConfig, siteConfig } from './config.js';
+import { REGISTRATION_STATUS } from './events.js';
+import { UKW_LEVELS, VERIFICATION_STATUS } from './membership.js';
+import { MESSAGE_CATEGORIES, MESSAGE_STATUS } from './messages.js';
+import {
+  PERMISSIONS,
+  ROLES,
+  hasPermission,
+} from './permissions.js';
+import {
+  acceptInvitationBody,
+  announcementCreateBody,
+  announcementListQuery,
+  announcementUpdateBody,
+  articleCreateBody,
+  articleListQuery,
+  articleSlugParams,
+  articleUpdateBody,
+  attendeeExportQuery,
+  auditListQuery,
+  authorParams,
+  backupFileParams,
+  bulkModerationBody,
+  cardNumberParams,
+  categoryCreateBody,
+  categoryUpdateBody,
+  certificateQuery,
+  checkInBody,
+  commentArticleParams,
+  commentBody,
+  commentListQuery,
+  contactInfoBody,
+  documentParams,
+  eventCreateBody,
+  eventListQuery,
+  eventRegistrationBody,
+  eventRegistrationParams,
+  eventUpdateBody,
+  idParams,
+  invitationParams,
+  legalContentBody,
+  legalPageParams,
+  listQuery,
+  localizedQuery,
+  loginBody,
+  mediaListQuery,
+  memberExportQuery,
+  memberImportBody,
+  memberImportParams,
+  memberListQuery,
+  messageBody,
+  messageListQuery,
+  messageReplyBody,
+  messageUpdateBody,
+  missingTranslationsQuery,
+  moderationNoteBody,
+  noteBody,
+  notificationListQuery,
+  partnerCreateBody,
+  partnerUpdateBody,
+  pressCardQuery,
+  profileContentBody,
+  programListQuery,
+  registerBody,
+  registrationListQuery,
+  registrationTokenParams,
+  restoreBody,
+  revisionDiffQuery,
+  revisionParams,
+  searchQuery,
+  slugParams,
+  statsQuery,
+  structureCreateBody,
+  structureUpdateBody,
+  tagCreateBody,
+  tagListQuery,
+  tagUpdateBody,
+  trackingParams,
+  translationBodies,
+  translationParams,
+  userCreateBody,
+  userListQuery,
+  userUpdateBody,
+  verificationListQuery,
+  verificationRequestBody,
+  verificationReviewBody,
+  workflowBody,
+} from './schemas.js';
+import { TRANSLATABLE } from './translations.js';
+import { ARTICLE_STATUS, ARTICLE_TRANSITIONS } from './workflow.js';
+
+// --- OpenAPI 3.0 description of the API, served at /api/openapi.json ---
+// Request parameters and bodies are the schemas the routes validate with (lib/schemas.js), so
+// the documentation cannot drift from what is enforced. Response schemas describe what the
+// mappers produce (dbUserToApi, dbArticleToApi, formatContactFromRow, ...).
+// test/openapi.test.js fails when a route is missing from OPERATIONS or a documented one is gone.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const string = (extra = {}) => ({ type: 'string', ...extra });
+const nullableString = (extra = {}) => string({ nullable: true, ...extra });
+const integer = { type: 'integer' };
+const nullableInteger = { type: 'integer', nullable: true };
+const boolean = { type: 'boolean' };
+const timestamp = { type: 'string', format: 'date-time', nullable: true };
+const arrayOf = (items) => ({ type: 'array', items });
+const object = (properties, extra = {}) => ({ type: 'object', properties, ...extra });
+const extend = (name, properties) => ({ allOf: [ref(name), object(properties)] });
+const page = (name) => object({ data: arrayOf(ref(name)), pagination: ref('Pagination') });
+
+// --- Response shapes ---
+const SCHEMAS = {
+  Error: object({
+    code: string({ description: 'Stable machine-readable code, e.g. NOT_FOUND or VALIDATION_FAILED.' }),
+    message: string({ description: 'Human-readable message in the language of Accept-Language (en or id).' }),
+    details: {
+      nullable: true,
+      description: 'The problems of a validation error, or structured extras of other errors.',
+      oneOf: [arrayOf(ref('ValidationProblem')), { type: 'object' }],
+    },
+    requestId: string({ description: 'Same as the X-Request-Id response header.' }),
+  }, { required: ['code', 'message', 'details', 'requestId'] }),
+  ValidationProblem: object({
+    in: string({ enum: ['params', 'query', 'body'] }),
+    field: string({ example: 'tags[2]' }),
+    rule: string({ example: 'maxLength' }),
+    message: string(),
+  }),
+  Pagination: object({
+    page: integer,
+    pageSize: integer,
+    total: integer,
+    totalPages: integer,
+  }),
+
+  User: object({
+    id: integer,
+    name: string(),
+    email: string({ format: 'email' }),
+    role: string({ enum: Object.values(ROLES) }),
+    avatarUrl: nullableString(),
+    isVerified: { type: 'integer', enum: [0, 1] },
+    phoneNumber: nullableString(),
+    mediaName: nullableString(),
+    position: nullableString(),
+    ukwCertification: nullableString({ enum: UKW_LEVELS }),
+    cardNumber: nullableString(),
+    cardIssuedAt: timestamp,
+    cardExpiresAt: timestamp,
+  }),
+  Session: object({
+    token: string({ description: 'Send as "Authorization: Bearer <token>".' }),
+    expiresAt: string({ format: 'date-time' }),
+    user: ref('User'),
+  }),
+
+  Article: object({
+    id: integer,
+    slug: nullableString(),
+    title: string(),
+    content: nullableString(),
+    snippet: nullableString(),
+    status: string({ enum: Object.values(ARTICLE_STATUS) }),
+    authorId: integer,
+    editorFeedback: nullableString(),
+    coverImageUrl: nullableString(),
+    imageUrl: nullableString({ description: 'Same as coverImageUrl, kept for older clients.' }),
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    publishedAt: timestamp,
+    publishAt: { ...timestamp, description: 'When a scheduled article goes live.' },
+    metaDescription: nullableString(),
+    canonicalUrl: nullableString(),
+    ogImageUrl: nullableString(),
+    categoryId: nullableInteger,
+    category: {
+      ...object({ id: integer, name: string(), slug: string() }),
+      nullable: true,
+    },
+    tags: arrayOf(object({ id: integer, name: string(), slug: string() })),
+  }),
+  ShareMeta: object({
+    title: string(),
+    description: string(),
+    url: string({ format: 'uri' }),
+    canonicalUrl: string({ format: 'uri' }),
+    image: nullableString({ format: 'uri' }),
+    imageWidth: nullableInteger,
+    imageHeight: nullableInteger,
+    siteName: string(),
+    authorName: nullableString(),
+    publishedAt: timestamp,
+    updatedAt: timestamp,
+  }),
+  Transition: object({
+    id: integer,
+    articleId: integer,
+    action: string({ enum: Object.keys(ARTICLE_TRANSITIONS) }),
+    fromStatus: string(),
+    toStatus: string(),
+    actorId: integer,
+    actorName: nullableString(),
+    feedback: nullableString(),
+    createdAt: string({ format: 'date-time' }),
+  }),
+  Revision: object({
+    id: integer,
+    articleId: integer,
+    revision: integer,
+    title: string(),
+    snippet: nullableString(),
+    coverImageUrl: nullableString(),
+    editorId: nullableInteger,
+    editorName: nullableString(),
+    restoredFrom: { ...nullableInteger, description: 'The revision this one was restored from.' },
+    createdAt: string({ format: 'date-time' }),
+    workflowStep: {
+      ...object({
+        id: integer,
+        action: string(),
+        toStatus: string(),
+        feedback: nullableString(),
+        actorName: nullableString(),
+        createdAt: string({ format: 'date-time' }),
+      }),
+      nullable: true,
+    },
+    content: nullableString({ description: 'Only when a single revision is requested.' }),
+  }),
+  WordDiff: object({
+    changed: boolean,
+    changes: arrayOf(object({ type: string({ enum: ['equal', 'insert', 'delete'] }), text: string() })),
+    insertedWords: integer,
+    deletedWords: integer,
+  }),
+
+  Comment: object({
+    id: integer,
+    articleId: integer,
+    parentId: nullableInteger,
+    userId: { ...nullableInteger, description: 'Null for guest comments.' },
+    authorName: nullableString(),
+    content: string(),
+    status: string({ enum: Object.values(COMMENT_STATUS) }),
+    createdAt: timestamp,
+    authorEmail: nullableString({ description: 'Moderators only.' }),
+    articleTitle: nullableString({ description: 'Moderators only.' }),
+    spamScore: { ...integer, description: 'Moderators only.' },
+    spamReasons: { ...arrayOf(string()), description: 'Moderators only.' },
+    moderatedBy: { ...nullableInteger, description: 'Moderators only.' },
+    moderatedAt: { ...timestamp, description: 'Moderators only.' },
+    moderationNote: nullableString({ description: 'Moderators only.' }),
+  }),
+  CommentThread: extend('Comment', { replies: arrayOf(ref('CommentThread')) }),
+
+  Category: object({
+    id: integer,
+    name: string(),
+    slug: string(),
+    description: nullableString(),
+    sortOrder: integer,
+    isDefault: boolean,
+    createdAt: timestamp,
+    articleCount: { ...integer, description: 'Published articles in the category.' },
+  }),
+  Tag: object({
+    id: integer,
+    name: string(),
+    slug: string(),
+    createdAt: timestamp,
+    articleCount: { ...integer, description: 'Published articles with the tag.' },
+  }),
+
+  Announcement: object({
+    id: integer,
+    title: string(),
+    content: nullableString(),
+    startsAt: timestamp,
+    endsAt: timestamp,
+    expiredAt: timestamp,
+    createdAt: timestamp,
+  }),
+  Notification: object({
+    id: integer,
+    userId: integer,
+    message: string(),
+    link: nullableString(),
+    isRead: boolean,
+    timestamp: timestamp,
+  }),
+  InspirationNote: object({
+    id: integer,
+    userId: integer,
+    content: string(),
+    timestamp: timestamp,
+  }),
+
+  Partner: object({
+    id: integer,
+    name: string(),
+    logoUrl: nullableString(),
+    link: nullableString(),
+  }),
+  StructureMember: object({
+    id: integer,
+    name: string(),
+    position: nullableString(),
+    photoUrl: nullableString(),
+  }),
+  ContactInfo: object({
+    organizationName: string(),
+    address: string(),
+    email: string(),
+    phone: string(),
+    siteLogo: string(),
+    faviconUrl: string(),
+    socials: { type: 'object', additionalProperties: string(), example: { instagram: 'https://instagram.com/pwmoi' } },
+  }, { nullable: true }),
+  ProfileContent: object({
+    about: string(),
+    vision: string(),
+    mission: arrayOf(string()),
+    purpose: string(),
+    legality: object({ text: string(), sk: string() }),
+    adArt: string(),
+  }, { nullable: true }),
+  LegalPage: object({
+    pageKey: string(),
+    title: string(),
+    content: nullableString(),
+  }),
+  Site: object({
+    contactInfo: ref('ContactInfo'),
+    profileContent: ref('ProfileContent'),
+    navigation: object({
+      legalPages: arrayOf(object({ pageKey: string(), title: string() })),
+      programs: arrayOf(object({ id: integer, title: string(), icon: nullableString() })),
+    }),
+  }),
+  Translation: object({
+    entity: string({ enum: Object.keys(TRANSLATABLE) }),
+    id: string({ description: 'The record id, or the page key of a legal page.' }),
+    label: nullableString({ description: 'The Indonesian title of the record.' }),
+    locale: string(),
+    source: { type: 'object', additionalProperties: true, description: 'The Indonesian fields.' },
+    translation: {
+      type: 'object',
+      additionalProperties: true,
+      description: 'The translated fields, null where a field falls back to Indonesian.',
+    },
+    missingFields: arrayOf(string()),
+    updatedBy: nullableInteger,
+    updatedAt: timestamp,
+  }),
+  MissingTranslation: object({
+    entity: string({ enum: Object.keys(TRANSLATABLE) }),
+    id: string(),
+    label: nullableString(),
+    missingFields: arrayOf(string()),
+    partial: { ...boolean, description: 'Some fields are translated already.' },
+  }),
+  GalleryImage: object({
+    id: integer,
+    title: nullableString(),
+    imageUrl: nullableString(),
+    description: nullableString(),
+  }),
+  Program: object({
+    id: integer,
+    title: nullableString(),
+    description: nullableString(),
+    icon: nullableString(),
+  }),
+
+  Event: object({
+    id: integer,
+    programId: integer,
+    programTitle: nullableString(),
+    title: string(),
+    description: nullableString(),
+    startsAt: string({ format: 'date-time' }),
+    endsAt: timestamp,
+    venue: nullableString(),
+    quota: nullableInteger,
+    registrationDeadline: timestamp,
+    registeredCount: integer,
+    waitlistCount: integer,
+    spotsLeft: nullableInteger,
+    registrationOpen: boolean,
+    cancelled: boolean,
+    cancelledAt: timestamp,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+  }),
+  EventRegistration: object({
+    id: integer,
+    eventId: integer,
+    name: string(),
+    status: string({ enum: Object.values(REGISTRATION_STATUS) }),
+    checkedInAt: timestamp,
+    certificateNumber: nullableString({ example: 'SERT-2026-7KQ2MX' }),
+    createdAt: timestamp,
+    cancelledAt: timestamp,
+    userId: nullableInteger,
+    email: string({ description: 'Organizers only, as are the fields below.' }),
+    phoneNumber: nullableString(),
+    mediaName: nullableString(),
+    checkedInBy: nullableInteger,
+  }),
+
+  Media: object({
+    id: integer,
+    ownerId: integer,
+    originalName: string(),
+    mimeType: string(),
+    sizeBytes: integer,
+    width: nullableInteger,
+    height: nullableInteger,
+    url: nullableString(),
+    variants: { type: 'object', additionalProperties: string(), description: 'Variant name -> URL.' },
+    createdAt: timestamp,
+  }),
+  MediaUsage: object({
+    entity: string(),
+    entityId: integer,
+    field: string(),
+    url: string(),
+  }),
+
+  Member: extend('User', {
+    cardStatus: string({ enum: ['valid', 'expired', 'revoked', 'none'] }),
+    accountStatus: string({ enum: ['active', 'invited'], description: 'Invited until the member accepts their invitation.' }),
+  }),
+  Invitation: object({
+    url: string({ description: 'The activation link to pass on to the member.' }),
+    expiresAt: string({ format: 'date-time' }),
+  }),
+  MemberImport: object({
+    id: string(),
+    fileName: nullableString(),
+    headers: arrayOf(string()),
+    mapping: { type: 'object', additionalProperties: string(), description: 'The column each field is read from.' },
+    summary: object({ total: integer, valid: integer, invalid: integer, duplicate: integer }),
+    rows: arrayOf(object({
+      line: integer,
+      member: { type: 'object', description: 'The row as it would be imported (name, email, phoneNumber, ...).' },
+      status: string({ enum: ['valid', 'invalid', 'duplicate'] }),
+      problems: arrayOf(object({ field: string(), rule: string(), message: string() })),
+    })),
+    createdAt: string({ format: 'date-time' }),
+    expiresAt: string({ format: 'date-time' }),
+    committedAt: timestamp,
+  }),
+  MemberImportResult: object({
+    id: string(),
+    created: arrayOf(object({
+      line: integer,
+      id: integer,
+      name: string(),
+      email: string(),
+      invitation: ref('Invitation'),
+    })),
+    skipped: arrayOf(object({
+      line: integer,
+      email: nullableString(),
+      status: string({ enum: ['invalid', 'duplicate'] }),
+    })),
+  }),
+
+  VerificationRequest: object({
+    id: integer,
+    userId: integer,
+    userName: nullableString(),
+    status: string({ enum: Object.values(VERIFICATION_STATUS) }),
+    mediaName: nullableString(),
+    position: nullableString(),
+    ukwCertification: nullableString({ enum: UKW_LEVELS }),
+    note: nullableString(),
+    documents: arrayOf(object({
+      index: integer,
+      originalName: string(),
+      mimeType: string(),
+      sizeBytes: integer,
+      url: string(),
+    })),
+    reviewerId: nullableInteger,
+    reviewReason: nullableString(),
+    reviewedAt: timestamp,
+    createdAt: timestamp,
+  }),
+  CardCheck: object({
+    cardNumber: string(),
+    valid: boolean,
+    status: string({ enum: ['valid', 'expired', 'revoked', 'none'] }),
+    name: string(),
+    mediaName: nullableString(),
+    position: nullableString(),
+    ukwCertification: nullableString(),
+    issuedAt: timestamp,
+    expiresAt: timestamp,
+  }),
+
+  ContactMessage: object({
+    id: integer,
+    name: string(),
+    contact: string({ description: 'An email address or a phone number.' }),
+    category: string({ enum: Object.values(MESSAGE_CATEGORIES) }),
+    message: string(),
+    status: string({ enum: Object.values(MESSAGE_STATUS) }),
+    assignedTo: nullableInteger,
+    assigneeName: nullableString(),
+    tags: arrayOf(string()),
+    archived: boolean,
+    spamScore: integer,
+    spamReasons: arrayOf(string()),
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    repliedAt: timestamp,
+    archivedAt: timestamp,
+  }),
+  MessageReply: object({
+    id: integer,
+    messageId: integer,
+    userId: nullableInteger,
+    authorName: nullableString(),
+    body: string(),
+    createdAt: timestamp,
+  }),
+  MessageTracking: object({
+    category: string({ enum: Object.values(MESSAGE_CATEGORIES) }),
+    status: string({ enum: Object.values(MESSAGE_STATUS).filter((status) => status !== MESSAGE_STATUS.SPAM) }),
+    createdAt: timestamp,
+    replies: arrayOf(object({ body: string(), createdAt: timestamp })),
+  }),
+
+  SearchResults: object({
+    query: string(),
+    terms: arrayOf(string()),
+    data: arrayOf(object({
+      type: string({ example: 'article' }),
+      id: integer,
+      title: string(),
+      highlightedTitle: string({ description: 'The title with matches wrapped in <mark>.' }),
+      excerpt: string(),
+      imageUrl: nullableString(),
+      status: string({ description: 'Articles only.' }),
+      score: { type: 'number' },
+    })),
+    counts: { type: 'object', additionalProperties: integer, description: 'Matches per type.' },
+    pagination: ref('Pagination'),
+  }),
+  AuditEntry: object({
+    id: integer,
+    actorId: nullableInteger,
+    actorName: nullableString(),
+    action: string(),
+    entity: nullableString(),
+    entityId: nullableString(),
+    method: string(),
+    path: string(),
+    statusCode: integer,
+    changes: { type: 'object', nullable: true, description: 'Changed fields as { field: { before, after } }.' },
+    ipAddress: nullableString(),
+    createdAt: string({ format: 'date-time' }),
+  }),
+  DashboardStats: object({
+    from: string({ format: 'date' }),
+    to: string({ format: 'date' }),
+    views: object({
+      total: integer,
+      daily: arrayOf(object({ date: string({ format: 'date' }), views: integer })),
+    }, { description: 'Article reads, each visitor counted once per article and day.' }),
+    topArticles: arrayOf(object({
+      id: integer,
+      title: nullableString(),
+      slug: nullableString(),
+      authorId: nullableInteger,
+      authorName: nullableString(),
+      views: integer,
+    })),
+    authors: arrayOf(object({
+      authorId: nullableInteger,
+      name: nullableString(),
+      articles: integer,
+      published: integer,
+      publishedInRange: integer,
+      views: integer,
+    })),
+    articlesByStatus: object(Object.fromEntries(Object.values(ARTICLE_STATUS).map((status) => [status, integer]))),
+    comments: object({
+      total: integer,
+      byStatus: object(Object.fromEntries(Object.values(COMMENT_STATUS).map((status) => [status, integer]))),
+      daily: arrayOf(object({ date: string({ format: 'date' }), count: integer })),
+    }, { description: 'Comments written in the range.' }),
+    pending: object({
+      comments: integer,
+      articles: integer,
+      verificationRequests: integer,
+      messages: integer,
+    }, {
+      description: 'What waits now: held comments, submitted or in-review articles, verification requests '
+        + 'and new contact messages.',
+    }),
+    members: object({
+      total: integer,
+      joined: integer,
+      daily: arrayOf(object({ date: string({ format: 'date' }), joined: integer, total: integer })),
+    }, { description: 'Accounts created before join dates were recorded count from the start.' }),
+  }),
+  BackupFile: object({
+    file: string({ example: 'pwmoi-backup-2026-01-31T02-00-00-000Z.json.gz' }),
+    sizeBytes: integer,
+    modifiedAt: string({ format: 'date-time' }),
+  }),
+  Backup: object({
+    file: string(),
+    sizeBytes: integer,
+    createdAt: string({ format: 'date-time' }),
+    version: integer,
+    schemaVersion: nullableString({ description: 'The last migration applied when the backup was taken.' }),
+    tables: { type: 'object', additionalProperties: integer, description: 'Rows per table.' },
+    mediaFiles: integer,
+  }),
+  RestoreReport: object({
+    dryRun: boolean,
+    mode: string({ enum: RESTORE_MODES }),
+    onConflict: string({ enum: CONFLICT_STRATEGIES }),
+    archive: ref('Backup'),
+    ok: boolean,
+    problems: arrayOf(string()),
+    warnings: arrayOf(string()),
+    tables: arrayOf(object({
+      table: string(),
+      rows: integer,
+      existing: integer,
+      conflicts: integer,
+      deleted: integer,
+      inserted: integer,
+      replaced: integer,
+      skipped: integer,
+    })),
+    media: object({
+      files: integer,
+      missing: arrayOf(string()),
+      changed: arrayOf(string()),
+    }),
+  }),
+};
+
+// --- Shared error responses ---
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: ref('Error') } },
+});
+
+const ERROR_RESPONSES = {
+  400: ['BadRequest', errorResponse('Invalid request. Validation errors list every problem in `details`.')],
+  401: ['Unauthenticated', errorResponse('Missing, invalid or expired token.')],
+  403: ['Forbidden', errorResponse('The signed-in user may not do this.')],
+  404: ['NotFound', errorResponse('No such record.')],
+  409: ['Conflict', errorResponse('The request conflicts with the current state (duplicate, still in use, ...).')],
+  413: ['PayloadTooLarge', errorResponse('The upload or body is too large.')],
+  429: ['TooManyRequests', {
+    ...errorResponse('Rate limit reached (code RATE_LIMITED) or sign-in locked (code LOGIN_LOCKED).'),
+    headers: {
+      'Retry-After': { description: 'Seconds to wait before trying again.', schema: { type: 'integer' } },
+    },
+  }],
+};
+
+const json = (schema, description = 'OK') => ({ description, content: { 'application/json': { schema } } });
+const html = (description) => ({ description, content: { 'text/html': { schema: string() } } });
+const noContent = { description: 'Done.' };
+
+// The roles that hold a permission, for the operation descriptions.
+function rolesWith(permission) {
+  return Object.values(ROLES).filter((role) => hasPermission({ role }, permission));
+}
+
+// --- Operations ---
+// [method, path, details]. `access` is 'public' (default), 'optional' (signing in widens the
+// result), 'user' (any signed-in user) or a permission. `params`, `query` and `body` are the
+// validated schemas (`multipart` for form uploads, with the file fields in `files`); `errors`
+// lists the statuses the route answers with besides the ones implied by validation, access and
+// the rate limit over /api.
+const PAGE_QUERY = listQuery();
+const workflowParams = object({
+  ...idParams.properties,
+  action: string({ enum: Object.keys(ARTICLE_TRANSITIONS) }),
+});
+const CERTIFICATE_RESPONSE = {
+  description: 'The certificate as a printable HTML page, or a PDF download with ?format=pdf.',
+  content: { 'text/html': { schema: string() }, 'application/pdf': { schema: string({ format: 'binary' }) } },
+};
+const pageSlugParams = object({ slug: string({ description: 'The article slug, or its numeric id for old links.' }) });
+
+function feedOperations(kind, contentType) {
+  const file = { rss: 'feed.xml', atom: 'atom.xml', json: 'feed.json' }[kind];
+  const feed = { description: 'The feed.', content: { [contentType]: { schema: string() } } };
+  return [
+    ['get', `/${file}`, {
+      tag: 'Feeds', summary: `Latest published articles (${kind.toUpperCase()})`, responses: { 200: feed, 304: noContent },
+    }],
+    ['get', `/authors/{authorId}/${file}`, {
+      tag: 'Feeds',
+      summary: `Latest published articles of one author (${kind.toUpperCase()})`,
+      params: authorParams,
+      responses: { 200: feed, 304: noContent },
+      errors: [404],
+    }],
+  ];
+}
+
+function moderationOperations() {
+  return ['approve', 'reject'].map((action) => ['post', `/api/comments/{id}/${action}`, {
+    tag: 'Comments',
+    summary: `${action === 'approve' ? 'Approve' : 'Reject'} a comment`,
+    access: PERMISSIONS.COMMENTS_MODERATE,
+    params: idParams,
+    body: moderationNoteBody,
+    responses: { 200: json(ref('Comment')) },
+    errors: [404],
+  }]);
+}
+
+function verificationReviewOperations() {
+  return [
+    ['post', '/api/verification-requests/{id}/approve', {
+      tag: 'Membership',
+      summary: 'Approve a verification request and issue the press card',
+      access: PERMISSIONS.MEMBERS_VERIFY,
+      params: idParams,
+      body: verificationReviewBody,
+      responses: { 200: json(extend('VerificationRequest', { user: ref('User') })) },
+      errors: [404, 409],
+    }],
+    ['post', '/api/verification-requests/{id}/reject', {
+      tag: 'Membership',
+      summary: 'Reject a verification request (reason required)',
+      access: PERMISSIONS.MEMBERS_VERIFY,
+      params: idParams,
+      body: verificationReviewBody,
+      responses: { 200: json(ref('VerificationRequest')) },
+      errors: [404, 409],
+    }],
+  ];
+}
+
+// Site content served in the locale asked for (lib/translations.js).
+const LOCALIZED = 'Translated into ?lang= or the Accept-Language locale where a translation exists, '
+  + 'Indonesian otherwise; Content-Language names the locale answered in.';
+
+function translationOperations() {
+  const access = PERMISSIONS.TRANSLATIONS_MANAGE;
+  return Object.keys(TRANSLATABLE).flatMap((entity) => {
+    const path = `/api/translations/${entity}/{id}/{locale}`;
+    return [
+      ['get', path, {
+        tag: 'Translations', summary: `Get the translation of ${entity}`, access, params: translationParams,
+        responses: { 200: json(ref('Translation')) }, errors: [404],
+      }],
+      ['put', path, {
+        tag: 'Translations',
+        summary: `Translate ${entity}`,
+        description: 'Only the fields sent change; null or an empty value falls back to Indonesian again.',
+        access,
+        params: translationParams,
+        body: translationBodies[entity],
+        responses: { 200: json(ref('Translation')) },
+        errors: [404],
+      }],
+      ['delete', path, {
+        tag: 'Translations', summary: `Delete the translation of ${entity}`, access, params: translationParams,
+        responses: { 204: noContent }, errors: [404],
+      }],
+    ];
+  });
+}
+
+function listResourceOperations(path, { tag, label, schema, permission, create, update }) {
+  return [
+    ['get', path, { tag, summary: `List ${label}s`, query: PAGE_QUERY, responses: { 200: json(page(schema)) } }],
+    ['get', `${path}/{id}`, {
+      tag, summary: `Get a ${label}`, params: idParams, responses: { 200: json(ref(schema)) }, errors: [404],
+    }],
+    ['post', path, {
+      tag, summary: `Add a ${label}`, access: permission, body: create, responses: { 201: json(ref(schema), 'Created.') },
+    }],
+    ['put', `${path}/{id}`, {
+      tag, summary: `Update a ${label}`, access: permission, params: idParams, body: update,
+      responses: { 200: json(ref(schema)) }, errors: [404],
+    }],
+    ['delete', `${path}/{id}`, {
+      tag, summary: `Delete a ${label}`, access: permission, params: idParams, responses: { 204: noContent }, errors: [404],
+    }],
+  ];
+}
+
+export const OPERATIONS = [
+  // --- System ---
+  ['get', '/', { tag: 'System', summary: 'Status page', responses: { 200: html('A short HTML status page.') } }],
+  ['get', '/api', {
+    tag: 'System',
+    summary: 'Health check',
+    responses: { 200: json(object({ message: string(), envLoaded: boolean, timestamp: string({ format: 'date-time' }) })) },
+  }],
+  ['get', '/api/all-data', {
+    tag: 'System',
+    summary: 'Every table in one response',
+    description: 'Deprecated: use GET /api/site and the paginated list endpoints.',
+    deprecated: true,
+    access: PERMISSIONS.USERS_MANAGE,
+    responses: { 200: json({ type: 'object' }) },
+  }],
+  ['get', '/api/openapi.json', {
+    tag: 'System', summary: 'This document', responses: { 200: json({ type: 'object' }) },
+  }],
+  ['get', '/api/docs', {
+    tag: 'System', summary: 'Interactive API documentation', responses: { 200: html('The documentation page.') },
+  }],
+
+  // --- Auth ---
+  ['post', '/api/auth/register', {
+    tag: 'Auth',
+    summary: 'Create an (unverified Jurnalis) account and sign in',
+    body: registerBody,
+    responses: { 201: json(ref('Session'), 'Created.') },
+    errors: [409],
+  }],
+  ['post', '/api/auth/login', {
+    tag: 'Auth',
+    summary: 'Sign in',
+    description: `After ${rateLimitConfig.loginLockout.threshold} failed attempts for one email address, the address is `
+      + 'locked (429 LOGIN_LOCKED) for a time that doubles with each further failure.',
+    body: loginBody,
+    responses: { 200: json(ref('Session')), 401: ERROR_RESPONSES[401][1] },
+  }],
+  ['post', '/api/auth/logout', {
+    tag: 'Auth', summary: 'Revoke the current token', access: 'user', responses: { 204: noContent },
+  }],
+  ['get', '/api/auth/me', {
+    tag: 'Auth', summary: 'The signed-in user', access: 'user', responses: { 200: json(object({ user: ref('User') })) },
+  }],
+  ['get', '/api/auth/invitations/{token}', {
+    tag: 'Auth',
+    summary: 'Who an invitation link is for',
+    description: 'An unknown, used or expired link is a 404 with code INVITATION_INVALID.',
+    params: invitationParams,
+    responses: { 200: json(object({ name: string(), email: string(), expiresAt: string({ format: 'date-time' }) })) },
+    errors: [404],
+  }],
+  ['post', '/api/auth/invitations/{token}/accept', {
+    tag: 'Auth',
+    summary: 'Accept an invitation',
+    description: 'Sets the password, uses up the link and signs the member in.',
+    params: invitationParams,
+    body: acceptInvitationBody,
+    responses: { 200: json(ref('Session')) },
+    errors: [404],
+  }],
+
+  // --- Users ---
+  ['get', '/api/users', {
+    tag: 'Users', summary: 'List users', access: PERMISSIONS.USERS_MANAGE, query: userListQuery,
+    responses: { 200: json(page('User')) },
+  }],
+  ['get', '/api/users/{id}', {
+    tag: 'Users', summary: 'Get a user (yourself, or anyone for admins)', access: 'user', params: idParams,
+    responses: { 200: json(ref('User')) }, errors: [403, 404],
+  }],
+  ['post', '/api/users', {
+    tag: 'Users', summary: 'Create a user', access: PERMISSIONS.USERS_MANAGE, body: userCreateBody,
+    responses: { 201: json(ref('User'), 'Created.') }, errors: [409],
+  }],
+  ['put', '/api/users/{id}', {
+    tag: 'Users',
+    summary: 'Update a user',
+    description: 'Members may edit their own profile; role and verification changes are admin-only.',
+    access: 'user',
+    params: idParams,
+    body: userUpdateBody,
+    responses: { 200: json(ref('User')) },
+    errors: [403, 404, 409],
+  }],
+  ['delete', '/api/users/{id}', {
+    tag: 'Users', summary: 'Delete a user', access: PERMISSIONS.USERS_MANAGE, params: idParams,
+    responses: { 204: noContent }, errors: [404],
+  }],
+  ['get', '/api/users/{id}/press-card', {
+    tag: 'Membership',
+    summary: 'Printable press card',
+    access: 'user',
+    params: idParams,
+    query: pressCardQuery,
+    responses: {
+      200: {
+        description: 'The card as an HTML page, or SVG with ?format=svg.',
+        content: { 'text/html': { schema: string() }, 'image/svg+xml': { schema: string() } },
+      },
+    },
+    errors: [403, 404, 409],
+  }],
+
+  // --- Member directory ---
+  ['get', '/api/members', {
+    tag: 'Members', summary: 'The member directory', access: PERMISSIONS.USERS_MANAGE, query: memberListQuery,
+    responses: { 200: json(page('Member')) },
+  }],
+  ['get', '/api/members/export', {
+    tag: 'Members',
+    summary: 'Export the directory',
+    description: 'Every member matching the filters, as CSV (default) or XLSX. The headers are the ones the import recognises.',
+    access: PERMISSIONS.USERS_MANAGE,
+    query: memberExportQuery,
+    responses: {
+      200: {
+        description: 'The spreadsheet.',
+        content: {
+          'text/csv': { schema: string() },
+          'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { schema: string({ format: 'binary' }) },
+        },
+      },
+    },
+  }],
+  ['post', '/api/members/imports', {
+    tag: 'Members',
+    summary: 'Check a CSV file of members (import preview)',
+    description: 'Columns are matched by their usual headers (Nama, Email, No. HP, Media, Jabatan, UKW, Peran, '
+      + 'Terverifikasi) unless `mapping` names them. Every row is validated and checked for duplicate email '
+      + 'addresses; nothing is created until the preview is committed. Previews expire after a day.',
+    access: PERMISSIONS.USERS_MANAGE,
+    multipart: memberImportBody,
+    files: { file: string({ format: 'binary' }) },
+    responses: { 201: json(ref('MemberImport'), 'Created.') },
+    errors: [413],
+  }],
+  ['get', '/api/members/imports/{importId}', {
+    tag: 'Members', summary: 'Get an import preview', access: PERMISSIONS.USERS_MANAGE, params: memberImportParams,
+    responses: { 200: json(ref('MemberImport')) }, errors: [404],
+  }],
+  ['post', '/api/members/imports/{importId}/commit', {
+    tag: 'Members',
+    summary: 'Commit an import',
+    description: 'Creates the valid rows as members without a password and answers an invitation link for each.',
+    access: PERMISSIONS.USERS_MANAGE,
+    params: memberImportParams,
+    responses: { 200: json(ref('MemberImportResult')) },
+    errors: [404, 409],
+  }],
+  ['post', '/api/members/{id}/invitation', {
+    tag: 'Members',
+    summary: 'Issue a new invitation link',
+    description: 'For members who have not activated their account; the previous link stops working.',
+    access: PERMISSIONS.USERS_MANAGE,
+    params: idParams,
+    responses: { 201: json(ref('Invitation'), 'Created.') },
+    errors: [404, 409],
+  }],
+
+  // --- Articles ---
+  ['get', '/api/articles', {
+    tag: 'Articles',
+    summary: 'List articles',
+    description: 'Anonymous callers only see published articles.',
+    access: 'optional',
+    query: articleListQuery,
+    responses: { 200: json(page('Article')) },
+  }],
+  ['get', '/api/articles/by-slug/{slug}', {
+    tag: 'Articles',
+    summary: 'Get an article by slug, with its share metadata',
+    description: 'A former slug answers with a 301 redirect to the current one.',
+    access: 'optional',
+    params: articleSlugParams,
+    responses: { 200: json(extend('Article', { meta: ref('ShareMeta') })), 301: { description: 'Moved to the current slug.' } },
+    errors: [404],
+  }],
+  ['get', '/api/articles/{id}', {
+    tag: 'Articles', summary: 'Get an article', access: 'optional', params: idParams,
+    responses: { 200: json(ref('Article')) }, errors: [404],
+  }],
+  ['post', '/api/articles', {
+    tag: 'Articles', summary: 'Create a draft article', access: PERMISSIONS.ARTICLES_CREATE, body: articleCreateBody,
+    responses: { 201: json(ref('Article'), 'Created.') }, errors: [409],
+  }],
+  ['put', '/api/articles/{id}', {
+    tag: 'Articles',
+    summary: 'Update an article',
+    description: 'Status and feedback only change through the workflow actions.',
+    access: 'user',
+    params: idParams,
+    body: articleUpdateBody,
+    responses: { 200: json(ref('Article')) },
+    errors: [403, 404, 409],
+  }],
+  ['delete', '/api/articles/{id}', {
+    tag: 'Articles',
+    summary: 'Delete an article',
+    description: 'Authors may delete their own drafts; other articles need `articles:edit-any`. '
+      + 'The workflow history, revisions, tags, comments and view counts go with it.',
+    access: 'user',
+    params: idParams,
+    responses: { 204: noContent },
+    errors: [403, 404],
+  }],
+  ['get', '/api/articles/{id}/transitions', {
+    tag: 'Articles', summary: 'Workflow history', access: 'user', params: idParams,
+    responses: { 200: json(arrayOf(ref('Transition'))) }, errors: [403, 404],
+  }],
+  ['get', '/api/articles/{id}/revisions', {
+    tag: 'Articles', summary: 'List revisions', access: 'user', params: idParams,
+    responses: { 200: json(arrayOf(ref('Revision'))) }, errors: [403, 404],
+  }],
+  ['get', '/api/articles/{id}/revisions/diff', {
+    tag: 'Articles',
+    summary: 'Word diff between two revisions',
+    description: '`to` defaults to the latest revision and `from` to the one before it.',
+    access: 'user',
+    params: idParams,
+    query: revisionDiffQuery,
+    responses: {
+      200: json(object({
+        articleId: integer,
+        from: ref('Revision'),
+        to: ref('Revision'),
+        fields: object({
+          title: ref('WordDiff'),
+          snippet: ref('WordDiff'),
+          content: ref('WordDiff'),
+          coverImageUrl: object({ changed: boolean, before: nullableString(), after: nullableString() }),
+        }),
+      })),
+    },
+    errors: [403, 404],
+  }],
+  ['get', '/api/articles/{id}/revisions/{rev}', {
+    tag: 'Articles', summary: 'Get a revision with its content', access: 'user', params: revisionParams,
+    responses: { 200: json(ref('Revision')) }, errors: [403, 404],
+  }],
+  ['post', '/api/articles/{id}/revisions/{rev}/restore', {
+    tag: 'Articles',
+    summary: 'Restore a revision',
+    access: 'user',
+    params: revisionParams,
+    responses: { 200: json(extend('Article', { revision: integer })) },
+    errors: [403, 404],
+  }],
+  ['post', '/api/articles/{id}/{action}', {
+    tag: 'Articles',
+    summary: 'Move an article through the editorial workflow',
+    description: '`feedback` is required for request-revision, `publishAt` for schedule.',
+    access: 'user',
+    params: workflowParams,
+    body: workflowBody,
+    responses: { 200: json(ref('Article')) },
+    errors: [403, 404, 409],
+  }],
+
+  // --- Comments ---
+  ['get', '/api/articles/{articleId}/comments', {
+    tag: 'Comments',
+    summary: 'Approved comments of a published article, as threads',
+    params: commentArticleParams,
+    responses: { 200: json(object({ total: integer, data: arrayOf(ref('CommentThread')) })) },
+    errors: [404],
+  }],
+  ['post', '/api/articles/{articleId}/comments', {
+    tag: 'Comments',
+    summary: 'Post a comment',
+    description: 'Guests must give authorName. Suspicious comments wait for moderation.',
+    access: 'optional',
+    params: commentArticleParams,
+    body: commentBody,
+    responses: { 201: json(extend('Comment', { message: string() }), 'Created.') },
+    errors: [404],
+  }],
+  ['get', '/api/comments', {
+    tag: 'Comments',
+    summary: 'List comments',
+    description: 'The public sees approved comments on published articles; moderators any status.',
+    access: 'optional',
+    query: commentListQuery,
+    responses: { 200: json(page('Comment')) },
+  }],
+  ['get', '/api/comments/pending', {
+    tag: 'Comments', summary: 'The moderation queue', access: PERMISSIONS.COMMENTS_MODERATE, query: PAGE_QUERY,
+    responses: { 200: json(page('Comment')) },
+  }],
+  ['post', '/api/comments/moderate', {
+    tag: 'Comments',
+    summary: 'Approve or reject comments in bulk',
+    access: PERMISSIONS.COMMENTS_MODERATE,
+    body: bulkModerationBody,
+    responses: { 200: json(object({ action: string(), updated: arrayOf(integer), updatedCount: integer })) },
+  }],
+  ...moderationOperations(),
+
+  // --- Categories and tags ---
+  ['get', '/api/categories', {
+    tag: 'Taxonomy', summary: 'List categories', responses: { 200: json(arrayOf(ref('Category'))) },
+  }],
+  ['get', '/api/categories/{slug}', {
+    tag: 'Taxonomy', summary: 'Get a category', params: slugParams, responses: { 200: json(ref('Category')) }, errors: [404],
+  }],
+  ['get', '/api/categories/{slug}/articles', {
+    tag: 'Taxonomy', summary: 'Articles in a category', access: 'optional', params: slugParams, query: PAGE_QUERY,
+    responses: { 200: json(page('Article')) }, errors: [404],
+  }],
+  ['post', '/api/categories', {
+    tag: 'Taxonomy', summary: 'Create a category', access: PERMISSIONS.CATEGORIES_MANAGE, body: categoryCreateBody,
+    responses: { 201: json(ref('Category'), 'Created.') }, errors: [409],
+  }],
+  ['put', '/api/categories/{id}', {
+    tag: 'Taxonomy', summary: 'Update a category', access: PERMISSIONS.CATEGORIES_MANAGE, params: idParams,
+    body: categoryUpdateBody, responses: { 200: json(ref('Category')) }, errors: [404, 409],
+  }],
+  ['delete', '/api/categories/{id}', {
+    tag: 'Taxonomy',
+    summary: 'Delete a category',
+    description: 'Its articles move to the default category, which itself cannot be deleted.',
+    access: PERMISSIONS.CATEGORIES_MANAGE,
+    params: idParams,
+    responses: { 204: noContent },
+    errors: [404, 409],
+  }],
+  ['get', '/api/tags', {
+    tag: 'Taxonomy',
+    summary: 'The tag cloud',
+    description: 'Tags with published articles, most used first. Editors may add ?include=all.',
+    access: 'optional',
+    query: tagListQuery,
+    responses: { 200: json(page('Tag')) },
+  }],
+  ['get', '/api/tags/{slug}', {
+    tag: 'Taxonomy', summary: 'Get a tag', params: slugParams, responses: { 200: json(ref('Tag')) }, errors: [404],
+  }],
+  ['get', '/api/tags/{slug}/articles', {
+    tag: 'Taxonomy', summary: 'Articles with a tag', access: 'optional', params: slugParams, query: PAGE_QUERY,
+    responses: { 200: json(page('Article')) }, errors: [404],
+  }],
+  ['post', '/api/tags', {
+    tag: 'Taxonomy', summary: 'Create a tag', access: PERMISSIONS.TAGS_MANAGE, body: tagCreateBody,
+    responses: { 201: json(ref('Tag'), 'Created.') }, errors: [409],
+  }],
+  ['put', '/api/tags/{id}', {
+    tag: 'Taxonomy', summary: 'Rename a tag', access: PERMISSIONS.TAGS_MANAGE, params: idParams, body: tagUpdateBody,
+    responses: { 200: json(ref('Tag')) }, errors: [404, 409],
+  }],
+  ['delete', '/api/tags/{id}', {
+    tag: 'Taxonomy', summary: 'Delete a tag', access: PERMISSIONS.TAGS_MANAGE, params: idParams,
+    responses: { 204: noContent }, errors: [404],
+  }],
+
+  // --- Inspiration notes ---
+  ['get', '/api/inspiration-notes', {
+    tag: 'Inspiration notes', summary: 'Your notes', access: PERMISSIONS.NOTES_MANAGE_OWN, query: PAGE_QUERY,
+    responses: { 200: json(page('InspirationNote')) },
+  }],
+  ['post', '/api/inspiration-notes', {
+    tag: 'Inspiration notes', summary: 'Add a note', access: PERMISSIONS.NOTES_MANAGE_OWN, body: noteBody,
+    responses: { 201: json(ref('InspirationNote'), 'Created.') },
+  }],
+  ['put', '/api/inspiration-notes/{id}', {
+    tag: 'Inspiration notes', summary: 'Edit a note', access: PERMISSIONS.NOTES_MANAGE_OWN, params: idParams,
+    body: noteBody, responses: { 200: json(ref('InspirationNote')) }, errors: [403, 404],
+  }],
+  ['delete', '/api/inspiration-notes/{id}', {
+    tag: 'Inspiration notes', summary: 'Delete a note', access: PERMISSIONS.NOTES_MANAGE_OWN, params: idParams,
+    responses: { 204: noContent }, errors: [403, 404],
+  }],
+
+  // --- Notifications ---
+  ['get', '/api/notifications', {
+    tag: 'Notifications', summary: 'Your notifications', access: 'user', query: notificationListQuery,
+    responses: { 200: json(page('Notification')) },
+  }],
+  ['get', '/api/notifications/unread-count', {
+    tag: 'Notifications', summary: 'Number of unread notifications', access: 'user',
+    responses: { 200: json(object({ unread: integer })) },
+  }],
+  ['get', '/api/notifications/stream', {
+    tag: 'Notifications',
+    summary: 'Live notifications (Server-Sent Events)',
+    description: 'Sends `unread` on connect and a `notification` event for each new notification. '
+      + 'EventSource cannot set headers, so the token may be passed as ?access_token=. '
+      + 'Reconnecting with Last-Event-ID replays what was missed.',
+    access: 'user',
+    query: object({ access_token: string() }),
+    responses: { 200: { description: 'The event stream.', content: { 'text/event-stream': { schema: string() } } } },
+  }],
+  ['post', '/api/notifications/read-all', {
+    tag: 'Notifications', summary: 'Mark every notification read', access: 'user',
+    responses: { 200: json(object({ updated: integer, unread: integer })) },
+  }],
+  ['post', '/api/notifications/{id}/read', {
+    tag: 'Notifications', summary: 'Mark a notification read', access: 'user', params: idParams,
+    responses: { 200: json(extend('Notification', { unread: integer })) }, errors: [404],
+  }],
+
+  // --- Announcements ---
+  ['get', '/api/announcements', {
+    tag: 'Announcements',
+    summary: 'Announcements inside their display window',
+    description: `Editors may add ?include=all to see upcoming and expired ones too. ${LOCALIZED}`,
+    access: 'optional',
+    query: announcementListQuery,
+    responses: { 200: json(page('Announcement')) },
+  }],
+  ['get', '/api/announcements/{id}', {
+    tag: 'Announcements', summary: 'Get an announcement', description: LOCALIZED, access: 'optional', params: idParams,
+    query: localizedQuery, responses: { 200: json(ref('Announcement')) }, errors: [404],
+  }],
+  ['post', '/api/announcements', {
+    tag: 'Announcements', summary: 'Create an announcement', access: PERMISSIONS.ANNOUNCEMENTS_MANAGE,
+    body: announcementCreateBody, responses: { 201: json(ref('Announcement'), 'Created.') },
+  }],
+  ['put', '/api/announcements/{id}', {
+    tag: 'Announcements', summary: 'Update an announcement', access: PERMISSIONS.ANNOUNCEMENTS_MANAGE, params: idParams,
+    body: announcementUpdateBody, responses: { 200: json(ref('Announcement')) }, errors: [404],
+  }],
+  ['delete', '/api/announcements/{id}', {
+    tag: 'Announcements', summary: 'Delete an announcement', access: PERMISSIONS.ANNOUNCEMENTS_MANAGE, params: idParams,
+    responses: { 204: noContent }, errors: [404],
+  }],
+
+  // --- Site content ---
+  ...listResourceOperations('/api/partners', {
+    tag: 'Site content',
+    label: 'partner',
+    schema: 'Partner',
+    permission: PERMISSIONS.PARTNERS_MANAGE,
+    create: partnerCreateBody,
+    update: partnerUpdateBody,
+  }),
+  ...listResourceOperations('/api/structure', {
+    tag: 'Site content',
+    label: 'structure member',
+    schema: 'StructureMember',
+    permission: PERMISSIONS.STRUCTURE_MANAGE,
+    create: structureCreateBody,
+    update: structureUpdateBody,
+  }),
+  ['get', '/api/site', {
+    tag: 'Site content', summary: 'Branding, profile and navigation for every page', description: LOCALIZED,
+    query: localizedQuery, responses: { 200: json(ref('Site')) },
+  }],
+  ['get', '/api/contact-info', {
+    tag: 'Site content', summary: 'Contact details', responses: { 200: json(ref('ContactInfo')) },
+  }],
+  ['put', '/api/contact-info', {
+    tag: 'Site content', summary: 'Update the contact details', access: PERMISSIONS.CONTACT_MANAGE, body: contactInfoBody,
+    responses: { 200: json(ref('ContactInfo')) },
+  }],
+  ['get', '/api/profile-content', {
+    tag: 'Site content', summary: 'The organisation profile', description: LOCALIZED, query: localizedQuery,
+    responses: { 200: json(ref('ProfileContent')) },
+  }],
+  ['put', '/api/profile-content', {
+    tag: 'Site content', summary: 'Update the organisation profile', access: PERMISSIONS.PROFILE_MANAGE,
+    body: profileContentBody, responses: { 200: json(ref('ProfileContent')) },
+  }],
+  ['get', '/api/legal-content', {
+    tag: 'Site content', summary: 'Every legal page', description: LOCALIZED, query: localizedQuery,
+    responses: { 200: json(arrayOf(ref('LegalPage'))) },
+  }],
+  ['get', '/api/legal-content/{pageKey}', {
+    tag: 'Site content', summary: 'Get a legal page', description: LOCALIZED, params: legalPageParams,
+    query: localizedQuery, responses: { 200: json(ref('LegalPage')) }, errors: [404],
+  }],
+  ['put', '/api/legal-content/{pageKey}', {
+    tag: 'Site content', summary: 'Create or update a legal page', access: PERMISSIONS.LEGAL_MANAGE,
+    params: legalPageParams, body: legalContentBody, responses: { 200: json(ref('LegalPage')) },
+  }],
+  ['get', '/api/gallery', {
+    tag: 'Site content', summary: 'Gallery images', query: PAGE_QUERY, responses: { 200: json(page('GalleryImage')) },
+  }],
+  ['get', '/api/programs', {
+    tag: 'Site content', summary: 'Programs', description: LOCALIZED, query: programListQuery,
+    responses: { 200: json(page('Program')) },
+  }],
+
+  // --- Translations of site content ---
+  ['get', '/api/translations/missing', {
+    tag: 'Translations',
+    summary: 'Records not yet (fully) translated',
+    description: 'Every profile, legal page, program and announcement with Indonesian text that has no '
+      + 'translation into ?locale= (default en).',
+    access: PERMISSIONS.TRANSLATIONS_MANAGE,
+    query: missingTranslationsQuery,
+    responses: { 200: json(object({ locale: string(), total: integer, data: arrayOf(ref('MissingTranslation')) })) },
+  }],
+  ...translationOperations(),
+
+  // --- Program events ---
+  ['get', '/api/events', {
+    tag: 'Events',
+    summary: 'List events',
+    description: 'Upcoming events (those that have not ended) by default; when=past or when=all for the others.',
+    query: eventListQuery,
+    responses: { 200: json(page('Event')) },
+  }],
+  ['get', '/api/events/{id}', {
+    tag: 'Events', summary: 'Get an event', params: idParams, responses: { 200: json(ref('Event')) }, errors: [404],
+  }],
+  ['post', '/api/events', {
+    tag: 'Events',
+    summary: 'Schedule an event of a program',
+    description: 'Without a quota registration is unlimited; without a deadline it closes when the event starts.',
+    access: PERMISSIONS.EVENTS_MANAGE,
+    body: eventCreateBody,
+    responses: { 201: json(ref('Event'), 'Created.') },
+  }],
+  ['put', '/api/events/{id}', {
+    tag: 'Events',
+    summary: 'Update or cancel an event',
+    description: 'cancelled: true cancels the event and closes registration. Raising the quota moves waitlisted '
+      + 'participants up, oldest first.',
+    access: PERMISSIONS.EVENTS_MANAGE,
+    params: idParams,
+    body: eventUpdateBody,
+    responses: { 200: json(ref('Event')) },
+    errors: [404],
+  }],
+  ['delete', '/api/events/{id}', {
+    tag: 'Events',
+    summary: 'Delete an event',
+    description: 'Refused (409) once someone has registered; cancel the event instead.',
+    access: PERMISSIONS.EVENTS_MANAGE,
+    params: idParams,
+    responses: { 204: noContent },
+    errors: [404, 409],
+  }],
+  ['post', '/api/events/{id}/registrations', {
+    tag: 'Events',
+    summary: 'Register for an event',
+    description: 'Members register under their account and their profile fills the fields left out; guests give '
+      + 'at least a name and an email address. Once the quota is taken the registration is Waitlisted. '
+      + 'REGISTRATION_CLOSED (409) after the deadline or for a cancelled event, ALREADY_REGISTERED (409) for a '
+      + 'second registration with the same email address or account.',
+    access: 'optional',
+    params: idParams,
+    body: eventRegistrationBody,
+    responses: {
+      201: json(extend('EventRegistration', { manageUrl: string(), message: string() }), 'Registered or waitlisted.'),
+    },
+    errors: [404, 409],
+  }],
+  ['get', '/api/event-registrations/{token}', {
+    tag: 'Events',
+    summary: 'A registration, through its link',
+    params: registrationTokenParams,
+    responses: { 200: json(extend('EventRegistration', { event: ref('Event') })) },
+    errors: [404],
+  }],
+  ['post', '/api/event-registrations/{token}/cancel', {
+    tag: 'Events',
+    summary: 'Cancel a registration, through its link',
+    description: 'The place goes to the first participant on the waitlist. Refused (409) after check-in.',
+    params: registrationTokenParams,
+    responses: { 200: json(ref('EventRegistration')) },
+    errors: [404, 409],
+  }],
+  ['get', '/api/event-registrations/{token}/certificate', {
+    tag: 'Events',
+    summary: 'Participation certificate, through the registration link',
+    description: 'Only for participants who were checked in; NOT_ATTENDED (409) otherwise.',
+    params: registrationTokenParams,
+    query: certificateQuery,
+    responses: { 200: CERTIFICATE_RESPONSE },
+    errors: [404, 409],
+  }],
+  ['get', '/api/events/{id}/registrations', {
+    tag: 'Events',
+    summary: 'List an event\'s registrations',
+    description: 'Cancelled registrations only with status=Cancelled.',
+    access: PERMISSIONS.EVENTS_MANAGE,
+    params: idParams,
+    query: registrationListQuery,
+    responses: { 200: json(page('EventRegistration')) },
+    errors: [404],
+  }],
+  ['get', '/api/events/{id}/registrations/export', {
+    tag: 'Events',
+    summary: 'Export the attendee list',
+    description: 'The registrations matching the filters, in registration order, as CSV (default) or XLSX.',
+    access: PERMISSIONS.EVENTS_MANAGE,
+    params: idParams,
+    query: attendeeExportQuery,
+    responses: {
+      200: {
+        description: 'The spreadsheet.',
+        content: {
+          'text/csv': { schema: string() },
+          'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { schema: string({ format: 'binary' }) },
+        },
+      },
+    },
+    errors: [404],
+  }],
+  ['post', '/api/events/{id}/check-in', {
+    tag: 'Events',
+    summary: 'Check a participant in',
+    description: 'Records attendance and assigns the certificate number. Checking in again answers the first '
+      + 'check-in; waitlisted and cancelled registrations are refused with NOT_REGISTERED (409).',
+    access: PERMISSIONS.EVENTS_MANAGE,
+    params: idParams,
+    body: checkInBody,
+    responses: { 200: json(ref('EventRegistration')) },
+    errors: [404, 409],
+  }],
+  ['get', '/api/events/{id}/registrations/{registrationId}/certificate', {
+    tag: 'Events',
+    summary: 'Participation certificate of a participant',
+    access: PERMISSIONS.EVENTS_MANAGE,
+    params: eventRegistrationParams,
+    query: certificateQuery,
+    responses: { 200: CERTIFICATE_RESPONSE },
+    errors: [404, 409],
+  }],
+
+  // --- Media ---
+  ['post', '/api/media', {
+    tag: 'Media',
+    summary: 'Upload an image',
+    description: 'Stored with resized variants; the URLs are in the response.',
+    access: PERMISSIONS.MEDIA_UPLOAD,
+    multipart: object({ file: string({ format: 'binary' }) }, { required: ['file'] }),
+    responses: { 201: json(ref('Media'), 'Created.') },
+    errors: [400, 413],
+  }],
+  ['get', '/api/media', {
+    tag: 'Media',
+    summary: 'List uploads',
+    description: 'Members see their own uploads, admins everyone\'s.',
+    access: PERMISSIONS.MEDIA_UPLOAD,
+    query: mediaListQuery,
+    responses: { 200: json(page('Media')) },
+  }],
+  ['get', '/api/media/{id}', {
+    tag: 'Media', summary: 'Get an upload and where it is used', access: PERMISSIONS.MEDIA_UPLOAD, params: idParams,
+    responses: { 200: json(extend('Media', { usages: arrayOf(ref('MediaUsage')) })) }, errors: [403, 404],
+  }],
+  ['delete', '/api/media/{id}', {
+    tag: 'Media',
+    summary: 'Delete an upload',
+    description: 'Refused with MEDIA_IN_USE (409, usages in `details`) while something still uses it.',
+    access: PERMISSIONS.MEDIA_UPLOAD,
+    params: idParams,
+    responses: { 204: noContent },
+    errors: [403, 404, 409],
+  }],
+
+  // --- Member verification ---
+  ['post', '/api/verification-requests', {
+    tag: 'Membership',
+    summary: 'Apply for verification with supporting documents',
+    access: PERMISSIONS.MEMBERSHIP_APPLY,
+    multipart: verificationRequestBody,
+    files: { documents: arrayOf(string({ format: 'binary' })) },
+    responses: { 201: json(ref('VerificationRequest'), 'Created.') },
+    errors: [409, 413],
+  }],
+  ['get', '/api/verification-requests', {
+    tag: 'Membership',
+    summary: 'List verification requests',
+    description: 'Admins see every request, members their own.',
+    access: 'user',
+    query: verificationListQuery,
+    responses: { 200: json(page('VerificationRequest')) },
+  }],
+  ['get', '/api/verification-requests/{id}', {
+    tag: 'Membership', summary: 'Get a verification request', access: 'user', params: idParams,
+    responses: { 200: json(ref('VerificationRequest')) }, errors: [403, 404],
+  }],
+  ['get', '/api/verification-requests/{id}/documents/{index}', {
+    tag: 'Membership',
+    summary: 'Download a submitted document',
+    access: 'user',
+    params: documentParams,
+    responses: { 200: { description: 'The file.', content: { 'application/octet-stream': { schema: string({ format: 'binary' }) } } } },
+    errors: [403, 404],
+  }],
+  ...verificationReviewOperations(),
+  ['get', '/api/verify/{cardNumber}', {
+    tag: 'Membership',
+    summary: 'Public press card check (the QR code target)',
+    description: 'Browsers get an HTML page. An unknown number is a 404 with valid: false.',
+    params: cardNumberParams,
+    responses: {
+      200: { description: 'The card holder.', content: { 'application/json': { schema: ref('CardCheck') }, 'text/html': { schema: string() } } },
+      404: json(object({ cardNumber: string(), valid: boolean, status: string(), message: string() }), 'Unknown card number.'),
+    },
+  }],
+
+  // --- Messages ---
+  ['get', '/api/messages/challenge', {
+    tag: 'Messages',
+    summary: 'A security question for the contact form',
+    description: 'The token and the answer go with one POST /api/messages; the token expires after 30 minutes.',
+    responses: { 200: json(object({ question: string(), token: string(), expiresAt: string({ format: 'date-time' }) })) },
+  }],
+  ['post', '/api/messages', {
+    tag: 'Messages',
+    summary: 'Send an aspiration or contact message',
+    description: 'A wrong, expired or reused challenge is a 400 with code CHALLENGE_FAILED. `website` is a '
+      + 'honeypot and must stay empty. Admins are notified of every message not held as spam.',
+    body: messageBody,
+    responses: { 201: json(object({ trackingUrl: string(), message: string() }), 'Received.') },
+  }],
+  ['get', '/api/messages/track/{token}', {
+    tag: 'Messages',
+    summary: 'Follow a message through its tracking link',
+    params: trackingParams,
+    responses: { 200: json(ref('MessageTracking')) },
+    errors: [404],
+  }],
+  ['get', '/api/messages', {
+    tag: 'Messages',
+    summary: 'The inbox',
+    description: 'Archived messages only with archived=true; spam only with status=Spam.',
+    access: PERMISSIONS.MESSAGES_MANAGE,
+    query: messageListQuery,
+    responses: { 200: json(page('ContactMessage')) },
+  }],
+  ['get', '/api/messages/{id}', {
+    tag: 'Messages', summary: 'A message with its replies', access: PERMISSIONS.MESSAGES_MANAGE, params: idParams,
+    responses: { 200: json(extend('ContactMessage', { replies: arrayOf(ref('MessageReply')) })) }, errors: [404],
+  }],
+  ['put', '/api/messages/{id}', {
+    tag: 'Messages',
+    summary: 'Assign, tag, archive or set the status of a message',
+    description: 'Assigning a New message opens it and notifies the assignee.',
+    access: PERMISSIONS.MESSAGES_MANAGE,
+    params: idParams,
+    body: messageUpdateBody,
+    responses: { 200: json(ref('ContactMessage')) },
+    errors: [404],
+  }],
+  ['post', '/api/messages/{id}/replies', {
+    tag: 'Messages',
+    summary: 'Reply to a message',
+    description: 'The reply appears on the sender\'s tracking page and the message becomes Replied.',
+    access: PERMISSIONS.MESSAGES_MANAGE,
+    params: idParams,
+    body: messageReplyBody,
+    responses: { 201: json(ref('MessageReply'), 'Created.') },
+    errors: [404],
+  }],
+
+  // --- Search ---
+  ['get', '/api/search', {
+    tag: 'Search',
+    summary: 'Full-text search',
+    description: '`type` is a comma-separated list of article, announcement, gallery and program.',
+    access: 'optional',
+    query: searchQuery,
+    responses: { 200: json(ref('SearchResults')) },
+  }],
+
+  // --- Admin ---
+  ['get', '/api/admin/audit', {
+    tag: 'Admin', summary: 'The audit log', access: PERMISSIONS.AUDIT_VIEW, query: auditListQuery,
+    responses: { 200: json(page('AuditEntry')) },
+  }],
+  ['get', '/api/admin/stats', {
+    tag: 'Admin',
+    summary: 'Dashboard statistics',
+    description: 'For the days from..to (both included, the last 30 by default, at most 366): views per day, the '
+      + '`top` most read articles (10 by default), activity per author, comment volumes and member growth. '
+      + 'Article counts per status and the moderation queues are current totals.',
+    access: PERMISSIONS.STATS_VIEW,
+    query: statsQuery,
+    responses: { 200: json(ref('DashboardStats')) },
+  }],
+  ['get', '/api/admin/backups', {
+    tag: 'Admin', summary: 'List stored backups', access: PERMISSIONS.BACKUPS_MANAGE,
+    responses: { 200: json(arrayOf(ref('BackupFile'))) },
+  }],
+  ['post', '/api/admin/backups', {
+    tag: 'Admin',
+    summary: 'Back up the whole site',
+    description: 'Every table and a manifest of the uploaded files, stored as a gzipped JSON archive.',
+    access: PERMISSIONS.BACKUPS_MANAGE,
+    responses: { 201: json(ref('Backup'), 'Created.') },
+  }],
+  ['post', '/api/admin/backups/upload', {
+    tag: 'Admin',
+    summary: 'Upload a backup archive',
+    description: 'The archive is checked and stored, ready to be restored.',
+    access: PERMISSIONS.BACKUPS_MANAGE,
+    multipart: object({ archive: string({ format: 'binary' }) }, { required: ['archive'] }),
+    responses: { 201: json(ref('Backup'), 'Created.') },
+    errors: [409, 413],
+  }],
+  ['get', '/api/admin/backups/{file}', {
+    tag: 'Admin',
+    summary: 'Download a backup',
+    access: PERMISSIONS.BACKUPS_MANAGE,
+    params: backupFileParams,
+    responses: { 200: { description: 'The archive.', content: { 'application/gzip': { schema: string({ format: 'binary' }) } } } },
+    errors: [404],
+  }],
+  ['delete', '/api/admin/backups/{file}', {
+    tag: 'Admin', summary: 'Delete a backup', access: PERMISSIONS.BACKUPS_MANAGE, params: backupFileParams,
+    responses: { 204: noContent }, errors: [404],
+  }],
+  ['post', '/api/admin/backups/{file}/restore', {
+    tag: 'Admin',
+    summary: 'Restore a backup',
+    description: 'mode "merge" (default) adds the rows to what is there and resolves existing primary keys '
+      + 'with onConflict (default "fail"); mode "replace" empties each table in the backup first. '
+      + 'With dryRun nothing is written. A restore that cannot go ahead is refused with '
+      + 'BACKUP_NOT_RESTORABLE (409, the report in `details`).',
+    access: PERMISSIONS.BACKUPS_MANAGE,
+    params: backupFileParams,
+    body: restoreBody,
+    responses: { 200: json(ref('RestoreReport')) },
+    errors: [404, 409],
+  }],
+
+  // --- Feeds and pages outside /api ---
+  ...feedOperations('rss', 'application/rss+xml'),
+  ...feedOperations('atom', 'application/atom+xml'),
+  ...feedOperations('json', 'application/feed+json'),
+  ['get', '/sitemap.xml', {
+    tag: 'Feeds',
+    summary: 'Sitemap of the public pages and published articles',
+    responses: { 200: { description: 'The sitemap.', content: { 'application/xml': { schema: string() } } }, 304: noContent },
+  }],
+  ['get', '/berita/{slug}', {
+    tag: 'Pages',
+    summary: 'Article share page with Open Graph tags',
+    params: pageSlugParams,
+    responses: { 200: html('The article page.'), 301: { description: 'Moved to the current slug.' }, 404: html('Not found.') },
+  }],
+];
+
+// Validation schemas may list several types (e.g. tags: a list or a comma-separated string);
+// OpenAPI 3.0 spells that as oneOf.
+export function toOpenApiSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+  if (Array.isArray(schema.type)) {
+    const { type, ...rest } = schema;
+    return { oneOf: type.map((item) => toOpenApiSchema({ ...rest, type: item })) };
+  }
+  const converted = { ...schema };
+  if (schema.enum) converted.enum = [...schema.enum];
+  if (schema.items) converted.items = toOpenApiSchema(schema.items);
+  if (schema.required) converted.required = [...schema.required];
+  if (typeof schema.additionalProperties === 'object') {
+    converted.additionalProperties = toOpenApiSchema(schema.additionalProperties);
+  }
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([name, property]) => [name, toOpenApiSchema(property)]),
+    );
+  }
+  return converted;
+}
+
+function parameters(location, schema) {
+  return Object.entries(schema.properties).map(([name, property]) => ({
+    name,
+    in: location,
+    required: location === 'path' || Boolean(schema.required?.includes(name)),
+    schema: toOpenApiSchema(property),
+  }));
+}
+
+function buildOperation({
+  tag, summary, description, deprecated, access = 'public', params, query, body, multipart, files,
+  responses, errors = [],
+}, { rateLimited = false } = {}) {
+  const operation = { tags: [tag], summary };
+  const notes = description ? [description] : [];
+  if (access !== 'public' && access !== 'optional' && access !== 'user') {
+    notes.push(`Requires the \`${access}\` permission (${rolesWith(access).join(', ')}).`);
+  }
+  if (notes.length > 0) operation.description = notes.join(' ');
+  if (deprecated) operation.deprecated = true;
+
+  const parameterList = [
+    ...(params ? parameters('path', params) : []),
+    ...(query ? parameters('query', query) : []),
+  ];
+  if (parameterList.length > 0) operation.parameters = parameterList;
+  if (body) {
+    operation.requestBody = { required: true, content: { 'application/json': { schema: toOpenApiSchema(body) } } };
+  }
+  if (multipart) {
+    const schema = toOpenApiSchema(multipart);
+    if (files) schema.properties = { ...schema.properties, ...files };
+    operation.requestBody = { required: true, content: { 'multipart/form-data': { schema } } };
+  }
+
+  if (access === 'optional') operation.security = [{}, { bearerAuth: [] }];
+  else if (access !== 'public') operation.security = [{ bearerAuth: [] }];
+
+  const implied = [];
+  if (params || query || body || multipart) implied.push(400);
+  if (access !== 'public' && access !== 'optional') implied.push(401);
+  if (!['public', 'optional', 'user'].includes(access)) implied.push(403);
+  if (rateLimited) implied.push(429);
+  operation.responses = { ...responses };
+  for (const status of [...implied, ...errors].sort()) {
+    operation.responses[status] ??= { $ref: `#/components/responses/${ERROR_RESPONSES[status][0]}` };
+  }
+  return operation;
+}
+
+export function buildOpenApiDocument() {
+  const paths = {};
+  for (const [method, path, details] of OPERATIONS) {
+    paths[path] ??= {};
+    paths[path][method] = buildOperation(details, { rateLimited: path.startsWith('/api') });
+  }
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'PWMOI Banyuwangi API',
+      version: '1.0.0',
+      description: 'Backend of the PWMOI Banyuwangi site. Errors share one envelope (the Error schema); '
+        + 'messages follow Accept-Language (en or id), and so does site content (profile, legal pages, '
+        + 'programs, announcements), which can also be asked for with ?lang= and defaults to Indonesian. List endpoints take ?page=&pageSize=&sort= '
+        + 'where sort is a comma-separated list of fields, "-" for descending. Requests are rate limited '
+        + 'per client (sign-in and public forms more strictly); responses carry RateLimit-Limit, '
+        + 'RateLimit-Remaining and RateLimit-Reset, and a 429 carries Retry-After.',
+    },
+    servers: [{ url: siteConfig.apiUrl }],
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'The token from /api/auth/login or /api/auth/register.' },
+      },
+      schemas: SCHEMAS,
+      responses: Object.fromEntries(Object.values(ERROR_RESPONSES)),
+    },
+  };
+}
@@ -0,0 +1,80 @@
+import { HttpError } from './errors.js';
+
+// --- Offset pagination, sorting and filtering for list endpoints ---
+// List responses share one envelope: { data: [...], pagination: { page, pageSize, total, totalPages } }.
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+export class ListQueryError extends HttpError {
+  constructor(message) {
+    super(400, message);
+    this.name = 'ListQueryError';
+  }
+}
+
+function toPositiveInt(value, fallback) {
+  const number = Number.parseInt(value, 10);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+export function parsePagination(query = {}, { defaultPageSize = DEFAULT_PAGE_SIZE } = {}) {
+  const page = toPositiveInt(query.page, 1);
+  const pageSize = Math.min(toPositiveInt(query.pageSize, defaultPageSize), MAX_PAGE_SIZE);
+  return { page, pageSize, offset: (page - 1) * pageSize };
+}
+
+// `sort` is a comma-separated list of API field names, '-' prefix for descending: "-id,title".
+// `columns` maps each sortable API field to its SQL column, so user input never reaches SQL.
+export function parseSort(sort, columns, defaultSort) {
+  const fields = String(sort || defaultSort).split(',').map((field) => field.trim()).filter(Boolean);
+  const clauses = fields.map((field) => {
+    const descending = field.startsWith('-');
+    const name = descending ? field.slice(1) : field;
+    if (!Object.prototype.hasOwnProperty.call(columns, name)) {
+      throw new ListQueryError(`Cannot sort by "${name}". Sortable fields: ${Object.keys(columns).join(', ')}.`);
+    }
+    return `${columns[name]} ${descending ? 'DESC' : 'ASC'}`;
+  });
+  return clauses.join(', ');
+}
+
+// Runs a COUNT and a page query over the same FROM/WHERE. `where` is a list of SQL conditions
+// joined with AND, with their values in `params`.
+export async function paginatedQuery(pool, {
+  select = '*',
+  from,
+  where = [],
+  params = [],
+  orderBy,
+  page,
+  pageSize,
+  offset,
+}) {
+  const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+  const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM ${from} ${whereSql}`, params);
+  const [rows] = await pool.query(
+    `SELECT ${select} FROM ${from} ${whereSql} ORDER BY ${orderBy} LIMIT ? OFFSET ?`,
+    [...params, pageSize, offset],
+  );
+  return {
+    rows,
+    pagination: {
+      page,
+      pageSize,
+      total: Number(total),
+      totalPages: Math.max(1, Math.ceil(Number(total) / pageSize)),
+    },
+  };
+}
+
+// Handles the common case of a list endpoint: parse ?page/pageSize/sort, run the query and
+// answer with the shared envelope. An unknown sort field throws a ListQueryError (400).
+// `prepare` may rework the page's rows (e.g. load their translations) before `map` runs.
+export async function sendPaginatedList(res, pool, req, {
+  columns, defaultSort, prepare = async (rows) => rows, map = (row) => row, ...query
+}) {
+  const paging = parsePagination(req.query);
+  const orderBy = parseSort(req.query.sort, columns, defaultSort);
+  const { rows, pagination } = await paginatedQuery(pool, { ...query, ...paging, orderBy });
+  res.status(200).json({ data: (await prepare(rows)).map(map), pagination });
+}
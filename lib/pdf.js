@@ -0,0 +1,117 @@
+import zlib from 'node:zlib';
+
+// --- PDF ---
+// Just enough of the format for one-page documents such as certificates: text in the standard
+// Helvetica faces (which every PDF reader has, so no font is embedded) and rectangles. Text is
+// encoded as WinAnsi; characters outside it are printed as "?".
+
+// Glyph widths of printable ASCII (32-126) in 1/1000 em, from the Adobe font metrics. They are
+// needed to centre and right-align text; other characters count as the width of a digit.
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+  ],
+};
+const FONTS = { regular: ['F1', 'Helvetica'], bold: ['F2', 'Helvetica-Bold'] };
+
+// Typographic punctuation that WinAnsi places in 0x80-0x9F.
+const WIN_ANSI_EXTRAS = {
+  '\u20ac': '\x80', '\u2026': '\x85', '\u2018': '\x91', '\u2019': '\x92', '\u201c': '\x93',
+  '\u201d': '\x94', '\u2022': '\x95', '\u2013': '\x96', '\u2014': '\x97',
+};
+
+function winAnsi(text) {
+  return Array.from(String(text ?? ''), (char) => WIN_ANSI_EXTRAS[char] ?? (char.charCodeAt(0) <= 0xff ? char : '?')).join('');
+}
+
+export function textWidth(text, size, font = 'regular') {
+  const units = Array.from(winAnsi(text)).reduce((sum, char) => {
+    const code = char.charCodeAt(0);
+    return sum + (code >= 32 && code <= 126 ? WIDTHS[font][code - 32] : 556);
+  }, 0);
+  return (units * size) / 1000;
+}
+
+function pdfString(text) {
+  return `(${winAnsi(text).replace(/[\\()]/g, '\\$&').replace(/[\r\n]+/g, ' ')})`;
+}
+
+const number = (value) => Number(value.toFixed(2));
+const color = ([r, g, b]) => [r, g, b].map((channel) => number(channel / 255)).join(' ');
+
+// Items are drawn in order; coordinates are in points (1/72 inch) from the bottom left corner.
+//   { type: 'text', text, x, y, size, font: 'regular' | 'bold', align: 'left' | 'center' | 'right', color: [r, g, b] }
+//   { type: 'rect', x, y, width, height, fill?: [r, g, b], stroke?: [r, g, b], lineWidth? }
+function contentStream(items) {
+  const operations = [];
+  for (const item of items) {
+    if (item.type === 'rect') {
+      const { x, y, width, height, fill, stroke, lineWidth = 1 } = item;
+      if (fill) operations.push(`${color(fill)} rg`);
+      if (stroke) operations.push(`${color(stroke)} RG ${number(lineWidth)} w`);
+      const paint = fill && stroke ? 'B' : fill ? 'f' : 'S';
+      operations.push(`${number(x)} ${number(y)} ${number(width)} ${number(height)} re ${paint}`);
+    } else if (item.type === 'text') {
+      const { text, y, size, font = 'regular', align = 'left', color: fill = [0, 0, 0] } = item;
+      const width = textWidth(text, size, font);
+      const x = align === 'center' ? item.x - width / 2 : align === 'right' ? item.x - width : item.x;
+      operations.push(`BT ${color(fill)} rg /${FONTS[font][0]} ${number(size)} Tf ${number(x)} ${number(y)} Td ${pdfString(text)} Tj ET`);
+    }
+  }
+  return operations.join('\n');
+}
+
+// A one-page PDF of `width` × `height` points.
+export function renderPdf({ width, height, items, title = null }) {
+  const stream = zlib.deflateSync(Buffer.from(contentStream(items), 'latin1'));
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${number(width)} ${number(height)}] `
+      + '/Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> /Contents 4 0 R >>',
+    Buffer.concat([
+      Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+      stream,
+      Buffer.from('\nendstream', 'latin1'),
+    ]),
+    ...Object.values(FONTS).map(([, name]) => `<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`),
+    `<< /Producer (PWMOI Banyuwangi)${title ? ` /Title ${pdfString(title)}` : ''} >>`,
+  ];
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  let offset = chunks[0].length;
+  const offsets = [];
+  objects.forEach((object, index) => {
+    const body = Buffer.isBuffer(object) ? object : Buffer.from(object, 'latin1');
+    const chunk = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')]);
+    offsets.push(offset);
+    offset += chunk.length;
+    chunks.push(chunk);
+  });
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map((value) => `${String(value).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>`,
+    'startxref',
+    String(offset),
+    '%%EOF\n',
+  ].join('\n');
+  chunks.push(Buffer.from(xref, 'latin1'));
+  return Buffer.concat(chunks);
+}
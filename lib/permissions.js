@@ -0,0 +1,113 @@
+import { requireAuth } from './auth.js';
+import { forbidden } from './errors.js';
+
+// --- Roles and permissions ---
+// Every mutating route declares the permission it needs via requirePermission(). Roles inherit
+// downwards: an Editor can do everything a Jurnalis can, an Admin everything an Editor can.
+export const ROLES = Object.freeze({
+  ADMIN: 'Admin',
+  EDITOR: 'Editor',
+  JURNALIS: 'Jurnalis',
+});
+
+// Roles that receive editorial notifications (submissions, moderation queues).
+export const EDITORIAL_ROLES = Object.freeze([ROLES.EDITOR, ROLES.ADMIN]);
+
+export const PERMISSIONS = Object.freeze({
+  ARTICLES_CREATE: 'articles:create',
+  ARTICLES_EDIT_OWN: 'articles:edit-own',
+  ARTICLES_EDIT_ANY: 'articles:edit-any',
+  ARTICLES_REVIEW: 'articles:review',
+  ARTICLES_PUBLISH: 'articles:publish',
+  COMMENTS_MODERATE: 'comments:moderate',
+  ANNOUNCEMENTS_MANAGE: 'announcements:manage',
+  TAGS_MANAGE: 'tags:manage',
+  CATEGORIES_MANAGE: 'categories:manage',
+  NOTES_MANAGE_OWN: 'notes:manage-own',
+  MEDIA_UPLOAD: 'media:upload',
+  MEDIA_MANAGE_ANY: 'media:manage-any',
+  MEMBERSHIP_APPLY: 'membership:apply',
+  MEMBERS_VERIFY: 'members:verify',
+  AUDIT_VIEW: 'audit:view',
+  STATS_VIEW: 'stats:view',
+  BACKUPS_MANAGE: 'backups:manage',
+  MESSAGES_MANAGE: 'messages:manage',
+  EVENTS_MANAGE: 'events:manage',
+  USERS_MANAGE: 'users:manage',
+  PARTNERS_MANAGE: 'partners:manage',
+  STRUCTURE_MANAGE: 'structure:manage',
+  CONTACT_MANAGE: 'contact:manage',
+  LEGAL_MANAGE: 'legal:manage',
+  PROFILE_MANAGE: 'profile:manage',
+  TRANSLATIONS_MANAGE: 'translations:manage',
+});
+
+const JURNALIS_PERMISSIONS = [
+  PERMISSIONS.ARTICLES_CREATE,
+  PERMISSIONS.ARTICLES_EDIT_OWN,
+  PERMISSIONS.NOTES_MANAGE_OWN,
+  PERMISSIONS.MEDIA_UPLOAD,
+  PERMISSIONS.MEMBERSHIP_APPLY,
+];
+
+const EDITOR_PERMISSIONS = [
+  ...JURNALIS_PERMISSIONS,
+  PERMISSIONS.ARTICLES_EDIT_ANY,
+  PERMISSIONS.ARTICLES_REVIEW,
+  PERMISSIONS.ARTICLES_PUBLISH,
+  PERMISSIONS.COMMENTS_MODERATE,
+  PERMISSIONS.ANNOUNCEMENTS_MANAGE,
+  PERMISSIONS.TAGS_MANAGE,
+  PERMISSIONS.EVENTS_MANAGE,
+  PERMISSIONS.STATS_VIEW,
+];
+
+const ADMIN_PERMISSIONS = [
+  ...EDITOR_PERMISSIONS,
+  PERMISSIONS.USERS_MANAGE,
+  PERMISSIONS.PARTNERS_MANAGE,
+  PERMISSIONS.STRUCTURE_MANAGE,
+  PERMISSIONS.CONTACT_MANAGE,
+  PERMISSIONS.LEGAL_MANAGE,
+  PERMISSIONS.PROFILE_MANAGE,
+  PERMISSIONS.TRANSLATIONS_MANAGE,
+  PERMISSIONS.CATEGORIES_MANAGE,
+  PERMISSIONS.MEDIA_MANAGE_ANY,
+  PERMISSIONS.MEMBERS_VERIFY,
+  PERMISSIONS.AUDIT_VIEW,
+  PERMISSIONS.BACKUPS_MANAGE,
+  PERMISSIONS.MESSAGES_MANAGE,
+];
+
+const ROLE_PERMISSIONS = {
+  [ROLES.JURNALIS]: new Set(JURNALIS_PERMISSIONS),
+  [ROLES.EDITOR]: new Set(EDITOR_PERMISSIONS),
+  [ROLES.ADMIN]: new Set(ADMIN_PERMISSIONS),
+};
+
+export function isValidRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, role);
+}
+
+export function hasPermission(user, permission) {
+  if (!user) return false;
+  const granted = ROLE_PERMISSIONS[user.role];
+  return Boolean(granted && granted.has(permission));
+}
+
+// True when the user owns the record, or holds the permission that overrides ownership.
+export function isOwnerOr(user, ownerId, overridePermission) {
+  if (!user) return false;
+  if (ownerId != null && Number(ownerId) === Number(user.id)) return true;
+  return hasPermission(user, overridePermission);
+}
+
+// Middleware chain: authenticate, then require the given permission.
+export function requirePermission(pool, permission) {
+  return [
+    requireAuth(pool),
+    (req, res, next) => {
+      next(hasPermission(req.user, permission) ? undefined : forbidden());
+    },
+  ];
+}
@@ -0,0 +1,161 @@
+import { rateLimitConfig } from './config.js';
+import { HttpError } from './errors.js';
+
+// --- Rate limiting and login lockout ---
+// Every limiter counts in one store. The default MemoryStore keeps the counters in this process,
+// which suits a single instance; several instances behind a load balancer need a shared store
+// (Redis, Memcached, a database table), installed with useRateLimitStore(). A store implements
+//   increment(key, windowMs) -> { count, resetAt }  counts a hit, opening a window of windowMs
+//                                                   when none is open for the key
+//   get(key)                 -> { count, resetAt } | null  the open window, if any
+//   reset(key)               closes the key's window
+// and may return promises. `resetAt` is a timestamp in milliseconds.
+
+const MESSAGES = {
+  RATE_LIMITED: {
+    en: 'Too many requests. Please wait a moment and try again.',
+    id: 'Terlalu banyak permintaan. Silakan tunggu sebentar lalu coba lagi.',
+  },
+  LOGIN_LOCKED: (minutes) => ({
+    en: `Too many failed sign-in attempts. Try again in ${minutes} minute(s).`,
+    id: `Terlalu banyak percobaan masuk yang gagal. Coba lagi dalam ${minutes} menit.`,
+  }),
+};
+
+export class MemoryStore {
+  constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+    this.windows = new Map();
+    // Closed windows are dropped periodically; the timer does not keep the process alive.
+    this.sweeper = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweeper.unref();
+  }
+
+  increment(key, windowMs) {
+    const now = Date.now();
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+    window.count += 1;
+    return { ...window };
+  }
+
+  get(key) {
+    const window = this.windows.get(key);
+    return window && window.resetAt > Date.now() ? { ...window } : null;
+  }
+
+  reset(key) {
+    this.windows.delete(key);
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) this.windows.delete(key);
+    }
+  }
+}
+
+let store = new MemoryStore();
+
+export function useRateLimitStore(nextStore) {
+  store = nextStore;
+}
+
+// --- Keys ---
+export function byClient(req) {
+  return `ip:${req.ip}`;
+}
+
+// The client address and, when signed in, the account: switching networks does not lift an
+// account's limit, and signing out does not lift the address's.
+export function byClientAndAccount(req) {
+  return [byClient(req), req.user ? `user:${req.user.id}` : null];
+}
+
+// A 429 in the error envelope, with Retry-After (in seconds) on the response.
+function tooManyRequests(res, resetAt, message, code) {
+  const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+  res.setHeader('Retry-After', String(retryAfter));
+  return new HttpError(429, message, { code, details: { retryAfter } });
+}
+
+// RateLimit-Limit, -Remaining and -Reset (seconds until the window closes), after the IETF draft.
+// When several limiters apply to a request, the headers describe the one closest to its limit.
+function setLimitHeaders(res, max, remaining, resetAt) {
+  const current = res.getHeader('RateLimit-Remaining');
+  if (current !== undefined && Number(current) < remaining) return;
+  res.setHeader('RateLimit-Limit', String(max));
+  res.setHeader('RateLimit-Remaining', String(remaining));
+  res.setHeader('RateLimit-Reset', String(Math.max(0, Math.ceil((resetAt - Date.now()) / 1000))));
+}
+
+// A middleware allowing `max` requests per `windowMs` for each key that `key(req)` returns (the
+// client address by default). `key` may return several keys; the request is refused when any of
+// them is over its limit. `name` keeps the counters of different limiters apart.
+export function rateLimit({ name, max, windowMs, key = byClient, message = MESSAGES.RATE_LIMITED }) {
+  return async (req, res, next) => {
+    if (!rateLimitConfig.enabled) return next();
+    let tightest = null;
+    for (const value of [key(req)].flat().filter(Boolean)) {
+      const window = await store.increment(`${name}:${value}`, windowMs);
+      if (!tightest || window.count > tightest.count) tightest = window;
+    }
+    if (!tightest) return next();
+    setLimitHeaders(res, max, Math.max(0, max - tightest.count), tightest.resetAt);
+    if (tightest.count > max) {
+      throw tooManyRequests(res, tightest.resetAt, message, 'RATE_LIMITED');
+    }
+    next();
+  };
+}
+
+// --- Login lockout ---
+// Failed sign-ins are counted per account (the normalized email address, whether or not it is
+// registered, so a lockout does not reveal which addresses exist). From the threshold on, every
+// failure locks the account for twice as long as the previous one, up to the maximum; while
+// locked, even the right password is refused. A successful sign-in clears the count.
+const failuresKey = (account) => `login-failures:${account}`;
+const lockKey = (account) => `login-lock:${account}`;
+
+function lockedError(res, resetAt) {
+  const minutes = Math.max(1, Math.ceil((resetAt - Date.now()) / 60000));
+  return tooManyRequests(res, resetAt, MESSAGES.LOGIN_LOCKED(minutes), 'LOGIN_LOCKED');
+}
+
+// Throws a 429 LOGIN_LOCKED while the account is locked.
+export async function assertLoginAllowed(res, account) {
+  if (!rateLimitConfig.enabled) return;
+  const lock = await store.get(lockKey(account));
+  if (lock) {
+    throw lockedError(res, lock.resetAt);
+  }
+}
+
+// Counts a failed sign-in. Returns the 429 to answer with when this failure locks the account,
+// otherwise null.
+export async function recordLoginFailure(res, account) {
+  if (!rateLimitConfig.enabled) return null;
+  const { threshold, windowMs, lockMs, maxLockMs } = rateLimitConfig.loginLockout;
+  const failures = await store.increment(failuresKey(account), windowMs);
+  if (failures.count < threshold) return null;
+  const duration = Math.min(lockMs * 2 ** (failures.count - threshold), maxLockMs);
+  await store.reset(lockKey(account));
+  const lock = await store.increment(lockKey(account), duration);
+  return lockedError(res, lock.resetAt);
+}
+
+export async function clearLoginFailures(account) {
+  await store.reset(failuresKey(account));
+  await store.reset(lockKey(account));
+}
+
+// --- One-time tokens ---
+// Marks `key` as used for ttlMs (as long as the token it stands for is valid). True the first
+// time, false on every later call while the mark lasts. Independent of RATE_LIMIT_ENABLED.
+export async function useOnce(key, ttlMs) {
+  const { count } = await store.increment(`once:${key}`, ttlMs);
+  return count === 1;
+}
@@ -0,0 +1,191 @@
+// --- Article revisions and word diffs ---
+
+// The article fields captured in every revision (and put back on restore).
+export const REVISION_FIELDS = ['title', 'snippet', 'content', 'cover_image_url'];
+
+// Fields compared by the diff endpoint, as named in the API.
+export const DIFF_FIELDS = { title: 'title', snippet: 'snippet', content: 'content' };
+
+function sameContent(revision, article) {
+  return REVISION_FIELDS.every((field) => (revision[field] ?? null) === (article[field] ?? null));
+}
+
+// Stores the article's current content as its next revision, linked to the latest workflow step.
+// Saves that leave the content unchanged do not create a revision, except restores, which are
+// always recorded. Returns the new revision number, or null when nothing was recorded.
+export async function recordRevision(db, article, { editorId, restoredFrom = null }) {
+  for (let attempt = 0; ; attempt += 1) {
+    const [[latest]] = await db.query(
+      'SELECT * FROM article_revisions WHERE article_id = ? ORDER BY revision_number DESC LIMIT 1',
+      [article.id],
+    );
+    if (latest && restoredFrom == null && sameContent(latest, article)) return null;
+    const [[step]] = await db.query(
+      'SELECT id FROM article_transitions WHERE article_id = ? ORDER BY id DESC LIMIT 1',
+      [article.id],
+    );
+    const revisionNumber = (latest?.revision_number ?? 0) + 1;
+    try {
+      await db.query('INSERT INTO article_revisions SET ?', [{
+        article_id: article.id,
+        revision_number: revisionNumber,
+        ...Object.fromEntries(REVISION_FIELDS.map((field) => [field, article[field] ?? null])),
+        editor_id: editorId ?? null,
+        transition_id: step?.id ?? null,
+        restored_from: restoredFrom,
+      }]);
+      return revisionNumber;
+    } catch (err) {
+      // Two saves raced for the same number; the unique key caught it, so count again.
+      if (err.code !== 'ER_DUP_ENTRY' || attempt >= 2) throw err;
+    }
+  }
+}
+
+// Joins the editor and the workflow step (with its feedback) each revision belongs to.
+export function revisionQuery({ withContent = false } = {}) {
+  return `
+    SELECT r.id, r.article_id, r.revision_number, r.title, r.snippet, r.cover_image_url,
+      ${withContent ? 'r.content,' : ''}
+      r.editor_id, r.transition_id, r.restored_from, r.created_at,
+      u.name AS editor_name,
+      t.action AS transition_action, t.to_status AS transition_to_status, t.feedback AS transition_feedback,
+      t.created_at AS transition_created_at, tu.name AS transition_actor_name
+    FROM article_revisions r
+    LEFT JOIN users u ON u.id = r.editor_id
+    LEFT JOIN article_transitions t ON t.id = r.transition_id
+    LEFT JOIN users tu ON tu.id = t.actor_id`;
+}
+
+export function dbRevisionToApi(row) {
+  if (!row) return null;
+  const revision = {
+    id: row.id,
+    articleId: row.article_id,
+    revision: row.revision_number,
+    title: row.title,
+    snippet: row.snippet,
+    coverImageUrl: row.cover_image_url ?? null,
+    editorId: row.editor_id ?? null,
+    editorName: row.editor_name ?? null,
+    restoredFrom: row.restored_from ?? null,
+    createdAt: row.created_at,
+    workflowStep: row.transition_id
+      ? {
+        id: row.transition_id,
+        action: row.transition_action,
+        toStatus: row.transition_to_status,
+        feedback: row.transition_feedback ?? null,
+        actorName: row.transition_actor_name ?? null,
+        createdAt: row.transition_created_at,
+      }
+      : null,
+  };
+  if (row.content !== undefined) revision.content = row.content;
+  return revision;
+}
+
+// Words, runs of whitespace and HTML tags are the units of the diff, so markup changes show up
+// as whole tags and re-wrapped text as whitespace-only changes.
+const TOKEN_PATTERN = /<[^>]*>|\s+|[^\s<]+/g;
+
+// Beyond this many edits the texts are treated as replaced wholesale; it bounds memory and time.
+const MAX_EDIT_DISTANCE = 2000;
+
+function tokenize(text) {
+  return String(text ?? '').match(TOKEN_PATTERN) || [];
+}
+
+// Myers' O(ND) shortest edit script over two token lists, as [type, token] pairs.
+function shortestEdit(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= Math.min(max, MAX_EDIT_DISTANCE); d += 1) {
+    trace.push({ low: -(d + 1), values: v.slice(offset - d - 1, offset + d + 2) });
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x += 1;
+        y += 1;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) return backtrack(trace, a, b);
+    }
+  }
+  return null;
+}
+
+function backtrack(trace, a, b) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+  for (let d = trace.length - 1; d >= 0; d -= 1) {
+    const { low, values } = trace[d];
+    const at = (k) => values[k - low];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push(['equal', a[x - 1]]);
+      x -= 1;
+      y -= 1;
+    }
+    if (d > 0) {
+      if (x === prevX) ops.push(['insert', b[y - 1]]);
+      else ops.push(['delete', a[x - 1]]);
+    }
+    x = prevX;
+    y = prevY;
+  }
+  return ops.reverse();
+}
+
+// Word-level diff of two texts: a list of { type: 'equal' | 'insert' | 'delete', text } runs plus
+// counts of inserted and deleted words.
+export function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const middle = shortestEdit(middleA, middleB) || [
+    ...middleA.map((token) => ['delete', token]),
+    ...middleB.map((token) => ['insert', token]),
+  ];
+  const ops = [
+    ...a.slice(0, start).map((token) => ['equal', token]),
+    ...middle,
+    ...a.slice(endA).map((token) => ['equal', token]),
+  ];
+
+  const changes = [];
+  const stats = { insertedWords: 0, deletedWords: 0 };
+  for (const [type, token] of ops) {
+    if (/\S/.test(token) && !token.startsWith('<')) {
+      if (type === 'insert') stats.insertedWords += 1;
+      if (type === 'delete') stats.deletedWords += 1;
+    }
+    const last = changes[changes.length - 1];
+    if (last && last.type === type) last.text += token;
+    else changes.push({ type, text: token });
+  }
+  return { changed: String(before ?? '') !== String(after ?? ''), changes, ...stats };
+}
@@ -0,0 +1,89 @@
+/* eslint-disable no-console */
+
+import { pruneViewVisitors } from './analytics.js';
+import { schedulerConfig } from './config.js';
+import { ARTICLE_STATUS, TransitionError, applyTransition } from './workflow.js';
+
+// --- Background jobs: scheduled publishing, announcement expiry and view counting cleanup ---
+// Jobs look at the current state ("everything due by now") rather than at timers, so a run after
+// downtime catches up on everything that was missed. Each run holds a MySQL named lock, and the
+// publish itself is a compare-and-set on the status, so several server instances never publish
+// the same article twice.
+
+const LOCK_NAME = 'pwmoi_scheduler';
+const BATCH_SIZE = 100;
+
+async function publishDueArticles(pool) {
+  const [due] = await pool.query(
+    `SELECT * FROM articles WHERE status = ? AND publish_at <= NOW()
+     ORDER BY publish_at, id LIMIT ?`,
+    [ARTICLE_STATUS.SCHEDULED, BATCH_SIZE],
+  );
+  let published = 0;
+  for (const article of due) {
+    try {
+      await applyTransition(pool, { article, action: 'publish', actor: null });
+      published += 1;
+    } catch (err) {
+      // 409: someone published or unscheduled it in the meantime.
+      if (!(err instanceof TransitionError && err.status === 409)) {
+        console.error(`Scheduler failed to publish article ${article.id}:`, err);
+      }
+    }
+  }
+  return published;
+}
+
+async function expireAnnouncements(pool) {
+  const [result] = await pool.query(
+    'UPDATE announcements SET expired_at = NOW() WHERE expired_at IS NULL AND ends_at IS NOT NULL AND ends_at <= NOW()',
+  );
+  return result.affectedRows;
+}
+
+// One pass over every job. Returns null when another instance holds the lock.
+export async function runScheduledJobs(pool) {
+  const conn = await pool.getConnection();
+  try {
+    const [[{ acquired }]] = await conn.query('SELECT GET_LOCK(?, 0) AS acquired', [LOCK_NAME]);
+    if (acquired !== 1) return null;
+    try {
+      return {
+        publishedArticles: await publishDueArticles(pool),
+        expiredAnnouncements: await expireAnnouncements(pool),
+        prunedViewVisitors: await pruneViewVisitors(pool),
+      };
+    } finally {
+      await conn.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+    }
+  } finally {
+    conn.release();
+  }
+}
+
+// Runs the jobs once right away (catching up after a restart), then every intervalMs. Returns a
+// function that stops the scheduler.
+export function startScheduler(pool, { intervalMs = schedulerConfig.intervalMs } = {}) {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const result = await runScheduledJobs(pool);
+      if (result && (result.publishedArticles > 0 || result.expiredAnnouncements > 0)) {
+        console.log(
+          `⏰ Scheduler: ${result.publishedArticles} article(s) published, `
+          + `${result.expiredAnnouncements} announcement(s) expired.`,
+        );
+      }
+    } catch (err) {
+      console.error('Scheduler run failed:', err);
+    } finally {
+      running = false;
+    }
+  };
+  tick();
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,425 @@
+import { MAX_TOP_ARTICLES } from './analytics.js';
+import { BACKUP_FILE_PATTERN, CONFLICT_STRATEGIES, RESTORE_MODES } from './backup.js';
+import { COMMENT_STATUS } from './comments.js';
+import { REGISTRATION_STATUS } from './events.js';
+import { UKW_LEVELS, VERIFICATION_STATUS } from './membership.js';
+import {
+  MAX_MESSAGE_LENGTH,
+  MAX_MESSAGE_TAGS,
+  MESSAGE_CATEGORIES,
+  MESSAGE_STATUS,
+} from './messages.js';
+import { MAX_PAGE_SIZE } from './pagination.js';
+import { ROLES } from './permissions.js';
+import { MAX_SLUG_LENGTH } from './slugs.js';
+import { MAX_TAGS_PER_ARTICLE } from './taxonomy.js';
+import { CONTENT_LOCALES, TRANSLATABLE, TRANSLATION_LOCALES } from './translations.js';
+import { ARTICLE_STATUS } from './workflow.js';
+
+// --- Request schemas for every API endpoint (see lib/validation.js) ---
+// Lengths follow the database columns, so an oversized value is a 400 naming the field instead
+// of a failed INSERT. Fields are optional unless listed in `required`; update schemas leave
+// every field optional because updates are partial.
+
+export const MIN_PASSWORD_LENGTH = 8;
+export const MAX_COMMENT_LENGTH = 5000;
+export const MAX_BULK_SIZE = 100;
+// TEXT columns hold 64 KB.
+const TEXT_LENGTH = 65535;
+
+const text = (maxLength, extra = {}) => ({ type: 'string', maxLength, ...extra });
+const optionalText = (maxLength, extra = {}) => text(maxLength, { nullable: true, ...extra });
+const id = { type: 'integer', minimum: 1 };
+const flag = { type: 'boolean' };
+const imageUrl = optionalText(255, { format: 'uri-reference' });
+const dateTime = { type: 'string', format: 'date-time', nullable: true };
+
+function object(properties, required) {
+  return required ? { type: 'object', properties, required } : { type: 'object', properties };
+}
+
+// The same schema with nothing required, for partial updates.
+function partial(schema) {
+  return object(schema.properties);
+}
+
+// --- Shared ---
+export const idParams = object({ id });
+
+// ?page=&pageSize=&sort= plus the endpoint's own filters.
+export function listQuery(filters = {}) {
+  return object({
+    page: { type: 'integer', minimum: 1 },
+    pageSize: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE },
+    sort: text(200),
+    ...filters,
+  });
+}
+
+// ?include=all for managers who also want the entries the public does not see.
+const includeFilter = { include: { type: 'string', enum: ['all'] } };
+
+// ?lang= on endpoints serving translated site content (lib/translations.js).
+const lang = { type: 'string', enum: CONTENT_LOCALES };
+export const localizedQuery = object({ lang });
+
+// --- Auth ---
+export const registerBody = object({
+  name: text(100),
+  email: text(100, { format: 'email' }),
+  password: text(200, { minLength: MIN_PASSWORD_LENGTH }),
+  phoneNumber: optionalText(20),
+  mediaName: optionalText(100),
+}, ['name', 'email', 'password']);
+
+export const loginBody = object({
+  email: text(100),
+  password: text(200),
+}, ['email', 'password']);
+
+// --- Users ---
+const userProperties = {
+  name: text(100),
+  email: text(100, { format: 'email' }),
+  password: text(200, { minLength: MIN_PASSWORD_LENGTH }),
+  role: { type: 'string', enum: Object.values(ROLES) },
+  avatarUrl: imageUrl,
+  formalPhotoUrl: imageUrl,
+  isVerified: flag,
+  phoneNumber: optionalText(20),
+  mediaName: optionalText(100),
+  position: optionalText(100),
+  ukwCertification: { type: 'string', enum: UKW_LEVELS, nullable: true },
+};
+
+export const userListQuery = listQuery({
+  role: { type: 'string', enum: Object.values(ROLES) },
+  isVerified: flag,
+});
+export const userCreateBody = object(userProperties, ['name', 'email', 'password']);
+export const userUpdateBody = object(userProperties);
+
+export const invitationParams = object({ token: text(100) });
+export const acceptInvitationBody = object({ password: userProperties.password }, ['password']);
+
+// --- Member directory ---
+const memberFilters = {
+  role: userProperties.role,
+  isVerified: flag,
+  ukwCertification: { type: 'string', enum: UKW_LEVELS },
+  mediaName: text(100),
+};
+
+export const memberListQuery = listQuery(memberFilters);
+export const memberExportQuery = object({
+  ...memberFilters,
+  sort: text(200),
+  format: { type: 'string', enum: ['csv', 'xlsx'] },
+});
+// Sent as multipart/form-data next to the CSV file. `mapping` is JSON naming the column each
+// field is read from, e.g. {"name":"Nama Lengkap","phoneNumber":"WA"}; unnamed fields are matched
+// by their usual header names.
+export const memberImportBody = object({ mapping: optionalText(5000) });
+export const memberImportParams = object({ importId: text(32, { pattern: '^[0-9a-f]{32}$' }) });
+// One spreadsheet row, after its cells are trimmed and normalised (see lib/members.js).
+export const memberImportRow = object({
+  name: userProperties.name,
+  email: userProperties.email,
+  phoneNumber: userProperties.phoneNumber,
+  mediaName: userProperties.mediaName,
+  position: userProperties.position,
+  ukwCertification: { type: 'string', enum: UKW_LEVELS },
+  role: userProperties.role,
+  isVerified: flag,
+}, ['name', 'email']);
+
+// --- Articles ---
+const articleBody = object({
+  title: text(255),
+  content: optionalText(TEXT_LENGTH),
+  snippet: optionalText(255),
+  coverImageUrl: imageUrl,
+  imageUrl,
+  slug: optionalText(MAX_SLUG_LENGTH, { format: 'slug' }),
+  metaDescription: optionalText(300),
+  canonicalUrl: optionalText(255, { format: 'uri' }),
+  ogImageUrl: imageUrl,
+  categoryId: id,
+  // A list of names, or one comma-separated string.
+  tags: {
+    type: ['array', 'string'],
+    items: text(50),
+    maxItems: MAX_TAGS_PER_ARTICLE,
+  },
+}, ['title']);
+
+export const articleListQuery = listQuery({
+  status: { type: 'string', enum: Object.values(ARTICLE_STATUS) },
+  authorId: id,
+});
+export const articleCreateBody = articleBody;
+export const articleUpdateBody = partial(articleBody);
+export const articleSlugParams = object({ slug: text(MAX_SLUG_LENGTH) });
+export const authorParams = object({ authorId: id });
+export const revisionParams = object({ id, rev: id });
+export const revisionDiffQuery = object({ from: id, to: id });
+export const workflowBody = object({
+  feedback: optionalText(TEXT_LENGTH),
+  publishAt: dateTime,
+});
+
+// --- Inspiration notes ---
+export const noteBody = object({ content: text(TEXT_LENGTH) }, ['content']);
+
+// --- Notifications ---
+export const notificationListQuery = listQuery({ unread: flag });
+
+// --- Announcements ---
+const announcementBody = object({
+  title: text(255),
+  content: optionalText(TEXT_LENGTH),
+  startsAt: dateTime,
+  endsAt: dateTime,
+}, ['title']);
+
+export const announcementListQuery = listQuery({ ...includeFilter, lang });
+export const announcementCreateBody = announcementBody;
+export const announcementUpdateBody = partial(announcementBody);
+
+// --- Site content ---
+const partnerBody = object({
+  name: text(100),
+  logoUrl: imageUrl,
+  link: optionalText(255, { format: 'uri' }),
+}, ['name']);
+
+const structureBody = object({
+  name: text(100),
+  position: optionalText(100),
+  photoUrl: imageUrl,
+}, ['name']);
+
+export const partnerCreateBody = partnerBody;
+export const partnerUpdateBody = partial(partnerBody);
+export const structureCreateBody = structureBody;
+export const structureUpdateBody = partial(structureBody);
+
+export const contactInfoBody = object({
+  organizationName: optionalText(100),
+  address: optionalText(255),
+  email: optionalText(100, { format: 'email' }),
+  phone: optionalText(50),
+  siteLogo: imageUrl,
+  faviconUrl: imageUrl,
+  // { facebook: 'https://…', instagram: 'https://…', … }
+  socials: {
+    type: 'object',
+    nullable: true,
+    additionalProperties: optionalText(255, { format: 'uri' }),
+  },
+});
+
+export const profileContentBody = object({
+  about: optionalText(TEXT_LENGTH),
+  vision: optionalText(TEXT_LENGTH),
+  mission: { type: 'array', nullable: true, items: text(1000) },
+  purpose: optionalText(TEXT_LENGTH),
+  legality: { ...object({ text: optionalText(TEXT_LENGTH), sk: optionalText(TEXT_LENGTH) }), nullable: true },
+  adArt: optionalText(TEXT_LENGTH),
+});
+
+export const legalPageParams = object({ pageKey: text(50, { pattern: '^[A-Za-z0-9_-]+$' }) });
+export const legalContentBody = object({
+  title: text(255),
+  content: optionalText(TEXT_LENGTH),
+});
+
+export const programListQuery = listQuery({ lang });
+
+// --- Translations ---
+// Records are addressed by their id or, for legal pages, their page key. Null or an empty value
+// removes a field's translation, so it falls back to Indonesian again.
+export const translationParams = object({
+  id: text(64, { pattern: '^[A-Za-z0-9_-]+$' }),
+  locale: { type: 'string', enum: TRANSLATION_LOCALES },
+});
+export const missingTranslationsQuery = object({
+  locale: { type: 'string', enum: TRANSLATION_LOCALES },
+  entity: { type: 'string', enum: Object.keys(TRANSLATABLE) },
+});
+export const translationBodies = {
+  'site-profile': object({
+    about: optionalText(TEXT_LENGTH),
+    vision: optionalText(TEXT_LENGTH),
+    mission: { type: 'array', nullable: true, items: text(1000) },
+    purpose: optionalText(TEXT_LENGTH),
+    legalityText: optionalText(TEXT_LENGTH),
+    legalitySk: optionalText(TEXT_LENGTH),
+    adArt: optionalText(TEXT_LENGTH),
+  }),
+  'legal-content': object({ title: optionalText(255), content: optionalText(TEXT_LENGTH) }),
+  programs: object({ title: optionalText(255), description: optionalText(TEXT_LENGTH) }),
+  announcements: object({ title: optionalText(255), content: optionalText(TEXT_LENGTH) }),
+};
+
+// --- Comments ---
+export const commentArticleParams = object({ articleId: id });
+export const commentBody = object({
+  content: text(MAX_COMMENT_LENGTH),
+  parentId: { ...id, nullable: true },
+  authorName: optionalText(100),
+  authorEmail: optionalText(100, { format: 'email' }),
+}, ['content']);
+
+export const commentListQuery = listQuery({
+  articleId: id,
+  status: { type: 'string', enum: Object.values(COMMENT_STATUS) },
+});
+export const moderationNoteBody = object({ note: optionalText(255) });
+export const bulkModerationBody = object({
+  ids: { type: 'array', items: id, minItems: 1, maxItems: MAX_BULK_SIZE },
+  action: { type: 'string', enum: ['approve', 'reject'] },
+  note: optionalText(255),
+}, ['ids', 'action']);
+
+// --- Aspiration and contact messages ---
+// `website` is a honeypot: the form hides it, so only bots fill it in. The challenge fields carry
+// the sum from GET /api/messages/challenge and the sender's answer.
+export const messageBody = object({
+  name: text(100),
+  contact: text(150),
+  category: { type: 'string', enum: Object.values(MESSAGE_CATEGORIES) },
+  message: text(MAX_MESSAGE_LENGTH),
+  website: optionalText(255),
+  challengeToken: text(500),
+  challengeAnswer: { type: 'integer' },
+}, ['name', 'contact', 'category', 'message', 'challengeToken', 'challengeAnswer']);
+
+export const messageListQuery = listQuery({
+  status: { type: 'string', enum: Object.values(MESSAGE_STATUS) },
+  category: { type: 'string', enum: Object.values(MESSAGE_CATEGORIES) },
+  assignedTo: id,
+  tag: text(30),
+  archived: flag,
+  q: text(200),
+});
+export const messageUpdateBody = object({
+  status: { type: 'string', enum: Object.values(MESSAGE_STATUS) },
+  assignedTo: { ...id, nullable: true },
+  tags: { type: 'array', items: text(30, { minLength: 1 }), maxItems: MAX_MESSAGE_TAGS },
+  archived: flag,
+});
+export const messageReplyBody = object({ body: text(MAX_MESSAGE_LENGTH) }, ['body']);
+export const trackingParams = object({ token: text(100) });
+
+// --- Program events ---
+const eventBody = object({
+  programId: id,
+  title: text(255),
+  description: optionalText(TEXT_LENGTH),
+  startsAt: { type: 'string', format: 'date-time' },
+  endsAt: dateTime,
+  venue: optionalText(255),
+  quota: { ...id, nullable: true },
+  registrationDeadline: dateTime,
+}, ['programId', 'title', 'startsAt']);
+
+export const eventListQuery = listQuery({
+  programId: id,
+  when: { type: 'string', enum: ['upcoming', 'past', 'all'] },
+});
+export const eventCreateBody = eventBody;
+export const eventUpdateBody = object({ ...eventBody.properties, cancelled: flag });
+// Members may leave out what their profile already says; guests give at least a name and email.
+export const eventRegistrationBody = object({
+  name: userProperties.name,
+  email: userProperties.email,
+  phoneNumber: userProperties.phoneNumber,
+  mediaName: userProperties.mediaName,
+});
+export const registrationListQuery = listQuery({
+  status: { type: 'string', enum: Object.values(REGISTRATION_STATUS) },
+  checkedIn: flag,
+  q: text(200),
+});
+export const attendeeExportQuery = object({
+  status: { type: 'string', enum: Object.values(REGISTRATION_STATUS) },
+  checkedIn: flag,
+  format: { type: 'string', enum: ['csv', 'xlsx'] },
+});
+export const checkInBody = object({ registrationId: id }, ['registrationId']);
+export const certificateQuery = object({ format: { type: 'string', enum: ['html', 'pdf'] } });
+export const eventRegistrationParams = object({ id, registrationId: id });
+export const registrationTokenParams = object({ token: text(100) });
+
+// --- Categories and tags ---
+const categoryBody = object({
+  name: text(100, { pattern: '\\S' }),
+  slug: optionalText(MAX_SLUG_LENGTH, { format: 'slug' }),
+  description: optionalText(TEXT_LENGTH),
+  sortOrder: { type: 'integer' },
+  isDefault: flag,
+}, ['name']);
+
+const tagBody = object({
+  name: text(50),
+  slug: optionalText(MAX_SLUG_LENGTH, { format: 'slug' }),
+}, ['name']);
+
+export const slugParams = object({ slug: text(MAX_SLUG_LENGTH) });
+export const categoryCreateBody = categoryBody;
+export const categoryUpdateBody = partial(categoryBody);
+export const tagListQuery = listQuery(includeFilter);
+export const tagCreateBody = tagBody;
+export const tagUpdateBody = partial(tagBody);
+
+// --- Media ---
+export const mediaListQuery = listQuery({ ownerId: id });
+
+// --- Member verification ---
+// Sent as multipart/form-data next to the uploaded documents, so every field is text.
+export const verificationRequestBody = object({
+  mediaName: optionalText(100),
+  position: optionalText(100),
+  ukwCertification: { type: 'string', enum: [...UKW_LEVELS, ''] },
+  note: optionalText(2000),
+});
+
+export const verificationListQuery = listQuery({
+  status: { type: 'string', enum: Object.values(VERIFICATION_STATUS) },
+  userId: id,
+});
+export const verificationReviewBody = object({ reason: optionalText(2000) });
+export const documentParams = object({ id, index: { type: 'integer', minimum: 0 } });
+export const pressCardQuery = object({ format: { type: 'string', enum: ['html', 'svg'] } });
+export const cardNumberParams = object({ cardNumber: text(50) });
+
+// --- Search ---
+export const searchQuery = listQuery({
+  q: text(200),
+  type: text(200),
+});
+
+// --- Admin ---
+export const auditListQuery = listQuery({
+  actorId: id,
+  entity: text(50),
+  entityId: text(64),
+  action: text(50),
+  from: { type: 'string', format: 'date-time' },
+  to: { type: 'string', format: 'date-time' },
+});
+
+// Whole days, both included.
+export const statsQuery = object({
+  from: { type: 'string', format: 'date' },
+  to: { type: 'string', format: 'date' },
+  top: { type: 'integer', minimum: 1, maximum: MAX_TOP_ARTICLES },
+});
+
+export const backupFileParams = object({ file: text(200, { pattern: BACKUP_FILE_PATTERN.source }) });
+export const restoreBody = object({
+  mode: { type: 'string', enum: RESTORE_MODES },
+  onConflict: { type: 'string', enum: CONFLICT_STRATEGIES },
+  dryRun: flag,
+});
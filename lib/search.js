@@ -0,0 +1,94 @@
+import { escapeRegExp } from './mappers.js';
+
+// --- Full-text search helpers ---
+// Queries are folded (lowercase, accents removed), split into words and stripped of common
+// Indonesian stopwords before being turned into a MySQL BOOLEAN MODE expression.
+
+// InnoDB does not index words shorter than innodb_ft_min_token_size (3 by default).
+export const MIN_TERM_LENGTH = 3;
+const MAX_TERMS = 8;
+
+export const INDONESIAN_STOPWORDS = new Set([
+  'ada', 'adalah', 'agar', 'akan', 'aku', 'anda', 'antara', 'apa', 'atau', 'bagi', 'bahwa',
+  'banyak', 'beberapa', 'begitu', 'belum', 'bisa', 'boleh', 'dalam', 'dan', 'dapat', 'dari',
+  'dengan', 'di', 'dia', 'hanya', 'harus', 'hingga', 'ia', 'ini', 'itu', 'jadi', 'jika', 'juga',
+  'kami', 'kamu', 'karena', 'ke', 'kepada', 'ketika', 'kita', 'lagi', 'lain', 'lalu', 'maka',
+  'masih', 'mereka', 'nya', 'oleh', 'pada', 'para', 'pun', 'saat', 'saja', 'sama', 'sangat',
+  'sebagai', 'sebelum', 'sedang', 'sehingga', 'sejak', 'selain', 'semua', 'seperti', 'serta',
+  'setelah', 'sudah', 'tanpa', 'telah', 'tentang', 'tersebut', 'tetapi', 'untuk', 'yaitu', 'yang',
+]);
+
+export function foldText(text) {
+  return String(text ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+// "Pelantikan pengurus di Banyuwangi" -> ['pelantikan', 'pengurus', 'banyuwangi']
+export function tokenizeQuery(query) {
+  const words = foldText(query).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  const terms = [];
+  for (const word of words) {
+    if (word.length < MIN_TERM_LENGTH || INDONESIAN_STOPWORDS.has(word) || terms.includes(word)) continue;
+    terms.push(word);
+    if (terms.length === MAX_TERMS) break;
+  }
+  return terms;
+}
+
+// Every term must match; the trailing * lets a root word also find its suffixed forms
+// ("pelantikan" → "pelantikannya", "wisata" → "wisatawan").
+export function toBooleanQuery(terms) {
+  return terms.map((term) => `+${term}*`).join(' ');
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function stripHtml(text) {
+  return String(text ?? '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Wraps every word that starts with one of the terms in <mark>. The text is HTML-escaped first,
+// so the result is safe to render as HTML.
+export function highlight(text, terms) {
+  const escaped = escapeHtml(stripHtml(text));
+  if (terms.length === 0) return escaped;
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${terms.map(escapeRegExp).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+  // Match against the folded text so accented letters still line up with the (folded) terms.
+  const folded = foldText(escaped);
+  if (folded.length !== escaped.length) {
+    return escaped.replace(pattern, '<mark>$&</mark>');
+  }
+  let result = '';
+  let last = 0;
+  for (const match of folded.matchAll(pattern)) {
+    result += escaped.slice(last, match.index);
+    result += `<mark>${escaped.slice(match.index, match.index + match[0].length)}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return result + escaped.slice(last);
+}
+
+// Picks a window of about `length` characters around the first term hit and highlights it.
+export function buildExcerpt(text, terms, length = 180) {
+  const plain = stripHtml(text);
+  const folded = foldText(plain);
+  const hits = terms.map((term) => folded.indexOf(term)).filter((index) => index >= 0);
+  const first = hits.length > 0 ? Math.min(...hits) : 0;
+  let start = Math.max(0, first - Math.floor(length / 3));
+  if (start > 0) {
+    const space = plain.indexOf(' ', start);
+    start = space >= 0 && space < first ? space + 1 : start;
+  }
+  const end = Math.min(plain.length, start + length);
+  const prefix = start > 0 ? '… ' : '';
+  const suffix = end < plain.length ? ' …' : '';
+  return `${prefix}${highlight(plain.slice(start, end), terms)}${suffix}`;
+}
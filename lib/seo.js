@@ -0,0 +1,176 @@
+import fs from 'node:fs/promises';
+import { siteConfig } from './config.js';
+import { contentToHtml, escapeXml } from './feeds.js';
+import { ogVariantUrl } from './media.js';
+import { absoluteAssetUrl, articleUrl, siteUrl } from './urls.js';
+
+// --- Share metadata and server-rendered article pages ---
+// Link previews (WhatsApp, Facebook, X, Telegram) do not run JavaScript, so the page behind an
+// article link has to carry its Open Graph and Twitter tags in the HTML itself.
+
+const DESCRIPTION_LENGTH = 160;
+
+export async function loadSiteName(db) {
+  const [[contact]] = await db.query('SELECT organizationName FROM contact_info ORDER BY id LIMIT 1');
+  return contact?.organizationName || 'PWMOI Banyuwangi';
+}
+
+function plainText(html) {
+  return String(html ?? '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function truncate(text, length) {
+  if (text.length <= length) return text;
+  const cut = text.slice(0, length - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > 0 ? cut.slice(0, lastSpace) : cut}…`;
+}
+
+// What an article looks like when shared. Each value has a fallback: the description comes from
+// the snippet or the text itself, the image from the cover (its 1200×630 crop for uploads), and
+// the canonical URL is the article's own page unless an editor points it elsewhere.
+export function articleMeta(article, { siteName, authorName = null }) {
+  const imageSource = article.og_image_url || article.cover_image_url;
+  const ogVariant = ogVariantUrl(imageSource);
+  return {
+    title: article.title,
+    description: article.meta_description
+      || truncate(plainText(article.snippet || article.content), DESCRIPTION_LENGTH),
+    url: articleUrl(article),
+    canonicalUrl: article.canonical_url || articleUrl(article),
+    image: absoluteAssetUrl(ogVariant || imageSource),
+    imageWidth: ogVariant ? 1200 : null,
+    imageHeight: ogVariant ? 630 : null,
+    siteName,
+    authorName,
+    publishedAt: article.published_at ?? null,
+    updatedAt: article.updated_at ?? null,
+  };
+}
+
+function isoDate(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+// schema.org data for search engines; `<` is escaped so the JSON cannot close the script element.
+function jsonLd(meta) {
+  const data = {
+    '@context': 'https://schema.org',
+    '@type': 'NewsArticle',
+    headline: meta.title,
+    description: meta.description,
+    mainEntityOfPage: meta.canonicalUrl,
+    image: meta.image ? [meta.image] : undefined,
+    datePublished: isoDate(meta.publishedAt) ?? undefined,
+    dateModified: isoDate(meta.updatedAt || meta.publishedAt) ?? undefined,
+    author: meta.authorName ? { '@type': 'Person', name: meta.authorName } : undefined,
+    publisher: { '@type': 'Organization', name: meta.siteName },
+  };
+  return `<script type="application/ld+json">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>`;
+}
+
+export function articleMetaTags(meta) {
+  const tag = (attribute, name, content) => (content == null || content === ''
+    ? null
+    : `<meta ${attribute}="${name}" content="${escapeXml(content)}" />`);
+  return [
+    `<title>${escapeXml(`${meta.title} — ${meta.siteName}`)}</title>`,
+    tag('name', 'description', meta.description),
+    `<link rel="canonical" href="${escapeXml(meta.canonicalUrl)}" />`,
+    tag('property', 'og:type', 'article'),
+    tag('property', 'og:locale', 'id_ID'),
+    tag('property', 'og:site_name', meta.siteName),
+    tag('property', 'og:title', meta.title),
+    tag('property', 'og:description', meta.description),
+    tag('property', 'og:url', meta.url),
+    tag('property', 'og:image', meta.image),
+    tag('property', 'og:image:width', meta.imageWidth),
+    tag('property', 'og:image:height', meta.imageHeight),
+    tag('property', 'og:image:alt', meta.image ? meta.title : null),
+    tag('property', 'article:published_time', isoDate(meta.publishedAt)),
+    tag('property', 'article:modified_time', isoDate(meta.updatedAt)),
+    tag('property', 'article:author', meta.authorName),
+    tag('name', 'twitter:card', meta.image ? 'summary_large_image' : 'summary'),
+    tag('name', 'twitter:title', meta.title),
+    tag('name', 'twitter:description', meta.description),
+    tag('name', 'twitter:image', meta.image),
+    jsonLd(meta),
+  ].filter(Boolean).join('\n');
+}
+
+// Tags the frontend's index.html may already carry for the site as a whole; the article's own
+// tags replace them.
+const REPLACED_HEAD_TAGS = [
+  /<title>[\s\S]*?<\/title>\s*/gi,
+  /<meta\s+(?:name|property)="(?:description|og:[^"]*|article:[^"]*|twitter:[^"]*)"[^>]*>\s*/gi,
+  /<link\s+rel="canonical"[^>]*>\s*/gi,
+];
+
+function formatDate(value) {
+  return new Date(value).toLocaleDateString('id-ID', {
+    day: 'numeric', month: 'long', year: 'numeric', timeZone: siteConfig.timeZone,
+  });
+}
+
+// A readable page of its own, used when no frontend build is configured.
+function standalonePage(meta, article, tags) {
+  const byline = [meta.authorName, meta.publishedAt ? formatDate(meta.publishedAt) : null]
+    .filter(Boolean).map(escapeXml).join(' · ');
+  return `<!DOCTYPE html>
+<html lang="id">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+${tags}
+<style>
+  body { font-family: Georgia, serif; max-width: 42rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.6; color: #111827; }
+  img { max-width: 100%; height: auto; }
+  .byline { color: #6b7280; font-family: Helvetica, Arial, sans-serif; }
+</style>
+</head>
+<body>
+<p><a href="${escapeXml(siteUrl('/'))}">${escapeXml(meta.siteName)}</a></p>
+<article>
+<h1>${escapeXml(article.title)}</h1>
+${byline ? `<p class="byline">${byline}</p>\n` : ''}${meta.image ? `<img src="${escapeXml(meta.image)}" alt="" />\n` : ''}${contentToHtml(article.content)}
+</article>
+</body>
+</html>`;
+}
+
+// The HTML served at /berita/:slug: the frontend's index.html with the article's tags in its
+// head when SPA_INDEX_HTML is set, otherwise a standalone page with the article text.
+export async function renderArticlePage(article, meta) {
+  const tags = articleMetaTags(meta);
+  if (!siteConfig.indexHtml) return standalonePage(meta, article, tags);
+  const html = REPLACED_HEAD_TAGS.reduce(
+    (result, pattern) => result.replace(pattern, ''),
+    await fs.readFile(siteConfig.indexHtml, 'utf8'),
+  );
+  return html.replace(/<\/head>/i, () => `${tags}\n</head>`);
+}
+
+export function renderNotFoundPage(siteName) {
+  return `<!DOCTYPE html>
+<html lang="id">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<meta name="robots" content="noindex" />
+<title>Berita tidak ditemukan — ${escapeXml(siteName)}</title>
+</head>
+<body>
+<h1>Berita tidak ditemukan</h1>
+<p>Berita yang Anda cari tidak tersedia. <a href="${escapeXml(siteUrl('/berita'))}">Lihat semua berita</a>.</p>
+</body>
+</html>`;
+}
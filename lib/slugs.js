@@ -0,0 +1,80 @@
+import { foldText } from './search.js';
+
+// --- Article slugs ---
+// An article gets its slug from the title when it is created, and the slug follows the title
+// until the article is first published. After that it only changes when an editor sets a new
+// one explicitly; the old slug is kept in article_slug_history so shared links keep working.
+
+export const MAX_SLUG_LENGTH = 120;
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// "Pelantikan Pengurus PWMOI: Ka'bah & Désa" -> 'pelantikan-pengurus-pwmoi-kabah-dan-desa'.
+// Long titles are cut at a word boundary.
+export function slugify(text) {
+  const slug = foldText(text)
+    .replace(/&/g, ' dan ')
+    .replace(/['’`]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  if (slug.length <= MAX_SLUG_LENGTH) return slug || 'berita';
+  const cut = slug.slice(0, MAX_SLUG_LENGTH + 1);
+  const lastBreak = cut.lastIndexOf('-');
+  return cut.slice(0, lastBreak > 0 ? lastBreak : MAX_SLUG_LENGTH);
+}
+
+// Slugs set by hand must already be in the form slugify() produces.
+export function isValidSlug(slug) {
+  return typeof slug === 'string' && slug.length <= MAX_SLUG_LENGTH && SLUG_PATTERN.test(slug);
+}
+
+// True when the slug is free for the given article: not used by another article, now or before.
+async function isSlugAvailable(db, slug, articleId) {
+  const [rows] = await db.query(
+    `SELECT id FROM articles WHERE slug = ? AND id <> ?
+     UNION ALL
+     SELECT article_id FROM article_slug_history WHERE slug = ? AND article_id <> ?
+     LIMIT 1`,
+    [slug, articleId ?? 0, slug, articleId ?? 0],
+  );
+  return rows.length === 0;
+}
+
+// The slug itself when it is free, otherwise the first free `<slug>-2`, `<slug>-3`, ...
+export async function uniqueArticleSlug(db, base, articleId = null) {
+  for (let n = 1; ; n += 1) {
+    const suffix = n === 1 ? '' : `-${n}`;
+    const candidate = `${base.slice(0, MAX_SLUG_LENGTH - suffix.length).replace(/-+$/, '')}${suffix}`;
+    if (await isSlugAvailable(db, candidate, articleId)) return candidate;
+  }
+}
+
+export async function isArticleSlugTaken(db, slug, articleId) {
+  return !(await isSlugAvailable(db, slug, articleId));
+}
+
+// Moves the article to a new slug. Once the article has been public, the previous slug is
+// remembered for redirects; an article going back to one of its own old slugs reclaims it.
+export async function changeArticleSlug(db, article, slug) {
+  if (article.slug === slug) return;
+  if (article.slug && article.published_at) {
+    await db.query(
+      'INSERT INTO article_slug_history (slug, article_id) VALUES (?, ?) ON DUPLICATE KEY UPDATE article_id = VALUES(article_id)',
+      [article.slug, article.id],
+    );
+  }
+  await db.query('DELETE FROM article_slug_history WHERE slug = ? AND article_id = ?', [slug, article.id]);
+  await db.query('UPDATE articles SET slug = ? WHERE id = ?', [slug, article.id]);
+}
+
+// Looks a slug up: { article } for the current slug, { article, redirect: true } for a retired one,
+// or null.
+export async function findArticleBySlug(db, slug) {
+  const [[current]] = await db.query('SELECT * FROM articles WHERE slug = ?', [slug]);
+  if (current) return { article: current, redirect: false };
+  const [[retired]] = await db.query(
+    `SELECT a.* FROM article_slug_history h JOIN articles a ON a.id = h.article_id WHERE h.slug = ?`,
+    [slug],
+  );
+  return retired ? { article: retired, redirect: true } : null;
+}
@@ -0,0 +1,73 @@
+import crypto from 'node:crypto';
+import { AUTH_SECRET } from './auth.js';
+import { escapeRegExp } from './mappers.js';
+
+// --- Comment spam heuristics ---
+// Each rule adds points; a comment scoring HOLD_THRESHOLD or more is held for moderation
+// instead of being published straight away.
+export const HOLD_THRESHOLD = 3;
+
+const DEFAULT_BANNED_WORDS = [
+  'judi', 'slot', 'togel', 'casino', 'kasino', 'gacor', 'maxwin', 'poker', 'taruhan',
+  'pinjol', 'viagra', 'bokep',
+];
+
+// Extra words can be configured as a comma-separated list: COMMENT_BANNED_WORDS="foo,bar".
+const BANNED_WORDS = [
+  ...DEFAULT_BANNED_WORDS,
+  ...String(process.env.COMMENT_BANNED_WORDS || '').split(',').map((word) => word.trim().toLowerCase()),
+].filter(Boolean);
+
+// A banned word matches as a whole word. The configured words are taken literally ("c++", "s.ot"),
+// and the patterns are built once.
+const BANNED_PATTERNS = BANNED_WORDS.map((word) => ({
+  word,
+  pattern: new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(word)}(?![\\p{L}\\p{N}_])`, 'iu'),
+}));
+
+const SOURCE_SALT = process.env.IP_HASH_SALT || AUTH_SECRET;
+
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+/gi;
+
+// Keyed hash of the client address, so repeat posters can be recognised without storing IPs.
+export function hashSource(ip) {
+  return crypto.createHmac('sha256', SOURCE_SALT).update(String(ip || 'unknown')).digest('hex');
+}
+
+// history: { sameContentCount, recentCount } — comments from the same source (or member) with
+// identical text in the last day, and of any text in the last few minutes.
+export function scoreComment(content, history = {}) {
+  const reasons = [];
+  let score = 0;
+  const text = String(content || '');
+
+  const links = text.match(LINK_PATTERN) || [];
+  if (links.length > 0) {
+    const points = links.length > 2 ? 3 : links.length;
+    score += points;
+    reasons.push(`links:${links.length}`);
+  }
+
+  const banned = BANNED_PATTERNS.filter(({ pattern }) => pattern.test(text)).map(({ word }) => word);
+  if (banned.length > 0) {
+    score += 3;
+    reasons.push(`banned-words:${banned.join(',')}`);
+  }
+
+  if (history.sameContentCount > 0) {
+    score += 3;
+    reasons.push('repeat-content');
+  }
+  if (history.recentCount >= 3) {
+    score += 2;
+    reasons.push(`burst:${history.recentCount}`);
+  }
+
+  const letters = text.replace(/[^a-z]/gi, '');
+  if (letters.length >= 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.7) {
+    score += 1;
+    reasons.push('shouting');
+  }
+
+  return { score, reasons, hold: score >= HOLD_THRESHOLD };
+}
@@ -0,0 +1,149 @@
+import { dbArticleToApi } from './mappers.js';
+import { sendPaginatedList } from './pagination.js';
+import { foldText } from './search.js';
+import { slugify } from './slugs.js';
+import { ARTICLE_STATUS, articleVisibility } from './workflow.js';
+
+// --- Categories, tags and article lists ---
+// Every article belongs to one category (admin-managed, one of them the default) and carries any
+// number of free-form tags. Tags are created on the fly when an article is tagged with a new name;
+// "Pemilu" and "pemilu" are the same tag because tags are matched by slug.
+
+export const MAX_TAGS_PER_ARTICLE = 20;
+const MAX_TAG_LENGTH = 50;
+
+export const ARTICLE_SORT_COLUMNS = {
+  id: 'id',
+  title: 'title',
+  status: 'status',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  publishedAt: 'published_at',
+  publishAt: 'publish_at',
+};
+
+// Extra columns for `SELECT articles.*, ...`: the category's name and slug and the tags as a JSON
+// array, so article lists need no second round-trip.
+export const ARTICLE_TAXONOMY_COLUMNS = `
+  (SELECT c.name FROM categories c WHERE c.id = articles.category_id) AS category_name,
+  (SELECT c.slug FROM categories c WHERE c.id = articles.category_id) AS category_slug,
+  (SELECT JSON_ARRAYAGG(JSON_OBJECT('id', t.id, 'name', t.name, 'slug', t.slug))
+     FROM article_tags atg JOIN tags t ON t.id = atg.tag_id
+     WHERE atg.article_id = articles.id) AS tag_list`;
+
+// Published articles per category / tag, for section listings and the tag cloud. The status is a
+// constant, so it is written into the SQL rather than passed as a parameter; that keeps these
+// usable in the SELECT list of paginated queries.
+export const CATEGORY_COUNT_SQL = `(SELECT COUNT(*) FROM articles a
+  WHERE a.category_id = categories.id AND a.status = '${ARTICLE_STATUS.PUBLISHED}')`;
+
+export const TAG_COUNT_SQL = `(SELECT COUNT(*) FROM article_tags atg JOIN articles a ON a.id = atg.article_id
+  WHERE atg.tag_id = tags.id AND a.status = '${ARTICLE_STATUS.PUBLISHED}')`;
+
+// GET-style article list in the shared pagination envelope, limited to what the caller may read.
+export async function sendArticleList(res, pool, req, { where = [], params = [] } = {}) {
+  const visibility = articleVisibility(req.user);
+  await sendPaginatedList(res, pool, req, {
+    select: `articles.*, ${ARTICLE_TAXONOMY_COLUMNS}`,
+    from: 'articles',
+    where: [...visibility.where, ...where],
+    params: [...visibility.params, ...params],
+    columns: ARTICLE_SORT_COLUMNS,
+    defaultSort: '-publishedAt,-id',
+    map: dbArticleToApi,
+  });
+}
+
+export function dbCategoryToApi(row) {
+  if (!row) return null;
+  const category = {
+    id: row.id,
+    name: row.name,
+    slug: row.slug,
+    description: row.description ?? null,
+    sortOrder: row.sort_order ?? 0,
+    isDefault: Boolean(row.is_default),
+    createdAt: row.created_at ?? null,
+  };
+  if (row.article_count !== undefined) category.articleCount = Number(row.article_count);
+  return category;
+}
+
+export function dbTagToApi(row) {
+  if (!row) return null;
+  const tag = { id: row.id, name: row.name, slug: row.slug, createdAt: row.created_at ?? null };
+  if (row.article_count !== undefined) tag.articleCount = Number(row.article_count);
+  return tag;
+}
+
+// { name, slug, description, sortOrder, isDefault } (checked by the category schemas) -> DB
+// columns. Only fields present in the payload are returned; a blank name or slug counts as not
+// given, and a new category without a slug gets one from its name.
+export function apiCategoryToDb(payload, { creating = false } = {}) {
+  const {
+    name, slug, description, sortOrder, isDefault,
+  } = payload || {};
+  const dbObj = {};
+  if (name) dbObj.name = name.trim();
+  if (slug) dbObj.slug = slug;
+  else if (creating) dbObj.slug = slugify(dbObj.name);
+  if (description !== undefined) dbObj.description = description || null;
+  if (sortOrder !== undefined) dbObj.sort_order = Number(sortOrder);
+  if (isDefault !== undefined) dbObj.is_default = isDefault ? 1 : 0;
+  return dbObj;
+}
+
+function normalizeTagName(name) {
+  return String(name ?? '').replace(/\s+/g, ' ').trim();
+}
+
+// Accepts tags as an array of names or a comma-separated string. Returns { tags: [{ name, slug }] }
+// without duplicates, or { error }.
+export function parseTagNames(value) {
+  const names = Array.isArray(value) ? value : String(value ?? '').split(',');
+  const tags = new Map();
+  for (const raw of names) {
+    if (typeof raw !== 'string') return { error: 'Tags must be strings.' };
+    const name = normalizeTagName(raw);
+    if (!name) continue;
+    if (name.length > MAX_TAG_LENGTH) return { error: `Tags must be at most ${MAX_TAG_LENGTH} characters.` };
+    if (!/[a-z0-9]/.test(foldText(name))) return { error: `Tag "${name}" must contain letters or digits.` };
+    const slug = slugify(name);
+    if (!tags.has(slug)) tags.set(slug, { name, slug });
+  }
+  if (tags.size > MAX_TAGS_PER_ARTICLE) {
+    return { error: `An article can have at most ${MAX_TAGS_PER_ARTICLE} tags.` };
+  }
+  return { tags: [...tags.values()] };
+}
+
+// Replaces the article's tags, creating tags that do not exist yet (keeping the existing name of
+// those that do).
+export async function setArticleTags(db, articleId, tags) {
+  if (tags.length > 0) {
+    await db.query('INSERT IGNORE INTO tags (name, slug) VALUES ?', [tags.map((tag) => [tag.name, tag.slug])]);
+  }
+  const [rows] = tags.length > 0
+    ? await db.query('SELECT id FROM tags WHERE slug IN (?)', [tags.map((tag) => tag.slug)])
+    : [[]];
+  const tagIds = rows.map((row) => row.id);
+  await db.query(
+    `DELETE FROM article_tags WHERE article_id = ?${tagIds.length > 0 ? ' AND tag_id NOT IN (?)' : ''}`,
+    tagIds.length > 0 ? [articleId, tagIds] : [articleId],
+  );
+  if (tagIds.length > 0) {
+    await db.query('INSERT IGNORE INTO article_tags (article_id, tag_id) VALUES ?', [
+      tagIds.map((tagId) => [articleId, tagId]),
+    ]);
+  }
+}
+
+export async function findDefaultCategoryId(db) {
+  const [[row]] = await db.query('SELECT id FROM categories WHERE is_default = 1 ORDER BY id LIMIT 1');
+  return row?.id ?? null;
+}
+
+export async function categoryExists(db, id) {
+  const [rows] = await db.query('SELECT id FROM categories WHERE id = ?', [id]);
+  return rows.length > 0;
+}
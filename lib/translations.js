@@ -0,0 +1,219 @@
+import { safeJsonParse } from './mappers.js';
+
+// --- Translated site content ---
+// The organisation profile, legal pages, programs and announcements are written in Indonesian;
+// translations into the other locales are kept in `content_translations`, one row per record
+// and locale. Readers ask for a locale with ?lang= or Accept-Language and get every field that
+// has been translated, the Indonesian text for the rest. (API messages default to English when
+// the client states no preference; site content defaults to Indonesian.)
+
+export const DEFAULT_CONTENT_LOCALE = 'id';
+export const CONTENT_LOCALES = Object.freeze(['id', 'en']);
+export const TRANSLATION_LOCALES = Object.freeze(CONTENT_LOCALES.filter((locale) => locale !== DEFAULT_CONTENT_LOCALE));
+
+// What can be translated, by the name used under /api/translations. `key` is the column a
+// record is addressed by, `label` the column naming it in lists, `fields` the translatable
+// columns by their API name; `lists` are stored as JSON arrays, like site_profile.mission.
+export const TRANSLATABLE = Object.freeze({
+  'site-profile': {
+    table: 'site_profile',
+    key: 'id',
+    label: null,
+    fields: {
+      about: 'about',
+      vision: 'vision',
+      mission: 'mission',
+      purpose: 'purpose',
+      legalityText: 'legality_text',
+      legalitySk: 'legality_sk',
+      adArt: 'ad_art',
+    },
+    lists: ['mission'],
+  },
+  'legal-content': {
+    table: 'legal_content',
+    key: 'page_key',
+    label: 'title',
+    fields: { title: 'title', content: 'content' },
+  },
+  programs: {
+    table: 'programs',
+    key: 'id',
+    label: 'title',
+    fields: { title: 'title', description: 'description' },
+  },
+  announcements: {
+    table: 'announcements',
+    key: 'id',
+    label: 'title',
+    fields: { title: 'title', content: 'content' },
+  },
+});
+
+// The locale of the content to answer with: ?lang=, then Accept-Language, then Indonesian.
+// With `res`, the response says which locale it is in and that it depends on Accept-Language.
+export function contentLocale(req, res) {
+  const requested = String(req.query?.lang ?? '').toLowerCase();
+  const locale = CONTENT_LOCALES.includes(requested)
+    ? requested
+    : req.acceptsLanguages(...CONTENT_LOCALES) || DEFAULT_CONTENT_LOCALE;
+  if (res) {
+    res.vary('Accept-Language');
+    res.set('Content-Language', locale);
+  }
+  return locale;
+}
+
+function isBlank(value, isList) {
+  if (value == null || String(value).trim() === '') return true;
+  if (!isList) return false;
+  const list = safeJsonParse(value, null);
+  return Array.isArray(list) && list.length === 0;
+}
+
+function columnsOf(entity) {
+  const { fields, lists = [] } = TRANSLATABLE[entity];
+  return Object.entries(fields).map(([field, column]) => ({ field, column, isList: lists.includes(field) }));
+}
+
+// The row with the translated columns laid over the Indonesian ones.
+function applyTranslation(entity, row, translated) {
+  const result = { ...row };
+  for (const { column, isList } of columnsOf(entity)) {
+    if (column in row && !isBlank(translated[column], isList)) result[column] = translated[column];
+  }
+  return result;
+}
+
+async function loadTranslations(db, entity, ids, locale) {
+  const [rows] = await db.query(
+    'SELECT entity_id, fields FROM content_translations WHERE entity = ? AND locale = ? AND entity_id IN (?)',
+    [TRANSLATABLE[entity].table, locale, ids.map(String)],
+  );
+  return new Map(rows.map((row) => [row.entity_id, safeJsonParse(row.fields, {})]));
+}
+
+// Rows of a translatable table, in `locale`. Nothing is looked up for Indonesian.
+export async function translateRows(db, entity, rows, locale) {
+  if (locale === DEFAULT_CONTENT_LOCALE || rows.length === 0) return rows;
+  const { key } = TRANSLATABLE[entity];
+  const translations = await loadTranslations(db, entity, rows.map((row) => row[key]), locale);
+  return rows.map((row) => applyTranslation(entity, row, translations.get(String(row[key])) ?? {}));
+}
+
+export async function translateRow(db, entity, row, locale) {
+  if (!row) return row;
+  const [translated] = await translateRows(db, entity, [row], locale);
+  return translated;
+}
+
+// --- Managing translations ---
+export async function findTranslation(db, entity, id, locale) {
+  const [rows] = await db.query(
+    'SELECT * FROM content_translations WHERE entity = ? AND entity_id = ? AND locale = ?',
+    [TRANSLATABLE[entity].table, String(id), locale],
+  );
+  return rows[0] || null;
+}
+
+// Translated columns from a payload in API names. Lists are stored as JSON, as in the source
+// table; null or an empty value removes the field's translation.
+export function apiTranslationToDb(entity, payload) {
+  const dbObj = {};
+  for (const { field, column, isList } of columnsOf(entity)) {
+    const value = (payload || {})[field];
+    if (value === undefined) continue;
+    dbObj[column] = isList ? JSON.stringify(value || []) : value;
+  }
+  return dbObj;
+}
+
+// One record's fields in API names, translated or not. Untranslated fields are null.
+function fieldsToApi(entity, columns) {
+  return Object.fromEntries(columnsOf(entity).map(({ field, column, isList }) => {
+    if (isBlank(columns[column], isList)) return [field, null];
+    return [field, isList ? safeJsonParse(columns[column], []) : columns[column]];
+  }));
+}
+
+// The fields that have Indonesian text but no translation.
+function missingFields(entity, source, translated) {
+  return columnsOf(entity)
+    .filter(({ column, isList }) => !isBlank(source[column], isList) && isBlank(translated[column], isList))
+    .map(({ field }) => field);
+}
+
+export function dbTranslationToApi(entity, source, row, locale) {
+  const translated = safeJsonParse(row?.fields, {});
+  const { key, label } = TRANSLATABLE[entity];
+  return {
+    entity,
+    id: String(source[key]),
+    label: label ? source[label] ?? null : null,
+    locale,
+    source: fieldsToApi(entity, source),
+    translation: fieldsToApi(entity, translated),
+    missingFields: missingFields(entity, source, translated),
+    updatedBy: row?.updated_by ?? null,
+    updatedAt: row?.updated_at ?? null,
+  };
+}
+
+// Merges `changes` (columns, see apiTranslationToDb) into the stored translation. A translation
+// left without any field is deleted. Returns the stored row, or null.
+export async function saveTranslation(db, entity, id, locale, changes, { userId = null } = {}) {
+  const { table } = TRANSLATABLE[entity];
+  const current = await findTranslation(db, entity, id, locale);
+  const merged = { ...safeJsonParse(current?.fields, {}), ...changes };
+  const lists = columnsOf(entity).filter(({ isList }) => isList).map(({ column }) => column);
+  const fields = Object.fromEntries(Object.entries(merged).filter(([column, value]) => !isBlank(value, lists.includes(column))));
+  if (Object.keys(fields).length === 0) {
+    await deleteTranslations(db, entity, id, locale);
+    return null;
+  }
+  await db.query(
+    `INSERT INTO content_translations (entity, entity_id, locale, fields, updated_by) VALUES (?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE fields = VALUES(fields), updated_by = VALUES(updated_by)`,
+    [table, String(id), locale, JSON.stringify(fields), userId],
+  );
+  return findTranslation(db, entity, id, locale);
+}
+
+// Every locale's translation of a record unless `locale` is given, e.g. when the record is deleted.
+export async function deleteTranslations(db, entity, id, locale = null) {
+  const where = ['entity = ?', 'entity_id = ?'];
+  const params = [TRANSLATABLE[entity].table, String(id)];
+  if (locale) {
+    where.push('locale = ?');
+    params.push(locale);
+  }
+  await db.query(`DELETE FROM content_translations WHERE ${where.join(' AND ')}`, params);
+}
+
+// Records of the given types with Indonesian text that has no translation into `locale`, as
+// { entity, id, label, missingFields, partial }. The tables are small site content, so every
+// record is compared.
+export async function missingTranslations(db, locale, entities = Object.keys(TRANSLATABLE)) {
+  const missing = [];
+  for (const entity of entities) {
+    const { table, key, label } = TRANSLATABLE[entity];
+    const [[rows], [translations]] = await Promise.all([
+      db.query(`SELECT * FROM ${table} ORDER BY ${key}`),
+      db.query('SELECT entity_id, fields FROM content_translations WHERE entity = ? AND locale = ?', [table, locale]),
+    ]);
+    const byId = new Map(translations.map((row) => [row.entity_id, safeJsonParse(row.fields, {})]));
+    for (const row of rows) {
+      const translated = byId.get(String(row[key])) ?? {};
+      const fields = missingFields(entity, row, translated);
+      if (fields.length === 0) continue;
+      missing.push({
+        entity,
+        id: String(row[key]),
+        label: label ? row[label] ?? null : null,
+        missingFields: fields,
+        partial: byId.has(String(row[key])),
+      });
+    }
+  }
+  return missing;
+}
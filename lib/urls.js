@@ -0,0 +1,19 @@
+import { siteConfig } from './config.js';
+
+// Absolute URLs for things shared outside the site (feeds, sitemap, link previews).
+
+// Image columns hold either external URLs or managed uploads (/media/...), which live on the backend.
+export function absoluteAssetUrl(url) {
+  if (!url) return null;
+  if (/^https?:\/\//i.test(url)) return url;
+  return `${siteConfig.apiUrl}${url.startsWith('/') ? '' : '/'}${url}`;
+}
+
+export function siteUrl(pathname = '/') {
+  return `${siteConfig.publicUrl}${pathname.startsWith('/') ? '' : '/'}${pathname}`;
+}
+
+// Articles without a slug (not yet migrated) fall back to their id, which redirects to the slug.
+export function articleUrl(article) {
+  return siteUrl(`/berita/${article.slug || article.id}`);
+}
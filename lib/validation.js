@@ -0,0 +1,225 @@
+import { ValidationError } from './errors.js';
+import { isValidSlug } from './slugs.js';
+
+// --- Declarative request validation ---
+// Schemas are plain objects in the OpenAPI 3.0 flavour of JSON Schema, so the same definitions
+// can be published as API documentation. Supported keywords:
+//   type (a name or a list of names), nullable, enum, minLength, maxLength, pattern, format,
+//   minimum, maximum, items, minItems, maxItems, properties, required, additionalProperties.
+// Properties a schema does not mention are allowed and left to the route.
+//
+// Query strings and multipart form fields arrive as text, so "12" passes as an integer and
+// "true" or "0" as a boolean there. A JSON body has real booleans, so it must send one: the
+// mappers test flags for truthiness, and "false" is truthy. An empty string counts as "no value"
+// for the format, pattern and minLength checks, because that is how forms send fields left blank;
+// required fields reject blank strings.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}/;
+
+const FORMATS = {
+  email: {
+    test: (value) => EMAIL_PATTERN.test(value),
+    en: 'a valid email address',
+    id: 'alamat email yang valid',
+  },
+  uri: {
+    test: (value) => /^https?:\/\/\S+$/i.test(value),
+    en: 'an absolute http(s) URL',
+    id: 'URL http(s) yang lengkap',
+  },
+  // Uploaded media is referenced by its path on this server, anything else by a full URL.
+  'uri-reference': {
+    test: (value) => /^(https?:\/\/|\/)\S*$/i.test(value),
+    en: 'an http(s) URL or a path starting with "/"',
+    id: 'URL http(s) atau path yang diawali "/"',
+  },
+  // ISO 8601; a bare date is accepted too.
+  'date-time': {
+    test: (value) => ISO_DATE.test(value) && !Number.isNaN(new Date(value).getTime()),
+    en: 'an ISO 8601 date and time, e.g. 2025-01-31T09:00:00+07:00',
+    id: 'tanggal dan waktu ISO 8601, misalnya 2025-01-31T09:00:00+07:00',
+  },
+  date: {
+    test: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(value).getTime()),
+    en: 'a date in the form YYYY-MM-DD',
+    id: 'tanggal dengan format YYYY-MM-DD',
+  },
+  slug: {
+    test: isValidSlug,
+    en: 'a slug of lowercase letters, digits and single hyphens',
+    id: 'slug berisi huruf kecil, angka, dan tanda hubung tunggal',
+  },
+};
+
+const TYPE_NAMES = {
+  string: { en: 'text', id: 'teks' },
+  integer: { en: 'a whole number', id: 'bilangan bulat' },
+  number: { en: 'a number', id: 'angka' },
+  boolean: { en: 'true or false', id: 'true atau false' },
+  array: { en: 'a list', id: 'daftar' },
+  object: { en: 'an object', id: 'objek' },
+};
+
+const MESSAGES = {
+  required: (field) => ({ en: `"${field}" is required.`, id: `"${field}" wajib diisi.` }),
+  type: (field, { types }) => ({
+    en: `"${field}" must be ${types.map((type) => TYPE_NAMES[type].en).join(' or ')}.`,
+    id: `"${field}" harus berupa ${types.map((type) => TYPE_NAMES[type].id).join(' atau ')}.`,
+  }),
+  enum: (field, { values }) => ({
+    en: `"${field}" must be one of: ${values.join(', ')}.`,
+    id: `"${field}" harus salah satu dari: ${values.join(', ')}.`,
+  }),
+  minLength: (field, { limit }) => ({
+    en: `"${field}" must be at least ${limit} characters long.`,
+    id: `"${field}" minimal ${limit} karakter.`,
+  }),
+  maxLength: (field, { limit }) => ({
+    en: `"${field}" must be at most ${limit} characters long.`,
+    id: `"${field}" maksimal ${limit} karakter.`,
+  }),
+  pattern: (field) => ({ en: `"${field}" is not in the expected format.`, id: `Format "${field}" tidak sesuai.` }),
+  format: (field, { format }) => ({
+    en: `"${field}" must be ${FORMATS[format].en}.`,
+    id: `"${field}" harus berupa ${FORMATS[format].id}.`,
+  }),
+  minimum: (field, { limit }) => ({ en: `"${field}" must be at least ${limit}.`, id: `"${field}" minimal ${limit}.` }),
+  maximum: (field, { limit }) => ({ en: `"${field}" must be at most ${limit}.`, id: `"${field}" maksimal ${limit}.` }),
+  minItems: (field, { limit }) => ({
+    en: `"${field}" must contain at least ${limit} item(s).`,
+    id: `"${field}" harus berisi minimal ${limit} item.`,
+  }),
+  maxItems: (field, { limit }) => ({
+    en: `"${field}" must contain at most ${limit} item(s).`,
+    id: `"${field}" berisi maksimal ${limit} item.`,
+  }),
+};
+
+const BOOLEAN_TEXT = ['0', '1', 'true', 'false'];
+
+function matchesType(type, value, { fromText }) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'integer':
+      return Number.isInteger(value) || (typeof value === 'string' && /^-?\d+$/.test(value.trim()));
+    case 'number':
+      return (typeof value === 'number' && Number.isFinite(value))
+        || (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)));
+    case 'boolean':
+      return typeof value === 'boolean' || (fromText && BOOLEAN_TEXT.includes(value));
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+// Collects every problem with `value` into `problems` as { in, field, rule, message }.
+function check(schema, value, path, context) {
+  const report = (rule, extra = {}) => {
+    const field = path || context.in;
+    context.problems.push({ in: context.in, field, rule, message: MESSAGES[rule](field, extra) });
+  };
+
+  if (value === undefined) return;
+  if (value === null) {
+    if (!schema.nullable && schema.type) report('type', { types: [].concat(schema.type) });
+    return;
+  }
+  const types = schema.type ? [].concat(schema.type) : [];
+  if (types.length > 0 && !types.some((type) => matchesType(type, value, context))) {
+    report('type', { types });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    report('enum', { values: schema.enum.filter((item) => item !== '') });
+    return;
+  }
+
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    if (length > 0 && schema.minLength !== undefined && length < schema.minLength) {
+      report('minLength', { limit: schema.minLength });
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) report('maxLength', { limit: schema.maxLength });
+    if (length > 0 && schema.pattern && !new RegExp(schema.pattern).test(value)) report('pattern');
+    if (length > 0 && schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+      report('format', { format: schema.format });
+    }
+  }
+
+  if (types.includes('integer') || types.includes('number')) {
+    const number = Number(value);
+    if (schema.minimum !== undefined && number < schema.minimum) report('minimum', { limit: schema.minimum });
+    if (schema.maximum !== undefined && number > schema.maximum) report('maximum', { limit: schema.maximum });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) report('minItems', { limit: schema.minItems });
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) report('maxItems', { limit: schema.maxItems });
+    if (schema.items) {
+      value.forEach((item, index) => check(schema.items, item, childPath(path, index), context));
+    }
+  } else if (typeof value === 'object') {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (isBlank(value[name])) {
+        context.problems.push({
+          in: context.in,
+          field: childPath(path, name),
+          rule: 'required',
+          message: MESSAGES.required(childPath(path, name)),
+        });
+      }
+    }
+    for (const [name, propertySchema] of Object.entries(properties)) {
+      if (schema.required?.includes(name) && isBlank(value[name])) continue;
+      check(propertySchema, value[name], childPath(path, name), context);
+    }
+    if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      for (const [name, item] of Object.entries(value)) {
+        if (!(name in properties)) check(schema.additionalProperties, item, childPath(path, name), context);
+      }
+    }
+  }
+}
+
+// Returns the problems found in `value` (an empty list when it is valid). `location` is the part
+// of the request it came from: body, query or params. `fromText` says whether the values arrived
+// as text (query, params, form fields); by default only a body is taken to be JSON.
+export function validateValue(schema, value, location = 'body', { fromText = location !== 'body' } = {}) {
+  const context = { in: location, fromText, problems: [] };
+  check(schema, value, '', context);
+  return context.problems;
+}
+
+// Middleware: checks req.params, req.query and req.body against the given schemas and rejects
+// the request with a ValidationError listing every problem. The request itself is not changed.
+// The schemas stay readable on the middleware for the API documentation.
+export function validate(schemas) {
+  const middleware = (req, res, next) => {
+    const problems = [];
+    for (const location of ['params', 'query', 'body']) {
+      if (!schemas[location]) continue;
+      const fromText = location !== 'body' || Boolean(req.is('multipart/form-data'));
+      problems.push(...validateValue(schemas[location], req[location] ?? {}, location, { fromText }));
+    }
+    next(problems.length > 0 ? new ValidationError(problems) : undefined);
+  };
+  middleware.schemas = schemas;
+  return middleware;
+}
@@ -0,0 +1,217 @@
+import { siteConfig } from './config.js';
+import { HttpError } from './errors.js';
+import {
+  createNotification,
+  deferNotifications,
+  discardNotifications,
+  flushNotifications,
+  notifyRoles,
+} from './notifications.js';
+import { EDITORIAL_ROLES, PERMISSIONS, hasPermission, isOwnerOr } from './permissions.js';
+
+// --- Article lifecycle ---
+// Draft → Submitted → In Review → Needs Revision → (Scheduled →) Published → Archived
+export const ARTICLE_STATUS = Object.freeze({
+  DRAFT: 'Draft',
+  SUBMITTED: 'Submitted',
+  IN_REVIEW: 'In Review',
+  NEEDS_REVISION: 'Needs Revision',
+  SCHEDULED: 'Scheduled',
+  PUBLISHED: 'Published',
+  ARCHIVED: 'Archived',
+});
+
+// Authors may only edit content while the article is in their hands.
+export const AUTHOR_EDITABLE_STATUSES = Object.freeze([ARTICLE_STATUS.DRAFT, ARTICLE_STATUS.NEEDS_REVISION]);
+
+const S = ARTICLE_STATUS;
+
+// Each action lists the statuses it may start from, the status it leads to, who may perform it,
+// whether feedback is mandatory, and the notification it produces.
+export const ARTICLE_TRANSITIONS = Object.freeze({
+  submit: {
+    from: [S.DRAFT, S.NEEDS_REVISION],
+    to: S.SUBMITTED,
+    allowed: (user, article) => isOwnerOr(user, article.authorId, PERMISSIONS.ARTICLES_EDIT_ANY),
+    notify: { roles: EDITORIAL_ROLES, message: (a) => `Artikel "${a.title}" diajukan untuk ditinjau.` },
+  },
+  'start-review': {
+    from: [S.SUBMITTED],
+    to: S.IN_REVIEW,
+    allowed: (user) => hasPermission(user, PERMISSIONS.ARTICLES_REVIEW),
+    notify: { author: true, message: (a) => `Artikel Anda "${a.title}" sedang ditinjau editor.` },
+  },
+  'request-revision': {
+    from: [S.SUBMITTED, S.IN_REVIEW],
+    to: S.NEEDS_REVISION,
+    requiresFeedback: true,
+    allowed: (user) => hasPermission(user, PERMISSIONS.ARTICLES_REVIEW),
+    notify: { author: true, message: (a) => `Artikel Anda "${a.title}" memerlukan revisi.` },
+  },
+  // Approval is the reviewer's verdict on a submitted article and publishes it in one step.
+  approve: {
+    from: [S.SUBMITTED, S.IN_REVIEW],
+    to: S.PUBLISHED,
+    allowed: (user) => hasPermission(user, PERMISSIONS.ARTICLES_PUBLISH),
+    notify: { author: true, message: (a) => `Artikel Anda "${a.title}" telah disetujui dan diterbitkan.` },
+  },
+  // Direct publishing, for editors' own drafts and for bringing archived articles back. The
+  // scheduler also uses it to publish scheduled articles once their time has come.
+  publish: {
+    from: [S.DRAFT, S.ARCHIVED, S.SCHEDULED],
+    to: S.PUBLISHED,
+    allowed: (user) => hasPermission(user, PERMISSIONS.ARTICLES_PUBLISH),
+    notify: { author: true, message: (a) => `Artikel Anda "${a.title}" telah diterbitkan.` },
+  },
+  // Like approve/publish, but takes effect at `publishAt` (body field, must be in the future).
+  schedule: {
+    from: [S.DRAFT, S.SUBMITTED, S.IN_REVIEW, S.ARCHIVED],
+    to: S.SCHEDULED,
+    requiresPublishAt: true,
+    allowed: (user) => hasPermission(user, PERMISSIONS.ARTICLES_PUBLISH),
+    notify: {
+      author: true,
+      message: (a) => `Artikel Anda "${a.title}" dijadwalkan terbit pada ${formatSchedule(a.publish_at)}.`,
+    },
+  },
+  unschedule: {
+    from: [S.SCHEDULED],
+    to: S.DRAFT,
+    allowed: (user) => hasPermission(user, PERMISSIONS.ARTICLES_PUBLISH),
+    notify: { author: true, message: (a) => `Jadwal terbit artikel Anda "${a.title}" dibatalkan.` },
+  },
+  archive: {
+    from: [S.PUBLISHED],
+    to: S.ARCHIVED,
+    allowed: (user) => hasPermission(user, PERMISSIONS.ARTICLES_PUBLISH),
+    notify: { author: true, message: (a) => `Artikel Anda "${a.title}" telah diarsipkan.` },
+  },
+});
+
+function formatSchedule(value) {
+  return new Date(value).toLocaleString('id-ID', {
+    dateStyle: 'long',
+    timeStyle: 'short',
+    timeZone: siteConfig.timeZone,
+  });
+}
+
+// SQL condition limiting articles to what the user may read: editors see everything, members see
+// published articles plus their own, anonymous visitors only published ones.
+export function articleVisibility(user, alias = '') {
+  const col = (name) => (alias ? `${alias}.${name}` : name);
+  if (hasPermission(user, PERMISSIONS.ARTICLES_REVIEW)) return { where: [], params: [] };
+  if (user) {
+    return { where: [`(${col('status')} = ? OR ${col('authorId')} = ?)`], params: [S.PUBLISHED, user.id] };
+  }
+  return { where: [`${col('status')} = ?`], params: [S.PUBLISHED] };
+}
+
+export function canReadArticle(user, article) {
+  return article.status === S.PUBLISHED || isOwnerOr(user, article.authorId, PERMISSIONS.ARTICLES_REVIEW);
+}
+
+export class TransitionError extends HttpError {
+  constructor(status, message) {
+    super(status, message);
+    this.name = 'TransitionError';
+  }
+}
+
+// Applies a workflow action to an article inside a transaction: guarded status update,
+// transition log row, latest feedback on the article, and the matching notification(s).
+// Returns the transition row id. Throws TransitionError for illegal or forbidden transitions.
+// `actor: null` is the scheduler acting on its own; routes always pass the signed-in user.
+export async function applyTransition(pool, { article, action, actor, feedback = null, publishAt = null }) {
+  const transition = ARTICLE_TRANSITIONS[action];
+  if (!transition) {
+    throw new TransitionError(404, `Unknown workflow action: ${action}`);
+  }
+  if (actor && !transition.allowed(actor, article)) {
+    throw new TransitionError(403, `You are not allowed to ${action} this article.`);
+  }
+  const fromStatus = article.status || S.DRAFT;
+  if (!transition.from.includes(fromStatus)) {
+    throw new TransitionError(
+      409,
+      `Cannot ${action} an article in status "${fromStatus}". Allowed from: ${transition.from.join(', ')}.`,
+    );
+  }
+  const trimmedFeedback = typeof feedback === 'string' ? feedback.trim() : null;
+  if (transition.requiresFeedback && !trimmedFeedback) {
+    throw new TransitionError(400, 'Feedback is required for this action.');
+  }
+  let scheduledAt = null;
+  if (transition.requiresPublishAt) {
+    scheduledAt = publishAt ? new Date(publishAt) : null;
+    if (!scheduledAt || Number.isNaN(scheduledAt.getTime()) || scheduledAt <= new Date()) {
+      throw new TransitionError(400, 'publishAt must be a future date and time (ISO 8601).');
+    }
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    deferNotifications(conn);
+
+    // Compare-and-set on the status so two concurrent reviewers cannot both transition.
+    const changes = { status: transition.to };
+    if (trimmedFeedback) changes.editor_feedback = trimmedFeedback;
+    if (scheduledAt) changes.publish_at = scheduledAt;
+    if (transition.to === S.DRAFT) changes.publish_at = null;
+    if (transition.to === S.PUBLISHED) {
+      // A scheduled article counts as published at its planned time, even when the scheduler
+      // catches up late after downtime.
+      if (fromStatus === S.SCHEDULED && article.publish_at) changes.published_at = article.publish_at;
+      else if (!article.published_at) changes.published_at = new Date();
+    }
+    const [updated] = await conn.query(
+      'UPDATE articles SET ? WHERE id = ? AND (status = ? OR (status IS NULL AND ? = ?))',
+      [changes, article.id, fromStatus, fromStatus, S.DRAFT],
+    );
+    if (updated.affectedRows === 0) {
+      throw new TransitionError(409, 'The article was changed by someone else. Reload and try again.');
+    }
+
+    const [logged] = await conn.query(
+      `INSERT INTO article_transitions (article_id, action, from_status, to_status, actor_id, feedback)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [article.id, action, fromStatus, transition.to, actor?.id ?? null, trimmedFeedback],
+    );
+
+    const { notify } = transition;
+    const link = `/articles/${article.id}`;
+    const message = notify.message({ ...article, ...changes });
+    if (notify.author && article.authorId != null && Number(article.authorId) !== Number(actor?.id)) {
+      await createNotification(conn, { userId: article.authorId, message, link });
+    }
+    if (notify.roles) {
+      await notifyRoles(conn, notify.roles, { message, link, excludeUserId: actor?.id ?? null });
+    }
+
+    await conn.commit();
+    flushNotifications(conn);
+    return logged.insertId;
+  } catch (err) {
+    discardNotifications(conn);
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+export function dbTransitionToApi(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    articleId: row.article_id,
+    action: row.action,
+    fromStatus: row.from_status,
+    toStatus: row.to_status,
+    actorId: row.actor_id,
+    actorName: row.actor_name ?? null,
+    feedback: row.feedback ?? null,
+    createdAt: row.created_at,
+  };
+}
@@ -0,0 +1,46 @@
+/* eslint-disable no-console */
+
+// Schema migration CLI.
+//   node migrate.js up            apply all pending migrations
+//   node migrate.js down [steps]  roll back the last <steps> migrations (default 1)
+//   node migrate.js status        list applied and pending migrations
+import mysql from 'mysql2/promise';
+import { dbConfig } from './lib/config.js';
+import {
+  getMigrationStatus,
+  loadMigrations,
+  migrateDown,
+  migrateUp,
+} from './lib/migrator.js';
+
+async function main() {
+  const [command = 'status', arg] = process.argv.slice(2);
+  const migrations = await loadMigrations();
+  const conn = await mysql.createConnection(dbConfig);
+
+  try {
+    if (command === 'up') {
+      const ran = await migrateUp(conn, migrations);
+      console.log(ran.length > 0 ? `✅ Applied ${ran.length} migration(s).` : '✅ Schema is up to date.');
+    } else if (command === 'down') {
+      const steps = Number(arg) || 1;
+      const reverted = await migrateDown(conn, migrations, steps);
+      console.log(`✅ Rolled back ${reverted.length} migration(s).`);
+    } else if (command === 'status') {
+      const status = await getMigrationStatus(conn, migrations);
+      for (const { version, applied } of status) {
+        console.log(`${applied ? '✅ applied ' : '⏳ pending '} ${version}`);
+      }
+    } else {
+      console.error(`Unknown command "${command}". Use: up | down [steps] | status`);
+      process.exitCode = 1;
+    }
+  } finally {
+    await conn.end();
+  }
+}
+
+main().catch((err) => {
+  console.error('❌ Migration failed:', err);
+  process.exitCode = 1;
+});
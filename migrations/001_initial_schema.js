@@ -0,0 +1,150 @@
+// Baseline schema: the 13 tables the site was built on, as previously created by seed.js.
+// Existing databases already have them, so every statement is CREATE TABLE IF NOT EXISTS.
+const TABLES = [
+  'users', 'articles', 'site_profile', 'contact_info', 'programs', 'structure', 'announcements',
+  'gallery', 'comments', 'notifications', 'inspiration_notes', 'partners', 'legal_content',
+];
+
+export async function up(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      name VARCHAR(100),
+      email VARCHAR(100) UNIQUE,
+      password VARCHAR(100),
+      role VARCHAR(50),
+      avatar_url VARCHAR(255),
+      is_verified TINYINT DEFAULT 0,
+      phone_number VARCHAR(20),
+      media_name VARCHAR(100),
+      position VARCHAR(100),
+      ukw_certification VARCHAR(50)
+    )
+  `);
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS articles (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      title VARCHAR(255),
+      content TEXT,
+      snippet VARCHAR(255),
+      cover_image_url VARCHAR(255),
+      status VARCHAR(50),
+      authorId INT,
+      editor_feedback TEXT
+    )
+  `);
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS site_profile (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      about TEXT,
+      vision TEXT,
+      mission TEXT,
+      purpose TEXT,
+      legality_text TEXT,
+      legality_sk TEXT,
+      ad_art TEXT
+    )
+  `);
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS contact_info (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      organizationName VARCHAR(100),
+      address VARCHAR(255),
+      email VARCHAR(100),
+      phone VARCHAR(50),
+      socials JSON,
+      logo_url VARCHAR(255),
+      favicon_url VARCHAR(255)
+    )
+  `);
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS programs (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      title VARCHAR(255),
+      description TEXT,
+      icon VARCHAR(10)
+    )
+  `);
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS structure (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      name VARCHAR(100),
+      position VARCHAR(100),
+      photo_url VARCHAR(255)
+    )
+  `);
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS announcements (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      title VARCHAR(255),
+      content TEXT
+    )
+  `);
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS gallery (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      title VARCHAR(255),
+      imageUrl VARCHAR(255),
+      description TEXT
+    )
+  `);
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS comments (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      articleId INT,
+      userId INT,
+      content TEXT,
+      status VARCHAR(50)
+    )
+  `);
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS notifications (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      userId INT,
+      message VARCHAR(255),
+      isRead TINYINT DEFAULT 0
+    )
+  `);
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS inspiration_notes (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      userId INT,
+      content TEXT,
+      timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS partners (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      name VARCHAR(100),
+      logo_url VARCHAR(255),
+      link VARCHAR(255)
+    )
+  `);
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS legal_content (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      page_key VARCHAR(50),
+      title VARCHAR(255),
+      content TEXT
+    )
+  `);
+}
+
+export async function down(conn) {
+  for (const table of [...TABLES].reverse()) {
+    await conn.query(`DROP TABLE IF EXISTS ${table}`);
+  }
+}
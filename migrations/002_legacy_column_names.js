@@ -0,0 +1,43 @@
+import { ensureColumn } from '../lib/migrator.js';
+
+// Renames columns from older schemas to the names the API mappers expect, and adds columns that
+// older databases lack. Moved here from the ensureColumn() calls that used to run in seed.js.
+export async function up(conn) {
+  await ensureColumn(conn, 'users', 'avatarUrl', 'avatar_url', 'VARCHAR(255)');
+  await ensureColumn(conn, 'users', 'isVerified', 'is_verified', 'TINYINT DEFAULT 0');
+  await ensureColumn(conn, 'users', 'phoneNumber', 'phone_number', 'VARCHAR(20)');
+  await ensureColumn(conn, 'users', 'mediaName', 'media_name', 'VARCHAR(100)');
+  await ensureColumn(conn, 'users', 'ukwCertification', 'ukw_certification', 'VARCHAR(50)');
+
+  await ensureColumn(conn, 'contact_info', 'site_logo', 'logo_url', 'VARCHAR(255)');
+  await ensureColumn(conn, 'contact_info', 'faviconUrl', 'favicon_url', 'VARCHAR(255)');
+
+  await ensureColumn(conn, 'structure', 'photoUrl', 'photo_url', 'VARCHAR(255)');
+  await ensureColumn(conn, 'programs', 'icon', 'icon', 'VARCHAR(10)');
+
+  await ensureColumn(conn, 'partners', 'logoUrl', 'logo_url', 'VARCHAR(255)');
+  await ensureColumn(conn, 'partners', 'websiteUrl', 'link', 'VARCHAR(255)');
+
+  // Gallery: legacy image_url/album/caption columns
+  await ensureColumn(conn, 'gallery', 'image_url', 'imageUrl', 'VARCHAR(255)');
+  await ensureColumn(conn, 'gallery', 'album', 'title', 'VARCHAR(255)');
+  await ensureColumn(conn, 'gallery', 'caption', 'description', 'TEXT');
+
+  // Articles: the cover image has gone by image_url and imageUrl before
+  await ensureColumn(conn, 'articles', 'editorFeedback', 'editor_feedback', 'TEXT');
+  await ensureColumn(conn, 'articles', 'author_id', 'authorId', 'INT');
+  await ensureColumn(conn, 'articles', 'image_url', 'cover_image_url', 'VARCHAR(255)');
+  await ensureColumn(conn, 'articles', 'imageUrl', 'cover_image_url', 'VARCHAR(255)');
+
+  await ensureColumn(conn, 'comments', 'user_id', 'userId', 'INT');
+
+  await ensureColumn(conn, 'notifications', 'user_id', 'userId', 'INT');
+  await ensureColumn(conn, 'notifications', 'is_read', 'isRead', 'TINYINT DEFAULT 0');
+  await ensureColumn(conn, 'notifications', 'link', 'link', 'VARCHAR(255)');
+  await ensureColumn(conn, 'notifications', 'timestamp', 'timestamp', 'TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP');
+  await conn.query('ALTER TABLE notifications MODIFY COLUMN id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT');
+}
+
+// The renames only normalize legacy databases; there is no older shape worth restoring, so
+// rolling back leaves the columns as they are.
+export async function down() {}
@@ -0,0 +1,30 @@
+/* eslint-disable no-console */
+
+import { rehashPlainTextPasswords } from '../lib/auth.js';
+
+// Sessions for signed login tokens, room for scrypt hashes, and the one-time re-hash of
+// passwords that were stored in plain text.
+export async function up(conn) {
+  await conn.query('ALTER TABLE users MODIFY COLUMN password VARCHAR(255)');
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS auth_sessions (
+      id CHAR(32) PRIMARY KEY,
+      user_id INT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME NULL,
+      INDEX idx_auth_sessions_user (user_id)
+    )
+  `);
+
+  const rehashed = await rehashPlainTextPasswords(conn);
+  if (rehashed > 0) {
+    console.log(`🔒 ${rehashed} password plain text di-hash ulang`);
+  }
+}
+
+// Hashed passwords stay hashed: they cannot be turned back into plain text.
+export async function down(conn) {
+  await conn.query('DROP TABLE IF EXISTS auth_sessions');
+}
@@ -0,0 +1,23 @@
+// Editorial lifecycle: new articles default to Draft and every status change is logged.
+export async function up(conn) {
+  await conn.query("ALTER TABLE articles MODIFY COLUMN status VARCHAR(50) DEFAULT 'Draft'");
+
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS article_transitions (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      article_id INT NOT NULL,
+      action VARCHAR(50) NOT NULL,
+      from_status VARCHAR(50),
+      to_status VARCHAR(50) NOT NULL,
+      actor_id INT,
+      feedback TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_article_transitions_article (article_id)
+    )
+  `);
+}
+
+export async function down(conn) {
+  await conn.query('DROP TABLE IF EXISTS article_transitions');
+  await conn.query('ALTER TABLE articles MODIFY COLUMN status VARCHAR(50)');
+}
@@ -0,0 +1,24 @@
+// Timestamps for sorting article lists and dating published news. Existing published articles
+// get their publication date backfilled from the migration time, the best information we have.
+export async function up(conn) {
+  await conn.query(`
+    ALTER TABLE articles
+      ADD COLUMN created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+      ADD COLUMN updated_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      ADD COLUMN published_at DATETIME NULL,
+      ADD INDEX idx_articles_status_published (status, published_at),
+      ADD INDEX idx_articles_author (authorId)
+  `);
+  await conn.query("UPDATE articles SET published_at = NOW() WHERE status = 'Published' AND published_at IS NULL");
+}
+
+export async function down(conn) {
+  await conn.query(`
+    ALTER TABLE articles
+      DROP INDEX idx_articles_status_published,
+      DROP INDEX idx_articles_author,
+      DROP COLUMN created_at,
+      DROP COLUMN updated_at,
+      DROP COLUMN published_at
+  `);
+}
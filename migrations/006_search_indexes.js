@@ -0,0 +1,21 @@
+// FULLTEXT indexes for GET /api/search. Titles get their own index so title hits can be
+// weighted above body hits.
+const INDEXES = [
+  ['articles', 'ft_articles_title', 'title'],
+  ['articles', 'ft_articles_body', 'title, snippet, content'],
+  ['announcements', 'ft_announcements_body', 'title, content'],
+  ['gallery', 'ft_gallery_body', 'title, description'],
+  ['programs', 'ft_programs_body', 'title, description'],
+];
+
+export async function up(conn) {
+  for (const [table, name, columns] of INDEXES) {
+    await conn.query(`ALTER TABLE ${table} ADD FULLTEXT INDEX ${name} (${columns})`);
+  }
+}
+
+export async function down(conn) {
+  for (const [table, name] of [...INDEXES].reverse()) {
+    await conn.query(`ALTER TABLE ${table} DROP INDEX ${name}`);
+  }
+}
@@ -0,0 +1,22 @@
+// Managed uploads. `variants` maps each generated size (original, thumbnail, og) to its
+// storage path relative to the media directory.
+export async function up(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS media (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      owner_id INT,
+      original_name VARCHAR(255),
+      mime_type VARCHAR(100) NOT NULL,
+      size_bytes INT NOT NULL,
+      width INT,
+      height INT,
+      variants JSON NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_media_owner (owner_id)
+    )
+  `);
+}
+
+export async function down(conn) {
+  await conn.query('DROP TABLE IF EXISTS media');
+}
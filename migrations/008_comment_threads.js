@@ -0,0 +1,40 @@
+// Threaded comments with moderation metadata. Guests comment with a name (and optional email);
+// members are linked through userId. `source_hash` is a keyed hash of the poster's IP, kept only
+// to spot repeat posting, never the IP itself.
+export async function up(conn) {
+  await conn.query(`
+    ALTER TABLE comments
+      ADD COLUMN parent_id INT NULL,
+      ADD COLUMN author_name VARCHAR(100) NULL,
+      ADD COLUMN author_email VARCHAR(100) NULL,
+      ADD COLUMN source_hash CHAR(64) NULL,
+      ADD COLUMN spam_score INT NOT NULL DEFAULT 0,
+      ADD COLUMN spam_reasons JSON NULL,
+      ADD COLUMN moderated_by INT NULL,
+      ADD COLUMN moderated_at DATETIME NULL,
+      ADD COLUMN moderation_note VARCHAR(255) NULL,
+      ADD COLUMN created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+      ADD INDEX idx_comments_article_status (articleId, status),
+      ADD INDEX idx_comments_parent (parent_id),
+      ADD INDEX idx_comments_source (source_hash, created_at)
+  `);
+}
+
+export async function down(conn) {
+  await conn.query(`
+    ALTER TABLE comments
+      DROP INDEX idx_comments_article_status,
+      DROP INDEX idx_comments_parent,
+      DROP INDEX idx_comments_source,
+      DROP COLUMN parent_id,
+      DROP COLUMN author_name,
+      DROP COLUMN author_email,
+      DROP COLUMN source_hash,
+      DROP COLUMN spam_score,
+      DROP COLUMN spam_reasons,
+      DROP COLUMN moderated_by,
+      DROP COLUMN moderated_at,
+      DROP COLUMN moderation_note,
+      DROP COLUMN created_at
+  `);
+}
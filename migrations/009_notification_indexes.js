@@ -0,0 +1,8 @@
+// Per-user inbox queries (list, unread count, replay after reconnect) filter on userId and isRead.
+export async function up(conn) {
+  await conn.query('ALTER TABLE notifications ADD INDEX idx_notifications_user_read (userId, isRead, id)');
+}
+
+export async function down(conn) {
+  await conn.query('ALTER TABLE notifications DROP INDEX idx_notifications_user_read');
+}
@@ -0,0 +1,41 @@
+// Member verification requests and press cards. A request carries the applicant's media details
+// and uploaded documents (stored on disk, listed in `documents`); approving it verifies the user
+// and issues or renews their press card.
+export async function up(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS verification_requests (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      user_id INT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'Pending',
+      media_name VARCHAR(100) NULL,
+      position VARCHAR(100) NULL,
+      ukw_certification VARCHAR(50) NULL,
+      note TEXT NULL,
+      documents JSON NULL,
+      reviewer_id INT NULL,
+      review_reason TEXT NULL,
+      reviewed_at DATETIME NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_verification_user (user_id, status),
+      INDEX idx_verification_status (status, created_at)
+    )
+  `);
+  await conn.query(`
+    ALTER TABLE users
+      ADD COLUMN card_number VARCHAR(32) NULL,
+      ADD COLUMN card_issued_at DATETIME NULL,
+      ADD COLUMN card_expires_at DATETIME NULL,
+      ADD UNIQUE INDEX uq_users_card_number (card_number)
+  `);
+}
+
+export async function down(conn) {
+  await conn.query(`
+    ALTER TABLE users
+      DROP INDEX uq_users_card_number,
+      DROP COLUMN card_number,
+      DROP COLUMN card_issued_at,
+      DROP COLUMN card_expires_at
+  `);
+  await conn.query('DROP TABLE IF EXISTS verification_requests');
+}
@@ -0,0 +1,27 @@
+// Who changed what: one row per successful mutating API request. `changes` holds the field-level
+// diff ({ field: { before, after } }) for routes that describe their change.
+export async function up(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id BIGINT UNSIGNED PRIMARY KEY AUTO_INCREMENT,
+      actor_id INT NULL,
+      actor_name VARCHAR(100) NULL,
+      action VARCHAR(50) NOT NULL,
+      entity VARCHAR(50) NOT NULL,
+      entity_id VARCHAR(64) NULL,
+      method VARCHAR(10) NOT NULL,
+      path VARCHAR(255) NOT NULL,
+      status_code SMALLINT NOT NULL,
+      changes JSON NULL,
+      ip_address VARCHAR(45) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_audit_created (created_at),
+      INDEX idx_audit_actor (actor_id, created_at),
+      INDEX idx_audit_entity (entity, entity_id, created_at)
+    )
+  `);
+}
+
+export async function down(conn) {
+  await conn.query('DROP TABLE IF EXISTS audit_log');
+}
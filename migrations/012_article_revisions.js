@@ -0,0 +1,30 @@
+// Snapshot of an article's editable content on every save. `transition_id` points at the latest
+// workflow step when the revision was made, which is how a revision is tied to the feedback it
+// answers. Existing articles get their current content as revision 1.
+export async function up(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS article_revisions (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      article_id INT NOT NULL,
+      revision_number INT NOT NULL,
+      title VARCHAR(255) NULL,
+      snippet VARCHAR(255) NULL,
+      content TEXT NULL,
+      cover_image_url VARCHAR(255) NULL,
+      editor_id INT NULL,
+      transition_id INT NULL,
+      restored_from INT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_article_revision (article_id, revision_number)
+    )
+  `);
+  await conn.query(`
+    INSERT INTO article_revisions (article_id, revision_number, title, snippet, content, cover_image_url, editor_id, created_at)
+    SELECT id, 1, title, snippet, content, cover_image_url, authorId, COALESCE(updated_at, created_at, NOW())
+    FROM articles
+  `);
+}
+
+export async function down(conn) {
+  await conn.query('DROP TABLE IF EXISTS article_revisions');
+}
@@ -0,0 +1,34 @@
+// Scheduled publishing for articles and a display window for announcements. `expired_at` is set
+// by the scheduler when an announcement's window has closed; it is cleared again if the window is
+// extended.
+export async function up(conn) {
+  await conn.query(`
+    ALTER TABLE articles
+      ADD COLUMN publish_at DATETIME NULL,
+      ADD INDEX idx_articles_scheduled (status, publish_at)
+  `);
+  await conn.query(`
+    ALTER TABLE announcements
+      ADD COLUMN starts_at DATETIME NULL,
+      ADD COLUMN ends_at DATETIME NULL,
+      ADD COLUMN expired_at DATETIME NULL,
+      ADD COLUMN created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+      ADD INDEX idx_announcements_window (expired_at, starts_at, ends_at)
+  `);
+}
+
+export async function down(conn) {
+  await conn.query(`
+    ALTER TABLE announcements
+      DROP INDEX idx_announcements_window,
+      DROP COLUMN starts_at,
+      DROP COLUMN ends_at,
+      DROP COLUMN expired_at,
+      DROP COLUMN created_at
+  `);
+  await conn.query(`
+    ALTER TABLE articles
+      DROP INDEX idx_articles_scheduled,
+      DROP COLUMN publish_at
+  `);
+}
@@ -0,0 +1,45 @@
+import { slugify } from '../lib/slugs.js';
+
+// Readable URLs and share metadata for articles. `article_slug_history` keeps slugs an article
+// was published under, so old links can be redirected. Existing articles get a slug from their
+// title, numbered in id order when titles repeat.
+export async function up(conn) {
+  await conn.query(`
+    ALTER TABLE articles
+      ADD COLUMN slug VARCHAR(120) NULL,
+      ADD COLUMN meta_description VARCHAR(300) NULL,
+      ADD COLUMN canonical_url VARCHAR(255) NULL,
+      ADD COLUMN og_image_url VARCHAR(255) NULL,
+      ADD UNIQUE KEY uq_articles_slug (slug)
+  `);
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS article_slug_history (
+      slug VARCHAR(120) PRIMARY KEY,
+      article_id INT NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_slug_history_article (article_id)
+    )
+  `);
+
+  const [rows] = await conn.query('SELECT id, title FROM articles ORDER BY id');
+  const used = new Set();
+  for (const row of rows) {
+    const base = slugify(row.title);
+    let slug = base;
+    for (let n = 2; used.has(slug); n += 1) slug = `${base}-${n}`;
+    used.add(slug);
+    await conn.query('UPDATE articles SET slug = ? WHERE id = ?', [slug, row.id]);
+  }
+}
+
+export async function down(conn) {
+  await conn.query('DROP TABLE IF EXISTS article_slug_history');
+  await conn.query(`
+    ALTER TABLE articles
+      DROP INDEX uq_articles_slug,
+      DROP COLUMN slug,
+      DROP COLUMN meta_description,
+      DROP COLUMN canonical_url,
+      DROP COLUMN og_image_url
+  `);
+}
@@ -0,0 +1,55 @@
+// Categories (one per article, managed by admins) and free-form tags (many per article). One
+// category is the default: new articles without a category get it, and articles of a deleted
+// category move to it. Existing articles are all put in the default category, "Umum".
+export async function up(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS categories (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      name VARCHAR(100) NOT NULL,
+      slug VARCHAR(120) NOT NULL,
+      description TEXT NULL,
+      sort_order INT NOT NULL DEFAULT 0,
+      is_default TINYINT(1) NOT NULL DEFAULT 0,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_categories_slug (slug)
+    )
+  `);
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS tags (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      name VARCHAR(50) NOT NULL,
+      slug VARCHAR(120) NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_tags_slug (slug)
+    )
+  `);
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS article_tags (
+      article_id INT NOT NULL,
+      tag_id INT NOT NULL,
+      PRIMARY KEY (article_id, tag_id),
+      INDEX idx_article_tags_tag (tag_id)
+    )
+  `);
+  await conn.query(`
+    ALTER TABLE articles
+      ADD COLUMN category_id INT NULL,
+      ADD INDEX idx_articles_category (category_id, status)
+  `);
+
+  const [result] = await conn.query(
+    "INSERT INTO categories (name, slug, description, is_default) VALUES ('Umum', 'umum', 'Berita umum', 1)",
+  );
+  await conn.query('UPDATE articles SET category_id = ?', [result.insertId]);
+}
+
+export async function down(conn) {
+  await conn.query(`
+    ALTER TABLE articles
+      DROP INDEX idx_articles_category,
+      DROP COLUMN category_id
+  `);
+  await conn.query('DROP TABLE IF EXISTS article_tags');
+  await conn.query('DROP TABLE IF EXISTS tags');
+  await conn.query('DROP TABLE IF EXISTS categories');
+}
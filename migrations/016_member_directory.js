@@ -0,0 +1,37 @@
+// Bulk member import and invitations. An uploaded spreadsheet is checked into `member_imports`
+// first (the preview), and only becomes users when an admin commits it. Imported members have no
+// password: they get an invitation link, stored here as a SHA-256 hash of its token, and choose
+// their password when they accept it.
+export async function up(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS member_imports (
+      id CHAR(32) PRIMARY KEY,
+      created_by INT NULL,
+      file_name VARCHAR(255) NULL,
+      headers JSON NOT NULL,
+      mapping JSON NOT NULL,
+      entries JSON NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      committed_at DATETIME NULL
+    )
+  `);
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS user_invitations (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      user_id INT NOT NULL,
+      token_hash CHAR(64) NOT NULL,
+      created_by INT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      accepted_at DATETIME NULL,
+      UNIQUE KEY uq_user_invitations_token (token_hash),
+      INDEX idx_user_invitations_user (user_id)
+    )
+  `);
+}
+
+export async function down(conn) {
+  await conn.query('DROP TABLE IF EXISTS user_invitations');
+  await conn.query('DROP TABLE IF EXISTS member_imports');
+}
@@ -0,0 +1,45 @@
+// Messages sent through the public aspiration/contact form, and the replies written from the admin
+// inbox. The sender follows their message through a tracking link, stored here as a SHA-256 hash of
+// its token. As with comments, `source_hash` is a keyed hash of the sender's IP, kept only to spot
+// repeat posting.
+export async function up(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS contact_messages (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      name VARCHAR(100) NOT NULL,
+      contact VARCHAR(150) NOT NULL,
+      category VARCHAR(30) NOT NULL,
+      message TEXT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'New',
+      assigned_to INT NULL,
+      tags JSON NULL,
+      tracking_hash CHAR(64) NOT NULL,
+      source_hash CHAR(64) NULL,
+      spam_score INT NOT NULL DEFAULT 0,
+      spam_reasons JSON NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+      replied_at DATETIME NULL,
+      archived_at DATETIME NULL,
+      UNIQUE KEY uq_contact_messages_tracking (tracking_hash),
+      INDEX idx_contact_messages_status (status, created_at),
+      INDEX idx_contact_messages_assignee (assigned_to),
+      INDEX idx_contact_messages_source (source_hash, created_at)
+    )
+  `);
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS contact_message_replies (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      message_id INT NOT NULL,
+      user_id INT NULL,
+      body TEXT NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_contact_message_replies_message (message_id, created_at)
+    )
+  `);
+}
+
+export async function down(conn) {
+  await conn.query('DROP TABLE IF EXISTS contact_message_replies');
+  await conn.query('DROP TABLE IF EXISTS contact_messages');
+}
@@ -0,0 +1,53 @@
+// Dated events of a program (workshops, trainings, UKW preparation) and who registered for them.
+// A registration beyond the quota is waitlisted and moves up when a place frees. Guests register
+// without an account and manage their registration through a link whose token is stored here as a
+// SHA-256 hash. Checking in at the event records attendance and assigns the certificate number.
+export async function up(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS program_events (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      program_id INT NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      description TEXT NULL,
+      starts_at DATETIME NOT NULL,
+      ends_at DATETIME NULL,
+      venue VARCHAR(255) NULL,
+      quota INT NULL,
+      registration_deadline DATETIME NULL,
+      cancelled_at DATETIME NULL,
+      created_by INT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_program_events_program (program_id, starts_at),
+      INDEX idx_program_events_starts (starts_at)
+    )
+  `);
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS event_registrations (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      event_id INT NOT NULL,
+      user_id INT NULL,
+      name VARCHAR(100) NOT NULL,
+      email VARCHAR(100) NOT NULL,
+      phone_number VARCHAR(20) NULL,
+      media_name VARCHAR(100) NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'Registered',
+      token_hash CHAR(64) NOT NULL,
+      checked_in_at DATETIME NULL,
+      checked_in_by INT NULL,
+      certificate_number VARCHAR(30) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      cancelled_at DATETIME NULL,
+      UNIQUE KEY uq_event_registrations_token (token_hash),
+      UNIQUE KEY uq_event_registrations_certificate (certificate_number),
+      INDEX idx_event_registrations_event (event_id, status, created_at),
+      INDEX idx_event_registrations_email (event_id, email),
+      INDEX idx_event_registrations_user (user_id)
+    )
+  `);
+}
+
+export async function down(conn) {
+  await conn.query('DROP TABLE IF EXISTS event_registrations');
+  await conn.query('DROP TABLE IF EXISTS program_events');
+}
@@ -0,0 +1,38 @@
+// Article view analytics. A read counts once per visitor, article and day: `article_view_visitors`
+// holds a hash of the visitor for the current day only (it is derived from the date, so the same
+// reader cannot be followed across days, and the scheduler deletes old rows), and every new visit
+// increments the article's row in the `article_views_daily` rollup the dashboard reads from.
+// Users get a created_at for member growth; accounts that existed before it stay NULL.
+export async function up(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS article_view_visitors (
+      view_date DATE NOT NULL,
+      article_id INT NOT NULL,
+      visitor_hash CHAR(64) NOT NULL,
+      PRIMARY KEY (view_date, article_id, visitor_hash)
+    )
+  `);
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS article_views_daily (
+      article_id INT NOT NULL,
+      view_date DATE NOT NULL,
+      views INT UNSIGNED NOT NULL DEFAULT 0,
+      PRIMARY KEY (article_id, view_date),
+      INDEX idx_article_views_daily_date (view_date)
+    )
+  `);
+  await conn.query('ALTER TABLE users ADD COLUMN created_at TIMESTAMP NULL DEFAULT NULL');
+  await conn.query(`
+    ALTER TABLE users
+      MODIFY COLUMN created_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP,
+      ADD INDEX idx_users_created (created_at)
+  `);
+  await conn.query('ALTER TABLE comments ADD INDEX idx_comments_created (created_at)');
+}
+
+export async function down(conn) {
+  await conn.query('ALTER TABLE comments DROP INDEX idx_comments_created');
+  await conn.query('ALTER TABLE users DROP INDEX idx_users_created, DROP COLUMN created_at');
+  await conn.query('DROP TABLE IF EXISTS article_views_daily');
+  await conn.query('DROP TABLE IF EXISTS article_view_visitors');
+}
@@ -0,0 +1,20 @@
+// Translations of site content (organisation profile, legal pages, programs, announcements). The
+// records themselves stay in Indonesian; a translation holds the translated columns of one record
+// in one locale as JSON, so a field left untranslated falls back to the Indonesian text.
+export async function up(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS content_translations (
+      entity VARCHAR(30) NOT NULL,
+      entity_id VARCHAR(64) NOT NULL,
+      locale VARCHAR(10) NOT NULL,
+      fields JSON NOT NULL,
+      updated_by INT NULL,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (entity, locale, entity_id)
+    )
+  `);
+}
+
+export async function down(conn) {
+  await conn.query('DROP TABLE IF EXISTS content_translations');
+}
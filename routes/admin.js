@@ -0,0 +1,189 @@
+import fs from 'node:fs/promises';
+import express from 'express';
+import multer from 'multer';
+import { loadDashboardStats, statsRange } from '../lib/analytics.js';
+import { dbAuditToApi, setAuditContext } from '../lib/audit.js';
+import {
+  backupFilePath,
+  createBackup,
+  listBackups,
+  parseBackup,
+  readBackupFile,
+  restoreBackup,
+  summarizeBackup,
+  writeBackup,
+} from '../lib/backup.js';
+import { backupConfig } from '../lib/config.js';
+import {
+  HttpError,
+  badRequest,
+  conflict,
+  notFound,
+} from '../lib/errors.js';
+import { sendPaginatedList } from '../lib/pagination.js';
+import { PERMISSIONS, requirePermission } from '../lib/permissions.js';
+import {
+  auditListQuery,
+  backupFileParams,
+  restoreBody,
+  statsQuery,
+} from '../lib/schemas.js';
+import { validate } from '../lib/validation.js';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Accepts an ISO date or date-time (checked by the query schema). A bare date used as the upper
+// bound covers that whole day.
+function parseBoundary(value, { endOfDay = false } = {}) {
+  const text = String(value);
+  const date = new Date(text);
+  if (endOfDay && DATE_ONLY.test(text)) date.setUTCDate(date.getUTCDate() + 1);
+  return date;
+}
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: backupConfig.maxUploadBytes, files: 1 },
+});
+
+// Runs multer and turns its errors into HttpErrors for the error handler.
+function receiveArchive(req, res, next) {
+  upload.single('archive')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return next(err.code === 'LIMIT_FILE_SIZE'
+        ? new HttpError(413, `Archive is too large. Maximum size is ${Math.round(backupConfig.maxUploadBytes / 1024 / 1024)} MB.`)
+        : badRequest(err.message));
+    }
+    next(err);
+  });
+}
+
+async function findBackup(file) {
+  const filePath = backupFilePath(file);
+  try {
+    await fs.access(filePath);
+  } catch {
+    throw notFound('Backup not found.');
+  }
+  return filePath;
+}
+
+// Stores an archive in the backup directory; { file, sizeBytes, ...summary } describes it.
+async function saveBackup(archive, label) {
+  const saved = await writeBackup(archive, { label }).catch((err) => {
+    if (err.code === 'EEXIST') throw conflict('This backup is already stored.');
+    throw err;
+  });
+  return { file: saved.file, sizeBytes: saved.sizeBytes, ...summarizeBackup(archive) };
+}
+
+// --- /api/admin: administrative tooling ---
+export function createAdminRouter(pool) {
+  const router = express.Router();
+
+  // GET /api/admin/audit?actorId=&entity=&entityId=&action=&from=&to=&page=&pageSize=&sort=
+  router.get('/audit', requirePermission(pool, PERMISSIONS.AUDIT_VIEW), validate({ query: auditListQuery }), async (req, res) => {
+    const where = [];
+    const params = [];
+    const filters = { actorId: 'actor_id', entity: 'entity', entityId: 'entity_id', action: 'action' };
+    for (const [param, column] of Object.entries(filters)) {
+      if (req.query[param] !== undefined && req.query[param] !== '') {
+        where.push(`${column} = ?`);
+        params.push(String(req.query[param]));
+      }
+    }
+    if (req.query.from) {
+      where.push('created_at >= ?');
+      params.push(parseBoundary(req.query.from));
+    }
+    if (req.query.to) {
+      // A bare date has been moved to the following midnight, so the bound is exclusive then.
+      where.push(DATE_ONLY.test(String(req.query.to)) ? 'created_at < ?' : 'created_at <= ?');
+      params.push(parseBoundary(req.query.to, { endOfDay: true }));
+    }
+
+    await sendPaginatedList(res, pool, req, {
+      from: 'audit_log',
+      where,
+      params,
+      columns: { id: 'id', createdAt: 'created_at' },
+      defaultSort: '-id',
+      map: dbAuditToApi,
+    });
+  });
+
+  // --- Dashboard ---
+  // GET /api/admin/stats?from=&to=&top= — views over time, top articles, activity per author,
+  // articles per status, comments, moderation queues and member growth for the days from..to
+  // (the last 30 by default).
+  router.get('/stats', requirePermission(pool, PERMISSIONS.STATS_VIEW), validate({ query: statsQuery }), async (req, res) => {
+    const range = statsRange(req.query);
+    if (range.error) {
+      throw badRequest(range.error);
+    }
+    const top = req.query.top ? Number(req.query.top) : undefined;
+    res.set('Cache-Control', 'private, no-store');
+    res.status(200).json(await loadDashboardStats(pool, range, { top }));
+  });
+
+  // --- Backups ---
+  // Full-site archives (see lib/backup.js). The same operations are available from the command
+  // line: node backup.js export | list | restore.
+  const canManageBackups = requirePermission(pool, PERMISSIONS.BACKUPS_MANAGE);
+
+  router.get('/backups', canManageBackups, async (req, res) => {
+    res.status(200).json(await listBackups());
+  });
+
+  router.post('/backups', canManageBackups, async (req, res) => {
+    const backup = await saveBackup(await createBackup(pool));
+    setAuditContext(res, { entity: 'backups', entityId: backup.file, action: 'create' });
+    res.status(201).json(backup);
+  });
+
+  // POST /api/admin/backups/upload (multipart, field "archive") — an archive from another machine,
+  // checked and stored so it can be restored.
+  router.post('/backups/upload', canManageBackups, receiveArchive, async (req, res) => {
+    if (!req.file) {
+      throw badRequest('Upload a backup archive in the "archive" field.');
+    }
+    const backup = await saveBackup(await parseBackup(req.file.buffer), 'upload');
+    setAuditContext(res, { entity: 'backups', entityId: backup.file, action: 'upload' });
+    res.status(201).json(backup);
+  });
+
+  router.get('/backups/:file', canManageBackups, validate({ params: backupFileParams }), async (req, res) => {
+    res.status(200).download(await findBackup(req.params.file), req.params.file);
+  });
+
+  router.delete('/backups/:file', canManageBackups, validate({ params: backupFileParams }), async (req, res) => {
+    await fs.rm(await findBackup(req.params.file));
+    setAuditContext(res, { entity: 'backups', entityId: req.params.file, action: 'delete' });
+    res.status(204).end();
+  });
+
+  // POST /api/admin/backups/:file/restore { mode?, onConflict?, dryRun? } — answers the restore
+  // report; a restore that cannot go ahead is a 409 with the report in `details`.
+  router.post(
+    '/backups/:file/restore',
+    canManageBackups,
+    validate({ params: backupFileParams, body: restoreBody }),
+    async (req, res) => {
+      const { mode, onConflict, dryRun } = req.body || {};
+      const archive = await readBackupFile(await findBackup(req.params.file));
+      const report = await restoreBackup(pool, archive, {
+        mode,
+        onConflict,
+        dryRun: ['1', 'true'].includes(String(dryRun)),
+      });
+      setAuditContext(res, {
+        entity: 'backups',
+        entityId: req.params.file,
+        action: report.dryRun ? 'restore-dry-run' : 'restore',
+      });
+      res.status(200).json(report);
+    },
+  );
+
+  return router;
+}
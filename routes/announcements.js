@@ -0,0 +1,108 @@
+import express from 'express';
+import {
+  activeAnnouncementCondition,
+  apiAnnouncementToDb,
+  dbAnnouncementToApi,
+} from '../lib/announcements.js';
+import { setAuditContext } from '../lib/audit.js';
+import { optionalAuth } from '../lib/auth.js';
+import { badRequest, notFound } from '../lib/errors.js';
+import { sendPaginatedList } from '../lib/pagination.js';
+import { PERMISSIONS, hasPermission, requirePermission } from '../lib/permissions.js';
+import {
+  announcementCreateBody,
+  announcementListQuery,
+  announcementUpdateBody,
+  idParams,
+  localizedQuery,
+} from '../lib/schemas.js';
+import { contentLocale, deleteTranslations, translateRow, translateRows } from '../lib/translations.js';
+import { validate } from '../lib/validation.js';
+
+async function findAnnouncement(pool, id) {
+  const [rows] = await pool.query('SELECT * FROM announcements WHERE id = ?', [id]);
+  if (rows.length === 0) {
+    throw notFound('Announcement not found.');
+  }
+  return rows[0];
+}
+
+// DB columns from the payload, checked against the display window the announcement ends up with.
+function announcementFromPayload(payload, current = {}) {
+  const dbObj = apiAnnouncementToDb(payload);
+  const window = { ...current, ...dbObj };
+  if (window.starts_at && window.ends_at && new Date(window.ends_at) <= new Date(window.starts_at)) {
+    throw badRequest('endsAt must be after startsAt.');
+  }
+  return dbObj;
+}
+
+// --- /api/announcements ---
+// The public sees announcements inside their display window; editors can list all of them with
+// ?include=all to manage upcoming and expired ones. Titles and content are served in the locale
+// asked for with ?lang= or Accept-Language where translated (lib/translations.js).
+export function createAnnouncementsRouter(pool) {
+  const router = express.Router();
+  const canManage = requirePermission(pool, PERMISSIONS.ANNOUNCEMENTS_MANAGE);
+
+  router.get('/', optionalAuth(pool), validate({ query: announcementListQuery }), async (req, res) => {
+    const showAll = req.query.include === 'all' && hasPermission(req.user, PERMISSIONS.ANNOUNCEMENTS_MANAGE);
+    const locale = contentLocale(req, res);
+    await sendPaginatedList(res, pool, req, {
+      from: 'announcements',
+      where: showAll ? [] : [activeAnnouncementCondition()],
+      columns: { id: 'id', title: 'title', startsAt: 'starts_at', endsAt: 'ends_at' },
+      defaultSort: '-id',
+      prepare: (rows) => translateRows(pool, 'announcements', rows, locale),
+      map: dbAnnouncementToApi,
+    });
+  });
+
+  router.get('/:id', optionalAuth(pool), validate({ params: idParams, query: localizedQuery }), async (req, res) => {
+    const [rows] = await pool.query(
+      `SELECT * FROM announcements WHERE id = ?${
+        hasPermission(req.user, PERMISSIONS.ANNOUNCEMENTS_MANAGE) ? '' : ` AND ${activeAnnouncementCondition()}`
+      }`,
+      [req.params.id],
+    );
+    if (rows.length === 0) {
+      throw notFound('Announcement not found.');
+    }
+    const locale = contentLocale(req, res);
+    res.status(200).json(dbAnnouncementToApi(await translateRow(pool, 'announcements', rows[0], locale)));
+  });
+
+  // POST /api/announcements { title, content, startsAt?, endsAt? }
+  router.post('/', canManage, validate({ body: announcementCreateBody }), async (req, res) => {
+    const dbObj = announcementFromPayload(req.body);
+    const [result] = await pool.query('INSERT INTO announcements SET ?', [dbObj]);
+    const created = await findAnnouncement(pool, result.insertId);
+    setAuditContext(res, { entity: 'announcements', entityId: created.id, after: created });
+    res.status(201).json(dbAnnouncementToApi(created));
+  });
+
+  router.put('/:id', canManage, validate({ params: idParams, body: announcementUpdateBody }), async (req, res) => {
+    const before = await findAnnouncement(pool, req.params.id);
+    const dbObj = announcementFromPayload(req.body, before);
+    // Moving the end date into the future (or removing it) brings an expired announcement back.
+    if (dbObj.ends_at !== undefined && (dbObj.ends_at === null || dbObj.ends_at > new Date())) {
+      dbObj.expired_at = null;
+    }
+    if (Object.keys(dbObj).length > 0) {
+      await pool.query('UPDATE announcements SET ? WHERE id = ?', [dbObj, before.id]);
+    }
+    const updated = await findAnnouncement(pool, before.id);
+    setAuditContext(res, { entity: 'announcements', entityId: before.id, before, after: updated });
+    res.status(200).json(dbAnnouncementToApi(updated));
+  });
+
+  router.delete('/:id', canManage, validate({ params: idParams }), async (req, res) => {
+    const before = await findAnnouncement(pool, req.params.id);
+    await pool.query('DELETE FROM announcements WHERE id = ?', [before.id]);
+    await deleteTranslations(pool, 'announcements', before.id);
+    setAuditContext(res, { entity: 'announcements', entityId: before.id, before, after: null });
+    res.status(204).end();
+  });
+
+  return router;
+}
@@ -0,0 +1,414 @@
+import express from 'express';
+import { recordArticleView } from '../lib/analytics.js';
+import { setAuditContext } from '../lib/audit.js';
+import { optionalAuth, requireAuth } from '../lib/auth.js';
+import {
+  badRequest,
+  conflict,
+  forbidden,
+  notFound,
+} from '../lib/errors.js';
+import { apiArticleToDb, dbArticleToApi } from '../lib/mappers.js';
+import {
+  PERMISSIONS,
+  hasPermission,
+  isOwnerOr,
+  requirePermission,
+} from '../lib/permissions.js';
+import {
+  articleCreateBody,
+  articleListQuery,
+  articleSlugParams,
+  articleUpdateBody,
+  idParams,
+  revisionDiffQuery,
+  revisionParams,
+  workflowBody,
+} from '../lib/schemas.js';
+import { articleMeta, loadSiteName } from '../lib/seo.js';
+import {
+  changeArticleSlug,
+  findArticleBySlug,
+  isArticleSlugTaken,
+  slugify,
+  uniqueArticleSlug,
+} from '../lib/slugs.js';
+import {
+  ARTICLE_TAXONOMY_COLUMNS,
+  categoryExists,
+  findDefaultCategoryId,
+  parseTagNames,
+  sendArticleList,
+  setArticleTags,
+} from '../lib/taxonomy.js';
+import {
+  DIFF_FIELDS,
+  REVISION_FIELDS,
+  dbRevisionToApi,
+  diffWords,
+  recordRevision,
+  revisionQuery,
+} from '../lib/revisions.js';
+import { validate } from '../lib/validation.js';
+import {
+  ARTICLE_STATUS,
+  ARTICLE_TRANSITIONS,
+  AUTHOR_EDITABLE_STATUSES,
+  applyTransition,
+  canReadArticle,
+  dbTransitionToApi,
+} from '../lib/workflow.js';
+
+async function findArticle(pool, id) {
+  const [rows] = await pool.query(`SELECT articles.*, ${ARTICLE_TAXONOMY_COLUMNS} FROM articles WHERE id = ?`, [id]);
+  return rows[0] || null;
+}
+
+async function findRevision(pool, articleId, revisionNumber, { withContent = false } = {}) {
+  const [rows] = await pool.query(
+    `${revisionQuery({ withContent })} WHERE r.article_id = ? AND r.revision_number = ?`,
+    [articleId, revisionNumber],
+  );
+  return rows[0] || null;
+}
+
+// Status and feedback only change through the workflow endpoints (POST /api/articles/:id/<action>).
+function rejectsEditorialFields(dbObj) {
+  return dbObj.status !== undefined || dbObj.editor_feedback !== undefined;
+}
+
+// Checks the category and tags of a create/update payload. Returns the parsed tags, or null when
+// the payload leaves the tags alone.
+async function checkTaxonomy(pool, body, dbObj) {
+  if (dbObj.category_id !== undefined
+    && (dbObj.category_id === null || !(await categoryExists(pool, dbObj.category_id)))) {
+    throw badRequest('categoryId must be an existing category.');
+  }
+  if (body.tags === undefined) return null;
+  const { tags, error } = parseTagNames(body.tags);
+  if (error) {
+    throw badRequest(error);
+  }
+  return tags;
+}
+
+async function ensureSlugAvailable(pool, slug, articleId) {
+  if (await isArticleSlugTaken(pool, slug, articleId)) {
+    throw conflict(`The slug "${slug}" is already used by another article.`);
+  }
+}
+
+// Why the user may not change this article's content, or null when they may.
+function editDenial(user, article) {
+  if (!isOwnerOr(user, article.authorId, PERMISSIONS.ARTICLES_EDIT_ANY)) {
+    return 'You can only edit your own articles.';
+  }
+  const status = article.status || ARTICLE_STATUS.DRAFT;
+  if (!hasPermission(user, PERMISSIONS.ARTICLES_EDIT_ANY) && !AUTHOR_EDITABLE_STATUSES.includes(status)) {
+    return `Articles in status "${article.status}" can no longer be edited by the author.`;
+  }
+  return null;
+}
+
+// Tables holding rows of one article, removed together with it.
+const ARTICLE_DEPENDENT_TABLES = [
+  ['article_transitions', 'article_id'],
+  ['article_revisions', 'article_id'],
+  ['article_tags', 'article_id'],
+  ['article_slug_history', 'article_id'],
+  ['article_views_daily', 'article_id'],
+  ['article_view_visitors', 'article_id'],
+  ['comments', 'articleId'],
+];
+
+async function deleteArticle(pool, articleId) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    for (const [table, column] of ARTICLE_DEPENDENT_TABLES) {
+      await conn.query(`DELETE FROM ${table} WHERE ${column} = ?`, [articleId]);
+    }
+    await conn.query('DELETE FROM articles WHERE id = ?', [articleId]);
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+async function findEditableArticle(pool, req) {
+  const article = await findArticle(pool, req.params.id);
+  if (!article) {
+    throw notFound('Article not found.');
+  }
+  const denial = editDenial(req.user, article);
+  if (denial) {
+    throw forbidden(denial);
+  }
+  return article;
+}
+
+// --- /api/articles ---
+export function createArticlesRouter(pool) {
+  const router = express.Router();
+
+  // GET /api/articles?status=&authorId=&page=&pageSize=&sort=
+  // Anonymous callers only ever see published articles, whatever filters they pass.
+  router.get('/', optionalAuth(pool), validate({ query: articleListQuery }), async (req, res) => {
+    const where = [];
+    const params = [];
+    if (req.query.status) {
+      where.push('status = ?');
+      params.push(String(req.query.status));
+    }
+    if (req.query.authorId) {
+      where.push('authorId = ?');
+      params.push(Number(req.query.authorId));
+    }
+    await sendArticleList(res, pool, req, { where, params });
+  });
+
+  // GET /api/articles/by-slug/:slug — the article with its share metadata. A slug the article had
+  // before answers with a permanent redirect to the current one. Reads of published articles are
+  // counted (lib/analytics.js) once the answer is sent.
+  router.get('/by-slug/:slug', optionalAuth(pool), validate({ params: articleSlugParams }), async (req, res) => {
+    const found = await findArticleBySlug(pool, req.params.slug);
+    if (!found || !canReadArticle(req.user, found.article)) {
+      throw notFound('Article not found.');
+    }
+    if (found.redirect) {
+      return res.redirect(301, `${req.baseUrl}/by-slug/${encodeURIComponent(found.article.slug)}`);
+    }
+    const article = await findArticle(pool, found.article.id);
+    const [siteName, [[author]]] = await Promise.all([
+      loadSiteName(pool),
+      pool.query('SELECT name FROM users WHERE id = ?', [article.authorId]),
+    ]);
+    res.status(200).json({
+      ...dbArticleToApi(article),
+      meta: articleMeta(article, { siteName, authorName: author?.name ?? null }),
+    });
+    recordArticleView(pool, req, article);
+  });
+
+  router.get('/:id', optionalAuth(pool), validate({ params: idParams }), async (req, res) => {
+    const article = await findArticle(pool, req.params.id);
+    if (!article || !canReadArticle(req.user, article)) {
+      throw notFound('Article not found.');
+    }
+    res.status(200).json(dbArticleToApi(article));
+    recordArticleView(pool, req, article);
+  });
+
+  router.post(
+    '/',
+    requirePermission(pool, PERMISSIONS.ARTICLES_CREATE),
+    validate({ body: articleCreateBody }),
+    async (req, res) => {
+      const dbObj = apiArticleToDb(req.body);
+      delete dbObj.id;
+      delete dbObj.editor_feedback;
+      if (dbObj.slug) {
+        await ensureSlugAvailable(pool, dbObj.slug, null);
+      } else {
+        dbObj.slug = await uniqueArticleSlug(pool, slugify(dbObj.title));
+      }
+      if (dbObj.category_id == null) dbObj.category_id = await findDefaultCategoryId(pool);
+      const tags = await checkTaxonomy(pool, req.body, dbObj);
+
+      // New articles always start as drafts; they move on through the workflow endpoints.
+      dbObj.authorId = req.user.id;
+      dbObj.status = ARTICLE_STATUS.DRAFT;
+
+      const [result] = await pool.query('INSERT INTO articles SET ?', [dbObj]);
+      if (tags) await setArticleTags(pool, result.insertId, tags);
+      const created = await findArticle(pool, result.insertId);
+      await recordRevision(pool, created, { editorId: req.user.id });
+      res.status(201).json(dbArticleToApi(created));
+    },
+  );
+
+  router.put('/:id', requireAuth(pool), validate({ params: idParams, body: articleUpdateBody }), async (req, res) => {
+    const article = await findEditableArticle(pool, req);
+
+    const dbObj = apiArticleToDb(req.body);
+    delete dbObj.id;
+    delete dbObj.authorId;
+    if (rejectsEditorialFields(dbObj)) {
+      throw badRequest('Status and editor feedback can only be changed through the workflow endpoints.');
+    }
+    const tags = await checkTaxonomy(pool, req.body, dbObj);
+
+    // An explicit slug wins (an empty one means "from the title again"); otherwise the slug
+    // follows the title until the article has been published.
+    let slug = null;
+    if (dbObj.slug !== undefined) {
+      slug = dbObj.slug || await uniqueArticleSlug(pool, slugify(dbObj.title ?? article.title), article.id);
+      await ensureSlugAvailable(pool, slug, article.id);
+      delete dbObj.slug;
+    } else if (dbObj.title && dbObj.title !== article.title && !article.published_at) {
+      slug = await uniqueArticleSlug(pool, slugify(dbObj.title), article.id);
+    }
+
+    if (Object.keys(dbObj).length > 0) {
+      await pool.query('UPDATE articles SET ? WHERE id = ?', [dbObj, article.id]);
+    }
+    if (slug) await changeArticleSlug(pool, article, slug);
+    if (tags) await setArticleTags(pool, article.id, tags);
+    const updated = await findArticle(pool, article.id);
+    await recordRevision(pool, updated, { editorId: req.user.id });
+    res.status(200).json(dbArticleToApi(updated));
+  });
+
+  router.delete('/:id', requireAuth(pool), validate({ params: idParams }), async (req, res) => {
+    const article = await findArticle(pool, req.params.id);
+    if (!article) {
+      throw notFound('Article not found.');
+    }
+    if (!isOwnerOr(req.user, article.authorId, PERMISSIONS.ARTICLES_EDIT_ANY)) {
+      throw forbidden('You can only delete your own articles.');
+    }
+    // Once submitted, an article leaves the site through the workflow (archive), not by deletion.
+    const status = article.status || ARTICLE_STATUS.DRAFT;
+    if (status !== ARTICLE_STATUS.DRAFT && !hasPermission(req.user, PERMISSIONS.ARTICLES_EDIT_ANY)) {
+      throw forbidden(`Articles in status "${status}" can no longer be deleted by the author.`);
+    }
+
+    await deleteArticle(pool, article.id);
+    setAuditContext(res, { entity: 'articles', entityId: article.id, before: article, after: null });
+    res.status(204).end();
+  });
+
+  // --- Editorial workflow ---
+  // The workflow history and the revisions are readable by the author and by reviewers.
+  async function loadForHistory(req) {
+    const article = await findArticle(pool, req.params.id);
+    if (!article) {
+      throw notFound('Article not found.');
+    }
+    if (!isOwnerOr(req.user, article.authorId, PERMISSIONS.ARTICLES_REVIEW)) {
+      throw forbidden('You can only view the history of your own articles.');
+    }
+    return article;
+  }
+
+  router.get('/:id/transitions', requireAuth(pool), validate({ params: idParams }), async (req, res) => {
+    const article = await loadForHistory(req);
+    const [rows] = await pool.query(
+      `SELECT t.*, u.name AS actor_name FROM article_transitions t
+       LEFT JOIN users u ON u.id = t.actor_id
+       WHERE t.article_id = ? ORDER BY t.created_at, t.id`,
+      [article.id],
+    );
+    res.status(200).json(rows.map(dbTransitionToApi));
+  });
+
+  // --- Revisions: every save keeps a snapshot of title, snippet, content and cover ---
+  router.get('/:id/revisions', requireAuth(pool), validate({ params: idParams }), async (req, res) => {
+    const article = await loadForHistory(req);
+    const [rows] = await pool.query(
+      `${revisionQuery()} WHERE r.article_id = ? ORDER BY r.revision_number`,
+      [article.id],
+    );
+    res.status(200).json(rows.map(dbRevisionToApi));
+  });
+
+  // GET /api/articles/:id/revisions/diff?from=&to= — word diff of title, snippet and content.
+  // `to` defaults to the latest revision and `from` to the one before it.
+  router.get(
+    '/:id/revisions/diff',
+    requireAuth(pool),
+    validate({ params: idParams, query: revisionDiffQuery }),
+    async (req, res) => {
+      const article = await loadForHistory(req);
+      const [[latest]] = await pool.query(
+        'SELECT MAX(revision_number) AS latest FROM article_revisions WHERE article_id = ?',
+        [article.id],
+      );
+      const to = req.query.to !== undefined ? Number(req.query.to) : latest.latest;
+      const from = req.query.from !== undefined ? Number(req.query.from) : to - 1;
+      const [before, after] = await Promise.all([
+        findRevision(pool, article.id, from, { withContent: true }),
+        findRevision(pool, article.id, to, { withContent: true }),
+      ]);
+      if (!before || !after) {
+        throw notFound(`Revision ${before ? to : from} not found.`);
+      }
+      const fields = Object.fromEntries(Object.entries(DIFF_FIELDS).map(
+        ([name, column]) => [name, diffWords(before[column], after[column])],
+      ));
+      fields.coverImageUrl = {
+        changed: (before.cover_image_url ?? null) !== (after.cover_image_url ?? null),
+        before: before.cover_image_url ?? null,
+        after: after.cover_image_url ?? null,
+      };
+      const summary = (row) => dbRevisionToApi({ ...row, content: undefined });
+      res.status(200).json({ articleId: article.id, from: summary(before), to: summary(after), fields });
+    },
+  );
+
+  router.get('/:id/revisions/:rev', requireAuth(pool), validate({ params: revisionParams }), async (req, res) => {
+    const article = await loadForHistory(req);
+    const revision = await findRevision(pool, article.id, req.params.rev, { withContent: true });
+    if (!revision) {
+      throw notFound('Revision not found.');
+    }
+    res.status(200).json(dbRevisionToApi(revision));
+  });
+
+  // POST /api/articles/:id/revisions/:rev/restore — copies the revision back into the article
+  // and records the result as a new revision, so nothing in between is lost.
+  router.post(
+    '/:id/revisions/:rev/restore',
+    requireAuth(pool),
+    validate({ params: revisionParams }),
+    async (req, res) => {
+      const article = await findEditableArticle(pool, req);
+      const revision = await findRevision(pool, article.id, req.params.rev, { withContent: true });
+      if (!revision) {
+        throw notFound('Revision not found.');
+      }
+
+      const restored = Object.fromEntries(REVISION_FIELDS.map((field) => [field, revision[field]]));
+      await pool.query('UPDATE articles SET ? WHERE id = ?', [restored, article.id]);
+      const updated = await findArticle(pool, article.id);
+      const revisionNumber = await recordRevision(pool, updated, {
+        editorId: req.user.id,
+        restoredFrom: revision.revision_number,
+      });
+      setAuditContext(res, { action: 'restore-revision', entityId: article.id });
+      res.status(200).json({ ...dbArticleToApi(updated), revision: revisionNumber });
+    },
+  );
+
+  // POST /api/articles/:id/submit | start-review | request-revision | approve | publish | schedule
+  // | unschedule | archive. Body: { feedback } (required for request-revision), { publishAt }
+  // (required for schedule). Refused transitions are TransitionErrors with their own status.
+  const isWorkflowAction = (req, res, next) => (
+    Object.prototype.hasOwnProperty.call(ARTICLE_TRANSITIONS, req.params.action) ? next() : next('route')
+  );
+  router.post(
+    '/:id/:action',
+    isWorkflowAction,
+    requireAuth(pool),
+    validate({ params: idParams, body: workflowBody }),
+    async (req, res) => {
+      const article = await findArticle(pool, req.params.id);
+      if (!article) {
+        throw notFound('Article not found.');
+      }
+      await applyTransition(pool, {
+        article,
+        action: req.params.action,
+        actor: req.user,
+        feedback: req.body?.feedback ?? null,
+        publishAt: req.body?.publishAt ?? null,
+      });
+      res.status(200).json(dbArticleToApi(await findArticle(pool, article.id)));
+    },
+  );
+
+  return router;
+}
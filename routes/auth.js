@@ -0,0 +1,123 @@
+import express from 'express';
+import {
+  createSession,
+  hashPassword,
+  requireAuth,
+  revokeSession,
+  verifyPassword,
+} from '../lib/auth.js';
+import { rateLimitConfig } from '../lib/config.js';
+import { HttpError, duplicateAs, notFound } from '../lib/errors.js';
+import { apiUserToDb, dbUserToApi } from '../lib/mappers.js';
+import { findInvitation } from '../lib/members.js';
+import {
+  assertLoginAllowed,
+  clearLoginFailures,
+  rateLimit,
+  recordLoginFailure,
+} from '../lib/ratelimit.js';
+import {
+  acceptInvitationBody,
+  invitationParams,
+  loginBody,
+  registerBody,
+} from '../lib/schemas.js';
+import { validate } from '../lib/validation.js';
+
+const INVALID_INVITATION = {
+  en: 'This invitation link is invalid or has expired. Ask the secretariat for a new one.',
+  id: 'Tautan undangan ini tidak valid atau sudah kedaluwarsa. Minta tautan baru ke sekretariat.',
+};
+
+// --- /api/auth ---
+export function createAuthRouter(pool) {
+  const router = express.Router();
+  // Password guessing and account creation, per client address.
+  const authLimit = rateLimit({ name: 'auth', ...rateLimitConfig.auth });
+
+  router.post('/register', authLimit, validate({ body: registerBody }), async (req, res) => {
+    const { name, email, password, phoneNumber, mediaName } = req.body;
+    const normalizedEmail = email.trim().toLowerCase();
+
+    // Self-registration always creates an unverified Jurnalis; roles are granted by an admin.
+    const dbUser = {
+      ...apiUserToDb({ name, email: normalizedEmail, phoneNumber, mediaName }),
+      role: 'Jurnalis',
+      is_verified: 0,
+      password: await hashPassword(password),
+    };
+    const [result] = await pool.query('INSERT INTO users SET ?', [dbUser])
+      .catch(duplicateAs('Email is already registered.'));
+    const [rows] = await pool.query('SELECT * FROM users WHERE id = ?', [result.insertId]);
+    const session = await createSession(pool, result.insertId);
+
+    res.status(201).json({ ...session, user: dbUserToApi(rows[0]) });
+  });
+
+  // Repeated failures for one address lock it for a growing time (lib/ratelimit.js).
+  router.post('/login', authLimit, validate({ body: loginBody }), async (req, res) => {
+    const { email, password } = req.body;
+    const account = email.trim().toLowerCase();
+    await assertLoginAllowed(res, account);
+    const [rows] = await pool.query('SELECT * FROM users WHERE email = ?', [account]);
+    const user = rows[0];
+    if (!user || !(await verifyPassword(password, user.password))) {
+      throw (await recordLoginFailure(res, account))
+        ?? new HttpError(401, 'Invalid email or password.', { code: 'INVALID_CREDENTIALS' });
+    }
+
+    await clearLoginFailures(account);
+    const session = await createSession(pool, user.id);
+    res.status(200).json({ ...session, user: dbUserToApi(user) });
+  });
+
+  router.post('/logout', requireAuth(pool), async (req, res) => {
+    await revokeSession(pool, req.sessionId);
+    res.status(204).end();
+  });
+
+  router.get('/me', requireAuth(pool), (req, res) => {
+    res.status(200).json({ user: dbUserToApi(req.user) });
+  });
+
+  // --- Invitations (members added by an admin import, see lib/members.js) ---
+  // GET /api/auth/invitations/:token — who the link is for, so the activation page can greet them.
+  router.get('/invitations/:token', validate({ params: invitationParams }), async (req, res) => {
+    const invitation = await findInvitation(pool, req.params.token);
+    if (!invitation) {
+      throw notFound(INVALID_INVITATION, { code: 'INVITATION_INVALID' });
+    }
+    res.status(200).json({
+      name: invitation.user.name,
+      email: invitation.user.email,
+      expiresAt: invitation.expires_at,
+    });
+  });
+
+  // POST /api/auth/invitations/:token/accept { password } — sets the password, uses up the link
+  // and signs the member in.
+  router.post(
+    '/invitations/:token/accept',
+    authLimit,
+    validate({ params: invitationParams, body: acceptInvitationBody }),
+    async (req, res) => {
+      const invitation = await findInvitation(pool, req.params.token);
+      if (!invitation) {
+        throw notFound(INVALID_INVITATION, { code: 'INVITATION_INVALID' });
+      }
+      // The link is used up first, so two submissions cannot both set a password.
+      const [claimed] = await pool.query(
+        'UPDATE user_invitations SET accepted_at = NOW() WHERE id = ? AND accepted_at IS NULL',
+        [invitation.id],
+      );
+      if (claimed.affectedRows === 0) {
+        throw notFound(INVALID_INVITATION, { code: 'INVITATION_INVALID' });
+      }
+      await pool.query('UPDATE users SET password = ? WHERE id = ?', [await hashPassword(req.body.password), invitation.user_id]);
+      const session = await createSession(pool, invitation.user_id);
+      res.status(200).json({ ...session, user: dbUserToApi(invitation.user) });
+    },
+  );
+
+  return router;
+}
@@ -0,0 +1,229 @@
+import express from 'express';
+import { optionalAuth } from '../lib/auth.js';
+import { rateLimitConfig } from '../lib/config.js';
+import { badRequest, notFound } from '../lib/errors.js';
+import {
+  COMMENT_STATUS,
+  buildCommentTree,
+  dbCommentToApi,
+  notifyCommentPublished,
+} from '../lib/comments.js';
+import { sendPaginatedList } from '../lib/pagination.js';
+import { PERMISSIONS, hasPermission, requirePermission } from '../lib/permissions.js';
+import { byClientAndAccount, rateLimit } from '../lib/ratelimit.js';
+import {
+  bulkModerationBody,
+  commentArticleParams,
+  commentBody,
+  commentListQuery,
+  idParams,
+  listQuery,
+  moderationNoteBody,
+} from '../lib/schemas.js';
+import { hashSource, scoreComment } from '../lib/spam.js';
+import { validate } from '../lib/validation.js';
+import { ARTICLE_STATUS } from '../lib/workflow.js';
+
+const COMMENT_SELECT = `
+  SELECT c.*, u.name AS user_name, a.title AS article_title
+  FROM comments c
+  LEFT JOIN users u ON u.id = c.userId
+  JOIN articles a ON a.id = c.articleId`;
+
+const MODERATION_ACTIONS = {
+  approve: COMMENT_STATUS.APPROVED,
+  reject: COMMENT_STATUS.REJECTED,
+};
+
+async function findPublishedArticle(pool, id) {
+  const [[article]] = await pool.query('SELECT id, status FROM articles WHERE id = ?', [id]);
+  if (!article || article.status !== ARTICLE_STATUS.PUBLISHED) {
+    throw notFound('Article not found.');
+  }
+  return article;
+}
+
+async function findComment(pool, id) {
+  const [rows] = await pool.query(`${COMMENT_SELECT} WHERE c.id = ?`, [id]);
+  return rows[0] || null;
+}
+
+// Counts earlier comments from the same member or network source, for the repeat-posting rules.
+async function loadPostingHistory(pool, { userId, sourceHash, content }) {
+  const [[history]] = await pool.query(
+    `SELECT
+       COALESCE(SUM(LOWER(TRIM(content)) = LOWER(TRIM(?)) AND created_at > NOW() - INTERVAL 1 DAY), 0) AS sameContentCount,
+       COALESCE(SUM(created_at > NOW() - INTERVAL 10 MINUTE), 0) AS recentCount
+     FROM comments WHERE source_hash = ? OR (userId IS NOT NULL AND userId = ?)`,
+    [content, sourceHash, userId ?? -1],
+  );
+  return { sameContentCount: Number(history.sameContentCount), recentCount: Number(history.recentCount) };
+}
+
+// Moves the given comments to the status of `action`. Returns the ids actually changed; comments
+// that become visible notify the article author (and the parent comment's author).
+async function moderateComments(pool, ids, { action, moderatorId, note }) {
+  const status = MODERATION_ACTIONS[action];
+  const [rows] = await pool.query('SELECT id, articleId, parent_id, userId, status FROM comments WHERE id IN (?)', [ids]);
+  const changed = [];
+  for (const row of rows) {
+    if (row.status === status) continue;
+    await pool.query(
+      'UPDATE comments SET status = ?, moderated_by = ?, moderated_at = NOW(), moderation_note = ? WHERE id = ?',
+      [status, moderatorId, note || null, row.id],
+    );
+    if (status === COMMENT_STATUS.APPROVED) {
+      await notifyCommentPublished(pool, { id: row.id, articleId: row.articleId, parentId: row.parent_id, userId: row.userId });
+    }
+    changed.push(row.id);
+  }
+  return changed;
+}
+
+// --- Comments: public threads, posting, and the moderation queue ---
+export function createCommentsRouter(pool) {
+  const router = express.Router();
+  const canModerate = requirePermission(pool, PERMISSIONS.COMMENTS_MODERATE);
+  // Counted per address and per account, after optionalAuth has identified the member.
+  const submissionLimit = rateLimit({ name: 'comments', ...rateLimitConfig.submissions, key: byClientAndAccount });
+
+  // GET /api/articles/:articleId/comments — approved comments as nested threads.
+  router.get('/articles/:articleId/comments', validate({ params: commentArticleParams }), async (req, res) => {
+    const article = await findPublishedArticle(pool, req.params.articleId);
+    const [rows] = await pool.query(
+      `${COMMENT_SELECT} WHERE c.articleId = ? AND c.status = ? ORDER BY c.created_at, c.id`,
+      [article.id, COMMENT_STATUS.APPROVED],
+    );
+    const comments = rows.map((row) => dbCommentToApi(row));
+    res.status(200).json({ total: comments.length, data: buildCommentTree(comments) });
+  });
+
+  // POST /api/articles/:articleId/comments — { content, parentId?, authorName?, authorEmail? }
+  // Members comment under their account; guests must give a name. Clean comments are published
+  // immediately, suspicious ones are held in the moderation queue.
+  router.post(
+    '/articles/:articleId/comments',
+    optionalAuth(pool),
+    submissionLimit,
+    validate({ params: commentArticleParams, body: commentBody }),
+    async (req, res) => {
+      const { content, parentId, authorName, authorEmail } = req.body;
+      const text = content.trim();
+      if (!req.user && !authorName?.trim()) {
+        throw badRequest('Your name is required to comment.');
+      }
+
+      const article = await findPublishedArticle(pool, req.params.articleId);
+      if (parentId != null) {
+        const [[parent]] = await pool.query('SELECT id, articleId, status FROM comments WHERE id = ?', [parentId]);
+        if (!parent || Number(parent.articleId) !== Number(article.id) || parent.status !== COMMENT_STATUS.APPROVED) {
+          throw badRequest('The comment you are replying to does not exist on this article.');
+        }
+      }
+
+      const sourceHash = hashSource(req.ip);
+      const history = await loadPostingHistory(pool, { userId: req.user?.id, sourceHash, content: text });
+      const spam = scoreComment(text, history);
+      const status = spam.hold ? COMMENT_STATUS.PENDING : COMMENT_STATUS.APPROVED;
+
+      const [result] = await pool.query('INSERT INTO comments SET ?', [{
+        articleId: article.id,
+        parent_id: parentId ?? null,
+        userId: req.user?.id ?? null,
+        author_name: req.user ? null : authorName.trim(),
+        author_email: req.user ? null : (authorEmail?.trim() || null),
+        content: text,
+        status,
+        source_hash: sourceHash,
+        spam_score: spam.score,
+        spam_reasons: JSON.stringify(spam.reasons),
+      }]);
+      if (status === COMMENT_STATUS.APPROVED) {
+        await notifyCommentPublished(pool, {
+          id: result.insertId,
+          articleId: article.id,
+          parentId: parentId ?? null,
+          userId: req.user?.id ?? null,
+        });
+      }
+
+      const comment = dbCommentToApi(await findComment(pool, result.insertId));
+      res.status(201).json({
+        ...comment,
+        message: status === COMMENT_STATUS.PENDING
+          ? 'Komentar Anda menunggu moderasi.'
+          : 'Komentar Anda telah diterbitkan.',
+      });
+    },
+  );
+
+  // GET /api/comments?articleId=&status=
+  // The public sees approved comments on published articles; moderators may list any status.
+  router.get('/comments', optionalAuth(pool), validate({ query: commentListQuery }), async (req, res) => {
+    const forModerator = hasPermission(req.user, PERMISSIONS.COMMENTS_MODERATE);
+    const where = [];
+    const params = [];
+    if (forModerator) {
+      if (req.query.status) {
+        where.push('c.status = ?');
+        params.push(String(req.query.status));
+      }
+    } else {
+      where.push('c.status = ?', 'a.status = ?');
+      params.push(COMMENT_STATUS.APPROVED, ARTICLE_STATUS.PUBLISHED);
+    }
+    if (req.query.articleId) {
+      where.push('c.articleId = ?');
+      params.push(Number(req.query.articleId));
+    }
+    await sendPaginatedList(res, pool, req, {
+      select: 'c.*, u.name AS user_name, a.title AS article_title',
+      from: 'comments c LEFT JOIN users u ON u.id = c.userId JOIN articles a ON a.id = c.articleId',
+      where,
+      params,
+      columns: { id: 'c.id', createdAt: 'c.created_at' },
+      defaultSort: 'id',
+      map: (row) => dbCommentToApi(row, { forModerator }),
+    });
+  });
+
+  // GET /api/comments/pending — the moderation queue, most suspicious first.
+  router.get('/comments/pending', canModerate, validate({ query: listQuery() }), async (req, res) => {
+    await sendPaginatedList(res, pool, req, {
+      select: 'c.*, u.name AS user_name, a.title AS article_title',
+      from: 'comments c LEFT JOIN users u ON u.id = c.userId JOIN articles a ON a.id = c.articleId',
+      where: ['c.status = ?'],
+      params: [COMMENT_STATUS.PENDING],
+      columns: { id: 'c.id', createdAt: 'c.created_at', spamScore: 'c.spam_score' },
+      defaultSort: '-spamScore,id',
+      map: (row) => dbCommentToApi(row, { forModerator: true }),
+    });
+  });
+
+  // POST /api/comments/moderate — { ids: [..], action: 'approve' | 'reject', note? }
+  router.post('/comments/moderate', canModerate, validate({ body: bulkModerationBody }), async (req, res) => {
+    const { ids, action, note } = req.body;
+    const commentIds = [...new Set(ids.map(Number))];
+    const changed = await moderateComments(pool, commentIds, { action, moderatorId: req.user.id, note });
+    res.status(200).json({ action, updated: changed, updatedCount: changed.length });
+  });
+
+  // POST /api/comments/:id/approve | /api/comments/:id/reject — { note? }
+  for (const action of Object.keys(MODERATION_ACTIONS)) {
+    router.post(
+      `/comments/:id/${action}`,
+      canModerate,
+      validate({ params: idParams, body: moderationNoteBody }),
+      async (req, res) => {
+        const comment = await findComment(pool, req.params.id);
+        if (!comment) {
+          throw notFound('Comment not found.');
+        }
+        await moderateComments(pool, [comment.id], { action, moderatorId: req.user.id, note: req.body?.note });
+        res.status(200).json(dbCommentToApi(await findComment(pool, comment.id), { forModerator: true }));
+      },
+    );
+  }
+
+  return router;
+}
@@ -0,0 +1,38 @@
+import express from 'express';
+import { sendPaginatedList } from '../lib/pagination.js';
+import { listQuery, programListQuery } from '../lib/schemas.js';
+import { contentLocale, translateRows } from '../lib/translations.js';
+import { validate } from '../lib/validation.js';
+
+// Public read-only lists that have no write API yet. Lists with a `translated` entity are served
+// in the locale asked for (lib/translations.js).
+const PUBLIC_LISTS = [
+  { path: '/gallery', table: 'gallery', columns: { id: 'id', title: 'title' }, defaultSort: '-id' },
+  {
+    path: '/programs',
+    table: 'programs',
+    columns: { id: 'id', title: 'title' },
+    defaultSort: 'id',
+    query: programListQuery,
+    translated: 'programs',
+  },
+];
+
+// --- Public content lists: gallery, programs ---
+export function createContentRouter(pool) {
+  const router = express.Router();
+
+  for (const { path, table, columns, defaultSort, query = listQuery(), translated } of PUBLIC_LISTS) {
+    router.get(path, validate({ query }), async (req, res) => {
+      const locale = translated ? contentLocale(req, res) : null;
+      await sendPaginatedList(res, pool, req, {
+        from: table,
+        columns,
+        defaultSort,
+        ...(translated && { prepare: (rows) => translateRows(pool, translated, rows, locale) }),
+      });
+    });
+  }
+
+  return router;
+}
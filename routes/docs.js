@@ -0,0 +1,44 @@
+import express from 'express';
+import { buildOpenApiDocument } from '../lib/openapi.js';
+
+// Swagger UI from a CDN, so the backend ships no frontend assets of its own. The page keeps the
+// bearer token in localStorage (persistAuthorization), so the version is pinned and the files are
+// checked against their hashes: a changed file is not run. Update both together.
+const SWAGGER_UI = 'https://cdn.jsdelivr.net/npm/swagger-ui-dist@5.33.0';
+const SWAGGER_UI_CSS_SRI = 'sha384-Ov4/wv3j2bmct8cDc5X4ngJZohVPzEmc6uDPH8WeljUxO5vtoykvMEfbu9Vh6RaW';
+const SWAGGER_UI_JS_SRI = 'sha384-YDALVcy8kj8yltLBVi1vBiBAUqdxvus673gM8XKwiy6aDUJFXivF/KCufekjYbVf';
+
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>PWMOI Banyuwangi API</title>
+  <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css" integrity="${SWAGGER_UI_CSS_SRI}" crossorigin="anonymous" />
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="${SWAGGER_UI}/swagger-ui-bundle.js" integrity="${SWAGGER_UI_JS_SRI}" crossorigin="anonymous"></script>
+  <script>
+    SwaggerUIBundle({ url: '/api/openapi.json', dom_id: '#docs', persistAuthorization: true });
+  </script>
+</body>
+</html>
+`;
+
+// --- /api/openapi.json and /api/docs ---
+export function createDocsRouter() {
+  const router = express.Router();
+  // The document only depends on code and configuration, so it is built once.
+  const document = buildOpenApiDocument();
+
+  router.get('/openapi.json', (req, res) => {
+    res.status(200).json(document);
+  });
+
+  router.get('/docs', (req, res) => {
+    res.status(200).type('html').send(DOCS_PAGE);
+  });
+
+  return router;
+}
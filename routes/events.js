@@ -0,0 +1,348 @@
+import express from 'express';
+import { setAuditContext } from '../lib/audit.js';
+import { optionalAuth } from '../lib/auth.js';
+import { rateLimitConfig } from '../lib/config.js';
+import { badRequest, conflict, localize, notFound, requestLanguage } from '../lib/errors.js';
+import {
+  EVENT_COLUMNS,
+  EVENT_FROM,
+  EVENT_SORT_COLUMNS,
+  REGISTRATION_SORT_COLUMNS,
+  REGISTRATION_STATUS,
+  apiEventToDb,
+  attendeeTable,
+  cancelRegistration,
+  dbEventToApi,
+  dbRegistrationToApi,
+  eventFilters,
+  generateCertificateNumber,
+  hashRegistrationToken,
+  refreshWaitlist,
+  registerForEvent,
+  registrationFilters,
+  registrationUrl,
+  renderCertificateHtml,
+  renderCertificatePdf,
+} from '../lib/events.js';
+import { sendPaginatedList } from '../lib/pagination.js';
+import { PERMISSIONS, requirePermission } from '../lib/permissions.js';
+import { byClientAndAccount, rateLimit } from '../lib/ratelimit.js';
+import {
+  attendeeExportQuery,
+  certificateQuery,
+  checkInBody,
+  eventCreateBody,
+  eventListQuery,
+  eventRegistrationBody,
+  eventRegistrationParams,
+  eventUpdateBody,
+  idParams,
+  registrationListQuery,
+  registrationTokenParams,
+} from '../lib/schemas.js';
+import { loadSiteName } from '../lib/seo.js';
+import { toCsv, toXlsx } from '../lib/spreadsheets.js';
+import { validate } from '../lib/validation.js';
+
+const REGISTERED = {
+  en: 'You are registered. Keep the link to check or cancel your registration.',
+  id: 'Pendaftaran berhasil. Simpan tautan untuk melihat atau membatalkan pendaftaran Anda.',
+};
+const WAITLISTED = {
+  en: 'The event is full, so you are on the waitlist. You move up automatically when a place frees.',
+  id: 'Kuota acara sudah penuh, Anda masuk daftar tunggu dan akan naik otomatis jika ada tempat kosong.',
+};
+
+async function findEvent(pool, id) {
+  const [rows] = await pool.query(`SELECT ${EVENT_COLUMNS} FROM ${EVENT_FROM} WHERE e.id = ?`, [id]);
+  if (rows.length === 0) {
+    throw notFound({ en: 'Event not found.', id: 'Acara tidak ditemukan.' });
+  }
+  return rows[0];
+}
+
+async function findRegistration(pool, eventId, registrationId) {
+  const [rows] = await pool.query(
+    'SELECT * FROM event_registrations WHERE id = ? AND event_id = ?',
+    [registrationId, eventId],
+  );
+  if (rows.length === 0) {
+    throw notFound('Registration not found.');
+  }
+  return rows[0];
+}
+
+async function findRegistrationByToken(pool, token) {
+  const [rows] = await pool.query('SELECT * FROM event_registrations WHERE token_hash = ?', [hashRegistrationToken(token)]);
+  if (rows.length === 0) {
+    throw notFound({ en: 'Registration not found.', id: 'Pendaftaran tidak ditemukan.' });
+  }
+  return rows[0];
+}
+
+// DB columns from the payload, checked against the dates the event ends up with.
+async function eventFromPayload(pool, payload, current = {}) {
+  const dbObj = apiEventToDb(payload);
+  if (dbObj.program_id !== undefined) {
+    const [[program]] = await pool.query('SELECT id FROM programs WHERE id = ?', [dbObj.program_id]);
+    if (!program) {
+      throw badRequest('programId does not refer to an existing program.');
+    }
+  }
+  const event = { ...current, ...dbObj };
+  if (!event.starts_at) {
+    throw badRequest('startsAt is required.');
+  }
+  if (event.ends_at && new Date(event.ends_at) <= new Date(event.starts_at)) {
+    throw badRequest('endsAt must be after startsAt.');
+  }
+  if (event.registration_deadline && new Date(event.registration_deadline) > new Date(event.starts_at)) {
+    throw badRequest('registrationDeadline must not be after startsAt.');
+  }
+  return dbObj;
+}
+
+// Certificates are only issued to participants who were checked in.
+async function sendCertificate(pool, res, registration, format) {
+  if (!registration.certificate_number) {
+    throw conflict({
+      en: 'A certificate is only available after attending the event.',
+      id: 'Sertifikat hanya tersedia setelah menghadiri acara.',
+    }, { code: 'NOT_ATTENDED' });
+  }
+  const event = await findEvent(pool, registration.event_id);
+  const options = { organizationName: await loadSiteName(pool) };
+  res.set('Cache-Control', 'private, no-store');
+  if (format === 'pdf') {
+    res.attachment(`sertifikat-${registration.certificate_number}.pdf`);
+    return res.status(200).send(renderCertificatePdf(registration, event, options));
+  }
+  res.status(200).type('html').send(renderCertificateHtml(registration, event, options));
+}
+
+// --- Program events: /api/events and /api/event-registrations ---
+// Anyone can register, members under their account; guests manage their registration through the
+// link they get back. Organizers (events:manage) schedule events, check participants in and
+// export the attendee list.
+export function createEventsRouter(pool) {
+  const router = express.Router();
+  const canManage = requirePermission(pool, PERMISSIONS.EVENTS_MANAGE);
+  const submissionLimit = rateLimit({ name: 'event-registrations', ...rateLimitConfig.submissions, key: byClientAndAccount });
+  const lookupLimit = rateLimit({ name: 'registration-lookups', ...rateLimitConfig.lookups });
+
+  // GET /api/events?programId=&when=upcoming|past|all — upcoming events by default.
+  router.get('/events', validate({ query: eventListQuery }), async (req, res) => {
+    await sendPaginatedList(res, pool, req, {
+      select: EVENT_COLUMNS,
+      from: EVENT_FROM,
+      ...eventFilters(req.query),
+      columns: EVENT_SORT_COLUMNS,
+      defaultSort: req.query.when === 'past' ? '-startsAt' : 'startsAt',
+      map: dbEventToApi,
+    });
+  });
+
+  router.get('/events/:id', validate({ params: idParams }), async (req, res) => {
+    res.status(200).json(dbEventToApi(await findEvent(pool, req.params.id)));
+  });
+
+  // POST /api/events { programId, title, startsAt, description?, endsAt?, venue?, quota?, registrationDeadline? }
+  router.post('/events', canManage, validate({ body: eventCreateBody }), async (req, res) => {
+    const dbObj = await eventFromPayload(pool, req.body);
+    const [result] = await pool.query('INSERT INTO program_events SET ?', [{ ...dbObj, created_by: req.user.id }]);
+    const created = await findEvent(pool, result.insertId);
+    setAuditContext(res, { entity: 'program_events', entityId: created.id, after: created });
+    res.status(201).json(dbEventToApi(created));
+  });
+
+  // PUT /api/events/:id — partial update; { cancelled: true } cancels the event. Raising the quota
+  // moves waitlisted participants up.
+  router.put('/events/:id', canManage, validate({ params: idParams, body: eventUpdateBody }), async (req, res) => {
+    const before = await findEvent(pool, req.params.id);
+    const dbObj = await eventFromPayload(pool, req.body, before);
+    if (dbObj.cancelled_at !== undefined && (dbObj.cancelled_at === null) === (before.cancelled_at === null)) {
+      delete dbObj.cancelled_at;
+    }
+    if (Object.keys(dbObj).length > 0) {
+      await pool.query('UPDATE program_events SET ? WHERE id = ?', [dbObj, before.id]);
+      await refreshWaitlist(pool, before.id);
+    }
+    const updated = await findEvent(pool, before.id);
+    setAuditContext(res, { entity: 'program_events', entityId: before.id, before, after: updated });
+    res.status(200).json(dbEventToApi(updated));
+  });
+
+  // DELETE /api/events/:id — only while nobody is registered; cancel the event otherwise.
+  router.delete('/events/:id', canManage, validate({ params: idParams }), async (req, res) => {
+    const before = await findEvent(pool, req.params.id);
+    if (Number(before.registered_count) + Number(before.waitlist_count) > 0) {
+      throw conflict('This event has registrations. Cancel it instead of deleting it.');
+    }
+    await pool.query('DELETE FROM event_registrations WHERE event_id = ?', [before.id]);
+    await pool.query('DELETE FROM program_events WHERE id = ?', [before.id]);
+    setAuditContext(res, { entity: 'program_events', entityId: before.id, before, after: null });
+    res.status(204).end();
+  });
+
+  // --- Registration ---
+  // POST /api/events/:id/registrations { name?, email?, phoneNumber?, mediaName? }
+  // Members register under their account, with their profile filling the gaps; guests give at
+  // least a name and an email address. Answers the link to manage the registration.
+  router.post(
+    '/events/:id/registrations',
+    optionalAuth(pool),
+    submissionLimit,
+    validate({ params: idParams, body: eventRegistrationBody }),
+    async (req, res) => {
+      const body = req.body || {};
+      const user = req.user;
+      const participant = {
+        name: body.name?.trim() || user?.name,
+        email: (user?.email || body.email?.trim() || '').toLowerCase(),
+        phoneNumber: body.phoneNumber?.trim() || user?.phone_number,
+        mediaName: body.mediaName?.trim() || user?.media_name,
+      };
+      if (!participant.name || !participant.email) {
+        throw badRequest({
+          en: 'Your name and email address are required to register.',
+          id: 'Nama dan alamat email wajib diisi untuk mendaftar.',
+        });
+      }
+
+      const { id, token } = await registerForEvent(pool, req.params.id, participant, { userId: user?.id ?? null });
+      const [[row]] = await pool.query('SELECT * FROM event_registrations WHERE id = ?', [id]);
+      const message = row.status === REGISTRATION_STATUS.WAITLISTED ? WAITLISTED : REGISTERED;
+      res.status(201).json({
+        ...dbRegistrationToApi(row),
+        manageUrl: registrationUrl(token),
+        message: localize(message, requestLanguage(req)),
+      });
+    },
+  );
+
+  // GET /api/event-registrations/:token — the participant's view of their registration.
+  router.get('/event-registrations/:token', lookupLimit, validate({ params: registrationTokenParams }), async (req, res) => {
+    const registration = await findRegistrationByToken(pool, req.params.token);
+    res.set('Cache-Control', 'private, no-store');
+    res.status(200).json({
+      ...dbRegistrationToApi(registration),
+      event: dbEventToApi(await findEvent(pool, registration.event_id)),
+    });
+  });
+
+  // POST /api/event-registrations/:token/cancel — frees the place for the next on the waitlist.
+  router.post(
+    '/event-registrations/:token/cancel',
+    lookupLimit,
+    validate({ params: registrationTokenParams }),
+    async (req, res) => {
+      const registration = await findRegistrationByToken(pool, req.params.token);
+      if (registration.checked_in_at) {
+        throw conflict({
+          en: 'You have already attended this event.',
+          id: 'Anda sudah hadir di acara ini.',
+        });
+      }
+      await cancelRegistration(pool, registration);
+      const [[row]] = await pool.query('SELECT * FROM event_registrations WHERE id = ?', [registration.id]);
+      setAuditContext(res, { entity: 'event_registrations', entityId: row.id, action: 'cancel', before: registration, after: row });
+      res.status(200).json(dbRegistrationToApi(row));
+    },
+  );
+
+  // GET /api/event-registrations/:token/certificate?format=html|pdf
+  router.get(
+    '/event-registrations/:token/certificate',
+    lookupLimit,
+    validate({ params: registrationTokenParams, query: certificateQuery }),
+    async (req, res) => {
+      await sendCertificate(pool, res, await findRegistrationByToken(pool, req.params.token), req.query.format);
+    },
+  );
+
+  // --- Organizers ---
+  // GET /api/events/:id/registrations?status=&checkedIn=&q= — without cancellations unless asked.
+  router.get(
+    '/events/:id/registrations',
+    canManage,
+    validate({ params: idParams, query: registrationListQuery }),
+    async (req, res) => {
+      const event = await findEvent(pool, req.params.id);
+      await sendPaginatedList(res, pool, req, {
+        from: 'event_registrations r',
+        ...registrationFilters(event.id, req.query),
+        columns: REGISTRATION_SORT_COLUMNS,
+        defaultSort: 'createdAt,id',
+        map: (row) => dbRegistrationToApi(row, { forOrganizer: true }),
+      });
+    },
+  );
+
+  // GET /api/events/:id/registrations/export?format=csv|xlsx&status=&checkedIn= — the attendee
+  // list, in registration order.
+  router.get(
+    '/events/:id/registrations/export',
+    canManage,
+    validate({ params: idParams, query: attendeeExportQuery }),
+    async (req, res) => {
+      const event = await findEvent(pool, req.params.id);
+      const { where, params } = registrationFilters(event.id, req.query);
+      const [rows] = await pool.query(
+        `SELECT r.* FROM event_registrations r WHERE ${where.join(' AND ')} ORDER BY r.created_at, r.id`,
+        params,
+      );
+      const table = attendeeTable(rows);
+      const fileName = `peserta-acara-${event.id}-${new Date().toISOString().slice(0, 10)}`;
+      if (req.query.format === 'xlsx') {
+        res.status(200).attachment(`${fileName}.xlsx`).send(toXlsx(table, { sheetName: 'Peserta' }));
+      } else {
+        res.status(200).attachment(`${fileName}.csv`).send(toCsv(table));
+      }
+    },
+  );
+
+  // POST /api/events/:id/check-in { registrationId } — records attendance and assigns the
+  // certificate number. Checking in twice answers the first check-in.
+  router.post(
+    '/events/:id/check-in',
+    canManage,
+    validate({ params: idParams, body: checkInBody }),
+    async (req, res) => {
+      const event = await findEvent(pool, req.params.id);
+      if (event.cancelled_at) {
+        throw conflict('This event has been cancelled.');
+      }
+      const before = await findRegistration(pool, event.id, req.body.registrationId);
+      if (before.status !== REGISTRATION_STATUS.REGISTERED) {
+        throw conflict(`Only registered participants can be checked in; this registration is ${before.status.toLowerCase()}.`, {
+          code: 'NOT_REGISTERED',
+        });
+      }
+      if (!before.checked_in_at) {
+        await pool.query(
+          'UPDATE event_registrations SET checked_in_at = NOW(), checked_in_by = ?, certificate_number = ? WHERE id = ? AND checked_in_at IS NULL',
+          [req.user.id, generateCertificateNumber(), before.id],
+        );
+      }
+      const row = await findRegistration(pool, event.id, before.id);
+      if (!before.checked_in_at) {
+        setAuditContext(res, { entity: 'event_registrations', entityId: row.id, action: 'check-in', before, after: row });
+      }
+      res.status(200).json(dbRegistrationToApi(row, { forOrganizer: true }));
+    },
+  );
+
+  // GET /api/events/:id/registrations/:registrationId/certificate?format=html|pdf — for printing
+  // certificates at the event.
+  router.get(
+    '/events/:id/registrations/:registrationId/certificate',
+    canManage,
+    validate({ params: eventRegistrationParams, query: certificateQuery }),
+    async (req, res) => {
+      const registration = await findRegistration(pool, req.params.id, req.params.registrationId);
+      await sendCertificate(pool, res, registration, req.query.format);
+    },
+  );
+
+  return router;
+}
@@ -0,0 +1,158 @@
+import crypto from 'node:crypto';
+import express from 'express';
+import { notFound } from '../lib/errors.js';
+import {
+  buildAtom,
+  buildJsonFeed,
+  buildRss,
+  buildSitemap,
+  contentToHtml,
+} from '../lib/feeds.js';
+import { authorParams } from '../lib/schemas.js';
+import { absoluteAssetUrl, articleUrl, siteUrl } from '../lib/urls.js';
+import { validate } from '../lib/validation.js';
+import { ARTICLE_STATUS } from '../lib/workflow.js';
+
+const FEED_SIZE = 50;
+
+const FORMATS = {
+  rss: { build: buildRss, contentType: 'application/rss+xml; charset=utf-8', file: 'feed.xml' },
+  atom: { build: buildAtom, contentType: 'application/atom+xml; charset=utf-8', file: 'atom.xml' },
+  json: { build: buildJsonFeed, contentType: 'application/feed+json; charset=utf-8', file: 'feed.json' },
+};
+
+// Static frontend pages listed in the sitemap next to the articles.
+const SITEMAP_PAGES = ['/', '/berita', '/tentang', '/program', '/galeri', '/kontak'];
+
+function toFeedItem(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    url: articleUrl(row),
+    summary: row.snippet || '',
+    contentHtml: contentToHtml(row.content),
+    authorName: row.author_name || null,
+    publishedAt: row.published_at || row.created_at,
+    updatedAt: row.updated_at || row.published_at || row.created_at,
+    image: absoluteAssetUrl(row.cover_image_url),
+  };
+}
+
+// Sets ETag/Last-Modified validators and answers 304 when the client's copy is still current.
+// Returns true when the response has been sent.
+function sendNotModified(req, res, { lastModified, fingerprint }) {
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  res.setHeader('ETag', `W/"${crypto.createHash('sha1').update(fingerprint).digest('hex')}"`);
+  if (lastModified) res.setHeader('Last-Modified', new Date(lastModified).toUTCString());
+  if (req.fresh) {
+    res.status(304).end();
+    return true;
+  }
+  return false;
+}
+
+function latestTimestamp(rows) {
+  return rows.reduce((latest, row) => {
+    const value = new Date(row.updated_at || row.published_at || row.created_at || 0).getTime();
+    return Math.max(latest, Number.isNaN(value) ? 0 : value);
+  }, 0) || null;
+}
+
+// --- Syndication: /feed.xml, /atom.xml, /feed.json, /sitemap.xml, /authors/:id/<feed> ---
+export function createFeedsRouter(pool) {
+  const router = express.Router();
+
+  async function loadChannel(author) {
+    const [[contact], [profile]] = await Promise.all([
+      pool.query('SELECT organizationName FROM contact_info ORDER BY id LIMIT 1'),
+      pool.query('SELECT about FROM site_profile ORDER BY id LIMIT 1'),
+    ]);
+    const organization = contact[0]?.organizationName || 'PWMOI Banyuwangi';
+    return {
+      title: author ? `${author.name} — ${organization}` : organization,
+      description: author
+        ? `Berita terbaru dari ${author.name}${author.media_name ? ` (${author.media_name})` : ''}.`
+        : (profile[0]?.about || `Berita terbaru dari ${organization}.`),
+      url: siteUrl('/berita'),
+    };
+  }
+
+  async function loadArticles(authorId) {
+    const params = [ARTICLE_STATUS.PUBLISHED];
+    let authorSql = '';
+    if (authorId != null) {
+      authorSql = 'AND a.authorId = ?';
+      params.push(authorId);
+    }
+    const [rows] = await pool.query(
+      `SELECT a.*, u.name AS author_name FROM articles a
+       LEFT JOIN users u ON u.id = a.authorId
+       WHERE a.status = ? ${authorSql}
+       ORDER BY COALESCE(a.published_at, a.created_at) DESC, a.id DESC
+       LIMIT ?`,
+      [...params, FEED_SIZE],
+    );
+    return rows;
+  }
+
+  function feedHandler(format) {
+    const { build, contentType } = FORMATS[format];
+    return async (req, res) => {
+      let author = null;
+      if (req.params.authorId !== undefined) {
+        const [authors] = await pool.query('SELECT id, name, media_name FROM users WHERE id = ?', [req.params.authorId]);
+        author = authors[0];
+        if (!author) {
+          throw notFound('Author not found.');
+        }
+      }
+
+      const rows = await loadArticles(author?.id);
+      const lastModified = latestTimestamp(rows);
+      const fingerprint = `${format}:${author?.id ?? ''}:${rows.map((row) => row.id).join(',')}:${lastModified}`;
+      if (sendNotModified(req, res, { lastModified, fingerprint })) return;
+
+      const channel = await loadChannel(author);
+      channel.feedUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}`;
+      channel.updatedAt = lastModified || Date.now();
+      res.type(contentType).send(build(channel, rows.map(toFeedItem)));
+    };
+  }
+
+  for (const format of Object.keys(FORMATS)) {
+    router.get(`/${FORMATS[format].file}`, feedHandler(format));
+    router.get(
+      `/authors/:authorId/${FORMATS[format].file}`,
+      validate({ params: authorParams }),
+      feedHandler(format),
+    );
+  }
+
+  router.get('/sitemap.xml', async (req, res) => {
+    const [rows] = await pool.query(
+      `SELECT id, slug, title, created_at, updated_at, published_at FROM articles
+       WHERE status = ? ORDER BY COALESCE(published_at, created_at) DESC, id DESC`,
+      [ARTICLE_STATUS.PUBLISHED],
+    );
+    const lastModified = latestTimestamp(rows);
+    const fingerprint = `sitemap:${rows.map((row) => row.id).join(',')}:${lastModified}`;
+    if (sendNotModified(req, res, { lastModified, fingerprint })) return;
+
+    const entries = [
+      ...SITEMAP_PAGES.map((page) => ({
+        url: siteUrl(page),
+        changeFrequency: page === '/' || page === '/berita' ? 'daily' : 'monthly',
+        priority: page === '/' ? 1 : 0.5,
+      })),
+      ...rows.map((row) => ({
+        url: articleUrl(row),
+        lastModified: row.updated_at || row.published_at || row.created_at,
+        changeFrequency: 'weekly',
+        priority: 0.8,
+      })),
+    ];
+    res.type('application/xml; charset=utf-8').send(buildSitemap(entries));
+  });
+
+  return router;
+}
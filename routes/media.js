@@ -0,0 +1,121 @@
+import express from 'express';
+import multer from 'multer';
+import { mediaConfig } from '../lib/config.js';
+import {
+  HttpError,
+  badRequest,
+  conflict,
+  forbidden,
+  notFound,
+} from '../lib/errors.js';
+import {
+  ALLOWED_MIME_TYPES,
+  MediaError,
+  dbMediaToApi,
+  findMediaUsages,
+  mediaVariantPaths,
+  removeFiles,
+  storeImage,
+} from '../lib/media.js';
+import { sendPaginatedList } from '../lib/pagination.js';
+import { PERMISSIONS, hasPermission, isOwnerOr, requirePermission } from '../lib/permissions.js';
+import { idParams, mediaListQuery } from '../lib/schemas.js';
+import { validate } from '../lib/validation.js';
+
+// Files are held in memory only long enough to be validated and re-encoded by sharp.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: mediaConfig.maxBytes, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new MediaError(415, `Unsupported file type. Allowed: ${ALLOWED_MIME_TYPES.join(', ')}.`));
+    }
+    cb(null, true);
+  },
+});
+
+// Runs multer and turns its errors into HttpErrors for the error handler.
+function receiveFile(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return next(err.code === 'LIMIT_FILE_SIZE'
+        ? new HttpError(413, `File is too large. Maximum size is ${Math.round(mediaConfig.maxBytes / 1024 / 1024)} MB.`)
+        : badRequest(err.message));
+    }
+    next(err);
+  });
+}
+
+async function findMedia(pool, id) {
+  const [rows] = await pool.query('SELECT * FROM media WHERE id = ?', [id]);
+  if (rows.length === 0) {
+    throw notFound('Media not found.');
+  }
+  return rows[0];
+}
+
+// --- /api/media ---
+export function createMediaRouter(pool) {
+  const router = express.Router();
+  const canUpload = requirePermission(pool, PERMISSIONS.MEDIA_UPLOAD);
+
+  // POST /api/media (multipart/form-data, field "file")
+  router.post('/', canUpload, receiveFile, async (req, res) => {
+    if (!req.file) {
+      throw badRequest('Upload a file in the "file" field.');
+    }
+    const dbObj = await storeImage(req.file.buffer, {
+      originalName: req.file.originalname,
+      ownerId: req.user.id,
+    });
+    const [result] = await pool.query('INSERT INTO media SET ?', [dbObj]);
+    res.status(201).json(dbMediaToApi(await findMedia(pool, result.insertId)));
+  });
+
+  // GET /api/media?ownerId=&page=&pageSize=&sort= — members see their own uploads, admins all.
+  router.get('/', canUpload, validate({ query: mediaListQuery }), async (req, res) => {
+    const where = [];
+    const params = [];
+    if (!hasPermission(req.user, PERMISSIONS.MEDIA_MANAGE_ANY)) {
+      where.push('owner_id = ?');
+      params.push(req.user.id);
+    } else if (req.query.ownerId) {
+      where.push('owner_id = ?');
+      params.push(Number(req.query.ownerId));
+    }
+    await sendPaginatedList(res, pool, req, {
+      from: 'media',
+      where,
+      params,
+      columns: { id: 'id', createdAt: 'created_at', sizeBytes: 'size_bytes' },
+      defaultSort: '-id',
+      map: dbMediaToApi,
+    });
+  });
+
+  router.get('/:id', canUpload, validate({ params: idParams }), async (req, res) => {
+    const media = await findMedia(pool, req.params.id);
+    if (!isOwnerOr(req.user, media.owner_id, PERMISSIONS.MEDIA_MANAGE_ANY)) {
+      throw forbidden('You can only view your own uploads.');
+    }
+    res.status(200).json({ ...dbMediaToApi(media), usages: await findMediaUsages(pool, media) });
+  });
+
+  // Deleting removes the files too, so media that is still referenced is refused; the places
+  // that use it are listed in the error's details.
+  router.delete('/:id', canUpload, validate({ params: idParams }), async (req, res) => {
+    const media = await findMedia(pool, req.params.id);
+    if (!isOwnerOr(req.user, media.owner_id, PERMISSIONS.MEDIA_MANAGE_ANY)) {
+      throw forbidden('You can only delete your own uploads.');
+    }
+    const usages = await findMediaUsages(pool, media);
+    if (usages.length > 0) {
+      throw conflict('This media is still in use.', { code: 'MEDIA_IN_USE', details: { usages } });
+    }
+    await pool.query('DELETE FROM media WHERE id = ?', [media.id]);
+    await removeFiles(mediaVariantPaths(media));
+    res.status(204).end();
+  });
+
+  return router;
+}
@@ -0,0 +1,243 @@
+import crypto from 'node:crypto';
+import express from 'express';
+import multer from 'multer';
+import { setAuditContext } from '../lib/audit.js';
+import {
+  HttpError,
+  badRequest,
+  conflict,
+  localize,
+  notFound,
+  requestLanguage,
+} from '../lib/errors.js';
+import { apiUserToDb, safeJsonParse } from '../lib/mappers.js';
+import {
+  DIRECTORY_SORT_COLUMNS,
+  IMPORT_PREVIEW_HOURS,
+  MAX_IMPORT_BYTES,
+  MAX_IMPORT_ROWS,
+  MemberImportError,
+  checkImportRows,
+  createInvitation,
+  dbMemberToApi,
+  directoryFilters,
+  directoryTable,
+  resolveMapping,
+  summarizeImport,
+} from '../lib/members.js';
+import { parseSort, sendPaginatedList } from '../lib/pagination.js';
+import { PERMISSIONS, ROLES, requirePermission } from '../lib/permissions.js';
+import {
+  idParams,
+  memberExportQuery,
+  memberImportBody,
+  memberImportParams,
+  memberListQuery,
+} from '../lib/schemas.js';
+import { decodeText, parseCsv, toCsv, toXlsx } from '../lib/spreadsheets.js';
+import { validate } from '../lib/validation.js';
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_BYTES, files: 1 },
+});
+
+// Runs multer and turns its errors into HttpErrors for the error handler.
+function receiveSpreadsheet(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return next(err.code === 'LIMIT_FILE_SIZE'
+        ? new HttpError(413, `File is too large. Maximum size is ${MAX_IMPORT_BYTES / 1024 / 1024} MB.`)
+        : badRequest(err.message));
+    }
+    next(err);
+  });
+}
+
+// The multipart `mapping` field: JSON { field: "column header" }.
+function readMapping(text) {
+  if (!text) return {};
+  const mapping = safeJsonParse(text, null);
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)
+    || Object.values(mapping).some((header) => header !== null && typeof header !== 'string')) {
+    throw badRequest('"mapping" must be a JSON object of field names and column headers.');
+  }
+  return mapping;
+}
+
+// Of the given addresses, those already registered.
+async function registeredEmails(db, emails) {
+  if (emails.length === 0) return new Set();
+  const [rows] = await db.query('SELECT email FROM users WHERE email IN (?)', [emails]);
+  return new Set(rows.map((row) => String(row.email).toLowerCase()));
+}
+
+async function findImport(pool, id) {
+  const [rows] = await pool.query('SELECT * FROM member_imports WHERE id = ? AND expires_at > NOW()', [id]);
+  if (rows.length === 0) {
+    throw notFound('Import not found or expired. Upload the file again.');
+  }
+  return rows[0];
+}
+
+// The stored preview, with problem messages in the caller's language.
+function importToApi(row, language) {
+  const entries = safeJsonParse(row.entries, []);
+  return {
+    id: row.id,
+    fileName: row.file_name ?? null,
+    headers: safeJsonParse(row.headers, []),
+    mapping: safeJsonParse(row.mapping, {}),
+    summary: summarizeImport(entries),
+    rows: entries.map((entry) => ({
+      ...entry,
+      problems: entry.problems.map((problem) => ({ ...problem, message: localize(problem.message, language) })),
+    })),
+    createdAt: row.created_at ?? null,
+    expiresAt: row.expires_at ?? null,
+    committedAt: row.committed_at ?? null,
+  };
+}
+
+// Creates the preview's valid rows as users, each with an invitation, in one transaction. Rows
+// whose address was registered after the preview are skipped as duplicates.
+// Returns { created: [{ line, id, name, email, invitation }], skipped: [{ line, email, status }] }.
+async function commitImport(pool, preview, createdBy) {
+  const entries = safeJsonParse(preview.entries, []);
+  const created = [];
+  const skipped = [];
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [claimed] = await conn.query(
+      'UPDATE member_imports SET committed_at = NOW() WHERE id = ? AND committed_at IS NULL',
+      [preview.id],
+    );
+    if (claimed.affectedRows === 0) {
+      throw conflict('This import has already been committed.');
+    }
+    const valid = entries.filter((entry) => entry.status === 'valid');
+    const taken = await registeredEmails(conn, valid.map((entry) => entry.member.email));
+    for (const entry of entries) {
+      const status = entry.status === 'valid' && taken.has(entry.member.email) ? 'duplicate' : entry.status;
+      if (status !== 'valid') {
+        skipped.push({ line: entry.line, email: entry.member.email ?? null, status });
+        continue;
+      }
+      const dbObj = { role: ROLES.JURNALIS, ...apiUserToDb(entry.member), password: null };
+      const [result] = await conn.query('INSERT INTO users SET ?', [dbObj]);
+      const invitation = await createInvitation(conn, result.insertId, { createdBy });
+      created.push({ line: entry.line, id: result.insertId, name: dbObj.name, email: dbObj.email, invitation });
+    }
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+  return { created, skipped };
+}
+
+// --- /api/members: the member directory (admin only) ---
+export function createMembersRouter(pool) {
+  const router = express.Router();
+  const canManage = requirePermission(pool, PERMISSIONS.USERS_MANAGE);
+
+  // GET /api/members?role=&isVerified=&ukwCertification=&mediaName=&page=&pageSize=&sort=
+  router.get('/', canManage, validate({ query: memberListQuery }), async (req, res) => {
+    await sendPaginatedList(res, pool, req, {
+      from: 'users',
+      ...directoryFilters(req.query),
+      columns: DIRECTORY_SORT_COLUMNS,
+      defaultSort: 'name',
+      map: dbMemberToApi,
+    });
+  });
+
+  // GET /api/members/export?format=csv|xlsx plus the directory's filters and sort — every match,
+  // not one page.
+  router.get('/export', canManage, validate({ query: memberExportQuery }), async (req, res) => {
+    const { where, params } = directoryFilters(req.query);
+    const orderBy = parseSort(req.query.sort, DIRECTORY_SORT_COLUMNS, 'name');
+    const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    const [rows] = await pool.query(`SELECT * FROM users ${whereSql} ORDER BY ${orderBy}`, params);
+    const table = directoryTable(rows);
+    const fileName = `anggota-pwmoi-${new Date().toISOString().slice(0, 10)}`;
+    if (req.query.format === 'xlsx') {
+      res.status(200).attachment(`${fileName}.xlsx`).send(toXlsx(table, { sheetName: 'Anggota' }));
+    } else {
+      res.status(200).attachment(`${fileName}.csv`).send(toCsv(table));
+    }
+  });
+
+  // POST /api/members/imports (multipart: file, mapping?) — checks a CSV file and stores the
+  // result as a preview; nothing is created until the preview is committed.
+  router.post('/imports', canManage, receiveSpreadsheet, validate({ body: memberImportBody }), async (req, res) => {
+    if (!req.file) {
+      throw badRequest('Upload a CSV file in the "file" field.');
+    }
+    const mapping = readMapping(req.body?.mapping);
+    const [headers = [], ...rows] = parseCsv(decodeText(req.file.buffer)).rows;
+    if (!rows.some((cells) => cells.some((cell) => cell.trim() !== ''))) {
+      throw new MemberImportError(400, 'The file has no member rows below its header.');
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new MemberImportError(400, `An import can hold at most ${MAX_IMPORT_ROWS} rows. Split the file.`);
+    }
+    const columns = resolveMapping(headers, mapping);
+    const emails = rows.map((cells) => String(cells[columns.email] ?? '').trim().toLowerCase()).filter(Boolean);
+    const entries = checkImportRows(rows, columns, await registeredEmails(pool, [...new Set(emails)]));
+
+    await pool.query('DELETE FROM member_imports WHERE expires_at <= NOW()');
+    const id = crypto.randomBytes(16).toString('hex');
+    await pool.query('INSERT INTO member_imports SET ?', [{
+      id,
+      created_by: req.user.id,
+      file_name: req.file.originalname ? String(req.file.originalname).slice(0, 255) : null,
+      headers: JSON.stringify(headers),
+      mapping: JSON.stringify(Object.fromEntries(Object.entries(columns).map(([field, index]) => [field, headers[index]]))),
+      entries: JSON.stringify(entries),
+      expires_at: new Date(Date.now() + IMPORT_PREVIEW_HOURS * 60 * 60 * 1000),
+    }]);
+    res.status(201).json(importToApi(await findImport(pool, id), requestLanguage(req)));
+  });
+
+  router.get('/imports/:importId', canManage, validate({ params: memberImportParams }), async (req, res) => {
+    res.status(200).json(importToApi(await findImport(pool, req.params.importId), requestLanguage(req)));
+  });
+
+  // Creates the valid rows of a preview as members and answers their invitation links, which the
+  // secretariat passes on.
+  router.post('/imports/:importId/commit', canManage, validate({ params: memberImportParams }), async (req, res) => {
+    const preview = await findImport(pool, req.params.importId);
+    if (preview.committed_at) {
+      throw conflict('This import has already been committed.');
+    }
+    const result = await commitImport(pool, preview, req.user.id);
+    setAuditContext(res, {
+      entity: 'member_imports',
+      entityId: preview.id,
+      action: 'commit',
+      after: { created: result.created.map((member) => member.email), skipped: result.skipped.length },
+    });
+    res.status(200).json({ id: preview.id, ...result });
+  });
+
+  // A fresh invitation link for a member who has not activated their account; the old one stops
+  // working.
+  router.post('/:id/invitation', canManage, validate({ params: idParams }), async (req, res) => {
+    const [rows] = await pool.query('SELECT * FROM users WHERE id = ?', [req.params.id]);
+    if (rows.length === 0) {
+      throw notFound('Member not found.');
+    }
+    if (rows[0].password) {
+      throw conflict('This member has already activated their account.');
+    }
+    const invitation = await createInvitation(pool, rows[0].id, { createdBy: req.user.id });
+    setAuditContext(res, { entity: 'users', entityId: rows[0].id, action: 'invite' });
+    res.status(201).json(invitation);
+  });
+
+  return router;
+}
@@ -0,0 +1,228 @@
+import express from 'express';
+import { setAuditContext } from '../lib/audit.js';
+import { rateLimitConfig } from '../lib/config.js';
+import { badRequest, localize, notFound, requestLanguage } from '../lib/errors.js';
+import {
+  CATEGORY_LABELS,
+  MESSAGE_SORT_COLUMNS,
+  MESSAGE_STATUS,
+  checkChallenge,
+  createChallenge,
+  createTrackingToken,
+  dbMessageReplyToApi,
+  dbMessageToApi,
+  hashTrackingToken,
+  messageFilters,
+  normalizeContact,
+  normalizeTags,
+  publicMessageView,
+  trackingUrl,
+} from '../lib/messages.js';
+import { createNotification, notifyRoles } from '../lib/notifications.js';
+import { sendPaginatedList } from '../lib/pagination.js';
+import { PERMISSIONS, ROLES, hasPermission, requirePermission } from '../lib/permissions.js';
+import { rateLimit } from '../lib/ratelimit.js';
+import {
+  idParams,
+  messageBody,
+  messageListQuery,
+  messageReplyBody,
+  messageUpdateBody,
+  trackingParams,
+} from '../lib/schemas.js';
+import { hashSource, scoreComment } from '../lib/spam.js';
+import { validate } from '../lib/validation.js';
+
+const MESSAGE_SELECT = `
+  SELECT m.*, u.name AS assignee_name
+  FROM contact_messages m
+  LEFT JOIN users u ON u.id = m.assigned_to`;
+
+const REPLY_SELECT = `
+  SELECT r.*, u.name AS user_name
+  FROM contact_message_replies r
+  LEFT JOIN users u ON u.id = r.user_id`;
+
+const RECEIVED = {
+  en: 'Your message has been received. Keep the tracking link to follow up on it.',
+  id: 'Pesan Anda telah kami terima. Simpan tautan pelacakan untuk memantau tindak lanjutnya.',
+};
+const CHALLENGE_FAILED = {
+  en: 'The answer to the security question is wrong, has expired or was already used. Please try again.',
+  id: 'Jawaban pertanyaan keamanan salah, sudah kedaluwarsa, atau sudah dipakai. Silakan coba lagi.',
+};
+const INVALID_CONTACT = {
+  en: 'Enter an email address or a phone number we can reach you on.',
+  id: 'Isi alamat email atau nomor telepon yang dapat kami hubungi.',
+};
+
+async function findMessage(pool, id) {
+  const [rows] = await pool.query(`${MESSAGE_SELECT} WHERE m.id = ?`, [id]);
+  if (rows.length === 0) {
+    throw notFound('Message not found.');
+  }
+  return rows[0];
+}
+
+async function findReplies(pool, messageId) {
+  const [rows] = await pool.query(`${REPLY_SELECT} WHERE r.message_id = ? ORDER BY r.created_at, r.id`, [messageId]);
+  return rows;
+}
+
+// Earlier messages from the same network source, for the repeat-posting rules of lib/spam.js.
+async function loadSendingHistory(pool, { sourceHash, message }) {
+  const [[history]] = await pool.query(
+    `SELECT
+       COALESCE(SUM(LOWER(TRIM(message)) = LOWER(TRIM(?)) AND created_at > NOW() - INTERVAL 1 DAY), 0) AS sameContentCount,
+       COALESCE(SUM(created_at > NOW() - INTERVAL 10 MINUTE), 0) AS recentCount
+     FROM contact_messages WHERE source_hash = ?`,
+    [message, sourceHash],
+  );
+  return { sameContentCount: Number(history.sameContentCount), recentCount: Number(history.recentCount) };
+}
+
+// --- /api/messages: the public aspiration/contact form and the admin inbox ---
+export function createMessagesRouter(pool) {
+  const router = express.Router();
+  const canManage = requirePermission(pool, PERMISSIONS.MESSAGES_MANAGE);
+  const submissionLimit = rateLimit({ name: 'messages', ...rateLimitConfig.submissions });
+  const lookupLimit = rateLimit({ name: 'message-lookups', ...rateLimitConfig.lookups });
+
+  // GET /api/messages/challenge — the security question to show with the form.
+  router.get('/challenge', (req, res) => {
+    const challenge = createChallenge();
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json({ ...challenge, question: localize(challenge.question, requestLanguage(req)) });
+  });
+
+  // POST /api/messages — { name, contact, category, message, challengeToken, challengeAnswer }
+  // Answers the tracking link. Suspicious messages are kept as Spam and notify nobody; a filled
+  // honeypot gets the usual answer but nothing is stored, so bots learn nothing.
+  router.post('/', submissionLimit, validate({ body: messageBody }), async (req, res) => {
+    const { name, category, message, website, challengeToken, challengeAnswer } = req.body;
+    const received = localize(RECEIVED, requestLanguage(req));
+    if (website) {
+      return res.status(201).json({ trackingUrl: trackingUrl(createTrackingToken()), message: received });
+    }
+    const contact = normalizeContact(req.body.contact);
+    if (!contact) {
+      throw badRequest(INVALID_CONTACT);
+    }
+    // Last, because a solved challenge is spent on the message it lets through.
+    if (!(await checkChallenge(challengeToken, challengeAnswer))) {
+      throw badRequest(CHALLENGE_FAILED, { code: 'CHALLENGE_FAILED' });
+    }
+
+    const text = message.trim();
+    const sourceHash = hashSource(req.ip);
+    const spam = scoreComment(text, await loadSendingHistory(pool, { sourceHash, message: text }));
+    const token = createTrackingToken();
+    const [result] = await pool.query('INSERT INTO contact_messages SET ?', [{
+      name: name.trim(),
+      contact,
+      category,
+      message: text,
+      status: spam.hold ? MESSAGE_STATUS.SPAM : MESSAGE_STATUS.NEW,
+      tracking_hash: hashTrackingToken(token),
+      source_hash: sourceHash,
+      spam_score: spam.score,
+      spam_reasons: JSON.stringify(spam.reasons),
+    }]);
+    if (!spam.hold) {
+      await notifyRoles(pool, [ROLES.ADMIN], {
+        message: `Pesan ${CATEGORY_LABELS[category]} baru dari ${name.trim()}.`,
+        link: `/messages/${result.insertId}`,
+      });
+    }
+    res.status(201).json({ trackingUrl: trackingUrl(token), message: received });
+  });
+
+  // GET /api/messages/track/:token — the sender's view: status and replies.
+  router.get('/track/:token', lookupLimit, validate({ params: trackingParams }), async (req, res) => {
+    const [rows] = await pool.query(
+      'SELECT * FROM contact_messages WHERE tracking_hash = ?',
+      [hashTrackingToken(req.params.token)],
+    );
+    if (rows.length === 0) {
+      throw notFound({ en: 'Message not found.', id: 'Pesan tidak ditemukan.' });
+    }
+    res.set('Cache-Control', 'private, no-store');
+    res.status(200).json(publicMessageView(rows[0], await findReplies(pool, rows[0].id)));
+  });
+
+  // --- Inbox ---
+  // GET /api/messages?status=&category=&assignedTo=&tag=&archived=&q=
+  router.get('/', canManage, validate({ query: messageListQuery }), async (req, res) => {
+    await sendPaginatedList(res, pool, req, {
+      select: 'm.*, u.name AS assignee_name',
+      from: 'contact_messages m LEFT JOIN users u ON u.id = m.assigned_to',
+      ...messageFilters(req.query),
+      columns: MESSAGE_SORT_COLUMNS,
+      defaultSort: '-createdAt,-id',
+      map: dbMessageToApi,
+    });
+  });
+
+  router.get('/:id', canManage, validate({ params: idParams }), async (req, res) => {
+    const row = await findMessage(pool, req.params.id);
+    res.status(200).json({ ...dbMessageToApi(row), replies: (await findReplies(pool, row.id)).map(dbMessageReplyToApi) });
+  });
+
+  // PUT /api/messages/:id { status?, assignedTo?, tags?, archived? }
+  // Assigning a new message opens it and notifies the assignee, who must be able to use the inbox.
+  router.put('/:id', canManage, validate({ params: idParams, body: messageUpdateBody }), async (req, res) => {
+    const body = req.body || {};
+    const before = await findMessage(pool, req.params.id);
+    const changes = {};
+    if (body.assignedTo !== undefined) {
+      if (body.assignedTo !== null) {
+        const [[assignee]] = await pool.query('SELECT id, role FROM users WHERE id = ?', [body.assignedTo]);
+        if (!assignee || !hasPermission(assignee, PERMISSIONS.MESSAGES_MANAGE)) {
+          throw badRequest('Messages can only be assigned to users who manage the inbox.');
+        }
+      }
+      changes.assigned_to = body.assignedTo;
+      if (body.assignedTo !== null && before.status === MESSAGE_STATUS.NEW) changes.status = MESSAGE_STATUS.OPEN;
+    }
+    if (body.status !== undefined) changes.status = body.status;
+    if (body.tags !== undefined) changes.tags = JSON.stringify(normalizeTags(body.tags));
+    if (body.archived !== undefined) {
+      const archive = ['1', 'true'].includes(String(body.archived));
+      if (archive !== (before.archived_at != null)) changes.archived_at = archive ? new Date() : null;
+    }
+    if (Object.keys(changes).length > 0) {
+      await pool.query('UPDATE contact_messages SET ? WHERE id = ?', [changes, before.id]);
+    }
+    const row = await findMessage(pool, before.id);
+    if (changes.assigned_to && Number(changes.assigned_to) !== Number(before.assigned_to)
+      && Number(changes.assigned_to) !== Number(req.user.id)) {
+      await createNotification(pool, {
+        userId: changes.assigned_to,
+        message: `${req.user.name} menugaskan pesan dari ${row.name} kepada Anda.`,
+        link: `/messages/${row.id}`,
+      });
+    }
+    setAuditContext(res, { entity: 'contact_messages', entityId: row.id, before, after: row });
+    res.status(200).json(dbMessageToApi(row));
+  });
+
+  // POST /api/messages/:id/replies { body } — shown to the sender on their tracking page; the
+  // message becomes Replied.
+  router.post('/:id/replies', canManage, validate({ params: idParams, body: messageReplyBody }), async (req, res) => {
+    const message = await findMessage(pool, req.params.id);
+    const [result] = await pool.query('INSERT INTO contact_message_replies SET ?', [{
+      message_id: message.id,
+      user_id: req.user.id,
+      body: req.body.body.trim(),
+    }]);
+    await pool.query(
+      'UPDATE contact_messages SET status = ?, replied_at = NOW() WHERE id = ?',
+      [MESSAGE_STATUS.REPLIED, message.id],
+    );
+    const [replies] = await pool.query(`${REPLY_SELECT} WHERE r.id = ?`, [result.insertId]);
+    setAuditContext(res, { entity: 'contact_messages', entityId: message.id, action: 'reply', after: replies[0] });
+    res.status(201).json(dbMessageReplyToApi(replies[0]));
+  });
+
+  return router;
+}
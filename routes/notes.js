@@ -0,0 +1,62 @@
+import express from 'express';
+import { forbidden, notFound } from '../lib/errors.js';
+import { sendPaginatedList } from '../lib/pagination.js';
+import { PERMISSIONS, requirePermission } from '../lib/permissions.js';
+import { idParams, listQuery, noteBody } from '../lib/schemas.js';
+import { validate } from '../lib/validation.js';
+
+async function findNote(pool, id) {
+  const [rows] = await pool.query('SELECT * FROM inspiration_notes WHERE id = ?', [id]);
+  return rows[0] || null;
+}
+
+// Loads a note for editing or deleting; other users' notes are off limits.
+async function findOwnNote(pool, req, verb) {
+  const note = await findNote(pool, req.params.id);
+  if (!note) {
+    throw notFound('Note not found.');
+  }
+  if (Number(note.userId) !== Number(req.user.id)) {
+    throw forbidden(`You can only ${verb} your own notes.`);
+  }
+  return note;
+}
+
+// --- /api/inspiration-notes ---
+// Notes are private scratch pads: every role may only touch its own notes.
+export function createNotesRouter(pool) {
+  const router = express.Router();
+  const canManageOwn = requirePermission(pool, PERMISSIONS.NOTES_MANAGE_OWN);
+
+  router.get('/', canManageOwn, validate({ query: listQuery() }), async (req, res) => {
+    await sendPaginatedList(res, pool, req, {
+      from: 'inspiration_notes',
+      where: ['userId = ?'],
+      params: [req.user.id],
+      columns: { id: 'id', timestamp: 'timestamp' },
+      defaultSort: '-timestamp,-id',
+    });
+  });
+
+  router.post('/', canManageOwn, validate({ body: noteBody }), async (req, res) => {
+    const [result] = await pool.query(
+      'INSERT INTO inspiration_notes (userId, content) VALUES (?, ?)',
+      [req.user.id, req.body.content],
+    );
+    res.status(201).json(await findNote(pool, result.insertId));
+  });
+
+  router.put('/:id', canManageOwn, validate({ params: idParams, body: noteBody }), async (req, res) => {
+    const note = await findOwnNote(pool, req, 'edit');
+    await pool.query('UPDATE inspiration_notes SET content = ? WHERE id = ?', [req.body.content, note.id]);
+    res.status(200).json(await findNote(pool, note.id));
+  });
+
+  router.delete('/:id', canManageOwn, validate({ params: idParams }), async (req, res) => {
+    const note = await findOwnNote(pool, req, 'delete');
+    await pool.query('DELETE FROM inspiration_notes WHERE id = ?', [note.id]);
+    res.status(204).end();
+  });
+
+  return router;
+}
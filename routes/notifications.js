@@ -0,0 +1,144 @@
+/* eslint-disable no-console */
+
+import express from 'express';
+import { requireAuth } from '../lib/auth.js';
+import { notFound } from '../lib/errors.js';
+import { dbNotificationToApi, notificationEvents } from '../lib/notifications.js';
+import { sendPaginatedList } from '../lib/pagination.js';
+import { idParams, notificationListQuery } from '../lib/schemas.js';
+import { validate } from '../lib/validation.js';
+
+const HEARTBEAT_MS = 25000;
+const REPLAY_LIMIT = 50;
+
+async function countUnread(pool, userId) {
+  const [[row]] = await pool.query(
+    'SELECT COUNT(*) AS unread FROM notifications WHERE userId = ? AND isRead = 0',
+    [userId],
+  );
+  return Number(row.unread);
+}
+
+// EventSource cannot send an Authorization header, so the stream also accepts the token as
+// ?access_token=. Only used on that route.
+function acceptQueryToken(req, res, next) {
+  if (!req.get('authorization') && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+}
+
+function writeEvent(res, event, data, id) {
+  if (id != null) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// --- /api/notifications ---
+// Every endpoint is scoped to the signed-in user's own notifications.
+export function createNotificationsRouter(pool) {
+  const router = express.Router();
+  const auth = requireAuth(pool);
+
+  // GET /api/notifications?unread=true&page=&pageSize=&sort=
+  router.get('/', auth, validate({ query: notificationListQuery }), async (req, res) => {
+    const where = ['userId = ?'];
+    if (['1', 'true'].includes(String(req.query.unread))) where.push('isRead = 0');
+    await sendPaginatedList(res, pool, req, {
+      from: 'notifications',
+      where,
+      params: [req.user.id],
+      columns: { id: 'id', timestamp: 'timestamp' },
+      defaultSort: '-id',
+      map: dbNotificationToApi,
+    });
+  });
+
+  router.get('/unread-count', auth, async (req, res) => {
+    res.status(200).json({ unread: await countUnread(pool, req.user.id) });
+  });
+
+  // GET /api/notifications/stream — Server-Sent Events.
+  // Sends `unread` on connect, then a `notification` event for each new notification. A client
+  // reconnecting with Last-Event-ID first receives what it missed (up to REPLAY_LIMIT).
+  router.get('/stream', acceptQueryToken, auth, async (req, res) => {
+    const userId = Number(req.user.id);
+    const lastEventId = Number(req.get('last-event-id'));
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write(`retry: 5000\n\n`);
+
+    // The listener is attached before the replay query, so a notification created in between
+    // arrives both ways: live ones wait until the replay is written and skip the ids it sent.
+    // Anything else goes out, even with a lower id: ids follow inserts, not commits.
+    const replayed = new Set();
+    let held = [];
+    const send = (notification) => {
+      if (replayed.has(String(notification.id))) return;
+      writeEvent(res, 'notification', notification, notification.id);
+    };
+    const onNotification = (notification) => {
+      if (Number(notification.userId) !== userId) return;
+      if (held) held.push(notification);
+      else send(notification);
+    };
+    notificationEvents.on('notification', onNotification);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      notificationEvents.off('notification', onNotification);
+    });
+
+    // The stream has already started, so a failure here is reported as an event.
+    try {
+      if (Number.isInteger(lastEventId) && lastEventId > 0) {
+        const [missed] = await pool.query(
+          'SELECT * FROM notifications WHERE userId = ? AND id > ? ORDER BY id LIMIT ?',
+          [userId, lastEventId, REPLAY_LIMIT],
+        );
+        for (const row of missed) {
+          send(dbNotificationToApi(row));
+          replayed.add(String(row.id));
+        }
+      }
+      writeEvent(res, 'unread', { unread: await countUnread(pool, userId) });
+    } catch (err) {
+      console.error('Error in GET /api/notifications/stream:', err);
+      writeEvent(res, 'error', { message: 'Failed to load notifications.' });
+    }
+    const live = held;
+    held = null;
+    live.forEach(send);
+  });
+
+  router.post('/read-all', auth, async (req, res) => {
+    const [result] = await pool.query(
+      'UPDATE notifications SET isRead = 1 WHERE userId = ? AND isRead = 0',
+      [req.user.id],
+    );
+    res.status(200).json({ updated: result.affectedRows, unread: 0 });
+  });
+
+  router.post('/:id/read', auth, validate({ params: idParams }), async (req, res) => {
+    // Someone else's notification is reported as missing rather than forbidden.
+    const [result] = await pool.query(
+      'UPDATE notifications SET isRead = 1 WHERE id = ? AND userId = ?',
+      [req.params.id, req.user.id],
+    );
+    if (result.affectedRows === 0) {
+      throw notFound('Notification not found.');
+    }
+    const [rows] = await pool.query('SELECT * FROM notifications WHERE id = ?', [req.params.id]);
+    res.status(200).json({
+      ...dbNotificationToApi(rows[0]),
+      unread: await countUnread(pool, req.user.id),
+    });
+  });
+
+  return router;
+}
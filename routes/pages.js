@@ -0,0 +1,41 @@
+import express from 'express';
+import { recordArticleView } from '../lib/analytics.js';
+import { articleMeta, loadSiteName, renderArticlePage, renderNotFoundPage } from '../lib/seo.js';
+import { findArticleBySlug } from '../lib/slugs.js';
+import { ARTICLE_STATUS } from '../lib/workflow.js';
+
+// --- Server-rendered pages: /berita/:slug ---
+// The address an article is shared under. Crawlers and link previews get the article's meta
+// tags in the HTML; readers get the frontend (or a plain article page, see lib/seo.js).
+export function createPagesRouter(pool) {
+  const router = express.Router();
+
+  router.get('/berita/:slug', async (req, res) => {
+    const { slug } = req.params;
+    // Links shared before articles had slugs use the numeric id.
+    let found;
+    if (/^\d+$/.test(slug)) {
+      const [[article]] = await pool.query('SELECT * FROM articles WHERE id = ?', [slug]);
+      found = article ? { article, redirect: Boolean(article.slug) } : null;
+    } else {
+      found = await findArticleBySlug(pool, slug);
+    }
+
+    const siteName = await loadSiteName(pool);
+    if (!found || found.article.status !== ARTICLE_STATUS.PUBLISHED) {
+      return res.status(404).type('html').send(renderNotFoundPage(siteName));
+    }
+    const { article } = found;
+    if (found.redirect) {
+      return res.redirect(301, `/berita/${encodeURIComponent(article.slug)}`);
+    }
+
+    const [[author]] = await pool.query('SELECT name FROM users WHERE id = ?', [article.authorId]);
+    const meta = articleMeta(article, { siteName, authorName: author?.name ?? null });
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    res.type('html').send(await renderArticlePage(article, meta));
+    recordArticleView(pool, req, article);
+  });
+
+  return router;
+}
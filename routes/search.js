@@ -0,0 +1,155 @@
+import express from 'express';
+import { activeAnnouncementCondition } from '../lib/announcements.js';
+import { optionalAuth } from '../lib/auth.js';
+import { badRequest } from '../lib/errors.js';
+import { parsePagination } from '../lib/pagination.js';
+import { searchQuery } from '../lib/schemas.js';
+import {
+  MIN_TERM_LENGTH,
+  buildExcerpt,
+  highlight,
+  toBooleanQuery,
+  tokenizeQuery,
+} from '../lib/search.js';
+import { validate } from '../lib/validation.js';
+import { articleVisibility } from '../lib/workflow.js';
+
+// One entry per searchable type. `title` matches count double so headline hits rank first;
+// the column lists must match the FULLTEXT indexes from migration 006. Every `select` names the
+// same columns, so the types can be ranked together in one query.
+const SEARCH_TYPES = {
+  article: {
+    from: 'articles a',
+    alias: 'a',
+    titleMatch: 'MATCH(a.title)',
+    bodyMatch: 'MATCH(a.title, a.snippet, a.content)',
+    select: `a.id, a.title, COALESCE(NULLIF(a.content, ''), a.snippet) AS body, a.status,
+      a.cover_image_url AS image_url`,
+    scoped: true,
+  },
+  announcement: {
+    from: 'announcements n',
+    alias: 'n',
+    titleMatch: 'MATCH(n.title, n.content)',
+    bodyMatch: 'MATCH(n.title, n.content)',
+    select: 'n.id, n.title, n.content AS body, NULL AS status, NULL AS image_url',
+    condition: activeAnnouncementCondition('n'),
+  },
+  gallery: {
+    from: 'gallery g',
+    alias: 'g',
+    titleMatch: 'MATCH(g.title, g.description)',
+    bodyMatch: 'MATCH(g.title, g.description)',
+    select: 'g.id, g.title, g.description AS body, NULL AS status, g.imageUrl AS image_url',
+  },
+  program: {
+    from: 'programs p',
+    alias: 'p',
+    titleMatch: 'MATCH(p.title, p.description)',
+    bodyMatch: 'MATCH(p.title, p.description)',
+    select: 'p.id, p.title, p.description AS body, NULL AS status, NULL AS image_url',
+  },
+};
+
+function parseTypes(value) {
+  if (!value) return Object.keys(SEARCH_TYPES);
+  return String(value).split(',').map((type) => type.trim()).filter(Boolean);
+}
+
+// The rows of one type matching the query, as a WHERE clause and its parameters.
+function matchCondition(type, booleanQuery, user) {
+  const config = SEARCH_TYPES[type];
+  const where = [`${config.bodyMatch} AGAINST(? IN BOOLEAN MODE)`];
+  const params = [booleanQuery];
+  if (config.scoped) {
+    const visibility = articleVisibility(user, config.alias);
+    where.push(...visibility.where);
+    params.push(...visibility.params);
+  }
+  if (config.condition) where.push(config.condition);
+  return { whereSql: where.join(' AND '), params };
+}
+
+async function countType(pool, type, booleanQuery, user) {
+  const { whereSql, params } = matchCondition(type, booleanQuery, user);
+  const [[{ total }]] = await pool.query(
+    `SELECT COUNT(*) AS total FROM ${SEARCH_TYPES[type].from} WHERE ${whereSql}`,
+    params,
+  );
+  return Number(total);
+}
+
+// One page of hits across `types`, ranked by score in the database, so no page reads more rows
+// than it returns.
+async function searchTypes(pool, types, booleanQuery, { offset, pageSize }, user) {
+  const parts = [];
+  const params = [];
+  for (const type of types) {
+    const config = SEARCH_TYPES[type];
+    const condition = matchCondition(type, booleanQuery, user);
+    parts.push(`(SELECT ? AS type, ${config.select},
+       ${config.titleMatch} AGAINST(? IN BOOLEAN MODE) * 2 + ${config.bodyMatch} AGAINST(? IN BOOLEAN MODE) AS score
+     FROM ${config.from} WHERE ${condition.whereSql})`);
+    params.push(type, booleanQuery, booleanQuery, ...condition.params);
+  }
+  const [rows] = await pool.query(
+    `SELECT * FROM (${parts.join(' UNION ALL ')}) hits ORDER BY score DESC, type, id DESC LIMIT ? OFFSET ?`,
+    [...params, pageSize, offset],
+  );
+  return rows;
+}
+
+// --- /api/search ---
+export function createSearchRouter(pool) {
+  const router = express.Router();
+
+  // GET /api/search?q=&type=article,announcement&page=&pageSize=
+  router.get('/', optionalAuth(pool), validate({ query: searchQuery }), async (req, res) => {
+    const query = String(req.query.q || '').trim();
+    const terms = tokenizeQuery(query);
+    if (terms.length === 0) {
+      throw badRequest(
+        `Search query must contain at least one word of ${MIN_TERM_LENGTH} or more letters that is not a stopword.`,
+      );
+    }
+    const types = parseTypes(req.query.type);
+    const unknown = types.filter((type) => !SEARCH_TYPES[type]);
+    if (unknown.length > 0) {
+      throw badRequest(`Unknown search type(s): ${unknown.join(', ')}. Allowed: ${Object.keys(SEARCH_TYPES).join(', ')}.`);
+    }
+
+    const { page, pageSize, offset } = parsePagination(req.query);
+    const booleanQuery = toBooleanQuery(terms);
+    const [totals, hits] = await Promise.all([
+      Promise.all(types.map((type) => countType(pool, type, booleanQuery, req.user))),
+      searchTypes(pool, types, booleanQuery, { offset, pageSize }, req.user),
+    ]);
+
+    const counts = Object.fromEntries(types.map((type, i) => [type, totals[i]]));
+    const total = totals.reduce((sum, count) => sum + count, 0);
+
+    res.status(200).json({
+      query,
+      terms,
+      data: hits.map((row) => ({
+        type: row.type,
+        id: row.id,
+        title: row.title,
+        highlightedTitle: highlight(row.title, terms),
+        excerpt: buildExcerpt(row.body, terms),
+        imageUrl: row.image_url ?? null,
+        status: row.status ?? undefined,
+        score: Number(row.score),
+      })),
+      counts,
+      pagination: {
+        page,
+        pageSize,
+        total,
+        totalPages: Math.max(1, Math.ceil(total / pageSize)),
+      },
+    });
+  });
+
+  return router;
+}
@@ -0,0 +1,242 @@
+import express from 'express';
+import { setAuditContext } from '../lib/audit.js';
+import { badRequest, notFound } from '../lib/errors.js';
+import {
+  apiContactToDb,
+  apiPartnerToDb,
+  apiProfileToDb,
+  apiStructureToDb,
+  dbPartnerToApi,
+  dbStructureToApi,
+  formatContactFromRow,
+  formatProfileFromRow,
+} from '../lib/mappers.js';
+import { sendPaginatedList } from '../lib/pagination.js';
+import { PERMISSIONS, requirePermission } from '../lib/permissions.js';
+import {
+  contactInfoBody,
+  idParams,
+  legalContentBody,
+  legalPageParams,
+  listQuery,
+  localizedQuery,
+  partnerCreateBody,
+  partnerUpdateBody,
+  profileContentBody,
+  structureCreateBody,
+  structureUpdateBody,
+} from '../lib/schemas.js';
+import { contentLocale, translateRow, translateRows } from '../lib/translations.js';
+import { validate } from '../lib/validation.js';
+
+function withoutUndefined(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, value]) => value !== undefined));
+}
+
+// Admin-managed list resources (partners, structure) share the same shape: a public paginated
+// list and detail, and guarded create/update/delete.
+function mountListResource(router, pool, {
+  path, table, permission, toDb, toApi, label, columns, schemas,
+}) {
+  const guard = requirePermission(pool, permission);
+  const findById = async (id) => {
+    const [rows] = await pool.query(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+    if (rows.length === 0) {
+      throw notFound(`${label} not found.`);
+    }
+    return rows[0];
+  };
+
+  router.get(path, validate({ query: listQuery() }), async (req, res) => {
+    await sendPaginatedList(res, pool, req, {
+      from: table,
+      columns,
+      defaultSort: 'id',
+      map: toApi,
+    });
+  });
+
+  router.get(`${path}/:id`, validate({ params: idParams }), async (req, res) => {
+    res.status(200).json(toApi(await findById(req.params.id)));
+  });
+
+  router.post(path, guard, validate({ body: schemas.create }), async (req, res) => {
+    const dbObj = withoutUndefined(toDb(req.body));
+    delete dbObj.id;
+    const [result] = await pool.query(`INSERT INTO ${table} SET ?`, [dbObj]);
+    const created = await findById(result.insertId);
+    setAuditContext(res, { entity: table, entityId: result.insertId, after: created });
+    res.status(201).json(toApi(created));
+  });
+
+  router.put(`${path}/:id`, guard, validate({ params: idParams, body: schemas.update }), async (req, res) => {
+    const dbObj = withoutUndefined(toDb(req.body));
+    delete dbObj.id;
+    const before = await findById(req.params.id);
+    if (Object.keys(dbObj).length > 0) {
+      await pool.query(`UPDATE ${table} SET ? WHERE id = ?`, [dbObj, before.id]);
+    }
+    const row = await findById(before.id);
+    setAuditContext(res, { entity: table, entityId: before.id, before, after: row });
+    res.status(200).json(toApi(row));
+  });
+
+  router.delete(`${path}/:id`, guard, validate({ params: idParams }), async (req, res) => {
+    const before = await findById(req.params.id);
+    await pool.query(`DELETE FROM ${table} WHERE id = ?`, [before.id]);
+    setAuditContext(res, { entity: table, entityId: before.id, before, after: null });
+    res.status(204).end();
+  });
+}
+
+// Single-row settings tables (contact_info, site_profile) are upserted on id = 1, like seed.js.
+async function upsertSingleton(pool, table, dbObj) {
+  if (Object.keys(dbObj).length === 0) return;
+  await pool.query(
+    `INSERT INTO ${table} SET ? ON DUPLICATE KEY UPDATE ?`,
+    [{ id: 1, ...dbObj }, dbObj],
+  );
+}
+
+// --- Site content managed by admins: partners, structure, contact, profile, legal pages ---
+export function createSiteRouter(pool) {
+  const router = express.Router();
+
+  mountListResource(router, pool, {
+    path: '/partners',
+    table: 'partners',
+    permission: PERMISSIONS.PARTNERS_MANAGE,
+    toDb: apiPartnerToDb,
+    toApi: dbPartnerToApi,
+    label: 'Partner',
+    columns: { id: 'id', name: 'name' },
+    schemas: { create: partnerCreateBody, update: partnerUpdateBody },
+  });
+
+  mountListResource(router, pool, {
+    path: '/structure',
+    table: 'structure',
+    permission: PERMISSIONS.STRUCTURE_MANAGE,
+    toDb: apiStructureToDb,
+    toApi: dbStructureToApi,
+    label: 'Structure member',
+    columns: { id: 'id', name: 'name', position: 'position' },
+    schemas: { create: structureCreateBody, update: structureUpdateBody },
+  });
+
+  // GET /api/site: the slim bootstrap payload every page needs (branding, profile, navigation).
+  // The profile, legal pages and programs come in the locale asked for (lib/translations.js).
+  router.get('/site', validate({ query: localizedQuery }), async (req, res) => {
+    const locale = contentLocale(req, res);
+    const [[contactRows], [profileRows], [legalRows], [programRows]] = await Promise.all([
+      pool.query('SELECT * FROM contact_info ORDER BY id LIMIT 1'),
+      pool.query('SELECT * FROM site_profile ORDER BY id LIMIT 1'),
+      pool.query('SELECT page_key, title FROM legal_content ORDER BY id'),
+      pool.query('SELECT id, title, icon FROM programs ORDER BY id'),
+    ]);
+    const [profile, legalPages, programs] = await Promise.all([
+      translateRow(pool, 'site-profile', profileRows[0], locale),
+      translateRows(pool, 'legal-content', legalRows, locale),
+      translateRows(pool, 'programs', programRows, locale),
+    ]);
+    res.status(200).json({
+      contactInfo: formatContactFromRow(contactRows[0]),
+      profileContent: formatProfileFromRow(profile),
+      navigation: {
+        legalPages: legalPages.map((row) => ({ pageKey: row.page_key, title: row.title })),
+        programs,
+      },
+    });
+  });
+
+  router.get('/contact-info', async (req, res) => {
+    const [rows] = await pool.query('SELECT * FROM contact_info ORDER BY id LIMIT 1');
+    res.status(200).json(formatContactFromRow(rows[0]));
+  });
+
+  router.get('/profile-content', validate({ query: localizedQuery }), async (req, res) => {
+    const locale = contentLocale(req, res);
+    const [rows] = await pool.query('SELECT * FROM site_profile ORDER BY id LIMIT 1');
+    res.status(200).json(formatProfileFromRow(await translateRow(pool, 'site-profile', rows[0], locale)));
+  });
+
+  router.get('/legal-content', validate({ query: localizedQuery }), async (req, res) => {
+    const locale = contentLocale(req, res);
+    const [rows] = await pool.query('SELECT * FROM legal_content ORDER BY id');
+    const pages = await translateRows(pool, 'legal-content', rows, locale);
+    res.status(200).json(pages.map((row) => ({ pageKey: row.page_key, title: row.title, content: row.content })));
+  });
+
+  router.get(
+    '/legal-content/:pageKey',
+    validate({ params: legalPageParams, query: localizedQuery }),
+    async (req, res) => {
+      const locale = contentLocale(req, res);
+      const [rows] = await pool.query('SELECT * FROM legal_content WHERE page_key = ?', [req.params.pageKey]);
+      if (rows.length === 0) {
+        throw notFound('Legal page not found.');
+      }
+      const page = await translateRow(pool, 'legal-content', rows[0], locale);
+      res.status(200).json({ pageKey: page.page_key, title: page.title, content: page.content });
+    },
+  );
+
+  router.put(
+    '/contact-info',
+    requirePermission(pool, PERMISSIONS.CONTACT_MANAGE),
+    validate({ body: contactInfoBody }),
+    async (req, res) => {
+      const [before] = await pool.query('SELECT * FROM contact_info ORDER BY id LIMIT 1');
+      await upsertSingleton(pool, 'contact_info', apiContactToDb(req.body));
+      const [rows] = await pool.query('SELECT * FROM contact_info ORDER BY id LIMIT 1');
+      setAuditContext(res, { entity: 'contact_info', entityId: rows[0]?.id, before: before[0] || null, after: rows[0] });
+      res.status(200).json(formatContactFromRow(rows[0]));
+    },
+  );
+
+  router.put(
+    '/profile-content',
+    requirePermission(pool, PERMISSIONS.PROFILE_MANAGE),
+    validate({ body: profileContentBody }),
+    async (req, res) => {
+      const [before] = await pool.query('SELECT * FROM site_profile ORDER BY id LIMIT 1');
+      await upsertSingleton(pool, 'site_profile', apiProfileToDb(req.body));
+      const [rows] = await pool.query('SELECT * FROM site_profile ORDER BY id LIMIT 1');
+      setAuditContext(res, { entity: 'site_profile', entityId: rows[0]?.id, before: before[0] || null, after: rows[0] });
+      res.status(200).json(formatProfileFromRow(rows[0]));
+    },
+  );
+
+  router.put(
+    '/legal-content/:pageKey',
+    requirePermission(pool, PERMISSIONS.LEGAL_MANAGE),
+    validate({ params: legalPageParams, body: legalContentBody }),
+    async (req, res) => {
+      const { pageKey } = req.params;
+      const { title, content } = req.body || {};
+      if (title === undefined && content === undefined) {
+        throw badRequest('Title or content is required.');
+      }
+
+      const [existing] = await pool.query('SELECT * FROM legal_content WHERE page_key = ?', [pageKey]);
+      const dbObj = withoutUndefined({ title, content });
+      if (existing.length > 0) {
+        await pool.query('UPDATE legal_content SET ? WHERE id = ?', [dbObj, existing[0].id]);
+      } else {
+        await pool.query('INSERT INTO legal_content SET ?', [{ page_key: pageKey, ...dbObj }]);
+      }
+
+      const [rows] = await pool.query('SELECT * FROM legal_content WHERE page_key = ?', [pageKey]);
+      setAuditContext(res, {
+        entity: 'legal_content',
+        entityId: pageKey,
+        action: existing.length > 0 ? 'update' : 'create',
+        before: existing[0] || null,
+        after: rows[0],
+      });
+      res.status(200).json({ pageKey, title: rows[0].title, content: rows[0].content });
+    },
+  );
+
+  return router;
+}
@@ -0,0 +1,248 @@
+import express from 'express';
+import { setAuditContext } from '../lib/audit.js';
+import { optionalAuth } from '../lib/auth.js';
+import {
+  badRequest,
+  conflict,
+  duplicateAs,
+  notFound,
+} from '../lib/errors.js';
+import { sendPaginatedList } from '../lib/pagination.js';
+import { PERMISSIONS, hasPermission, requirePermission } from '../lib/permissions.js';
+import {
+  categoryCreateBody,
+  categoryUpdateBody,
+  idParams,
+  listQuery,
+  slugParams,
+  tagCreateBody,
+  tagListQuery,
+  tagUpdateBody,
+} from '../lib/schemas.js';
+import {
+  CATEGORY_COUNT_SQL,
+  TAG_COUNT_SQL,
+  apiCategoryToDb,
+  dbCategoryToApi,
+  dbTagToApi,
+  parseTagNames,
+  sendArticleList,
+} from '../lib/taxonomy.js';
+import { validate } from '../lib/validation.js';
+
+const DUPLICATE_CATEGORY = 'A category with this slug already exists.';
+const DUPLICATE_TAG = 'A tag with this slug already exists.';
+
+async function findCategory(pool, column, value) {
+  const [rows] = await pool.query(
+    `SELECT categories.*, ${CATEGORY_COUNT_SQL} AS article_count FROM categories WHERE ${column} = ?`,
+    [value],
+  );
+  if (rows.length === 0) {
+    throw notFound('Category not found.');
+  }
+  return rows[0];
+}
+
+async function findTag(pool, column, value) {
+  const [rows] = await pool.query(
+    `SELECT tags.*, ${TAG_COUNT_SQL} AS article_count FROM tags WHERE ${column} = ?`,
+    [value],
+  );
+  if (rows.length === 0) {
+    throw notFound('Tag not found.');
+  }
+  return rows[0];
+}
+
+// { name, slug? } -> DB columns. The slug follows the name unless one is given.
+function tagFromPayload(body) {
+  const { tags, error } = parseTagNames([body.name ?? '']);
+  if (error) {
+    throw badRequest(error);
+  }
+  if (tags.length === 0) {
+    throw badRequest('Name is required.');
+  }
+  const [{ name, slug }] = tags;
+  return { name, slug: body.slug || slug };
+}
+
+// Inserts (id null) or updates a category in one transaction; a category that becomes the default
+// takes the flag from every other one. Returns the category id.
+async function saveCategory(pool, id, dbObj) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    let categoryId = id;
+    if (categoryId == null) {
+      const [result] = await conn.query('INSERT INTO categories SET ?', [dbObj]);
+      categoryId = result.insertId;
+    } else if (Object.keys(dbObj).length > 0) {
+      await conn.query('UPDATE categories SET ? WHERE id = ?', [dbObj, categoryId]);
+    }
+    if (dbObj.is_default) {
+      await conn.query('UPDATE categories SET is_default = 0 WHERE id <> ?', [categoryId]);
+    }
+    await conn.commit();
+    return categoryId;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// Deletes a (non-default) category and moves its articles to the default category.
+async function deleteCategory(pool, categoryId) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    await conn.query(
+      `UPDATE articles SET category_id = (SELECT id FROM categories WHERE is_default = 1 ORDER BY id LIMIT 1)
+       WHERE category_id = ?`,
+      [categoryId],
+    );
+    await conn.query('DELETE FROM categories WHERE id = ?', [categoryId]);
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// --- /api/categories and /api/tags ---
+// Categories are the site's sections and are managed by admins; tags come from the articles
+// themselves and editors tidy them up (rename, delete). Counts only include published articles.
+export function createTaxonomyRouter(pool) {
+  const router = express.Router();
+  const canManageCategories = requirePermission(pool, PERMISSIONS.CATEGORIES_MANAGE);
+  const canManageTags = requirePermission(pool, PERMISSIONS.TAGS_MANAGE);
+
+  // --- Categories ---
+  router.get('/categories', async (req, res) => {
+    const [rows] = await pool.query(
+      `SELECT categories.*, ${CATEGORY_COUNT_SQL} AS article_count FROM categories
+       ORDER BY sort_order, name`,
+    );
+    res.status(200).json(rows.map(dbCategoryToApi));
+  });
+
+  router.get('/categories/:slug', validate({ params: slugParams }), async (req, res) => {
+    res.status(200).json(dbCategoryToApi(await findCategory(pool, 'slug', req.params.slug)));
+  });
+
+  // GET /api/categories/:slug/articles?page=&pageSize=&sort=
+  router.get(
+    '/categories/:slug/articles',
+    optionalAuth(pool),
+    validate({ params: slugParams, query: listQuery() }),
+    async (req, res) => {
+      const category = await findCategory(pool, 'slug', req.params.slug);
+      await sendArticleList(res, pool, req, { where: ['category_id = ?'], params: [category.id] });
+    },
+  );
+
+  // POST /api/categories { name, slug?, description?, sortOrder?, isDefault? }
+  router.post('/categories', canManageCategories, validate({ body: categoryCreateBody }), async (req, res) => {
+    const dbObj = apiCategoryToDb(req.body, { creating: true });
+    const categoryId = await saveCategory(pool, null, dbObj).catch(duplicateAs(DUPLICATE_CATEGORY));
+    const created = await findCategory(pool, 'id', categoryId);
+    setAuditContext(res, { entity: 'categories', entityId: created.id, after: created });
+    res.status(201).json(dbCategoryToApi(created));
+  });
+
+  router.put(
+    '/categories/:id',
+    canManageCategories,
+    validate({ params: idParams, body: categoryUpdateBody }),
+    async (req, res) => {
+      const before = await findCategory(pool, 'id', req.params.id);
+      const dbObj = apiCategoryToDb(req.body);
+      // There is always exactly one default; it changes by making another category the default.
+      if (dbObj.is_default === 0 && before.is_default) {
+        throw badRequest('Make another category the default instead.');
+      }
+      await saveCategory(pool, before.id, dbObj).catch(duplicateAs(DUPLICATE_CATEGORY));
+      const updated = await findCategory(pool, 'id', before.id);
+      setAuditContext(res, { entity: 'categories', entityId: before.id, before, after: updated });
+      res.status(200).json(dbCategoryToApi(updated));
+    },
+  );
+
+  // Articles of a deleted category move to the default category.
+  router.delete('/categories/:id', canManageCategories, validate({ params: idParams }), async (req, res) => {
+    const before = await findCategory(pool, 'id', req.params.id);
+    if (before.is_default) {
+      throw conflict('The default category cannot be deleted.');
+    }
+    await deleteCategory(pool, before.id);
+    setAuditContext(res, { entity: 'categories', entityId: before.id, before, after: null });
+    res.status(204).end();
+  });
+
+  // --- Tags ---
+  // GET /api/tags?page=&pageSize=&sort= — the tag cloud: tags with published articles, most used
+  // first. Editors can add ?include=all to see unused tags too.
+  router.get('/tags', optionalAuth(pool), validate({ query: tagListQuery }), async (req, res) => {
+    const showAll = req.query.include === 'all' && hasPermission(req.user, PERMISSIONS.TAGS_MANAGE);
+    await sendPaginatedList(res, pool, req, {
+      select: `tags.*, ${TAG_COUNT_SQL} AS article_count`,
+      from: 'tags',
+      where: showAll ? [] : [`${TAG_COUNT_SQL} > 0`],
+      columns: { name: 'name', articleCount: 'article_count', createdAt: 'created_at' },
+      defaultSort: '-articleCount,name',
+      map: dbTagToApi,
+    });
+  });
+
+  router.get('/tags/:slug', validate({ params: slugParams }), async (req, res) => {
+    res.status(200).json(dbTagToApi(await findTag(pool, 'slug', req.params.slug)));
+  });
+
+  // GET /api/tags/:slug/articles?page=&pageSize=&sort=
+  router.get(
+    '/tags/:slug/articles',
+    optionalAuth(pool),
+    validate({ params: slugParams, query: listQuery() }),
+    async (req, res) => {
+      const tag = await findTag(pool, 'slug', req.params.slug);
+      await sendArticleList(res, pool, req, {
+        where: ['id IN (SELECT article_id FROM article_tags WHERE tag_id = ?)'],
+        params: [tag.id],
+      });
+    },
+  );
+
+  // POST /api/tags { name, slug? }
+  router.post('/tags', canManageTags, validate({ body: tagCreateBody }), async (req, res) => {
+    const dbObj = tagFromPayload(req.body);
+    const [result] = await pool.query('INSERT INTO tags SET ?', [dbObj]).catch(duplicateAs(DUPLICATE_TAG));
+    const created = await findTag(pool, 'id', result.insertId);
+    setAuditContext(res, { entity: 'tags', entityId: created.id, after: created });
+    res.status(201).json(dbTagToApi(created));
+  });
+
+  router.put('/tags/:id', canManageTags, validate({ params: idParams, body: tagUpdateBody }), async (req, res) => {
+    const before = await findTag(pool, 'id', req.params.id);
+    const dbObj = tagFromPayload({ name: before.name, ...req.body });
+    await pool.query('UPDATE tags SET ? WHERE id = ?', [dbObj, before.id]).catch(duplicateAs(DUPLICATE_TAG));
+    const updated = await findTag(pool, 'id', before.id);
+    setAuditContext(res, { entity: 'tags', entityId: before.id, before, after: updated });
+    res.status(200).json(dbTagToApi(updated));
+  });
+
+  // Removes the tag from every article that carries it.
+  router.delete('/tags/:id', canManageTags, validate({ params: idParams }), async (req, res) => {
+    const before = await findTag(pool, 'id', req.params.id);
+    await pool.query('DELETE FROM article_tags WHERE tag_id = ?', [before.id]);
+    await pool.query('DELETE FROM tags WHERE id = ?', [before.id]);
+    setAuditContext(res, { entity: 'tags', entityId: before.id, before, after: null });
+    res.status(204).end();
+  });
+
+  return router;
+}
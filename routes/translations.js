@@ -0,0 +1,88 @@
+import express from 'express';
+import { setAuditContext } from '../lib/audit.js';
+import { notFound } from '../lib/errors.js';
+import { PERMISSIONS, requirePermission } from '../lib/permissions.js';
+import { missingTranslationsQuery, translationBodies, translationParams } from '../lib/schemas.js';
+import {
+  TRANSLATABLE,
+  TRANSLATION_LOCALES,
+  apiTranslationToDb,
+  dbTranslationToApi,
+  deleteTranslations,
+  findTranslation,
+  missingTranslations,
+  saveTranslation,
+} from '../lib/translations.js';
+import { validate } from '../lib/validation.js';
+
+async function findSource(pool, entity, id) {
+  const { table, key } = TRANSLATABLE[entity];
+  const [rows] = await pool.query(`SELECT * FROM ${table} WHERE ${key} = ?`, [id]);
+  if (rows.length === 0) {
+    throw notFound('The record to translate was not found.');
+  }
+  return rows[0];
+}
+
+// --- /api/translations: translated site content (lib/translations.js), for admins ---
+// Each translatable record type has GET/PUT/DELETE /<type>/:id/:locale, where :id is the record's
+// id (the page key for legal pages); /missing lists what still has to be translated.
+export function createTranslationsRouter(pool) {
+  const router = express.Router();
+  const canManage = requirePermission(pool, PERMISSIONS.TRANSLATIONS_MANAGE);
+
+  // GET /api/translations/missing?locale=en&entity=programs
+  router.get('/missing', canManage, validate({ query: missingTranslationsQuery }), async (req, res) => {
+    const locale = req.query.locale || TRANSLATION_LOCALES[0];
+    const entities = req.query.entity ? [req.query.entity] : undefined;
+    const data = await missingTranslations(pool, locale, entities);
+    res.status(200).json({ locale, total: data.length, data });
+  });
+
+  for (const entity of Object.keys(TRANSLATABLE)) {
+    const path = `/${entity}/:id/:locale`;
+
+    router.get(path, canManage, validate({ params: translationParams }), async (req, res) => {
+      const { id, locale } = req.params;
+      const source = await findSource(pool, entity, id);
+      const row = await findTranslation(pool, entity, id, locale);
+      res.status(200).json(dbTranslationToApi(entity, source, row, locale));
+    });
+
+    // PUT /api/translations/<type>/:id/en { title?, content?, … }: only the fields sent change.
+    router.put(path, canManage, validate({ params: translationParams, body: translationBodies[entity] }), async (req, res) => {
+      const { id, locale } = req.params;
+      const source = await findSource(pool, entity, id);
+      const before = await findTranslation(pool, entity, id, locale);
+      const row = await saveTranslation(pool, entity, id, locale, apiTranslationToDb(entity, req.body), {
+        userId: req.user.id,
+      });
+      setAuditContext(res, {
+        entity: 'content_translations',
+        entityId: `${entity}/${id}/${locale}`,
+        action: row ? 'update' : 'delete',
+        before,
+        after: row,
+      });
+      res.status(200).json(dbTranslationToApi(entity, source, row, locale));
+    });
+
+    router.delete(path, canManage, validate({ params: translationParams }), async (req, res) => {
+      const { id, locale } = req.params;
+      const before = await findTranslation(pool, entity, id, locale);
+      if (!before) {
+        throw notFound('Translation not found.');
+      }
+      await deleteTranslations(pool, entity, id, locale);
+      setAuditContext(res, {
+        entity: 'content_translations',
+        entityId: `${entity}/${id}/${locale}`,
+        before,
+        after: null,
+      });
+      res.status(204).end();
+    });
+  }
+
+  return router;
+}
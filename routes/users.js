@@ -0,0 +1,140 @@
+import express from 'express';
+import { setAuditContext } from '../lib/audit.js';
+import { hashPassword, requireAuth } from '../lib/auth.js';
+import {
+  badRequest,
+  duplicateAs,
+  forbidden,
+  notFound,
+} from '../lib/errors.js';
+import { apiUserToDb, dbUserToApi } from '../lib/mappers.js';
+import { createNotification } from '../lib/notifications.js';
+import { sendPaginatedList } from '../lib/pagination.js';
+import { PERMISSIONS, hasPermission, requirePermission } from '../lib/permissions.js';
+import {
+  idParams,
+  userCreateBody,
+  userListQuery,
+  userUpdateBody,
+} from '../lib/schemas.js';
+import { validate } from '../lib/validation.js';
+
+const DUPLICATE_EMAIL = 'Email is already registered.';
+
+async function findUser(pool, id) {
+  const [rows] = await pool.query('SELECT * FROM users WHERE id = ?', [id]);
+  return rows[0] || null;
+}
+
+// --- /api/users ---
+export function createUsersRouter(pool) {
+  const router = express.Router();
+  const canManage = requirePermission(pool, PERMISSIONS.USERS_MANAGE);
+
+  // GET /api/users?role=&isVerified=&page=&pageSize=&sort= (admin only)
+  router.get('/', canManage, validate({ query: userListQuery }), async (req, res) => {
+    const where = [];
+    const params = [];
+    if (req.query.role) {
+      where.push('role = ?');
+      params.push(String(req.query.role));
+    }
+    if (req.query.isVerified !== undefined) {
+      where.push('is_verified = ?');
+      params.push(['1', 'true'].includes(String(req.query.isVerified)) ? 1 : 0);
+    }
+    await sendPaginatedList(res, pool, req, {
+      from: 'users',
+      where,
+      params,
+      columns: { id: 'id', name: 'name', email: 'email', role: 'role' },
+      defaultSort: 'name',
+      map: dbUserToApi,
+    });
+  });
+
+  router.get('/:id', requireAuth(pool), validate({ params: idParams }), async (req, res) => {
+    const isSelf = Number(req.params.id) === Number(req.user.id);
+    if (!isSelf && !hasPermission(req.user, PERMISSIONS.USERS_MANAGE)) {
+      throw forbidden('You can only view your own profile.');
+    }
+    const user = await findUser(pool, req.params.id);
+    if (!user) {
+      throw notFound('User not found.');
+    }
+    res.status(200).json(dbUserToApi(user));
+  });
+
+  router.post('/', canManage, validate({ body: userCreateBody }), async (req, res) => {
+    const dbObj = apiUserToDb(req.body);
+    dbObj.email = dbObj.email.trim().toLowerCase();
+    dbObj.password = await hashPassword(req.body.password);
+    if (dbObj.role === undefined) dbObj.role = 'Jurnalis';
+
+    const [result] = await pool.query('INSERT INTO users SET ?', [dbObj]).catch(duplicateAs(DUPLICATE_EMAIL));
+    const created = await findUser(pool, result.insertId);
+    setAuditContext(res, { entity: 'users', entityId: created.id, after: created });
+    res.status(201).json(dbUserToApi(created));
+  });
+
+  // Members may edit their own profile; role and verification changes are admin-only.
+  router.put('/:id', requireAuth(pool), validate({ params: idParams, body: userUpdateBody }), async (req, res) => {
+    const isAdmin = hasPermission(req.user, PERMISSIONS.USERS_MANAGE);
+    const isSelf = Number(req.params.id) === Number(req.user.id);
+    if (!isSelf && !isAdmin) {
+      throw forbidden('You can only edit your own profile.');
+    }
+
+    const user = await findUser(pool, req.params.id);
+    if (!user) {
+      throw notFound('User not found.');
+    }
+
+    const { password } = req.body || {};
+    const dbObj = apiUserToDb(req.body);
+    if ((dbObj.role !== undefined || dbObj.is_verified !== undefined) && !isAdmin) {
+      throw forbidden('Only admins can change roles or verification status.');
+    }
+    // These details are printed on the press card, so verified members change them through a
+    // new verification request.
+    const cardFields = ['media_name', 'position', 'ukw_certification'];
+    const changesCard = cardFields.some((field) => dbObj[field] !== undefined && dbObj[field] !== user[field]);
+    if (!isAdmin && Number(user.is_verified) && changesCard) {
+      throw forbidden('Verified members change media, position or UKW details through a new verification request.');
+    }
+    if (dbObj.email !== undefined) dbObj.email = String(dbObj.email).trim().toLowerCase();
+    if (password) dbObj.password = await hashPassword(password);
+
+    if (Object.keys(dbObj).length > 0) {
+      await pool.query('UPDATE users SET ? WHERE id = ?', [dbObj, user.id]).catch(duplicateAs(DUPLICATE_EMAIL));
+    }
+    if (dbObj.is_verified !== undefined && dbObj.is_verified !== Number(user.is_verified ?? 0)) {
+      await createNotification(pool, {
+        userId: user.id,
+        message: dbObj.is_verified
+          ? 'Akun Anda telah diverifikasi oleh admin.'
+          : 'Status verifikasi akun Anda telah dicabut.',
+        link: `/users/${user.id}`,
+      });
+    }
+    const updated = await findUser(pool, user.id);
+    setAuditContext(res, { entity: 'users', entityId: user.id, before: user, after: updated });
+    res.status(200).json(dbUserToApi(updated));
+  });
+
+  router.delete('/:id', canManage, validate({ params: idParams }), async (req, res) => {
+    if (Number(req.params.id) === Number(req.user.id)) {
+      throw badRequest('You cannot delete your own account.');
+    }
+    const user = await findUser(pool, req.params.id);
+    if (!user) {
+      throw notFound('User not found.');
+    }
+    await pool.query('DELETE FROM users WHERE id = ?', [user.id]);
+    await pool.query('DELETE FROM auth_sessions WHERE user_id = ?', [user.id]);
+    setAuditContext(res, { entity: 'users', entityId: user.id, before: user, after: null });
+    res.status(204).end();
+  });
+
+  return router;
+}
@@ -0,0 +1,355 @@
+import express from 'express';
+import multer from 'multer';
+import { requireAuth } from '../lib/auth.js';
+import { mediaConfig, rateLimitConfig } from '../lib/config.js';
+import {
+  HttpError,
+  badRequest,
+  conflict,
+  forbidden,
+  notFound,
+} from '../lib/errors.js';
+import { dbUserToApi, safeJsonParse } from '../lib/mappers.js';
+import {
+  DOCUMENT_MIME_TYPES,
+  MAX_DOCUMENTS,
+  MembershipError,
+  UKW_LEVELS,
+  VERIFICATION_STATUS,
+  cardExpiry,
+  cardStatus,
+  dbVerificationRequestToApi,
+  documentPath,
+  generateCardNumber,
+  publicCardInfo,
+  removeDocuments,
+  renderCardCheckHtml,
+  renderPressCardHtml,
+  renderPressCardSvg,
+  storeDocument,
+} from '../lib/membership.js';
+import {
+  createNotification,
+  deferNotifications,
+  discardNotifications,
+  flushNotifications,
+  notifyRoles,
+} from '../lib/notifications.js';
+import { sendPaginatedList } from '../lib/pagination.js';
+import {
+  PERMISSIONS,
+  ROLES,
+  hasPermission,
+  isOwnerOr,
+  requirePermission,
+} from '../lib/permissions.js';
+import { rateLimit } from '../lib/ratelimit.js';
+import {
+  cardNumberParams,
+  documentParams,
+  idParams,
+  pressCardQuery,
+  verificationListQuery,
+  verificationRequestBody,
+  verificationReviewBody,
+} from '../lib/schemas.js';
+import { validate } from '../lib/validation.js';
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: mediaConfig.maxBytes, files: MAX_DOCUMENTS },
+  fileFilter: (req, file, cb) => {
+    if (!DOCUMENT_MIME_TYPES.includes(file.mimetype)) {
+      return cb(new MembershipError(415, `Unsupported file type. Allowed: ${DOCUMENT_MIME_TYPES.join(', ')}.`));
+    }
+    cb(null, true);
+  },
+});
+
+// Runs multer for the "documents" field and turns its errors into HttpErrors.
+function receiveDocuments(req, res, next) {
+  upload.array('documents', MAX_DOCUMENTS)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const messages = {
+        LIMIT_FILE_SIZE: `A document is too large. Maximum size is ${Math.round(mediaConfig.maxBytes / 1024 / 1024)} MB.`,
+        LIMIT_FILE_COUNT: `Upload at most ${MAX_DOCUMENTS} documents.`,
+        LIMIT_UNEXPECTED_FILE: `Upload at most ${MAX_DOCUMENTS} documents in the "documents" field.`,
+      };
+      return next(new HttpError(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400, messages[err.code] || err.message));
+    }
+    next(err);
+  });
+}
+
+const REQUEST_SELECT = `
+  SELECT r.*, u.name AS user_name
+  FROM verification_requests r
+  LEFT JOIN users u ON u.id = r.user_id`;
+
+async function findRequest(pool, id) {
+  const [rows] = await pool.query(`${REQUEST_SELECT} WHERE r.id = ?`, [id]);
+  if (rows.length === 0) {
+    throw notFound('Verification request not found.');
+  }
+  return rows[0];
+}
+
+// A request the signed-in user may look at: their own, or any for admins.
+async function findVisibleRequest(pool, req, forbiddenMessage) {
+  const request = await findRequest(pool, req.params.id);
+  if (!isOwnerOr(req.user, request.user_id, PERMISSIONS.MEMBERS_VERIFY)) {
+    throw forbidden(forbiddenMessage);
+  }
+  return request;
+}
+
+async function findUser(pool, id) {
+  const [rows] = await pool.query('SELECT * FROM users WHERE id = ?', [id]);
+  return rows[0] || null;
+}
+
+async function organizationName(pool) {
+  const [rows] = await pool.query('SELECT organizationName FROM contact_info ORDER BY id LIMIT 1');
+  return rows[0]?.organizationName || undefined;
+}
+
+function optionalText(value, maxLength) {
+  if (value == null) return null;
+  const text = String(value).trim();
+  return text ? text.slice(0, maxLength) : null;
+}
+
+// Marks a pending request as reviewed; on approval also verifies the member and issues (or
+// renews) their press card. Runs in a transaction so the request and the user change together.
+async function reviewRequest(pool, request, { approve, reviewerId, reason }) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    deferNotifications(conn);
+
+    const status = approve ? VERIFICATION_STATUS.APPROVED : VERIFICATION_STATUS.REJECTED;
+    const [updated] = await conn.query(
+      `UPDATE verification_requests SET status = ?, reviewer_id = ?, review_reason = ?, reviewed_at = NOW()
+       WHERE id = ? AND status = ?`,
+      [status, reviewerId, reason, request.id, VERIFICATION_STATUS.PENDING],
+    );
+    if (updated.affectedRows === 0) {
+      throw new MembershipError(409, 'This request has already been reviewed.');
+    }
+
+    if (approve) {
+      const [[user]] = await conn.query('SELECT id, card_number FROM users WHERE id = ? FOR UPDATE', [request.user_id]);
+      if (!user) throw new MembershipError(404, 'The applicant no longer exists.');
+      const issuedAt = new Date();
+      await conn.query(
+        `UPDATE users SET is_verified = 1, media_name = COALESCE(?, media_name), position = COALESCE(?, position),
+           ukw_certification = COALESCE(?, ukw_certification), card_number = ?, card_issued_at = ?, card_expires_at = ?
+         WHERE id = ?`,
+        [
+          request.media_name,
+          request.position,
+          request.ukw_certification,
+          user.card_number || generateCardNumber(issuedAt),
+          issuedAt,
+          cardExpiry(issuedAt),
+          user.id,
+        ],
+      );
+    }
+
+    await createNotification(conn, {
+      userId: request.user_id,
+      message: approve
+        ? 'Verifikasi keanggotaan Anda disetujui. Kartu pers Anda sudah dapat dicetak.'
+        : `Verifikasi keanggotaan Anda ditolak: ${reason}`,
+      link: `/verification-requests/${request.id}`,
+    });
+
+    await conn.commit();
+    flushNotifications(conn);
+  } catch (err) {
+    discardNotifications(conn);
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// --- Member verification: requests, review, press cards and the public card check ---
+export function createVerificationRouter(pool) {
+  const router = express.Router();
+  const canApply = requirePermission(pool, PERMISSIONS.MEMBERSHIP_APPLY);
+  const canVerify = requirePermission(pool, PERMISSIONS.MEMBERS_VERIFY);
+  // The public check is limited so that card numbers cannot be guessed in bulk.
+  const lookupLimit = rateLimit({ name: 'card-lookups', ...rateLimitConfig.lookups });
+
+  // POST /api/verification-requests (multipart/form-data)
+  // Fields: mediaName, position, ukwCertification, note; files: "documents" (1..MAX_DOCUMENTS).
+  router.post(
+    '/verification-requests',
+    canApply,
+    receiveDocuments,
+    validate({ body: verificationRequestBody }),
+    async (req, res) => {
+      const files = req.files || [];
+      if (files.length === 0) {
+        throw badRequest('Upload at least one document in the "documents" field.');
+      }
+      const [pending] = await pool.query(
+        'SELECT id FROM verification_requests WHERE user_id = ? AND status = ? LIMIT 1',
+        [req.user.id, VERIFICATION_STATUS.PENDING],
+      );
+      if (pending.length > 0) {
+        throw conflict('You already have a verification request awaiting review.');
+      }
+
+      const stored = [];
+      let requestId;
+      try {
+        for (const file of files) {
+          stored.push(await storeDocument(file.buffer, { originalName: file.originalname }));
+        }
+        const [result] = await pool.query('INSERT INTO verification_requests SET ?', [{
+          user_id: req.user.id,
+          status: VERIFICATION_STATUS.PENDING,
+          media_name: optionalText(req.body.mediaName, 100),
+          position: optionalText(req.body.position, 100),
+          ukw_certification: req.body.ukwCertification || null,
+          note: optionalText(req.body.note, 2000),
+          documents: JSON.stringify(stored),
+        }]);
+        requestId = result.insertId;
+      } catch (err) {
+        // Files of a request that was never saved would be orphaned.
+        await removeDocuments(stored);
+        throw err;
+      }
+
+      await notifyRoles(pool, [ROLES.ADMIN], {
+        message: `${req.user.name} mengajukan verifikasi keanggotaan.`,
+        link: `/verification-requests/${requestId}`,
+        excludeUserId: req.user.id,
+      });
+      res.status(201).json(dbVerificationRequestToApi(await findRequest(pool, requestId)));
+    },
+  );
+
+  // GET /api/verification-requests?status=&userId= — admins see every request, members their own.
+  router.get('/verification-requests', requireAuth(pool), validate({ query: verificationListQuery }), async (req, res) => {
+    const where = [];
+    const params = [];
+    if (!hasPermission(req.user, PERMISSIONS.MEMBERS_VERIFY)) {
+      where.push('r.user_id = ?');
+      params.push(req.user.id);
+    } else if (req.query.userId) {
+      where.push('r.user_id = ?');
+      params.push(Number(req.query.userId));
+    }
+    if (req.query.status) {
+      where.push('r.status = ?');
+      params.push(String(req.query.status));
+    }
+    await sendPaginatedList(res, pool, req, {
+      select: 'r.*, u.name AS user_name',
+      from: 'verification_requests r LEFT JOIN users u ON u.id = r.user_id',
+      where,
+      params,
+      columns: { id: 'r.id', createdAt: 'r.created_at', reviewedAt: 'r.reviewed_at' },
+      defaultSort: '-createdAt,-id',
+      map: dbVerificationRequestToApi,
+    });
+  });
+
+  router.get('/verification-requests/:id', requireAuth(pool), validate({ params: idParams }), async (req, res) => {
+    const request = await findVisibleRequest(pool, req, 'You can only view your own verification requests.');
+    res.status(200).json(dbVerificationRequestToApi(request));
+  });
+
+  // GET /api/verification-requests/:id/documents/:index — the stored file, for the applicant and admins.
+  router.get(
+    '/verification-requests/:id/documents/:index',
+    requireAuth(pool),
+    validate({ params: documentParams }),
+    async (req, res, next) => {
+      const request = await findVisibleRequest(pool, req, 'You can only view your own verification documents.');
+      const document = safeJsonParse(request.documents, [])[Number(req.params.index)];
+      if (!document) {
+        throw notFound('Document not found.');
+      }
+      res.set('Cache-Control', 'private, no-store');
+      res.type(document.mimeType);
+      res.sendFile(documentPath(document), { headers: { 'X-Content-Type-Options': 'nosniff' } }, (err) => {
+        if (err) next(notFound('Document file is missing.'));
+      });
+    },
+  );
+
+  // POST /api/verification-requests/:id/approve { reason? } | /reject { reason }
+  for (const action of ['approve', 'reject']) {
+    router.post(
+      `/verification-requests/:id/${action}`,
+      canVerify,
+      validate({ params: idParams, body: verificationReviewBody }),
+      async (req, res) => {
+        const approve = action === 'approve';
+        const reason = optionalText(req.body?.reason, 2000);
+        if (!approve && !reason) {
+          throw badRequest('A reason is required when rejecting a request.');
+        }
+        const request = await findRequest(pool, req.params.id);
+        await reviewRequest(pool, request, { approve, reviewerId: req.user.id, reason });
+
+        const reviewed = dbVerificationRequestToApi(await findRequest(pool, request.id));
+        if (!approve) return res.status(200).json(reviewed);
+        res.status(200).json({ ...reviewed, user: dbUserToApi(await findUser(pool, request.user_id)) });
+      },
+    );
+  }
+
+  // GET /api/users/:id/press-card?format=html|svg — printable card for the member and admins.
+  router.get(
+    '/users/:id/press-card',
+    requireAuth(pool),
+    validate({ params: idParams, query: pressCardQuery }),
+    async (req, res) => {
+      if (!isOwnerOr(req.user, req.params.id, PERMISSIONS.MEMBERS_VERIFY)) {
+        throw forbidden('You can only print your own press card.');
+      }
+      const user = await findUser(pool, req.params.id);
+      if (!user || !user.card_number) {
+        throw notFound('No press card has been issued for this member.');
+      }
+      const status = cardStatus(user);
+      if (status !== 'valid') {
+        throw conflict(`This press card is ${status}. Submit a new verification request to renew it.`);
+      }
+      const options = { organizationName: await organizationName(pool) };
+      res.set('Cache-Control', 'private, no-store');
+      if (req.query.format === 'svg') {
+        return res.type('image/svg+xml').send(await renderPressCardSvg(user, options));
+      }
+      res.type('html').send(await renderPressCardHtml(user, options));
+    },
+  );
+
+  // GET /api/verify/:cardNumber — public check, linked from the card's QR code. Browsers get a
+  // small HTML page, API clients JSON. An unknown number is an answer, not an error, so it keeps
+  // its own body.
+  router.get('/verify/:cardNumber', lookupLimit, validate({ params: cardNumberParams }), async (req, res) => {
+    const cardNumber = String(req.params.cardNumber).trim().toUpperCase();
+    const [rows] = await pool.query('SELECT * FROM users WHERE card_number = ?', [cardNumber]);
+    const info = rows[0] ? publicCardInfo(rows[0]) : null;
+    res.set('Cache-Control', 'no-store');
+    res.set('X-Robots-Tag', 'noindex');
+    if (req.accepts(['json', 'html']) === 'html') {
+      return res.status(info ? 200 : 404).type('html').send(renderCardCheckHtml(info));
+    }
+    if (!info) {
+      return res.status(404).json({ cardNumber, valid: false, status: 'unknown', message: 'Card number not found.' });
+    }
+    res.status(200).json(info);
+  });
+
+  return router;
+}
@@ -1,251 +1,46 @@
 // seed.js (versi final otomatis)
 import mysql from "mysql2/promise";
+import { rehashPlainTextPasswords } from "./lib/auth.js";
+import { createBackup, writeBackup } from "./lib/backup.js";
+import { dbConfig } from "./lib/config.js";
+import { getPendingMigrations, loadMigrations } from "./lib/migrator.js";
 
 const RESET_MODE = process.argv.includes("--reset");
 
-// Konfigurasi koneksi DB
-const dbConfig = {
-  host: "localhost",
-  user: "root",
-  password: "", // sesuaikan dengan XAMPP/MySQL Anda
-  database: "pwmoi_db2",
-};
-
-// Helper untuk cek kolom
-async function ensureColumn(conn, table, oldName, newName, definition) {
-  // Cek keberadaan kolom lama dan baru terlebih dulu
-  const [oldRows] = await conn.query(`SHOW COLUMNS FROM ${table} LIKE ?`, [oldName]);
-  const [newRows] = await conn.query(`SHOW COLUMNS FROM ${table} LIKE ?`, [newName]);
-
-  const oldExists = oldRows.length > 0;
-  const newExists = newRows.length > 0;
-
-  // Jika kolom lama ada dan kolom baru belum ada, lakukan rename
-  if (oldExists && !newExists && oldName !== newName) {
-    console.log(`🔄 Rename kolom ${oldName} → ${newName} di ${table}`);
-    try {
-      await conn.query(`ALTER TABLE ${table} CHANGE COLUMN ${oldName} ${newName} ${definition}`);
-    } catch (e) {
-      // Jika gagal rename (mis. karena kolom baru sudah ada secara race-condition), abaikan
-      console.warn(`⚠️ Gagal rename ${table}.${oldName} → ${newName}:`, e?.message || e);
-    }
-    return;
-  }
-
-  // Jika kolom lama tidak ada dan kolom baru juga tidak ada, tambahkan kolom baru
-  if (!oldExists && !newExists) {
-    console.log(`➕ Tambah kolom ${newName} di ${table}`);
-    try {
-      await conn.query(`ALTER TABLE ${table} ADD COLUMN ${newName} ${definition}`);
-    } catch (e) {
-      console.warn(`⚠️ Gagal tambah kolom ${table}.${newName}:`, e?.message || e);
-    }
-    return;
-  }
-
-  // Jika kolom lama dan baru sama-sama ada, biarkan apa adanya (hindari error duplicate column)
-  if (oldExists && newExists) {
-    console.log(`ℹ️ Kolom ${table}.${oldName} dan ${table}.${newName} keduanya ada. Melewati perubahan.`);
-    return;
-  }
-
-  // Jika kolom baru sudah ada, tidak perlu melakukan apa-apa
-  if (newExists) return;
-}
-
 async function seedDatabase() {
   const conn = await mysql.createConnection(dbConfig);
   console.log("🚀 Seeding database...");
 
-  // --- CREATE TABLES (jika belum ada) ---
-  await conn.query(`
-    CREATE TABLE IF NOT EXISTS users (
-      id INT PRIMARY KEY AUTO_INCREMENT,
-      name VARCHAR(100),
-      email VARCHAR(100) UNIQUE,
-      password VARCHAR(100),
-      role VARCHAR(50),
-      avatar_url VARCHAR(255),
-      is_verified TINYINT DEFAULT 0,
-      phone_number VARCHAR(20),
-      media_name VARCHAR(100),
-      position VARCHAR(100),
-      ukw_certification VARCHAR(50)
-    )
-  `);
-
-  await conn.query(`
-    CREATE TABLE IF NOT EXISTS articles (
-      id INT PRIMARY KEY AUTO_INCREMENT,
-      title VARCHAR(255),
-      content TEXT,
-      snippet VARCHAR(255),
-      cover_image_url VARCHAR(255),
-      status VARCHAR(50),
-      authorId INT,
-      editor_feedback TEXT
-    )
-  `);
-
-  await conn.query(`
-    CREATE TABLE IF NOT EXISTS site_profile (
-      id INT PRIMARY KEY AUTO_INCREMENT,
-      about TEXT,
-      vision TEXT,
-      mission TEXT,
-      purpose TEXT,
-      legality_text TEXT,
-      legality_sk TEXT,
-      ad_art TEXT
-    )
-  `);
-
-  await conn.query(`
-    CREATE TABLE IF NOT EXISTS contact_info (
-      id INT PRIMARY KEY AUTO_INCREMENT,
-      organizationName VARCHAR(100),
-      address VARCHAR(255),
-      email VARCHAR(100),
-      phone VARCHAR(50),
-      socials JSON,
-      logo_url VARCHAR(255),
-      favicon_url VARCHAR(255)
-    )
-  `);
-
-  await conn.query(`
-    CREATE TABLE IF NOT EXISTS programs (
-      id INT PRIMARY KEY AUTO_INCREMENT,
-      title VARCHAR(255),
-      description TEXT,
-      icon VARCHAR(10)
-    )
-  `);
-
-  await conn.query(`
-    CREATE TABLE IF NOT EXISTS structure (
-      id INT PRIMARY KEY AUTO_INCREMENT,
-      name VARCHAR(100),
-      position VARCHAR(100),
-      photo_url VARCHAR(255)
-    )
-  `);
-
-  await conn.query(`
-    CREATE TABLE IF NOT EXISTS announcements (
-      id INT PRIMARY KEY AUTO_INCREMENT,
-      title VARCHAR(255),
-      content TEXT
-    )
-  `);
-
-  await conn.query(`
-    CREATE TABLE IF NOT EXISTS gallery (
-      id INT PRIMARY KEY AUTO_INCREMENT,
-      title VARCHAR(255),
-      imageUrl VARCHAR(255),
-      description TEXT
-    )
-  `);
-
-  await conn.query(`
-    CREATE TABLE IF NOT EXISTS comments (
-      id INT PRIMARY KEY AUTO_INCREMENT,
-      articleId INT,
-      userId INT,
-      content TEXT,
-      status VARCHAR(50)
-    )
-  `);
-
-  await conn.query(`
-    CREATE TABLE IF NOT EXISTS notifications (
-      id INT PRIMARY KEY AUTO_INCREMENT,
-      userId INT,
-      message VARCHAR(255),
-      isRead TINYINT DEFAULT 0
-    )
-  `);
-
-  await conn.query(`
-    CREATE TABLE IF NOT EXISTS inspiration_notes (
-      id INT PRIMARY KEY AUTO_INCREMENT,
-      userId INT,
-      content TEXT,
-      timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  await conn.query(`
-    CREATE TABLE IF NOT EXISTS partners (
-      id INT PRIMARY KEY AUTO_INCREMENT,
-      name VARCHAR(100),
-      logo_url VARCHAR(255),
-      link VARCHAR(255)
-    )
-  `);
-
-  await conn.query(`
-    CREATE TABLE IF NOT EXISTS legal_content (
-      id INT PRIMARY KEY AUTO_INCREMENT,
-      page_key VARCHAR(50),
-      title VARCHAR(255),
-      content TEXT
-    )
-  `);
-
-  // --- FIX KOMPATIBILITAS KOLOM ---
-  await ensureColumn(conn, "users", "avatarUrl", "avatar_url", "VARCHAR(255)");
-  await ensureColumn(conn, "users", "isVerified", "is_verified", "TINYINT DEFAULT 0");
-  await ensureColumn(conn, "users", "phoneNumber", "phone_number", "VARCHAR(20)");
-  await ensureColumn(conn, "users", "mediaName", "media_name", "VARCHAR(100)");
-  await ensureColumn(conn, "users", "ukwCertification", "ukw_certification", "VARCHAR(50)");
-
-  await ensureColumn(conn, "contact_info", "site_logo", "logo_url", "VARCHAR(255)");
-  await ensureColumn(conn, "contact_info", "faviconUrl", "favicon_url", "VARCHAR(255)");
-
-  await ensureColumn(conn, "structure", "photoUrl", "photo_url", "VARCHAR(255)");
-  await ensureColumn(conn, "programs", "icon", "icon", "VARCHAR(10)");
-
-  await ensureColumn(conn, "partners", "logoUrl", "logo_url", "VARCHAR(255)");
-  await ensureColumn(conn, "partners", "websiteUrl", "link", "VARCHAR(255)");
- 
-  // Gallery compatibility (older schemas may lack these)
-  // Ensure imageUrl column exists (rename from legacy image_url if present)
-  await ensureColumn(conn, "gallery", "image_url", "imageUrl", "VARCHAR(255)");
-  await ensureColumn(conn, "gallery", "album", "title", "VARCHAR(255)");
-  await ensureColumn(conn, "gallery", "title", "title", "VARCHAR(255)");
-  await ensureColumn(conn, "gallery", "caption", "description", "TEXT");
-  await ensureColumn(conn, "gallery", "description", "description", "TEXT");
- 
-  // Articles compatibility
-  await ensureColumn(conn, "articles", "editorFeedback", "editor_feedback", "TEXT");
-  await ensureColumn(conn, "articles", "author_id", "authorId", "INT");
-  await ensureColumn(conn, "articles", "image_url", "cover_image_url", "VARCHAR(255)");
-  await ensureColumn(conn, "articles", "imageUrl", "cover_image_url", "VARCHAR(255)");
-  await ensureColumn(conn, "articles", "cover_image_url", "cover_image_url", "VARCHAR(255)");
-
-  // Comments compatibility
-  await ensureColumn(conn, "comments", "user_id", "userId", "INT");
- 
-  // Notifications compatibility
-  await ensureColumn(conn, "notifications", "user_id", "userId", "INT");
-  await ensureColumn(conn, "notifications", "is_read", "isRead", "TINYINT DEFAULT 0");
-  await ensureColumn(conn, "notifications", "link", "link", "VARCHAR(255)");
-  await ensureColumn(conn, "notifications", "timestamp", "timestamp", "TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP");
-  try {
-    await conn.query('ALTER TABLE notifications MODIFY COLUMN id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT');
-  } catch (e) {
-    console.warn('Skipping notifications.id type alter:', e?.message || e);
+  // Skema dikelola oleh migrasi (node migrate.js up); seed hanya mengisi data
+  const pending = await getPendingMigrations(conn, await loadMigrations());
+  if (pending.length > 0) {
+    console.error(`❌ Masih ada ${pending.length} migrasi yang belum dijalankan: ${pending.join(", ")}`);
+    console.error("   Jalankan `npm run migrate` terlebih dulu.");
+    await conn.end();
+    process.exitCode = 1;
+    return;
   }
 
   // --- RESET MODE ---
   if (RESET_MODE) {
+    // Backup otomatis sebelum menghapus apa pun; kalau gagal, reset dibatalkan
+    // (pulihkan dengan: node backup.js restore <file> --replace)
+    try {
+      const saved = await writeBackup(await createBackup(conn), { label: "before-reset" });
+      console.log(`💾 Backup otomatis tersimpan: ${saved.path}`);
+    } catch (err) {
+      console.error("❌ Backup otomatis gagal, reset dibatalkan:", err.message);
+      await conn.end();
+      process.exitCode = 1;
+      return;
+    }
+
     console.log("⚠️ RESET MODE aktif, kosongkan semua tabel");
     const tables = [
-      "users","articles","site_profile","contact_info","programs","structure",
-      "announcements","gallery","comments","notifications","inspiration_notes",
-      "partners","legal_content"
+      "auth_sessions","users","articles","article_transitions","article_revisions","article_slug_history","categories","tags","article_tags","site_profile","contact_info","programs","structure",
+      "announcements","gallery","comments","notifications","inspiration_notes","verification_requests",
+      "partners","legal_content","user_invitations","member_imports","contact_messages","contact_message_replies",
+      "program_events","event_registrations","article_view_visitors","article_views_daily","content_translations"
     ];
     for (const t of tables) {
       await conn.query(`DELETE FROM ${t}`);
@@ -343,14 +138,23 @@ async function seedDatabase() {
     (4, 'Jurnalis Dua', 'jurnalis2@pwmoi.id', 'jurnalis123', 'Jurnalis', 'https://via.placeholder.com/150', 0, '082211223344', 'Media XYZ', 'Reporter', 'Belum')
   `);
 
+  // CATEGORIES (Umum = kategori default)
+  await conn.query(`
+    INSERT IGNORE INTO categories (id, name, slug, description, sort_order, is_default) VALUES
+    (1, 'Umum', 'umum', 'Berita umum', 0, 1),
+    (2, 'Pendidikan', 'pendidikan', 'Pelatihan, workshop dan dunia pendidikan', 1, 0),
+    (3, 'Pemerintahan', 'pemerintahan', 'Kebijakan dan kegiatan pemerintah daerah', 2, 0),
+    (4, 'Pariwisata', 'pariwisata', 'Destinasi dan kegiatan wisata Banyuwangi', 3, 0)
+  `);
+
   // ARTICLES (5 items, each with cover_image_url)
   await conn.query(`
-    INSERT IGNORE INTO articles (id, title, content, snippet, status, authorId, editor_feedback, cover_image_url) VALUES
-    (1, 'Pelantikan Pengurus PWMOI Banyuwangi', 'Konten lengkap artikel pelantikan yang memuat kronologi acara, daftar pengurus, kutipan sambutan, serta harapan organisasi ke depan. Termasuk dokumentasi foto dan keterangan kegiatan untuk arsip media.', 'Ringkasan pelantikan pengurus...', 'Published', 2, NULL, 'https://picsum.photos/seed/news1/1200/630'),
-    (2, 'Workshop Jurnalistik Muda', 'Ulasan lengkap workshop yang membahas dasar-dasar penulisan berita, verifikasi informasi, dan optimalisasi platform digital. Disertai kutipan narasumber dan hasil praktik peserta.', 'Ringkasan workshop...', 'Published', 4, NULL, 'https://picsum.photos/seed/news2/1200/630'),
-    (3, 'Forum Diskusi Publik Banyuwangi', 'Laporan diskusi publik mengenai isu-isu strategis daerah, partisipasi masyarakat, serta peran media dalam edukasi publik. Memuat poin-poin rekomendasi dan rencana tindak lanjut.', 'Ringkasan diskusi publik...', 'Published', 4, 'Perbaiki struktur paragraf dan tambahkan narasumber.', 'https://picsum.photos/seed/news3/1200/630'),
-    (4, 'Pelatihan Literasi Digital untuk Komunitas', 'Berita pelatihan literasi digital yang menekankan keamanan daring, etika bermedia sosial, dan verifikasi fakta. Tersedia materi presentasi dan tautan sumber belajar.', 'Ringkasan literasi digital...', 'Published', 2, NULL, 'https://picsum.photos/seed/news4/1200/630'),
-    (5, 'Kolaborasi Media Lokal dengan Kampus', 'Liputan kerja sama media lokal dengan perguruan tinggi untuk riset jurnalisme data, magang mahasiswa, dan pengembangan konten edukatif. Menyertakan jadwal program kolaborasi.', 'Ringkasan kolaborasi kampus...', 'Published', 3, NULL, 'https://picsum.photos/seed/news5/1200/630')
+    INSERT IGNORE INTO articles (id, slug, category_id, title, content, snippet, status, authorId, editor_feedback, cover_image_url) VALUES
+    (1, 'pelantikan-pengurus-pwmoi-banyuwangi', 1, 'Pelantikan Pengurus PWMOI Banyuwangi', 'Konten lengkap artikel pelantikan yang memuat kronologi acara, daftar pengurus, kutipan sambutan, serta harapan organisasi ke depan. Termasuk dokumentasi foto dan keterangan kegiatan untuk arsip media.', 'Ringkasan pelantikan pengurus...', 'Published', 2, NULL, 'https://picsum.photos/seed/news1/1200/630'),
+    (2, 'workshop-jurnalistik-muda', 2, 'Workshop Jurnalistik Muda', 'Ulasan lengkap workshop yang membahas dasar-dasar penulisan berita, verifikasi informasi, dan optimalisasi platform digital. Disertai kutipan narasumber dan hasil praktik peserta.', 'Ringkasan workshop...', 'Published', 4, NULL, 'https://picsum.photos/seed/news2/1200/630'),
+    (3, 'forum-diskusi-publik-banyuwangi', 3, 'Forum Diskusi Publik Banyuwangi', 'Laporan diskusi publik mengenai isu-isu strategis daerah, partisipasi masyarakat, serta peran media dalam edukasi publik. Memuat poin-poin rekomendasi dan rencana tindak lanjut.', 'Ringkasan diskusi publik...', 'Published', 4, 'Perbaiki struktur paragraf dan tambahkan narasumber.', 'https://picsum.photos/seed/news3/1200/630'),
+    (4, 'pelatihan-literasi-digital-untuk-komunitas', 2, 'Pelatihan Literasi Digital untuk Komunitas', 'Berita pelatihan literasi digital yang menekankan keamanan daring, etika bermedia sosial, dan verifikasi fakta. Tersedia materi presentasi dan tautan sumber belajar.', 'Ringkasan literasi digital...', 'Published', 2, NULL, 'https://picsum.photos/seed/news4/1200/630'),
+    (5, 'kolaborasi-media-lokal-dengan-kampus', 2, 'Kolaborasi Media Lokal dengan Kampus', 'Liputan kerja sama media lokal dengan perguruan tinggi untuk riset jurnalisme data, magang mahasiswa, dan pengembangan konten edukatif. Menyertakan jadwal program kolaborasi.', 'Ringkasan kolaborasi kampus...', 'Published', 3, NULL, 'https://picsum.photos/seed/news5/1200/630')
   `);
 
 // Pastikan artikel 1-3 punya cover image jika sudah ada sebelumnya
@@ -369,6 +173,19 @@ await conn.query(`
   SET cover_image_url = 'https://picsum.photos/seed/news3/1200/630'
   WHERE id = 3 AND (cover_image_url IS NULL OR cover_image_url = '')
 `);
+  // TAGS
+  await conn.query(`
+    INSERT IGNORE INTO tags (id, name, slug) VALUES
+    (1, 'Banyuwangi', 'banyuwangi'),
+    (2, 'Organisasi', 'organisasi'),
+    (3, 'Pelatihan', 'pelatihan'),
+    (4, 'Literasi Digital', 'literasi-digital')
+  `);
+  await conn.query(`
+    INSERT IGNORE INTO article_tags (article_id, tag_id) VALUES
+    (1, 1), (1, 2), (2, 3), (3, 1), (4, 3), (4, 4), (5, 3)
+  `);
+
   // COMMENTS
   await conn.query(`
     INSERT IGNORE INTO comments (id, articleId, userId, content, status) VALUES
@@ -390,6 +207,13 @@ await conn.query(`
     (2, 4, 'Ide liputan: Profil UMKM unggulan di desa wisata.')
   `);
 
+  // --- HASH PASSWORD ---
+  // Migrasi satu kali: password plain text (data lama maupun seed di atas) di-hash dengan scrypt
+  const rehashed = await rehashPlainTextPasswords(conn);
+  if (rehashed > 0) {
+    console.log(`🔒 ${rehashed} password plain text di-hash ulang`);
+  }
+
   console.log("✅ Database berhasil di-seed!");
   await conn.end();
 }
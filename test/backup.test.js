@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+// Tokens are signed with AUTH_SECRET, read when lib/auth.js loads.
+process.env.AUTH_SECRET = 'test-secret';
+const { resolveSession, signToken } = await import('../lib/auth.js');
+const { restoreBackup } = await import('../lib/backup.js');
+
+// Just enough of a database for a restore of `users` and a session lookup, kept in memory.
+function createDatabase() {
+  const tables = {
+    users: [{ id: 1, email: 'admin@example.com' }],
+    auth_sessions: [{ id: 'old-session', user_id: 1, revoked_at: null, expires_at: new Date(Date.now() + 60_000) }],
+  };
+  return {
+    tables,
+    async beginTransaction() {},
+    async commit() {},
+    async rollback() {},
+    async query(sql, params = []) {
+      if (sql.includes('schema_migrations')) return [sql.startsWith('SELECT') ? [{ version: '001_initial' }] : []];
+      if (sql.startsWith('SHOW COLUMNS FROM users')) {
+        return [[{ Field: 'id', Type: 'int', Key: 'PRI' }, { Field: 'email', Type: 'varchar(255)', Key: 'UNI' }]];
+      }
+      if (sql.startsWith('SELECT COUNT(*)')) return [[{ count: tables.users.length }]];
+      const deleted = sql.match(/^DELETE FROM (\w+)$/);
+      if (deleted) {
+        const affectedRows = tables[deleted[1]].length;
+        tables[deleted[1]] = [];
+        return [{ affectedRows }];
+      }
+      if (sql.startsWith('INSERT INTO users')) {
+        const [columns, rows] = params;
+        tables.users.push(...rows.map((row) => Object.fromEntries(columns.map((column, i) => [column, row[i]]))));
+        return [{ affectedRows: rows.length }];
+      }
+      if (sql.includes('FROM auth_sessions s JOIN users u')) {
+        const [sessionId, userId] = params;
+        const session = tables.auth_sessions.find((row) => row.id === sessionId && row.user_id === userId);
+        return [session ? tables.users.filter((user) => user.id === userId) : []];
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    },
+  };
+}
+
+const archive = {
+  format: 'pwmoi-backup',
+  version: 1,
+  createdAt: '2026-01-31T02:00:00.000Z',
+  migrations: ['001_initial'],
+  tables: { users: { columns: ['id', 'email'], rows: [[1, 'someone-else@example.com']] } },
+  media: [],
+};
+
+describe('backup restore', () => {
+  it('rejects tokens issued before users were replaced', async () => {
+    const db = createDatabase();
+    const token = signToken({ sub: 1, sid: 'old-session', exp: Math.floor(Date.now() / 1000) + 60 });
+    const req = { get: (name) => (name.toLowerCase() === 'authorization' ? `Bearer ${token}` : undefined) };
+    assert.equal((await resolveSession(db, req))?.user.email, 'admin@example.com');
+
+    const report = await restoreBackup(db, archive, { mode: 'replace' });
+    assert.equal(report.tables[0].inserted, 1);
+    assert.ok(report.warnings.some((warning) => warning.includes('ends every session')));
+    assert.equal(db.tables.users[0].email, 'someone-else@example.com');
+    assert.equal(await resolveSession(db, req), null);
+  });
+
+  it('keeps sessions on a dry run', async () => {
+    const db = createDatabase();
+    await restoreBackup(db, archive, { mode: 'replace', dryRun: true });
+    assert.equal(db.tables.auth_sessions.length, 1);
+  });
+});
@@ -0,0 +1,132 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { ROUTERS, createApp } from '../app.js';
+import { dbAnnouncementToApi } from '../lib/announcements.js';
+import { dbAuditToApi } from '../lib/audit.js';
+import { dbCommentToApi } from '../lib/comments.js';
+import { dbEventToApi, dbRegistrationToApi } from '../lib/events.js';
+import {
+  dbArticleToApi,
+  dbPartnerToApi,
+  dbStructureToApi,
+  dbUserToApi,
+  formatContactFromRow,
+  formatProfileFromRow,
+} from '../lib/mappers.js';
+import { dbMediaToApi } from '../lib/media.js';
+import { dbVerificationRequestToApi, publicCardInfo } from '../lib/membership.js';
+import { dbMessageReplyToApi, dbMessageToApi } from '../lib/messages.js';
+import { dbNotificationToApi } from '../lib/notifications.js';
+import { buildOpenApiDocument, toOpenApiSchema } from '../lib/openapi.js';
+import { dbRevisionToApi } from '../lib/revisions.js';
+import { dbCategoryToApi, dbTagToApi } from '../lib/taxonomy.js';
+import { dbTranslationToApi } from '../lib/translations.js';
+import { dbTransitionToApi } from '../lib/workflow.js';
+
+// Routers are built but never called, so they get no real pool.
+const pool = {};
+const document = buildOpenApiDocument();
+
+// Express '/articles/:id/' -> OpenAPI '/articles/{id}'.
+function openApiPath(base, path) {
+  const joined = `${base.replace(/\/$/, '')}${path}`.replace(/(.)\/$/, '$1') || '/';
+  return joined.replace(/:(\w+)/g, '{$1}');
+}
+
+function routesOf(router, base = '') {
+  return router.stack
+    .filter((layer) => layer.route)
+    .flatMap((layer) => Object.keys(layer.route.methods).map((method) => ({
+      method,
+      path: openApiPath(base, layer.route.path),
+      schemas: layer.route.stack.find((handler) => handler.handle.schemas)?.handle.schemas,
+    })));
+}
+
+const routes = [
+  ...routesOf(createApp(pool).router),
+  ...ROUTERS.flatMap(([base, createRouter]) => routesOf(createRouter(pool), base)),
+];
+
+function describeRoute({ method, path }) {
+  return `${method.toUpperCase()} ${path}`;
+}
+
+describe('OpenAPI document', () => {
+  it('documents every route', () => {
+    const missing = routes.filter(({ method, path }) => !document.paths[path]?.[method]);
+    assert.deepEqual(missing.map(describeRoute), [], 'Add these routes to OPERATIONS in lib/openapi.js.');
+  });
+
+  it('documents no routes that do not exist', () => {
+    const known = new Set(routes.map(describeRoute));
+    const stale = Object.entries(document.paths).flatMap(([path, operations]) => Object.keys(operations)
+      .map((method) => describeRoute({ method, path }))
+      .filter((route) => !known.has(route)));
+    assert.deepEqual(stale, []);
+  });
+
+  it('documents the parameters and bodies the routes validate', () => {
+    for (const route of routes.filter(({ schemas }) => schemas)) {
+      const operation = document.paths[route.path][route.method];
+      const name = describeRoute(route);
+      for (const [location, schemaLocation] of [['path', 'params'], ['query', 'query']]) {
+        const schema = route.schemas[schemaLocation];
+        if (!schema) continue;
+        for (const [field, property] of Object.entries(schema.properties)) {
+          const parameter = operation.parameters?.find((item) => item.in === location && item.name === field);
+          assert.ok(parameter, `${name}: ${location} parameter "${field}" is not documented.`);
+          assert.deepEqual(parameter.schema, toOpenApiSchema(property), `${name}: ${location} parameter "${field}"`);
+        }
+      }
+      if (route.schemas.body) {
+        const [content] = Object.values(operation.requestBody?.content ?? {});
+        assert.ok(content, `${name}: the request body is not documented.`);
+        const expected = toOpenApiSchema(route.schemas.body);
+        for (const [field, property] of Object.entries(expected.properties)) {
+          assert.deepEqual(content.schema.properties[field], property, `${name}: body field "${field}"`);
+        }
+        assert.deepEqual(content.schema.required, expected.required, `${name}: required body fields`);
+      }
+    }
+  });
+
+  it('describes every field the mappers produce', () => {
+    const samples = {
+      User: dbUserToApi({ id: 1 }),
+      Article: dbArticleToApi({ id: 1, category_id: 1, category_name: 'Berita', tag_list: '[]' }),
+      ContactInfo: formatContactFromRow({}),
+      ProfileContent: formatProfileFromRow({}),
+      Partner: dbPartnerToApi({ id: 1 }),
+      StructureMember: dbStructureToApi({ id: 1 }),
+      Category: dbCategoryToApi({ id: 1, article_count: 0 }),
+      Tag: dbTagToApi({ id: 1, article_count: 0 }),
+      Comment: dbCommentToApi({ id: 1 }, { forModerator: true }),
+      Announcement: dbAnnouncementToApi({ id: 1 }),
+      Notification: dbNotificationToApi({ id: 1 }),
+      Media: dbMediaToApi({ id: 1, variants: '{}' }),
+      VerificationRequest: dbVerificationRequestToApi({ id: 1, documents: '[]' }),
+      CardCheck: publicCardInfo({ card_number: 'PWMOI-1' }),
+      Revision: dbRevisionToApi({ id: 1, content: '' }),
+      Transition: dbTransitionToApi({ id: 1 }),
+      AuditEntry: dbAuditToApi({ id: 1 }),
+      ContactMessage: dbMessageToApi({ id: 1 }),
+      MessageReply: dbMessageReplyToApi({ id: 1 }),
+      Event: dbEventToApi({ id: 1, starts_at: new Date() }),
+      EventRegistration: dbRegistrationToApi({ id: 1 }, { forOrganizer: true }),
+      Translation: dbTranslationToApi('programs', { id: 1, title: 'Pelatihan' }, null, 'en'),
+    };
+    for (const [name, sample] of Object.entries(samples)) {
+      const documented = Object.keys(document.components.schemas[name].properties).sort();
+      assert.deepEqual(Object.keys(sample).sort(), documented, `components.schemas.${name}`);
+    }
+  });
+
+  it('only references schemas and responses it defines', () => {
+    const refs = JSON.stringify(document).match(/"\$ref":"[^"]+"/g) ?? [];
+    for (const match of new Set(refs)) {
+      const [, kind, name] = match.match(/#\/components\/(\w+)\/(\w+)/);
+      assert.ok(document.components[kind]?.[name], `${match} does not resolve.`);
+    }
+  });
+});
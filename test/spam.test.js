@@ -0,0 +1,32 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+// The configured words are read when lib/spam.js loads.
+process.env.COMMENT_BANNED_WORDS = 'c++, s.ot';
+const { HOLD_THRESHOLD, scoreComment } = await import('../lib/spam.js');
+
+describe('comment spam score', () => {
+  it('holds comments with a banned word', () => {
+    const result = scoreComment('Main SLOT gacor di sini');
+    assert.equal(result.hold, true);
+    assert.deepEqual(result.reasons, ['banned-words:slot,gacor']);
+  });
+
+  it('only matches whole words', () => {
+    assert.equal(scoreComment('Saya suka spot ini, pemandangannya indah.').score, 0);
+    assert.equal(scoreComment('Kegiatan slotting jadwal liputan').score, 0);
+  });
+
+  it('takes configured words literally', () => {
+    assert.deepEqual(scoreComment('Belajar c++ bersama').reasons, ['banned-words:c++']);
+    assert.deepEqual(scoreComment('Cek s.ot terbaru').reasons, ['banned-words:s.ot']);
+    assert.equal(scoreComment('Bahasa c dan c#').score, 0);
+  });
+
+  it('adds up links, repeats and bursts', () => {
+    assert.equal(scoreComment('Lihat https://example.com').score, 1);
+    const result = scoreComment('Komentar biasa', { sameContentCount: 1, recentCount: 3 });
+    assert.equal(result.score, 5);
+    assert.equal(result.hold, result.score >= HOLD_THRESHOLD);
+  });
+});
@@ -0,0 +1,41 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { parseCsv, toCsv } from '../lib/spreadsheets.js';
+
+// The data rows of a CSV file, without the byte order mark and the final line break.
+function csvLines(rows) {
+  return toCsv(rows).replace(/^\uFEFF/, '').split('\r\n').slice(0, -1);
+}
+
+describe('toCsv', () => {
+  it('neutralises cells a spreadsheet would run as formulas', () => {
+    const cells = ['=1+1', '@SUM(A1)', '+cmd', '-x', '-1+HYPERLINK("http://x")', "+1+cmd|' /C calc'!A0", '\tx'];
+    assert.deepEqual(csvLines([cells]), [
+      `'=1+1,'@SUM(A1),'+cmd,'-x,"'-1+HYPERLINK(""http://x"")",'+1+cmd|' /C calc'!A0,'\tx`,
+    ]);
+  });
+
+  it('leaves plain numbers and phone numbers alone', () => {
+    assert.deepEqual(csvLines([['+62 812 3456 7890', '-1.5', 42, '0812']]), ['+62 812 3456 7890,-1.5,42,0812']);
+  });
+
+  it('quotes delimiters, quotes, line breaks and edge spaces', () => {
+    assert.deepEqual(csvLines([['a,b', 'say "hi"', 'x;y', ' padded', null]]), [
+      '"a,b","say ""hi""","x;y"," padded",',
+    ]);
+  });
+});
+
+describe('parseCsv', () => {
+  it('reads what toCsv writes', () => {
+    const rows = [['Nama', 'Media'], ['Budi, S.Sos', 'Radar "Blambangan"'], ['Ani', 'Baris\ndua']];
+    assert.deepEqual(parseCsv(toCsv(rows)), { delimiter: ',', rows });
+  });
+
+  it('detects semicolons and keeps blank lines', () => {
+    assert.deepEqual(parseCsv('Nama;Email\r\n\r\nAni;ani@example.com'), {
+      delimiter: ';',
+      rows: [['Nama', 'Email'], [''], ['Ani', 'ani@example.com']],
+    });
+  });
+});
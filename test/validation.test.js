@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+
+// Tokens are signed with AUTH_SECRET, read when lib/auth.js loads.
+process.env.AUTH_SECRET = 'test-secret';
+const { createApp } = await import('../app.js');
+const { signToken } = await import('../lib/auth.js');
+const { categoryUpdateBody, memberListQuery } = await import('../lib/schemas.js');
+const { validateValue } = await import('../lib/validation.js');
+
+// Signs everyone in as an admin and records every other query, so a test can tell that a
+// rejected request wrote nothing.
+const queries = [];
+const pool = {
+  async query(sql) {
+    if (sql.includes('auth_sessions')) return [[{ id: 1, name: 'Admin', role: 'Admin', is_verified: 1 }]];
+    queries.push(sql);
+    return [[]];
+  },
+};
+
+describe('boolean fields', () => {
+  let server;
+  let baseUrl;
+  const headers = {
+    'content-type': 'application/json',
+    authorization: `Bearer ${signToken({ sub: 1, sid: 'session', exp: Math.floor(Date.now() / 1000) + 60 })}`,
+  };
+
+  before(() => {
+    server = createApp(pool).listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  });
+  after(() => server.close());
+
+  for (const [path, field] of [['/users/2', 'isVerified'], ['/categories/2', 'isDefault']]) {
+    it(`PUT ${path} rejects "false" as ${field}`, async () => {
+      queries.length = 0;
+      const res = await fetch(`${baseUrl}${path}`, {
+        method: 'PUT',
+        headers,
+        body: JSON.stringify({ [field]: 'false' }),
+      });
+      assert.equal(res.status, 400);
+      const body = await res.json();
+      assert.deepEqual(body.details.map((problem) => [problem.field, problem.rule]), [[field, 'type']]);
+      assert.deepEqual(queries, []);
+    });
+  }
+
+  it('accepts the text forms in query strings only', () => {
+    assert.deepEqual(validateValue(memberListQuery, { isVerified: 'false' }, 'query'), []);
+    assert.deepEqual(validateValue(categoryUpdateBody, { isDefault: false }), []);
+    assert.equal(validateValue(categoryUpdateBody, { isDefault: 'false' }).length, 1);
+    assert.equal(validateValue(categoryUpdateBody, { isDefault: 1 }).length, 1);
+    assert.deepEqual(validateValue(categoryUpdateBody, { isDefault: 'true' }, 'body', { fromText: true }), []);
+  });
+});